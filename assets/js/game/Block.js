@@ -1 +1,245 @@
-const 
+// Block definitions and the global block registry.
+//
+// Every block has a numeric ID (what chunks store) and a namespaced name
+// ("minecraft:grass_block"). The same definition drives every renderer:
+// ShadowGL chunk meshing reads isOpaque / textures, the createEngine backends
+// in js3dhelper.js accept a Block, its name or its ID in place of a settings
+// object.
+//
+// Usage example:
+// import { blocks } from './Block.js';
+// const grass = blocks.get('minecraft:grass_block');
+// grass.getTexture('top');   // '/assets/textures/block/grass_block_top.png'
+// blocks.isOpaque(grass.id); // true
+
+export const TEXTURE_ROOT = "/assets/textures/block/";
+
+export const FACES = ["top", "bottom", "north", "south", "east", "west"];
+
+// Maps a face name to the texture slot that covers it
+const FACE_SLOT = {
+    top: "top",
+    bottom: "bottom",
+    north: "side",
+    south: "side",
+    east: "side",
+    west: "side",
+    side: "side"
+};
+
+function textureUrl(name) {
+    if (!name) return null;
+    if (name.includes("/")) return name;
+    return `${TEXTURE_ROOT}${name}.png`;
+}
+
+// Accepts "stone", { all }, { top, side, bottom } or { top, side } (bottom = side)
+function normalizeTextures(textures, fallback) {
+    if (textures === null) return null;
+    if (textures === undefined) textures = fallback;
+    if (typeof textures === "string") {
+        const url = textureUrl(textures);
+        return { top: url, side: url, bottom: url };
+    }
+    const all = textures.all;
+    const side = textureUrl(textures.side || all);
+    return {
+        top: textureUrl(textures.top || all) || side,
+        side,
+        bottom: textureUrl(textures.bottom || all) || side
+    };
+}
+
+export function namespaced(name) {
+    return name.includes(":") ? name : `minecraft:${name}`;
+}
+
+// Drops are { item, count, chance }: count is a number or a [min, max] range,
+// chance (0..1) is optional. Returns [{ item, count }] of what dropped.
+// Mob types (Mob.js) use the same format.
+export function rollDrops(drops, random = Math.random) {
+    const result = [];
+    for (const drop of drops) {
+        if (drop.chance !== undefined && random() >= drop.chance) continue;
+        let count = drop.count ?? 1;
+        if (Array.isArray(count)) {
+            const [min, max] = count;
+            count = min + Math.floor(random() * (max - min + 1));
+        }
+        if (count > 0) result.push({ item: namespaced(drop.item), count });
+    }
+    return result;
+}
+
+export class Block {
+    constructor(id, name, props = {}) {
+        this.id = id;
+        this.name = namespaced(name);
+        this.displayName = props.displayName || this.name.split(":")[1]
+            .split("_")
+            .map((w) => w[0].toUpperCase() + w.slice(1))
+            .join(" ");
+
+        // Air and other invisible blocks pass textures: null
+        this.textures = normalizeTextures(props.textures, this.name.split(":")[1]);
+        this.color = props.color ?? 0x8B4513;
+
+        // Seconds to break by hand; -1 means unbreakable
+        this.hardness = props.hardness ?? 1;
+        this.transparent = props.transparent ?? false;
+        this.solid = props.solid ?? true;
+        // Collision height in blocks for solid blocks (0.5 for slabs)
+        this.height = props.height ?? 1;
+        this.liquid = props.liquid ?? false;
+        this.lightEmission = props.lightEmission ?? 0;
+        // How much light is lost passing through (0..15); opaque blocks stop it
+        this.lightOpacity = props.lightOpacity ?? (this.opaque ? 15 : 0);
+
+        // Right click uses the block (crafting table) instead of placing against it
+        this.usable = props.usable ?? false;
+        // [{ item, count: n | [min, max], chance }]; defaults to dropping itself
+        this.drops = props.drops ?? [{ item: this.name, count: 1 }];
+    }
+
+    get isAir() {
+        return this.id === 0;
+    }
+
+    // Opaque blocks hide the faces of whatever is next to them
+    get opaque() {
+        return this.solid && !this.transparent;
+    }
+
+    getTexture(face = "side") {
+        if (!this.textures) return null;
+        return this.textures[FACE_SLOT[face] || "side"];
+    }
+
+    // Settings object understood by every createEngine backend's addBlock
+    toSettings() {
+        return {
+            block: this,
+            texture: this.getTexture("side"),
+            textures: this.textures,
+            color: this.color,
+            transparent: this.transparent
+        };
+    }
+
+    rollDrops(random = Math.random) {
+        return rollDrops(this.drops, random);
+    }
+}
+
+export class BlockRegistry {
+    constructor() {
+        this.byId = [];
+        this.byName = new Map();
+    }
+
+    register(id, name, props = {}) {
+        const block = new Block(id, name, props);
+        if (this.byId[id]) throw new Error(`Block ID ${id} already used by ${this.byId[id].name}`);
+        if (this.byName.has(block.name)) throw new Error(`Block ${block.name} already registered`);
+        this.byId[id] = block;
+        this.byName.set(block.name, block);
+        return block;
+    }
+
+    // Looks up by ID, name ("stone" or "minecraft:stone") or passes a Block through
+    get(ref) {
+        if (ref instanceof Block) return ref;
+        if (typeof ref === "number") return this.byId[ref] || null;
+        if (typeof ref === "string") return this.byName.get(namespaced(ref)) || null;
+        return null;
+    }
+
+    has(ref) {
+        return this.get(ref) !== null;
+    }
+
+    all() {
+        return this.byId.filter(Boolean);
+    }
+
+    isOpaque(id) {
+        const block = this.byId[id];
+        return block ? block.opaque : false;
+    }
+
+    isSolid(id) {
+        const block = this.byId[id];
+        return block ? block.solid : false;
+    }
+}
+
+export const blocks = new BlockRegistry();
+
+export const AIR = 0;
+
+blocks.register(0, "air", { textures: null, solid: false, transparent: true, hardness: 0, drops: [] });
+blocks.register(1, "stone", { hardness: 1.5, color: 0x7f7f7f, drops: [{ item: "cobblestone", count: 1 }] });
+blocks.register(2, "grass_block", {
+    textures: { top: "grass_block_top", side: "grass_block_side", bottom: "dirt" },
+    hardness: 0.6,
+    color: 0x5f9f35,
+    drops: [{ item: "dirt", count: 1 }]
+});
+blocks.register(3, "dirt", { hardness: 0.5, color: 0x866043 });
+blocks.register(4, "cobblestone", { hardness: 2, color: 0x6e6e6e });
+blocks.register(5, "oak_planks", { hardness: 2, color: 0xa2834f });
+blocks.register(6, "bedrock", { hardness: -1, color: 0x333333, drops: [] });
+blocks.register(7, "water", {
+    textures: "water_still",
+    solid: false,
+    transparent: true,
+    liquid: true,
+    hardness: -1,
+    lightOpacity: 2,
+    color: 0x3f76e4,
+    drops: []
+});
+blocks.register(8, "lava", {
+    textures: "lava_still",
+    solid: false,
+    liquid: true,
+    hardness: -1,
+    lightEmission: 15,
+    color: 0xcf5b13,
+    drops: []
+});
+blocks.register(9, "sand", { hardness: 0.5, color: 0xdbcfa3 });
+blocks.register(10, "gravel", { hardness: 0.6, color: 0x857f7f });
+blocks.register(11, "coal_ore", { hardness: 3, color: 0x737373, drops: [{ item: "coal", count: 1 }] });
+blocks.register(12, "iron_ore", { hardness: 3, color: 0x88807a });
+blocks.register(13, "gold_ore", { hardness: 3, color: 0x8f8c7d });
+blocks.register(14, "diamond_ore", { hardness: 3, color: 0x7d8e8d, drops: [{ item: "diamond", count: 1 }] });
+blocks.register(15, "oak_log", { textures: { top: "oak_log_top", side: "oak_log", bottom: "oak_log_top" }, hardness: 2, color: 0x6b5433 });
+blocks.register(16, "oak_leaves", {
+    transparent: true,
+    hardness: 0.2,
+    lightOpacity: 1,
+    color: 0x4a7a24,
+    drops: [{ item: "oak_sapling", count: 1, chance: 0.05 }, { item: "apple", count: 1, chance: 0.005 }]
+});
+blocks.register(17, "glass", { transparent: true, hardness: 0.3, color: 0xc0f5fe, drops: [] });
+blocks.register(18, "cactus", {
+    textures: { top: "cactus_top", side: "cactus_side", bottom: "cactus_bottom" },
+    transparent: true,
+    hardness: 0.4,
+    color: 0x5b8731
+});
+blocks.register(19, "snow_block", { textures: "snow", hardness: 0.2, color: 0xf0fbfb, drops: [{ item: "snowball", count: 4 }] });
+blocks.register(20, "sandstone", {
+    textures: { top: "sandstone_top", side: "sandstone", bottom: "sandstone_bottom" },
+    hardness: 0.8,
+    color: 0xd8cb9b
+});
+blocks.register(21, "torch", { solid: false, transparent: true, hardness: 0, lightEmission: 14, color: 0xffd24a });
+blocks.register(22, "glowstone", { hardness: 0.3, lightEmission: 15, color: 0xfbda74, drops: [{ item: "glowstone_dust", count: [2, 4] }] });
+blocks.register(23, "crafting_table", {
+    textures: { top: "crafting_table_top", side: "crafting_table_front", bottom: "oak_planks" },
+    hardness: 2.5,
+    color: 0x9c7a4a,
+    usable: true
+});
@@ -0,0 +1,233 @@
+// Chat overlay and command console for game.html.
+//
+// T opens the chat, / opens it with the "/" already typed (both rebindable
+// with options.keys). Enter sends: lines starting with "/" run through the
+// command dispatcher (Commands.js), anything else is shown as "<name>
+// message". Escape closes without sending, the up and down arrows walk back
+// through what was sent, and Tab completes the word at the cursor, cycling
+// through the suggestions listed above the input.
+//
+// Messages fade out a few seconds after they arrive (chat.css) and all of
+// the recent ones show again while the chat is open. Command errors are
+// printed in red with the input up to the offending word.
+//
+// Usage example:
+// const chat = new ChatUI(commands, {
+//     context: () => ({ player, world, clock, seed: save.meta.seed }),
+//     canOpen: () => !inventoryUI.isOpen,
+//     onToggle: (open) => (open ? loop.pause("chat") : loop.resume("chat"))
+// });
+// chat.print("Welcome!");
+
+import { CommandError } from "./Commands.js";
+
+// Lines kept in the log, and commands kept in the history
+const MAX_LINES = 100;
+const MAX_HISTORY = 50;
+
+// Suggestions listed above the input at once
+const MAX_SUGGESTIONS = 8;
+
+// Characters of input shown before the <--[HERE] marker of an error
+const ERROR_CONTEXT = 20;
+
+function element(doc, tag, className, parent = null) {
+    const el = doc.createElement(tag);
+    if (className) el.className = className;
+    if (parent) parent.appendChild(el);
+    return el;
+}
+
+export class ChatUI {
+    constructor(commands, options = {}) {
+        this.commands = commands;
+        this.document = options.document || document;
+        // Object or function returning the command context (see Commands.js)
+        this.context = options.context || {};
+        this.canOpen = options.canOpen || (() => true);
+        this.onToggle = options.onToggle || null;
+        // Name shown in front of chat messages when the context has no player
+        this.name = options.name || "Player";
+        // KeyboardEvent.codes that open the chat, and open it with "/" typed
+        this.keys = { chat: "KeyT", command: "Slash", ...options.keys };
+
+        this.isOpen = false;
+        this.history = [];
+        this.historyIndex = 0;
+        // Tab completion in progress: { input, start, suggestions, index }
+        this.completion = null;
+
+        this.listeners = [];
+        this.build(options.root || this.document.body);
+    }
+
+    build(root) {
+        const doc = this.document;
+        this.root = element(doc, "div", "chat", root);
+        this.log = element(doc, "div", "chat-log", this.root);
+        this.suggestions = element(doc, "div", "chat-suggestions", this.root);
+        this.suggestions.hidden = true;
+        this.input = element(doc, "input", "chat-input", this.root);
+        this.input.type = "text";
+        this.input.maxLength = 256;
+        this.input.spellcheck = false;
+        this.input.hidden = true;
+
+        this.listen(doc, "keydown", (e) => this.handleKey(e));
+        this.listen(this.input, "keydown", (e) => this.handleInputKey(e));
+        this.listen(this.input, "input", () => {
+            this.completion = null;
+            this.showSuggestions();
+        });
+    }
+
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push([target, type, handler, options]);
+    }
+
+    getContext() {
+        return typeof this.context === "function" ? this.context() : this.context;
+    }
+
+    // kind: "chat", "info" or "error"; multi-line text makes one line each
+    print(text, kind = "info") {
+        if (text === undefined || text === null || text === "") return;
+        for (const line of String(text).split("\n")) {
+            const el = element(this.document, "div", `chat-line chat-${kind}`, this.log);
+            el.textContent = line;
+        }
+        while (this.log.children.length > MAX_LINES) this.log.firstChild.remove();
+        this.log.scrollTop = this.log.scrollHeight;
+    }
+
+    open(text = "") {
+        if (this.isOpen || !this.canOpen()) return;
+        this.isOpen = true;
+        this.root.classList.add("open");
+        this.input.hidden = false;
+        this.input.value = text;
+        this.historyIndex = this.history.length;
+        this.completion = null;
+        this.input.focus();
+        this.showSuggestions();
+        if (this.onToggle) this.onToggle(true);
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.root.classList.remove("open");
+        this.input.hidden = true;
+        this.input.value = "";
+        this.input.blur();
+        this.suggestions.hidden = true;
+        if (this.onToggle) this.onToggle(false);
+    }
+
+    // Sends a chat line or runs a command, as if typed and sent
+    send(text) {
+        text = text.trim();
+        if (!text) return;
+        if (this.history[this.history.length - 1] !== text) this.history.push(text);
+        if (this.history.length > MAX_HISTORY) this.history.shift();
+
+        const ctx = this.getContext();
+        if (!text.startsWith("/")) {
+            this.print(`<${ctx.player ? ctx.player.name : this.name}> ${text}`, "chat");
+            return;
+        }
+        try {
+            this.print(this.commands.execute(text, ctx), "info");
+        } catch (err) {
+            if (!(err instanceof CommandError)) {
+                console.error(err);
+                this.print("An unexpected error occurred trying to run that command", "error");
+                return;
+            }
+            this.print(err.message, "error");
+            if (err.position !== null) {
+                const before = text.slice(0, err.position);
+                const shown = before.length > ERROR_CONTEXT ? "..." + before.slice(-ERROR_CONTEXT) : before;
+                this.print(`${shown}<--[HERE]`, "error");
+            }
+        }
+    }
+
+    // Replaces the word being typed with the next suggestion
+    complete() {
+        if (!this.completion) {
+            const { start, suggestions } = this.commands.complete(this.input.value, this.getContext());
+            if (suggestions.length === 0) return;
+            this.completion = { input: this.input.value, start, suggestions, index: -1 };
+        }
+        const c = this.completion;
+        c.index = (c.index + 1) % c.suggestions.length;
+        this.input.value = c.input.slice(0, c.start) + c.suggestions[c.index];
+        this.showSuggestions();
+    }
+
+    showSuggestions() {
+        const doc = this.document;
+        const value = this.completion ? this.completion.input : this.input.value;
+        const { suggestions } = value.startsWith("/") ? this.commands.complete(value, this.getContext()) : { suggestions: [] };
+        this.suggestions.replaceChildren();
+        this.suggestions.hidden = suggestions.length === 0;
+        suggestions.slice(0, MAX_SUGGESTIONS).forEach((s, i) => {
+            const el = element(doc, "div", "chat-suggestion", this.suggestions);
+            el.textContent = s;
+            if (this.completion && i === this.completion.index) el.classList.add("selected");
+        });
+        if (suggestions.length > MAX_SUGGESTIONS) {
+            element(doc, "div", "chat-suggestion more", this.suggestions).textContent = `+${suggestions.length - MAX_SUGGESTIONS} more`;
+        }
+    }
+
+    browseHistory(step) {
+        if (this.history.length === 0) return;
+        this.historyIndex = Math.max(0, Math.min(this.history.length, this.historyIndex + step));
+        this.input.value = this.history[this.historyIndex] ?? "";
+        this.completion = null;
+        this.showSuggestions();
+    }
+
+    handleKey(event) {
+        if (this.isOpen) return;
+        if (event.target && /^(INPUT|TEXTAREA)$/.test(event.target.tagName)) return;
+        if (event.code === this.keys.chat || event.code === this.keys.command) {
+            // Keeps the key itself from being typed into the input
+            event.preventDefault();
+            this.open(event.code === this.keys.command ? "/" : "");
+        }
+    }
+
+    handleInputKey(event) {
+        if (event.code === "Enter" || event.code === "NumpadEnter") {
+            const text = this.input.value;
+            this.close();
+            this.send(text);
+        } else if (event.code === "Escape") {
+            this.close();
+        } else if (event.code === "Tab") {
+            event.preventDefault();
+            this.complete();
+        } else if (event.code === "ArrowUp") {
+            event.preventDefault();
+            this.browseHistory(-1);
+        } else if (event.code === "ArrowDown") {
+            event.preventDefault();
+            this.browseHistory(1);
+        } else {
+            return;
+        }
+        // Keeps game key bindings (Escape for menus) from seeing the chat's keys
+        event.stopPropagation();
+    }
+
+    dispose() {
+        this.close();
+        for (const [target, type, handler, options] of this.listeners) target.removeEventListener(type, handler, options);
+        this.listeners = [];
+        this.root.remove();
+    }
+}
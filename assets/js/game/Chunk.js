@@ -0,0 +1,59 @@
+// Chunk storage for the voxel world.
+//
+// A chunk is a 16x16x256 column of block IDs stored in a flat Uint16Array
+// (0 = air). Indexing is y-major so a horizontal layer is contiguous:
+//   index = x + z * CHUNK_SIZE + y * CHUNK_SIZE * CHUNK_SIZE
+//
+// Coordinates passed to a Chunk are always local (0..15, 0..255, 0..15).
+// World-space access goes through World.js.
+
+export const CHUNK_SIZE = 16;
+export const CHUNK_HEIGHT = 256;
+export const CHUNK_VOLUME = CHUNK_SIZE * CHUNK_SIZE * CHUNK_HEIGHT;
+
+export class Chunk {
+    constructor(cx, cz) {
+        this.cx = cx;
+        this.cz = cz;
+
+        this.blocks = new Uint16Array(CHUNK_VOLUME);
+        // Per cell skylight << 4 | block light (see Light.js); full daylight
+        // until a lighting engine computes real values
+        this.light = new Uint8Array(CHUNK_VOLUME).fill(0xf0);
+
+        // Set whenever the block data changes so the renderer knows to remesh
+        this.dirty = true;
+        // Set by edits (not by generation) so only changed chunks need saving
+        this.modified = false;
+    }
+
+    static index(x, y, z) {
+        return x + z * CHUNK_SIZE + y * CHUNK_SIZE * CHUNK_SIZE;
+    }
+
+    static inBounds(x, y, z) {
+        return x >= 0 && x < CHUNK_SIZE &&
+               z >= 0 && z < CHUNK_SIZE &&
+               y >= 0 && y < CHUNK_HEIGHT;
+    }
+
+    getBlock(x, y, z) {
+        if (!Chunk.inBounds(x, y, z)) return 0;
+        return this.blocks[Chunk.index(x, y, z)];
+    }
+
+    // Returns true if the stored ID actually changed
+    setBlock(x, y, z, id) {
+        if (!Chunk.inBounds(x, y, z)) return false;
+        const i = Chunk.index(x, y, z);
+        if (this.blocks[i] === id) return false;
+        this.blocks[i] = id;
+        this.dirty = true;
+        this.modified = true;
+        return true;
+    }
+
+    // World-space position of the chunk origin
+    get originX() { return this.cx * CHUNK_SIZE; }
+    get originZ() { return this.cz * CHUNK_SIZE; }
+}
@@ -0,0 +1,207 @@
+// World clock and day/night cycle.
+//
+// Time is counted in game ticks, 20 per second and 24000 per day (20 minutes
+// of real time). Tick 0 is sunrise, 6000 noon, 12000 sunset, 18000 midnight.
+// From the time of day the clock derives the sun and moon directions, sky and
+// fog colours blended through sunrise, day, sunset and night, the sunlight
+// colour/intensity and the skylight multiplier used by the chunk shaders.
+//
+// The clock can be set, advanced and frozen, and is saved with the world
+// (time and timeFrozen in the world metadata, see Save.js).
+//
+// Usage example:
+// const clock = new WorldClock({ time: save.meta.time, frozen: save.meta.timeFrozen });
+// clock.setTime(TIMES.noon);
+// function frame(dt) {
+//     clock.advance(dt);
+//     applyClock(clock, { engine: handle, renderer, chunks });
+// }
+// save.setClock(clock);
+
+import { lerp } from "./jshelper/ShadowGL/Engine/math.js";
+
+export const TICKS_PER_SECOND = 20;
+export const TICKS_PER_DAY = 24000;
+
+// Named times of day, as accepted by /time set
+export const TIMES = {
+    sunrise: 0,
+    day: 1000,
+    noon: 6000,
+    sunset: 12000,
+    night: 13000,
+    midnight: 18000
+};
+
+// Skylight multiplier under moonlight
+const NIGHT_DAYLIGHT = 0.2;
+
+// [tick, [r, g, b]] keyframes, blended linearly and wrapping at TICKS_PER_DAY
+const SKY_COLORS = [
+    [0, [0.62, 0.67, 0.82]],
+    [1000, [0.53, 0.81, 0.92]],
+    [11000, [0.53, 0.81, 0.92]],
+    [12500, [0.86, 0.52, 0.36]],
+    [13800, [0.02, 0.03, 0.08]],
+    [22200, [0.02, 0.03, 0.08]],
+    [23500, [0.88, 0.58, 0.42]]
+];
+
+const FOG_COLORS = [
+    [0, [0.78, 0.72, 0.70]],
+    [1000, [0.75, 0.85, 0.95]],
+    [11000, [0.75, 0.85, 0.95]],
+    [12500, [0.92, 0.62, 0.42]],
+    [13800, [0.04, 0.05, 0.10]],
+    [22200, [0.04, 0.05, 0.10]],
+    [23500, [0.94, 0.66, 0.48]]
+];
+
+function sampleKeyframes(frames, tick) {
+    for (let i = 0; i < frames.length; i++) {
+        const [t0, c0] = frames[i];
+        const [t1, c1] = i + 1 < frames.length ? frames[i + 1] : [frames[0][0] + TICKS_PER_DAY, frames[0][1]];
+        const t = tick < t0 ? tick + TICKS_PER_DAY : tick;
+        if (t >= t0 && t < t1) {
+            const f = (t - t0) / (t1 - t0);
+            return [lerp(c0[0], c1[0], f), lerp(c0[1], c1[1], f), lerp(c0[2], c1[2], f)];
+        }
+    }
+    return [...frames[0][1]];
+}
+
+function clamp01(v) {
+    return Math.min(1, Math.max(0, v));
+}
+
+// [r, g, b] in 0..1 to 0xRRGGBB
+export function toHex(color) {
+    return color.reduce((hex, c) => (hex << 8) | Math.round(clamp01(c) * 255), 0);
+}
+
+export class WorldClock {
+    constructor(options = {}) {
+        // Total ticks since the world was created; the day count is time / TICKS_PER_DAY
+        this.time = options.time ?? TIMES.day;
+        this.frozen = options.frozen ?? false;
+        // Leftover fraction of a tick from advance(dt)
+        this.partial = 0;
+    }
+
+    get timeOfDay() {
+        return ((this.time % TICKS_PER_DAY) + TICKS_PER_DAY) % TICKS_PER_DAY;
+    }
+
+    get day() {
+        return Math.floor(this.time / TICKS_PER_DAY);
+    }
+
+    // One game tick; fixed-step loops call this TICKS_PER_SECOND times a second
+    tick() {
+        if (!this.frozen) this.time++;
+    }
+
+    // Variable-step alternative to tick(): advances by real seconds
+    advance(dt) {
+        if (this.frozen) return;
+        this.partial += dt * TICKS_PER_SECOND;
+        const whole = Math.floor(this.partial);
+        this.time += whole;
+        this.partial -= whole;
+    }
+
+    // Sets the time of day (a tick or a TIMES name), keeping the day count
+    setTime(time) {
+        const tick = typeof time === "string" ? TIMES[time] : time;
+        if (tick === undefined || !Number.isFinite(tick)) throw new Error(`Unknown time: ${time}`);
+        this.time = this.day * TICKS_PER_DAY + Math.floor(tick);
+        this.partial = 0;
+    }
+
+    addTime(ticks) {
+        this.time += Math.floor(ticks);
+    }
+
+    freeze(frozen = true) {
+        this.frozen = frozen;
+    }
+
+    // Fraction of a full turn of the sun, 0 at noon (overhead)
+    get celestialAngle() {
+        return ((this.timeOfDay + this.partial) / TICKS_PER_DAY - 0.25 + 1) % 1;
+    }
+
+    // Unit vector towards the sun; it rises in the east (+X) and sets in the west
+    get sunDirection() {
+        const a = this.celestialAngle * Math.PI * 2;
+        return [-Math.sin(a), Math.cos(a), 0];
+    }
+
+    get moonDirection() {
+        return this.sunDirection.map((v) => -v);
+    }
+
+    // 0 at night, 1 in full day, with a short transition around the horizon
+    get sunHeight() {
+        return clamp01(Math.cos(this.celestialAngle * Math.PI * 2) * 2 + 0.5);
+    }
+
+    // Skylight multiplier (uDaylight in the chunk shaders)
+    get daylight() {
+        return lerp(NIGHT_DAYLIGHT, 1, this.sunHeight);
+    }
+
+    get skyColor() {
+        return sampleKeyframes(SKY_COLORS, this.timeOfDay + this.partial);
+    }
+
+    get fogColor() {
+        return sampleKeyframes(FOG_COLORS, this.timeOfDay + this.partial);
+    }
+
+    // Sunlight turns orange near the horizon; at night the moon lights the
+    // world faintly blue
+    get sunLight() {
+        const h = this.sunHeight;
+        if (h <= 0) return { direction: this.moonDirection, color: [0.55, 0.6, 0.8], intensity: 0.15 };
+        const warm = 1 - clamp01((h - 0.5) * 2);
+        // Twilight still lights the world from the horizon, never from below
+        const [x, y, z] = this.sunDirection;
+        const lifted = Math.max(y, 0.05);
+        const len = Math.hypot(x, lifted, z);
+        return {
+            direction: [x / len, lifted / len, z / len],
+            color: [1, lerp(1, 0.7, warm), lerp(1, 0.45, warm)],
+            intensity: lerp(0.15, 0.8, h)
+        };
+    }
+
+    toJSON() {
+        return { time: this.time, frozen: this.frozen };
+    }
+
+    static fromJSON(json = {}) {
+        return new WorldClock({ time: json.time, frozen: json.frozen });
+    }
+}
+
+// Pushes the clock's sky into whichever renderers are given:
+// - engine: a createEngine handle (setSun, setSky)
+// - renderer: a ShadowGL WebGL3D (background colour)
+// - chunks: a ShadowGL ChunkRenderer (daylight and fog colour)
+export function applyClock(clock, targets = {}) {
+    const sky = clock.skyColor;
+    const fog = clock.fogColor;
+    const sun = clock.sunLight;
+
+    if (targets.engine) {
+        const [x, y, z] = sun.direction;
+        targets.engine.setSun({ x, y, z }, toHex(sun.color), sun.intensity);
+        if (targets.engine.setSky) targets.engine.setSky(toHex(sky), { color: toHex(fog) });
+    }
+    if (targets.renderer) targets.renderer.setBackground([...sky, 1]);
+    if (targets.chunks) {
+        targets.chunks.setDaylight(clock.daylight);
+        targets.chunks.setFog(fog);
+    }
+}
@@ -0,0 +1,705 @@
+// Chat commands: typed arguments, parsing, autocomplete and the built-in commands.
+//
+// A command is declared once with one or more syntaxes (overloads). Each
+// syntax is a list of typed arguments and a run(context, values) function:
+//
+// commands.register({
+//     name: "give",
+//     description: "Gives items to players",
+//     syntaxes: [{
+//         args: [arg.players("targets"), arg.item("item"), arg.integer("count", { min: 1, optional: true, default: 1 })],
+//         run: (ctx, { targets, item, count }) => ...
+//     }]
+// });
+//
+// Input is split on whitespace; a word in double or single quotes may hold
+// spaces ('/tp "Steve Smith"'), with \ escaping a quote or backslash
+// inside it. Argument types: literal words ("set"),
+// integers with a range, coordinates (three values, ~ for relative to the
+// player: "~ ~1 ~-5"), block and item IDs, player selectors (@s, @p, @a, @r
+// or a name), one of a fixed set of words, times of day and greedy text. The
+// first syntax that parses the whole input runs; otherwise the error of the
+// syntax that got furthest is thrown as a CommandError, whose position is the
+// offset of the offending word in the input. complete() suggests values for
+// the word at the end of the input, for tab completion.
+//
+// Nothing here touches the DOM; commands act on a context object supplied
+// by the game:
+//   player     the player running the command: { name, position, inventory, gameMode }
+//   players    every player (defaults to [player])
+//   world      World (World.js), for /setblock and /fill
+//   clock      WorldClock (Clock.js), for /time
+//   seed       the world seed, for /seed
+//   cheats     false to refuse commands registered with cheat: true, as in
+//              worlds created without cheats
+//   onTeleport(player), onGameModeChange(player, mode), onInventoryChange(player)
+//              called after a command changed the player, e.g. to re-render
+// Fields a command needs but the context lacks make it fail with a CommandError.
+//
+// Usage example:
+// import { commands, CommandError } from './Commands.js';
+// const context = { player, world, clock, seed: save.meta.seed };
+// try {
+//     chat.print(commands.execute("/give @s minecraft:torch 16", context));
+// } catch (err) {
+//     if (!(err instanceof CommandError)) throw err;
+//     chat.print(err.message, "error");
+// }
+// commands.complete("/give @s minecraft:di", context); // { start: 9, suggestions: ["minecraft:diamond", ...] }
+
+import { blocks, namespaced } from "./Block.js";
+import { items, ItemStack } from "./Item.js";
+import { World } from "./World.js";
+import { CHUNK_HEIGHT } from "./Chunk.js";
+import { TIMES, TICKS_PER_DAY, TICKS_PER_SECOND } from "./Clock.js";
+
+export const GAME_MODES = ["survival", "creative"];
+
+// Most blocks one /fill may change
+export const MAX_FILL = 32768;
+
+// Most items one /give may hand out per player
+const MAX_GIVE = 6400;
+
+export class CommandError extends Error {
+    constructor(message, position = null) {
+        super(message);
+        this.name = "CommandError";
+        // Offset in the input of the word the error is about, or null
+        this.position = position;
+    }
+}
+
+// Splits input from offset `from` into words with their offsets:
+// [{ text, start, end }]. A quoted word's text is without the quotes and
+// escapes; a quote that is not closed is a CommandError.
+export function tokenize(input, from = 0) {
+    const tokens = [];
+    const re = /(["'])((?:\\[\s\S]|(?!\1)[^\\])*)(\1?)|\S+/g;
+    re.lastIndex = from;
+    let match;
+    while ((match = re.exec(input))) {
+        let text = match[0];
+        if (match[1]) {
+            if (!match[3]) throw new CommandError("Unclosed quote", match.index);
+            text = match[2].replace(/\\([\s\S])/g, "$1");
+        }
+        tokens.push({ text, start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+}
+
+function quote(list) {
+    return list.map((v) => `'${v}'`).join(", ");
+}
+
+// Matches "name" or "minecraft:name" candidates against a partly typed word
+function suggestIds(word, ids) {
+    const full = word.includes(":");
+    return ids
+        .map((id) => (full ? id : id.split(":")[1]))
+        .filter((id) => id.startsWith(word));
+}
+
+function parseNumber(word, what) {
+    if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(word)) throw new CommandError(`Invalid ${what} '${word}'`);
+    return Number(word);
+}
+
+function playerPosition(ctx) {
+    if (!ctx.player || !ctx.player.position) throw new CommandError("Relative coordinates (~) need a player position");
+    return ctx.player.position;
+}
+
+function allPlayers(ctx) {
+    return ctx.players || (ctx.player ? [ctx.player] : []);
+}
+
+/* ---- Argument types ---- */
+
+// Every type is { name, size, usage, parse(words, ctx), suggest(word, ctx, part) }.
+// size is the number of words taken (Infinity for greedy text); optional
+// arguments may only come last and take `default` (or default(ctx)) when absent.
+function argument(name, options, type) {
+    return {
+        name,
+        size: 1,
+        usage: `<${name}>`,
+        suggest: () => [],
+        ...type,
+        optional: options.optional ?? false,
+        default: options.default
+    };
+}
+
+export const arg = {
+    // A fixed word, e.g. the "set" of /time set
+    literal(word) {
+        return {
+            ...argument(word, {}, {
+                usage: word,
+                parse(words) {
+                    if (words[0] !== word) throw new CommandError(`Expected '${word}' but found '${words[0]}'`);
+                    return word;
+                },
+                suggest: () => [word]
+            }),
+            literal: true
+        };
+    },
+
+    integer(name, options = {}) {
+        const min = options.min ?? -Infinity;
+        const max = options.max ?? Infinity;
+        return argument(name, options, {
+            parse([word]) {
+                if (!/^[-+]?\d+$/.test(word)) throw new CommandError(`Invalid integer '${word}'`);
+                const value = Number(word);
+                if (value < min) throw new CommandError(`Integer must not be less than ${min}, found ${value}`);
+                if (value > max) throw new CommandError(`Integer must not be more than ${max}, found ${value}`);
+                return value;
+            }
+        });
+    },
+
+    // One of a fixed set of words
+    choice(name, values, options = {}) {
+        return argument(name, options, {
+            parse([word]) {
+                if (!values.includes(word)) throw new CommandError(`Unknown ${name} '${word}', expected one of ${quote(values)}`);
+                return word;
+            },
+            suggest: () => values
+        });
+    },
+
+    // x y z, each absolute or ~relative to the player. block: true floors to
+    // a block position; otherwise absolute whole x/z numbers are centred on
+    // their block, like a teleport should be.
+    coordinates(name, options = {}) {
+        const block = options.block ?? false;
+        return argument(name, options, {
+            size: 3,
+            usage: "<x> <y> <z>",
+            parse(words, ctx) {
+                const pos = words.map((word, axis) => {
+                    if (word.startsWith("^")) throw new CommandError("Local coordinates (^) are not supported");
+                    if (word.startsWith("~")) {
+                        const offset = word.length > 1 ? parseNumber(word.slice(1), "coordinate") : 0;
+                        return playerPosition(ctx)[axis] + offset;
+                    }
+                    const value = parseNumber(word, "coordinate");
+                    return !block && axis !== 1 && Number.isInteger(value) ? value + 0.5 : value;
+                });
+                return block ? pos.map(Math.floor) : pos;
+            },
+            suggest(word, ctx, part) {
+                const suggestions = ["~"];
+                if (ctx.player && ctx.player.position) suggestions.push(String(Math.floor(ctx.player.position[part])));
+                return suggestions;
+            }
+        });
+    },
+
+    // A block ID ("stone" or "minecraft:stone"); parses to the Block
+    block(name, options = {}) {
+        return argument(name, options, {
+            parse([word]) {
+                const block = blocks.get(word);
+                if (!block) throw new CommandError(`Unknown block '${namespaced(word)}'`);
+                return block;
+            },
+            suggest: (word) => suggestIds(word, blocks.all().map((b) => b.name))
+        });
+    },
+
+    // An item ID; parses to the Item
+    item(name, options = {}) {
+        return argument(name, options, {
+            parse([word]) {
+                const item = items.get(word);
+                if (!item) throw new CommandError(`Unknown item '${namespaced(word)}'`);
+                return item;
+            },
+            suggest: (word) => suggestIds(word, items.all().map((i) => i.id))
+        });
+    },
+
+    // @s (yourself), @p (nearest), @a (everyone), @r (random) or a player
+    // name; parses to a non-empty array of players. single: true rejects
+    // selectors that match more than one.
+    players(name, options = {}) {
+        const single = options.single ?? false;
+        return argument(name, options, {
+            parse([word], ctx) {
+                const players = allPlayers(ctx);
+                let found;
+                if (word === "@s") {
+                    found = ctx.player ? [ctx.player] : [];
+                } else if (word === "@p") {
+                    const from = ctx.player && ctx.player.position;
+                    const dist = (p) => (from && p.position ? Math.hypot(...p.position.map((v, i) => v - from[i])) : 0);
+                    found = players.length ? [players.reduce((a, b) => (dist(b) < dist(a) ? b : a))] : [];
+                } else if (word === "@a") {
+                    found = players;
+                } else if (word === "@r") {
+                    const random = ctx.random || Math.random;
+                    found = players.length ? [players[Math.floor(random() * players.length)]] : [];
+                } else if (word.startsWith("@")) {
+                    throw new CommandError(`Unknown selector '${word}', expected @s, @p, @a or @r`);
+                } else {
+                    found = players.filter((p) => p.name.toLowerCase() === word.toLowerCase());
+                }
+                if (found.length === 0) throw new CommandError(word.startsWith("@") ? "No player was found" : `No player named '${word}' was found`);
+                if (single && found.length > 1) throw new CommandError("Only one player is allowed, but the selector matches more than one");
+                return found;
+            },
+            suggest: (word, ctx) => ["@s", "@p", "@a", "@r", ...allPlayers(ctx).map((p) => p.name)]
+        });
+    },
+
+    // A named time (TIMES in Clock.js) or a duration in ticks; "2d", "30s"
+    // and "100t" give days, seconds and ticks
+    time(name, options = {}) {
+        const units = { d: TICKS_PER_DAY, s: TICKS_PER_SECOND, t: 1 };
+        return argument(name, options, {
+            parse([word]) {
+                if (word in TIMES) return TIMES[word];
+                const match = /^(\d+\.?\d*|\.\d+)([dst]?)$/.exec(word);
+                if (!match) throw new CommandError(`Invalid time '${word}', expected a number of ticks or one of ${quote(Object.keys(TIMES))}`);
+                return Math.floor(Number(match[1]) * units[match[2] || "t"]);
+            },
+            suggest: () => Object.keys(TIMES)
+        });
+    },
+
+    // The rest of the input as one string
+    text(name, options = {}) {
+        return argument(name, options, {
+            size: Infinity,
+            parse: (words) => words.join(" ")
+        });
+    }
+};
+
+/* ---- Dispatcher ---- */
+
+function usageOf(args) {
+    return args.map((a) => (a.optional ? `[${a.usage}]` : a.usage)).join(" ");
+}
+
+// Parses tokens against one syntax. Returns { values } or { error, progress,
+// arg } with progress the number of words that parsed and arg the argument
+// that failed.
+function parseSyntax(syntax, tokens, ctx, inputEnd) {
+    const values = {};
+    let i = 0;
+    for (const a of syntax.args) {
+        const words = tokens.slice(i, i + a.size);
+        try {
+            if (words.length === 0) {
+                if (!a.optional) throw new CommandError(`Missing ${a.usage}`, inputEnd);
+                values[a.name] = typeof a.default === "function" ? a.default(ctx) : a.default;
+                continue;
+            }
+            if (a.size !== Infinity && words.length < a.size) {
+                throw new CommandError(`Incomplete ${a.usage}: expected ${a.size} values`, inputEnd);
+            }
+            values[a.name] = a.parse(words.map((t) => t.text), ctx);
+        } catch (err) {
+            if (!(err instanceof CommandError)) throw err;
+            if (err.position === null) err.position = words.length ? words[0].start : inputEnd;
+            return { error: err, progress: i, arg: a };
+        }
+        i += words.length;
+    }
+    if (i < tokens.length) {
+        return { error: new CommandError(`Unexpected argument '${tokens[i].text}'`, tokens[i].start), progress: i, arg: null };
+    }
+    return { values };
+}
+
+// Whether a syntax takes `count` words
+function fits(syntax, count) {
+    const required = syntax.args.filter((a) => !a.optional);
+    const min = required.reduce((n, a) => n + (a.size === Infinity ? 1 : a.size), 0);
+    const max = syntax.args.reduce((n, a) => n + a.size, 0);
+    return count >= min && count <= max;
+}
+
+export class CommandDispatcher {
+    constructor() {
+        this.byName = new Map();
+        this.aliases = new Map();
+    }
+
+    // def: { name, aliases?, description, cheat?, syntaxes: [{ args, run(ctx, values) }] }
+    register(def) {
+        if (this.byName.has(def.name)) throw new Error(`Command /${def.name} already registered`);
+        for (const syntax of def.syntaxes) {
+            const optional = syntax.args.findIndex((a) => a.optional);
+            if (optional !== -1 && syntax.args.slice(optional).some((a) => !a.optional)) {
+                throw new Error(`Command /${def.name}: optional arguments must come last`);
+            }
+        }
+        const command = { aliases: [], description: "", cheat: false, ...def };
+        this.byName.set(command.name, command);
+        for (const alias of command.aliases) this.aliases.set(alias, command.name);
+        return command;
+    }
+
+    get(name) {
+        return this.byName.get(this.aliases.get(name) || name) || null;
+    }
+
+    all() {
+        return [...this.byName.values()];
+    }
+
+    // Whether the context lets the command run
+    allowed(command, ctx = {}) {
+        return !command.cheat || ctx.cheats !== false;
+    }
+
+    // One usage line per syntax, e.g. ["/time set <time>", "/time add <amount>"]
+    usage(name) {
+        const command = this.get(name);
+        if (!command) return [];
+        return command.syntaxes.map((s) => `/${command.name} ${usageOf(s.args)}`.trimEnd());
+    }
+
+    // Splits "/name args..." into the command and the argument tokens
+    split(input) {
+        const offset = input.startsWith("/") ? 1 : 0;
+        const tokens = tokenize(input, offset);
+        return { offset, name: tokens.length ? tokens[0] : null, tokens: tokens.slice(1) };
+    }
+
+    // Returns { command, syntax, values } or throws a CommandError
+    parse(input, ctx = {}) {
+        const { offset, name, tokens } = this.split(input);
+        if (!name) throw new CommandError("Missing command name", offset);
+        const command = this.get(name.text);
+        if (!command) throw new CommandError(`Unknown command '${name.text}', type /help for a list of commands`, name.start);
+        if (!this.allowed(command, ctx)) throw new CommandError(`/${command.name} needs cheats, which are off in this world`, name.start);
+
+        const failures = [];
+        for (const syntax of command.syntaxes) {
+            const result = parseSyntax(syntax, tokens, ctx, input.length);
+            if (result.values) return { command, syntax, values: result.values };
+            failures.push({ ...result, syntax });
+        }
+
+        // Report the syntax that got furthest, preferring ones that take as
+        // many words as were typed; when they all stop at a literal word (the
+        // "set" of /time set) list the words that would have fit
+        const furthest = Math.max(...failures.map((f) => f.progress));
+        let best = failures.filter((f) => f.progress === furthest);
+        const fitting = best.filter((f) => fits(f.syntax, tokens.length));
+        if (fitting.length) best = fitting;
+        if (best.length > 1 && best.every((f) => f.arg && f.arg.literal)) {
+            const expected = quote([...new Set(best.map((f) => f.arg.name))]);
+            const word = tokens[furthest];
+            if (!word) throw new CommandError(`Missing argument, expected one of ${expected}`, input.length);
+            throw new CommandError(`Unknown argument '${word.text}', expected one of ${expected}`, word.start);
+        }
+        throw best[0].error;
+    }
+
+    // Runs a command line; returns the command's feedback message (or
+    // undefined). Throws a CommandError for bad input or a failed command.
+    execute(input, ctx = {}) {
+        const { syntax, values } = this.parse(input, ctx);
+        return syntax.run(ctx, values);
+    }
+
+    // Suggestions for the word being typed at the end of the input:
+    // { start, suggestions } with start the offset that word begins at
+    complete(input, ctx = {}) {
+        let parts;
+        try {
+            parts = this.split(input);
+        } catch (err) {
+            // Nothing to suggest inside an unclosed quote
+            if (!(err instanceof CommandError)) throw err;
+            return { start: input.length, suggestions: [] };
+        }
+        const { offset, name, tokens } = parts;
+        const trailing = input.length === 0 || /\s$/.test(input);
+
+        // Still typing the command name
+        if (!name || (tokens.length === 0 && !trailing)) {
+            const word = name ? name.text : "";
+            const names = [...this.byName.keys(), ...this.aliases.keys()]
+                .filter((n) => n.startsWith(word) && this.allowed(this.get(n), ctx))
+                .sort();
+            return { start: name ? name.start : offset, suggestions: names };
+        }
+
+        const command = this.get(name.text);
+        if (!command || !this.allowed(command, ctx)) return { start: input.length, suggestions: [] };
+
+        const done = trailing ? tokens : tokens.slice(0, -1);
+        const word = trailing ? "" : tokens[tokens.length - 1].text;
+        const start = trailing ? input.length : tokens[tokens.length - 1].start;
+
+        const suggestions = new Set();
+        for (const syntax of command.syntaxes) {
+            // Walk the finished words; the argument they run into is being typed
+            let i = 0;
+            let current = null;
+            let part = 0;
+            for (const a of syntax.args) {
+                if (i + a.size > done.length) {
+                    current = a;
+                    part = done.length - i;
+                    break;
+                }
+                try {
+                    a.parse(done.slice(i, i + a.size).map((t) => t.text), ctx);
+                } catch (err) {
+                    if (!(err instanceof CommandError)) throw err;
+                    break;
+                }
+                i += a.size;
+            }
+            if (!current) continue;
+            for (const s of current.suggest(word, ctx, part)) {
+                if (s.startsWith(word)) suggestions.add(s);
+            }
+        }
+        return { start, suggestions: [...suggestions].sort() };
+    }
+}
+
+export const commands = new CommandDispatcher();
+
+/* ---- Built-in commands ---- */
+
+function needs(ctx, field, what) {
+    if (!ctx[field]) throw new CommandError(`No ${what} is available here`);
+    return ctx[field];
+}
+
+function names(players) {
+    return players.length === 1 ? players[0].name : `${players.length} players`;
+}
+
+function format(pos) {
+    return pos.map((v) => Math.round(v * 100) / 100).join(", ");
+}
+
+// The player running the command, as a target list
+function self(ctx) {
+    if (!ctx.player) throw new CommandError("Only a player can run this command");
+    return [ctx.player];
+}
+
+function teleport(ctx, targets, pos) {
+    for (const target of targets) {
+        target.position[0] = pos[0];
+        target.position[1] = pos[1];
+        target.position[2] = pos[2];
+        // No interpolation from the old position (see GameLoop.js)
+        if (target.savePrevious) target.savePrevious();
+        if (target.velocity) target.velocity.fill(0);
+        if (ctx.onTeleport) ctx.onTeleport(target);
+    }
+    return `Teleported ${names(targets)} to ${format(pos)}`;
+}
+
+function checkLoaded(world, [x, y, z]) {
+    if (y < 0 || y >= CHUNK_HEIGHT) throw new CommandError(`Position ${x}, ${y}, ${z} is outside the world (y 0 to ${CHUNK_HEIGHT - 1})`);
+    if (!world.getChunk(World.toChunkCoord(x), World.toChunkCoord(z))) throw new CommandError(`Position ${x}, ${y}, ${z} is not loaded`);
+}
+
+commands.register({
+    name: "tp",
+    aliases: ["teleport"],
+    description: "Teleports players to a position or another player",
+    cheat: true,
+    syntaxes: [
+        {
+            args: [arg.coordinates("location")],
+            run: (ctx, { location }) => teleport(ctx, self(ctx), location)
+        },
+        {
+            args: [arg.players("destination", { single: true })],
+            run: (ctx, { destination }) => teleport(ctx, self(ctx), [...destination[0].position])
+        },
+        {
+            args: [arg.players("targets"), arg.coordinates("location")],
+            run: (ctx, { targets, location }) => teleport(ctx, targets, location)
+        },
+        {
+            args: [arg.players("targets"), arg.players("destination", { single: true })],
+            run: (ctx, { targets, destination }) => teleport(ctx, targets, [...destination[0].position])
+        }
+    ]
+});
+
+commands.register({
+    name: "give",
+    description: "Gives items to players",
+    cheat: true,
+    syntaxes: [{
+        args: [arg.players("targets"), arg.item("item"), arg.integer("count", { min: 1, max: MAX_GIVE, optional: true, default: 1 })],
+        run(ctx, { targets, item, count }) {
+            let lost = 0;
+            for (const target of targets) {
+                if (!target.inventory) throw new CommandError(`${target.name} has no inventory`);
+                const rest = target.inventory.add(new ItemStack(item, count));
+                if (rest) lost += rest.count;
+                if (ctx.onInventoryChange) ctx.onInventoryChange(target);
+            }
+            const message = `Gave ${count} [${item.displayName}] to ${names(targets)}`;
+            return lost ? `${message} (${lost} did not fit)` : message;
+        }
+    }]
+});
+
+commands.register({
+    name: "setblock",
+    description: "Changes a block",
+    cheat: true,
+    syntaxes: [{
+        args: [arg.coordinates("pos", { block: true }), arg.block("block")],
+        run(ctx, { pos, block }) {
+            const world = needs(ctx, "world", "world");
+            checkLoaded(world, pos);
+            if (!world.setBlock(pos[0], pos[1], pos[2], block.id)) throw new CommandError(`Could not set the block, it is already ${block.name}`);
+            return `Changed the block at ${format(pos)}`;
+        }
+    }]
+});
+
+commands.register({
+    name: "fill",
+    description: "Fills a box of blocks",
+    cheat: true,
+    syntaxes: [{
+        args: [
+            arg.coordinates("from", { block: true }),
+            arg.coordinates("to", { block: true }),
+            arg.block("block"),
+            // keep: only air; outline: only the shell; hollow: the shell, with air inside
+            arg.choice("mode", ["replace", "keep", "outline", "hollow"], { optional: true, default: "replace" })
+        ],
+        run(ctx, { from, to, block, mode }) {
+            const world = needs(ctx, "world", "world");
+            const min = from.map((v, i) => Math.min(v, to[i]));
+            const max = from.map((v, i) => Math.max(v, to[i]));
+            const volume = (max[0] - min[0] + 1) * (max[1] - min[1] + 1) * (max[2] - min[2] + 1);
+            if (volume > MAX_FILL) throw new CommandError(`Too many blocks in the area (maximum ${MAX_FILL}, specified ${volume})`);
+            checkLoaded(world, min);
+            checkLoaded(world, max);
+            // Every chunk column in between must be loaded too
+            for (let x = min[0]; x <= max[0]; x++) {
+                for (let z = min[2]; z <= max[2]; z++) checkLoaded(world, [x, min[1], z]);
+            }
+
+            let changed = 0;
+            for (let y = min[1]; y <= max[1]; y++) {
+                for (let z = min[2]; z <= max[2]; z++) {
+                    for (let x = min[0]; x <= max[0]; x++) {
+                        const edge = x === min[0] || x === max[0] || y === min[1] || y === max[1] || z === min[2] || z === max[2];
+                        let id = block.id;
+                        if (mode === "keep" && world.getBlock(x, y, z) !== 0) continue;
+                        if (mode === "outline" && !edge) continue;
+                        if (mode === "hollow" && !edge) id = 0;
+                        if (world.setBlock(x, y, z, id)) changed++;
+                    }
+                }
+            }
+            if (changed === 0) throw new CommandError("No blocks were filled");
+            return `Successfully filled ${changed} block${changed === 1 ? "" : "s"}`;
+        }
+    }]
+});
+
+commands.register({
+    name: "time",
+    description: "Changes or queries the world time",
+    cheat: true,
+    syntaxes: [
+        {
+            args: [arg.literal("set"), arg.time("time")],
+            run(ctx, { time }) {
+                const clock = needs(ctx, "clock", "world clock");
+                clock.setTime(time % TICKS_PER_DAY);
+                return `Set the time to ${clock.timeOfDay}`;
+            }
+        },
+        {
+            args: [arg.literal("add"), arg.time("amount")],
+            run(ctx, { amount }) {
+                const clock = needs(ctx, "clock", "world clock");
+                clock.addTime(amount);
+                return `Set the time to ${clock.timeOfDay}`;
+            }
+        },
+        {
+            args: [arg.literal("query"), arg.choice("what", ["daytime", "gametime", "day"])],
+            run(ctx, { what }) {
+                const clock = needs(ctx, "clock", "world clock");
+                const value = what === "daytime" ? clock.timeOfDay : what === "gametime" ? clock.time : clock.day;
+                return `The time is ${value}`;
+            }
+        }
+    ]
+});
+
+commands.register({
+    name: "gamemode",
+    description: "Sets a player's game mode",
+    cheat: true,
+    syntaxes: [{
+        args: [arg.choice("mode", GAME_MODES), arg.players("targets", { optional: true, default: self })],
+        run(ctx, { mode, targets }) {
+            for (const target of targets) {
+                target.gameMode = mode;
+                if (ctx.onGameModeChange) ctx.onGameModeChange(target, mode);
+            }
+            return `Set ${names(targets)}'s game mode to ${mode[0].toUpperCase() + mode.slice(1)}`;
+        }
+    }]
+});
+
+commands.register({
+    name: "seed",
+    description: "Shows the world seed",
+    syntaxes: [{
+        args: [],
+        run(ctx) {
+            if (ctx.seed === undefined || ctx.seed === null) throw new CommandError("This world has no seed");
+            return `Seed: [${ctx.seed}]`;
+        }
+    }]
+});
+
+commands.register({
+    name: "help",
+    aliases: ["?"],
+    description: "Lists commands, or shows how to use one",
+    syntaxes: [
+        {
+            args: [],
+            run: (ctx) => commands.all()
+                .filter((c) => commands.allowed(c, ctx))
+                .map((c) => `/${c.name} - ${c.description}`)
+                .sort()
+                .join("\n")
+        },
+        {
+            args: [argument("command", {}, {
+                parse([word]) {
+                    const name = word.replace(/^\//, "");
+                    if (!commands.get(name)) throw new CommandError(`Unknown command '${name}'`);
+                    return name;
+                },
+                suggest: () => [...commands.byName.keys()]
+            })],
+            run: (ctx, { command }) => commands.usage(command).join("\n")
+        }
+    ]
+});
@@ -0,0 +1,366 @@
+// Crafting recipes, item tags and crafting grids.
+//
+// Recipes and tags are JSON in the vanilla data pack format, under
+// DATA_ROOT ("/assets/data/minecraft/"):
+// - recipes/<name>.json, "minecraft:crafting_shaped":
+//   { "pattern": ["XXX", " # ", " # "], "key": { "X": { "item": "minecraft:iron_ingot" }, "#": ... },
+//     "result": { "item": "minecraft:iron_pickaxe", "count": 1 } }
+// - recipes/<name>.json, "minecraft:crafting_shapeless":
+//   { "ingredients": [{ "tag": "minecraft:oak_logs" }], "result": { "item": "minecraft:oak_planks", "count": 4 } }
+// - tags/items/<name>.json: { "values": ["minecraft:oak_planks", "#minecraft:other_tag"] }
+// Ingredients can be { item }, { tag }, a list of alternatives, or the newer
+// string forms "minecraft:stick" / "#minecraft:planks"; results can use
+// "id" instead of "item". Browsers cannot list directories, so index.json
+// names the files to load. Other recipe types (smelting...) are skipped.
+//
+// Matching is pure: matchRecipe(recipe, grid, tags) only reads the grid
+// ({ width, height, slots }). Shaped patterns match anywhere in a larger grid
+// and mirrored left to right; a pattern wider or taller than the grid never
+// matches. Shapeless recipes match their ingredients in any slots.
+//
+// CraftingGrid is the 2x2 inventory grid or the 3x3 crafting table: a
+// container for InventoryUI whose extra output slot shows the result of the
+// current recipe; take() crafts it.
+//
+// Usage example:
+// await loadDataPack();
+// const grid = new CraftingGrid(3);
+// grid.setSlot(0, new ItemStack("minecraft:oak_planks", 1));
+// grid.setSlot(3, new ItemStack("minecraft:oak_planks", 1));
+// grid.getSlot(grid.outputIndex); // 4 sticks
+// inventory.add(grid.take(grid.outputIndex));
+
+import { namespaced } from "./Block.js";
+import { items, ItemStack } from "./Item.js";
+
+export const DATA_ROOT = "/assets/data/minecraft/";
+
+function stripNamespace(type) {
+    return String(type || "").replace(/^minecraft:/, "");
+}
+
+/* ---------------- TAGS ---------------- */
+
+export class ItemTags {
+    constructor() {
+        // tag -> raw values ("minecraft:x" or "#minecraft:tag")
+        this.values = new Map();
+        // tag -> Set of item IDs, with nested tags expanded
+        this.resolved = new Map();
+    }
+
+    register(name, values) {
+        const list = values.map((v) => (typeof v === "object" ? v.id : v));
+        this.values.set(namespaced(name), list);
+        this.resolved.clear();
+        return this;
+    }
+
+    // Item IDs in a tag; unknown tags are empty
+    resolve(name, stack = []) {
+        const tag = namespaced(name);
+        if (this.resolved.has(tag)) return this.resolved.get(tag);
+        if (stack.includes(tag)) throw new Error(`Item tag includes itself: ${[...stack, tag].join(" -> ")}`);
+
+        const ids = new Set();
+        for (const value of this.values.get(tag) || []) {
+            if (value.startsWith("#")) {
+                for (const id of this.resolve(value.slice(1), [...stack, tag])) ids.add(id);
+            } else {
+                ids.add(namespaced(value));
+            }
+        }
+        this.resolved.set(tag, ids);
+        return ids;
+    }
+
+    has(name, item) {
+        return this.resolve(name).has(typeof item === "string" ? namespaced(item) : item.id);
+    }
+}
+
+export const itemTags = new ItemTags();
+
+/* ---------------- RECIPES ---------------- */
+
+// Any JSON ingredient form to { items: [id], tags: [name] }
+export function parseIngredient(json) {
+    const ingredient = { items: [], tags: [] };
+    const add = (value) => {
+        if (Array.isArray(value)) value.forEach(add);
+        else if (typeof value === "string") {
+            if (value.startsWith("#")) ingredient.tags.push(namespaced(value.slice(1)));
+            else ingredient.items.push(namespaced(value));
+        } else if (value && value.item) ingredient.items.push(namespaced(value.item));
+        else if (value && value.tag) ingredient.tags.push(namespaced(value.tag));
+        else throw new Error(`Invalid ingredient: ${JSON.stringify(value)}`);
+    };
+    add(json);
+    return ingredient;
+}
+
+export function ingredientMatches(ingredient, stack, tags = itemTags) {
+    if (!stack) return false;
+    const id = stack.item.id;
+    return ingredient.items.includes(id) || ingredient.tags.some((tag) => tags.has(tag, id));
+}
+
+// Drops empty rows and columns around a pattern
+function trimPattern(pattern) {
+    let rows = pattern.map((row) => row.replace(/\s+$/, ""));
+    while (rows.length && !rows[0].trim()) rows.shift();
+    while (rows.length && !rows[rows.length - 1].trim()) rows.pop();
+    const indent = Math.min(...rows.filter((r) => r.trim()).map((r) => r.length - r.trimStart().length));
+    rows = rows.map((r) => r.slice(indent));
+    const width = Math.max(...rows.map((r) => r.length));
+    return rows.map((r) => r.padEnd(width, " "));
+}
+
+// Parses one recipe file. Returns null for types other than crafting.
+export function parseRecipe(id, json) {
+    const type = stripNamespace(json.type);
+    if (type !== "crafting_shaped" && type !== "crafting_shapeless") return null;
+
+    const result = json.result || {};
+    const resultId = typeof result === "string" ? result : result.item || result.id;
+    if (!resultId || !items.has(resultId)) throw new Error(`Unknown result item in recipe ${id}: ${resultId}`);
+    const recipe = {
+        id: namespaced(id),
+        type,
+        group: json.group || null,
+        result: { item: namespaced(resultId), count: result.count ?? 1 }
+    };
+
+    if (type === "crafting_shapeless") {
+        if (!Array.isArray(json.ingredients) || json.ingredients.length === 0) {
+            throw new Error(`Recipe ${id} has no ingredients`);
+        }
+        recipe.ingredients = json.ingredients.map(parseIngredient);
+        return recipe;
+    }
+
+    if (!Array.isArray(json.pattern) || json.pattern.length === 0) throw new Error(`Recipe ${id} has no pattern`);
+    const pattern = trimPattern(json.pattern);
+    if (pattern.length === 0) throw new Error(`Recipe ${id} has an empty pattern`);
+    const key = {};
+    for (const [symbol, value] of Object.entries(json.key || {})) key[symbol] = parseIngredient(value);
+
+    recipe.width = pattern[0].length;
+    recipe.height = pattern.length;
+    // Row-major, null for empty cells
+    recipe.cells = [];
+    for (const row of pattern) {
+        for (const symbol of row) {
+            if (symbol === " ") {
+                recipe.cells.push(null);
+            } else {
+                if (!key[symbol]) throw new Error(`Recipe ${id} uses undefined key '${symbol}'`);
+                recipe.cells.push(key[symbol]);
+            }
+        }
+    }
+    return recipe;
+}
+
+// The smallest rectangle holding every non-empty slot, or null for an empty grid
+export function trimGrid(grid) {
+    let minX = Infinity, minY = Infinity, maxX = -1, maxY = -1;
+    for (let y = 0; y < grid.height; y++) {
+        for (let x = 0; x < grid.width; x++) {
+            if (!grid.slots[y * grid.width + x]) continue;
+            minX = Math.min(minX, x);
+            maxX = Math.max(maxX, x);
+            minY = Math.min(minY, y);
+            maxY = Math.max(maxY, y);
+        }
+    }
+    if (maxX < 0) return null;
+    return {
+        width: maxX - minX + 1,
+        height: maxY - minY + 1,
+        at: (x, y) => grid.slots[(y + minY) * grid.width + x + minX] || null
+    };
+}
+
+export function matchShaped(recipe, grid, tags = itemTags) {
+    const area = trimGrid(grid);
+    if (!area || area.width !== recipe.width || area.height !== recipe.height) return false;
+
+    for (const mirrored of [false, true]) {
+        let ok = true;
+        for (let y = 0; y < recipe.height && ok; y++) {
+            for (let x = 0; x < recipe.width && ok; x++) {
+                const cell = recipe.cells[y * recipe.width + (mirrored ? recipe.width - 1 - x : x)];
+                const stack = area.at(x, y);
+                ok = cell ? ingredientMatches(cell, stack, tags) : !stack;
+            }
+        }
+        if (ok) return true;
+    }
+    return false;
+}
+
+export function matchShapeless(recipe, grid, tags = itemTags) {
+    const stacks = grid.slots.filter(Boolean);
+    const ingredients = recipe.ingredients;
+    if (stacks.length !== ingredients.length) return false;
+
+    // Ingredients can overlap (a tag and an item in it), so assign them to
+    // stacks by backtracking instead of first come, first served
+    const used = new Array(stacks.length).fill(false);
+    const assign = (i) => {
+        if (i === ingredients.length) return true;
+        for (let s = 0; s < stacks.length; s++) {
+            if (used[s] || !ingredientMatches(ingredients[i], stacks[s], tags)) continue;
+            used[s] = true;
+            if (assign(i + 1)) return true;
+            used[s] = false;
+        }
+        return false;
+    };
+    return assign(0);
+}
+
+export function matchRecipe(recipe, grid, tags = itemTags) {
+    return recipe.type === "crafting_shaped" ? matchShaped(recipe, grid, tags) : matchShapeless(recipe, grid, tags);
+}
+
+export class RecipeRegistry {
+    constructor(tags = itemTags) {
+        this.tags = tags;
+        this.byId = new Map();
+    }
+
+    // Parses and adds a recipe; returns it, or null for non-crafting types
+    register(id, json) {
+        const recipe = parseRecipe(id, json);
+        if (!recipe) return null;
+        if (this.byId.has(recipe.id)) throw new Error(`Recipe ${recipe.id} already registered`);
+        this.byId.set(recipe.id, recipe);
+        return recipe;
+    }
+
+    get(id) {
+        return this.byId.get(namespaced(id)) || null;
+    }
+
+    all() {
+        return [...this.byId.values()];
+    }
+
+    // First recipe (in registration order) the grid matches, or null
+    find(grid) {
+        for (const recipe of this.byId.values()) {
+            if (matchRecipe(recipe, grid, this.tags)) return recipe;
+        }
+        return null;
+    }
+
+    clear() {
+        this.byId.clear();
+    }
+}
+
+export const recipes = new RecipeRegistry();
+
+// Loads the recipes and tags named in <root>index.json:
+// { "tags": { "items": ["planks", ...] }, "recipes": ["stick", ...] }
+// Files that fail to load or parse are skipped with a warning.
+export async function loadDataPack(root = DATA_ROOT, options = {}) {
+    const registry = options.recipes || recipes;
+    const tags = options.tags || registry.tags;
+    const fetchJSON = options.fetchJSON || (async (url) => {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Failed to load ${url}: ${response.status}`);
+        return response.json();
+    });
+
+    const index = await fetchJSON(`${root}index.json`);
+    const load = async (names, path, apply) => {
+        const files = await Promise.all(names.map((name) =>
+            fetchJSON(`${root}${path}${name}.json`).catch((err) => {
+                console.warn(err.message);
+                return null;
+            })
+        ));
+        names.forEach((name, i) => {
+            if (!files[i]) return;
+            try {
+                apply(name, files[i]);
+            } catch (err) {
+                console.warn(err.message);
+            }
+        });
+    };
+
+    await load((index.tags && index.tags.items) || [], "tags/items/", (name, json) => tags.register(name, json.values || []));
+    await load(index.recipes || [], "recipes/", (name, json) => registry.register(name, json));
+    return registry;
+}
+
+/* ---------------- CRAFTING GRID ---------------- */
+
+export class CraftingGrid {
+    constructor(size = 2, options = {}) {
+        this.width = size;
+        this.height = size;
+        this.recipes = options.recipes || recipes;
+        this.slots = new Array(size * size).fill(null);
+
+        // Recipe the grid currently matches and the stack it makes
+        this.recipe = null;
+        this.result = null;
+    }
+
+    // Index of the result slot, after the input slots
+    get outputIndex() {
+        return this.slots.length;
+    }
+
+    getSlot(index) {
+        if (index === this.outputIndex) return this.result;
+        return this.slots[index] || null;
+    }
+
+    setSlot(index, stack) {
+        if (index < 0 || index >= this.slots.length) throw new RangeError(`Slot ${index} out of range`);
+        this.slots[index] = stack && !stack.isEmpty ? stack : null;
+        this.update();
+    }
+
+    // Called by InventoryUI after it changed a stack in place
+    onChange() {
+        for (let i = 0; i < this.slots.length; i++) {
+            if (this.slots[i] && this.slots[i].isEmpty) this.slots[i] = null;
+        }
+        this.update();
+    }
+
+    update() {
+        this.recipe = this.recipes.find(this);
+        this.result = this.recipe ? new ItemStack(this.recipe.result.item, this.recipe.result.count) : null;
+    }
+
+    // Crafts once: uses up one item from every input slot and returns the
+    // result, or null when nothing matches
+    take(index = this.outputIndex) {
+        if (index !== this.outputIndex || !this.result) return null;
+        const crafted = this.result;
+        for (let i = 0; i < this.slots.length; i++) {
+            const stack = this.slots[i];
+            if (!stack) continue;
+            stack.count--;
+            if (stack.isEmpty) this.slots[i] = null;
+        }
+        this.update();
+        return crafted;
+    }
+
+    // Empties the inputs, e.g. when the screen closes; returns the stacks
+    clear() {
+        const stacks = this.slots.filter(Boolean);
+        this.slots.fill(null);
+        this.update();
+        return stacks;
+    }
+}
@@ -0,0 +1,187 @@
+// Fixed-timestep game loop.
+//
+// The simulation (physics, mobs, block updates, the world clock) advances in
+// ticks of exactly 1 / TICKS_PER_SECOND seconds, however often the browser
+// draws. Every frame the real time since the last frame is added to an
+// accumulator and as many whole ticks as fit are run; what is left over is
+// the fraction of the next tick, `alpha` (0..1), which the renderer uses to
+// interpolate between the previous and the current tick's state (see
+// Entity.interpolatePosition in Mob.js).
+//
+// After a long stall (a breakpoint, a slow chunk load) at most
+// maxTicksPerFrame ticks are run and the rest of the backlog is dropped, so
+// the game slows down for a moment instead of freezing to catch up.
+//
+// pause(reason) stops ticking until every reason has been resumed, so a menu
+// closing while the tab is hidden does not restart the game. Frames are
+// still rendered while paused (a menu over the frozen world). With
+// pauseWhenHidden the loop pauses itself while the page is hidden.
+//
+// The loop reads time and schedules frames through a timer, by default
+// performance.now / requestAnimationFrame. FakeTimer drives it by hand in
+// tests.
+//
+// Usage example:
+// const loop = new GameLoop({
+//     tick(dt) {
+//         physics.step(input, dt);
+//         mobs.tick({ world, players: [player], random: Math.random, dt });
+//         clock.tick();
+//     },
+//     render(alpha) {
+//         camera.position = player.interpolatePosition(alpha);
+//         handle.render();
+//     }
+// });
+// loop.start();
+// menu.onOpen = () => loop.pause("menu");
+// menu.onClose = () => loop.resume("menu");
+
+import { TICKS_PER_SECOND } from "./Clock.js";
+
+// Ticks run in one frame at most; half a second of backlog at 20 TPS
+export const MAX_TICKS_PER_FRAME = 10;
+
+// Seconds
+const EPSILON = 1e-9;
+
+export const browserTimer = {
+    now: () => performance.now(),
+    request: (callback) => requestAnimationFrame(callback),
+    cancel: (id) => cancelAnimationFrame(id)
+};
+
+// A timer that only moves when told to. advance(ms) runs the pending frame
+// callback, like one requestAnimationFrame, at the new time.
+export class FakeTimer {
+    constructor(time = 0) {
+        this.time = time;
+        this.callbacks = new Map();
+        this.nextId = 1;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    request(callback) {
+        const id = this.nextId++;
+        this.callbacks.set(id, callback);
+        return id;
+    }
+
+    cancel(id) {
+        this.callbacks.delete(id);
+    }
+
+    // Moves the time forward in `frames` equal frames of ms / frames each
+    advance(ms, frames = 1) {
+        for (let i = 0; i < frames; i++) {
+            this.time += ms / frames;
+            const pending = [...this.callbacks.values()];
+            this.callbacks.clear();
+            for (const callback of pending) callback(this.time);
+        }
+    }
+}
+
+export class GameLoop {
+    constructor(options = {}) {
+        // tick(dt, tickNumber): dt is always tickSeconds
+        this.onTick = options.tick || null;
+        // render(alpha, frameDt): frameDt is the real seconds since the last frame, 0 while paused
+        this.onRender = options.render || null;
+
+        this.tickRate = options.tickRate ?? TICKS_PER_SECOND;
+        this.tickSeconds = 1 / this.tickRate;
+        this.maxTicksPerFrame = options.maxTicksPerFrame ?? MAX_TICKS_PER_FRAME;
+        this.timer = options.timer || browserTimer;
+
+        this.pauseWhenHidden = options.pauseWhenHidden ?? true;
+        this.document = options.document ?? (typeof document !== "undefined" ? document : null);
+        this.handleVisibility = () => {
+            if (this.document.hidden) this.pause("hidden");
+            else this.resume("hidden");
+        };
+
+        // Ticks run since the loop was made, and ticks dropped after stalls
+        this.tickCount = 0;
+        this.droppedTicks = 0;
+        // Fraction of the next tick, for interpolation
+        this.alpha = 0;
+
+        this.accumulator = 0;
+        this.lastTime = null;
+        this.frameId = null;
+        this.pauseReasons = new Set();
+    }
+
+    get running() {
+        return this.frameId !== null;
+    }
+
+    get paused() {
+        return this.pauseReasons.size > 0;
+    }
+
+    start() {
+        if (this.running) return;
+        this.lastTime = null;
+        if (this.pauseWhenHidden && this.document) {
+            this.document.addEventListener("visibilitychange", this.handleVisibility);
+            this.handleVisibility();
+        }
+        this.frameId = this.timer.request((time) => this.loop(time));
+    }
+
+    stop() {
+        if (!this.running) return;
+        this.timer.cancel(this.frameId);
+        this.frameId = null;
+        if (this.document) this.document.removeEventListener("visibilitychange", this.handleVisibility);
+    }
+
+    pause(reason = "manual") {
+        this.pauseReasons.add(reason);
+    }
+
+    // Ticking restarts once no reason is left; the paused time is not caught up
+    resume(reason = "manual") {
+        if (!this.pauseReasons.delete(reason) || this.paused) return;
+        this.lastTime = null;
+        this.accumulator = 0;
+    }
+
+    loop(time) {
+        // Scheduled first, so an exception in a tick does not end the loop
+        this.frameId = this.timer.request((next) => this.loop(next));
+        this.frame(time);
+    }
+
+    // Runs one frame at `time` (milliseconds): the ticks that are due, then render
+    frame(time = this.timer.now()) {
+        const elapsed = this.lastTime === null ? 0 : Math.max(0, time - this.lastTime) / 1000;
+        this.lastTime = time;
+
+        if (!this.paused) {
+            this.accumulator += elapsed;
+            let ticks = 0;
+            // The epsilon lets three 1/60 s frames make one 1/20 s tick despite rounding
+            while (this.accumulator >= this.tickSeconds - EPSILON) {
+                if (ticks === this.maxTicksPerFrame) {
+                    const behind = Math.floor(this.accumulator / this.tickSeconds + EPSILON);
+                    this.droppedTicks += behind;
+                    this.accumulator = Math.max(0, this.accumulator - behind * this.tickSeconds);
+                    break;
+                }
+                this.accumulator = Math.max(0, this.accumulator - this.tickSeconds);
+                ticks++;
+                this.tickCount++;
+                if (this.onTick) this.onTick(this.tickSeconds, this.tickCount);
+            }
+        }
+
+        this.alpha = Math.min(1, this.accumulator / this.tickSeconds);
+        if (this.onRender) this.onRender(this.alpha, this.paused ? 0 : elapsed);
+    }
+}
@@ -0,0 +1,216 @@
+// Breaking and placing blocks with the mouse.
+//
+// Every frame update(dt) raycasts from the camera to find the targeted block.
+// Holding the left button breaks it over time (hardness * 1.5 seconds by hand,
+// instantly in creative); the right button places the block of the selected
+// hotbar item against the targeted face. Right clicking a usable block (the
+// crafting table) calls onUse instead; sneaking places against it as usual.
+//
+// Rendering is left to the caller: target and crackStage feed the ShadowGL
+// BlockHighlight (selection outline and crack overlay).
+//
+// Usage example:
+// const interaction = new BlockInteraction(world, camera, { inventory, player, canvas });
+// function frame(dt) {
+//     interaction.update(dt);
+//     highlight.update(interaction.target && interaction.target.position, interaction.crackStage);
+// }
+
+import { raycast } from "./Raycast.js";
+import { blocks } from "./Block.js";
+import { items, ItemStack } from "./Item.js";
+
+export const REACH = 5;
+
+// Seconds between repeated placements while the right button is held
+const PLACE_REPEAT = 0.25;
+
+export class BlockInteraction {
+    constructor(world, camera, options = {}) {
+        this.world = world;
+        this.camera = camera;
+        this.inventory = options.inventory || null;
+        // Entity whose bounding box blocks placement (so you can't entomb yourself)
+        this.player = options.player || null;
+
+        this.reach = options.reach ?? REACH;
+        this.creative = options.creative ?? false;
+
+        this.onBreak = options.onBreak || null;
+        this.onPlace = options.onPlace || null;
+        // onUse(block, position), e.g. to open the crafting table screen
+        this.onUse = options.onUse || null;
+        // Set by the game from the sneak key
+        this.sneaking = false;
+
+        this.target = null;
+        this.breaking = false;
+        this.placing = false;
+        this.placeCooldown = 0;
+
+        // Break progress (0..1) of breakingPos
+        this.progress = 0;
+        this.breakingPos = null;
+
+        this.onMouseDown = this.onMouseDown.bind(this);
+        this.onMouseUp = this.onMouseUp.bind(this);
+        this.onContextMenu = (e) => e.preventDefault();
+
+        this.canvas = null;
+        if (options.canvas) this.attach(options.canvas);
+    }
+
+    attach(canvas) {
+        this.canvas = canvas;
+        canvas.addEventListener("mousedown", this.onMouseDown);
+        window.addEventListener("mouseup", this.onMouseUp);
+        canvas.addEventListener("contextmenu", this.onContextMenu);
+    }
+
+    detach() {
+        if (!this.canvas) return;
+        this.canvas.removeEventListener("mousedown", this.onMouseDown);
+        window.removeEventListener("mouseup", this.onMouseUp);
+        this.canvas.removeEventListener("contextmenu", this.onContextMenu);
+        this.canvas = null;
+    }
+
+    onMouseDown(e) {
+        // The first click only grabs the pointer (see CameraController)
+        if (document.pointerLockElement !== this.canvas) return;
+        if (e.button === 0) this.breaking = true;
+        if (e.button === 2) {
+            if (this.use()) return;
+            this.placing = true;
+            this.placeCooldown = 0;
+        }
+    }
+
+    onMouseUp(e) {
+        if (e.button === 0) this.stopBreaking();
+        if (e.button === 2) this.placing = false;
+    }
+
+    stopBreaking() {
+        this.breaking = false;
+        this.progress = 0;
+        this.breakingPos = null;
+    }
+
+    // 0..9 while breaking, -1 otherwise
+    get crackStage() {
+        if (!this.breakingPos || this.progress <= 0) return -1;
+        return Math.min(9, Math.floor(this.progress * 10));
+    }
+
+    pick() {
+        return raycast(this.camera.position, this.camera.getForward(), this.reach, (x, y, z) => {
+            const block = blocks.get(this.world.getBlock(x, y, z));
+            return !!block && !block.isAir && !block.liquid;
+        });
+    }
+
+    breakTime(block) {
+        if (block.hardness < 0) return Infinity;
+        if (this.creative) return 0;
+        return block.hardness * 1.5;
+    }
+
+    update(dt) {
+        this.target = this.pick();
+
+        if (this.breaking) this.updateBreaking(dt);
+
+        if (this.placing) {
+            this.placeCooldown -= dt;
+            if (this.placeCooldown <= 0) {
+                this.place();
+                this.placeCooldown = PLACE_REPEAT;
+            }
+        }
+    }
+
+    updateBreaking(dt) {
+        const target = this.target;
+        if (!target) {
+            this.progress = 0;
+            this.breakingPos = null;
+            return;
+        }
+
+        // Looking at a different block restarts the progress
+        const pos = target.position;
+        if (!this.breakingPos || pos.some((v, i) => v !== this.breakingPos[i])) {
+            this.breakingPos = pos;
+            this.progress = 0;
+        }
+
+        const block = blocks.get(this.world.getBlock(...pos));
+        const time = this.breakTime(block);
+        if (time === Infinity) return;
+
+        this.progress = time === 0 ? 1 : this.progress + dt / time;
+        if (this.progress >= 1) {
+            this.breakBlock(pos);
+            this.progress = 0;
+            this.breakingPos = null;
+            // Creative mode breaks one block per click, survival keeps digging
+            if (this.creative) this.breaking = false;
+        }
+    }
+
+    breakBlock(pos) {
+        const block = blocks.get(this.world.getBlock(...pos));
+        if (!block || block.isAir) return false;
+        this.world.setBlock(pos[0], pos[1], pos[2], 0);
+
+        if (!this.creative && this.inventory) {
+            for (const drop of block.rollDrops()) {
+                if (items.has(drop.item)) this.inventory.add(new ItemStack(drop.item, drop.count));
+            }
+        }
+        if (this.onBreak) this.onBreak(block, pos);
+        return true;
+    }
+
+    // Uses the targeted block if it is usable; returns whether it was
+    use() {
+        const target = this.target;
+        if (!target || !this.onUse || this.sneaking) return false;
+        const block = blocks.get(this.world.getBlock(...target.position));
+        if (!block || !block.usable) return false;
+        this.onUse(block, target.position);
+        return true;
+    }
+
+    place() {
+        const target = this.target;
+        const stack = this.inventory && this.inventory.selectedStack;
+        if (!target || !stack || !stack.item.placesBlock) return false;
+
+        const block = blocks.get(stack.item.placesBlock);
+        const [x, y, z] = target.place;
+
+        // Only air and liquids can be replaced
+        const existing = blocks.get(this.world.getBlock(x, y, z));
+        if (existing && !existing.isAir && !existing.liquid) return false;
+
+        if (block.solid && this.player) {
+            const box = this.player.getBoundingBox();
+            const overlaps =
+                box.maxX > x && box.minX < x + 1 &&
+                box.maxY > y && box.minY < y + block.height &&
+                box.maxZ > z && box.minZ < z + 1;
+            if (overlaps) return false;
+        }
+
+        if (!this.world.setBlock(x, y, z, block.id)) return false;
+
+        if (!this.creative) {
+            stack.count--;
+            this.inventory.clean(this.inventory.selected);
+        }
+        if (this.onPlace) this.onPlace(block, [x, y, z]);
+        return true;
+    }
+}
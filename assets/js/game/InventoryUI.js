@@ -0,0 +1,399 @@
+// Hotbar and inventory screen for game.html.
+//
+// Renders an Inventory (Item.js) into the #hotbar slots: item icon, stack
+// count and, for worn tools, a durability bar. The selected slot gets the
+// .active class. Number keys 1-7 and the mouse wheel change the selection.
+//
+// Clicking #hotbarslot-chest (or pressing E, options.toggleKey) opens the
+// inventory screen: a 2x2 crafting grid, main storage and the hotbar,
+// Minecraft style; openCraftingTable() shows the 3x3 grid instead
+// (Crafting.js). Items left in a crafting grid go back to the inventory on
+// close. Items are moved with a stack held on the cursor:
+// - left click picks up a whole stack, or puts the held one down (merging
+//   with the same item, swapping with a different one),
+// - right click picks up half a stack, or puts down a single item,
+// - shift-click moves a stack between the hotbar and main storage, or crafts
+//   as many of the output as possible,
+// - pressing on one slot and releasing over another drags the stack there.
+// Hovering a stack shows its name, description and durability.
+//
+// Slots are bound to a container and an index; any container with
+// getSlot(index) / setSlot(index, stack) can be shown on the screen with
+// addSection, which is how the crafting grid plugs in. A container's optional
+// onChange(index) is called after the screen changes one of its slots.
+//
+// The model has no change events: call render() after changing the inventory
+// from game code.
+//
+// Usage example:
+// const ui = new InventoryUI(inventory, {
+//     hotbar: document.getElementById("hotbar"),
+//     onToggle: (open) => (open ? loop.pause("inventory") : loop.resume("inventory")),
+//     onDrop: (stack) => dropItem(player, stack)
+// });
+// inventory.add(new ItemStack("minecraft:torch", 16));
+// ui.render();
+// const interaction = new BlockInteraction(world, camera, { inventory, onUse: () => ui.openCraftingTable() });
+
+import { HOTBAR_SIZE } from "./Item.js";
+import { CraftingGrid, recipes } from "./Crafting.js";
+
+// Columns of the main storage grid on the screen (27 slots = 3 rows)
+const MAIN_COLUMNS = 9;
+
+function element(doc, tag, className, parent = null) {
+    const el = doc.createElement(tag);
+    if (className) el.className = className;
+    if (parent) parent.appendChild(el);
+    return el;
+}
+
+// Fills a slot element with the stack's icon, count and durability bar
+function renderStack(el, stack) {
+    const doc = el.ownerDocument;
+    el.replaceChildren();
+    el.classList.toggle("filled", !!stack);
+    if (!stack) return;
+
+    const icon = element(doc, "div", "slot-icon", el);
+    icon.style.backgroundImage = `url("${stack.item.icon}")`;
+
+    if (stack.count > 1) element(doc, "span", "slot-count", el).textContent = String(stack.count);
+
+    if (stack.item.damageable && stack.damage > 0) {
+        const fraction = stack.durabilityFraction;
+        const fill = element(doc, "div", "slot-durability-fill", element(doc, "div", "slot-durability", el));
+        fill.style.width = `${Math.round(fraction * 100)}%`;
+        // Green when new, through yellow to red when nearly broken
+        fill.style.backgroundColor = `hsl(${Math.round(fraction * 120)}, 100%, 45%)`;
+    }
+}
+
+// Puts up to `amount` of the held stack into a slot. Returns what stays on
+// the cursor: the rest, the stack swapped out of the slot, or null.
+function placeStack(container, index, held, amount = held.count) {
+    const slot = container.getSlot(index);
+    if (!slot) {
+        container.setSlot(index, held.split(amount));
+    } else if (slot.item === held.item && slot.damage === held.damage) {
+        const part = held.split(amount);
+        slot.mergeFrom(part);
+        held.count += part.count;
+    } else if (amount === held.count) {
+        container.setSlot(index, held);
+        return slot;
+    }
+    return held.isEmpty ? null : held;
+}
+
+export class InventoryUI {
+    constructor(inventory, options = {}) {
+        this.inventory = inventory;
+        this.hotbar = options.hotbar || document.getElementById("hotbar");
+        this.document = this.hotbar.ownerDocument;
+        // Called with true / false when the screen opens or closes
+        this.onToggle = options.onToggle || null;
+        // Called with a stack that no longer fits anywhere when the screen closes
+        this.onDrop = options.onDrop || null;
+        // RecipeRegistry for the crafting grids; the global one unless given
+        this.recipes = options.recipes || recipes;
+        // KeyboardEvent.code that opens and closes the screen
+        this.toggleKey = options.toggleKey || "KeyE";
+
+        this.hotbarSlots = [...this.hotbar.querySelectorAll(".hotbarslot")].slice(0, HOTBAR_SIZE);
+        this.chestSlot = this.hotbar.querySelector("#hotbarslot-chest");
+
+        // Stack on the cursor, and the slot a drag started from
+        this.held = null;
+        this.dragFrom = null;
+        this.isOpen = false;
+
+        // Slot element -> { container, index }
+        this.bindings = new Map();
+        this.listeners = [];
+        this.buildScreen(options.root || this.document.body);
+
+        this.listen(this.document, "keydown", (e) => this.handleKey(e));
+        this.listen(this.document, "wheel", (e) => this.handleWheel(e), { passive: true });
+        this.listen(this.document, "pointermove", (e) => this.handlePointerMove(e));
+        this.listen(this.document, "pointerup", (e) => this.handlePointerUp(e));
+        this.hotbarSlots.forEach((slot, i) => this.listen(slot, "click", () => this.select(i)));
+        if (this.chestSlot) this.listen(this.chestSlot, "click", () => this.toggle());
+
+        this.render();
+    }
+
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push([target, type, handler, options]);
+    }
+
+    buildScreen(root) {
+        const doc = this.document;
+        this.screen = element(doc, "div", "inventory-screen", root);
+        this.screen.hidden = true;
+        this.panel = element(doc, "div", "inventory-panel", this.screen);
+        this.listen(this.screen, "contextmenu", (e) => e.preventDefault());
+        // Clicking the dark backdrop closes the screen
+        this.listen(this.screen, "pointerdown", (e) => { if (e.target === this.screen) this.close(); });
+
+        // Sections are listed top to bottom; crafting and other containers go above storage
+        this.sections = element(doc, "div", "inventory-sections", this.panel);
+        const size = this.inventory.size;
+        const main = this.addSection("Inventory", this.inventory, HOTBAR_SIZE, size, { columns: MAIN_COLUMNS, className: "inventory-main" });
+        this.addSection(null, this.inventory, 0, HOTBAR_SIZE, { columns: MAIN_COLUMNS, className: "inventory-hotbar" });
+
+        // 2x2 grid of the inventory screen, and the crafting table's 3x3 one in its place
+        this.crafting = new CraftingGrid(2, { recipes: this.recipes });
+        this.tableCrafting = new CraftingGrid(3, { recipes: this.recipes });
+        this.craftingSection = this.addCraftingSection("Crafting", this.crafting, { before: main });
+        this.tableSection = this.addCraftingSection("Crafting Table", this.tableCrafting, { before: main });
+        this.tableSection.hidden = true;
+
+        this.cursor = element(doc, "div", "inventory-slot inventory-cursor", root);
+        this.cursor.hidden = true;
+        this.tooltip = element(doc, "div", "inventory-tooltip", root);
+        this.tooltip.hidden = true;
+    }
+
+    // Shows slots from..to-1 of a container as a grid. Returns the section
+    // element; options.before puts it above another section.
+    addSection(title, container, from, to, options = {}) {
+        const section = this.createSection(title, options.className);
+        this.buildGrid(section, container, from, to, options.columns || MAIN_COLUMNS);
+        this.sections.insertBefore(section, options.before || null);
+        this.render();
+        return section;
+    }
+
+    // A crafting grid (Crafting.js) with an arrow to its output slot
+    addCraftingSection(title, grid, options = {}) {
+        const section = this.createSection(title, `inventory-crafting ${options.className || ""}`);
+        const row = element(this.document, "div", "inventory-crafting-row", section);
+        this.buildGrid(row, grid, 0, grid.slots.length, grid.width);
+        element(this.document, "div", "inventory-crafting-arrow", row);
+        this.buildGrid(row, grid, grid.outputIndex, grid.outputIndex + 1, 1).classList.add("inventory-output");
+        this.sections.insertBefore(section, options.before || null);
+        this.render();
+        return section;
+    }
+
+    createSection(title, className) {
+        const section = element(this.document, "div", `inventory-section ${className || ""}`.trim());
+        if (title) element(this.document, "div", "inventory-title", section).textContent = title;
+        return section;
+    }
+
+    buildGrid(parent, container, from, to, columns) {
+        const grid = element(this.document, "div", "inventory-grid", parent);
+        grid.style.gridTemplateColumns = `repeat(${columns}, var(--slot-size))`;
+
+        for (let index = from; index < to; index++) {
+            const slot = element(this.document, "div", "inventory-slot", grid);
+            this.bindings.set(slot, { container, index });
+            slot.addEventListener("pointerdown", (e) => this.handleSlotDown(e, slot));
+            slot.addEventListener("pointerenter", (e) => this.showTooltip(e, slot));
+            slot.addEventListener("pointerleave", () => this.hideTooltip());
+        }
+        return grid;
+    }
+
+    removeSection(section) {
+        for (const slot of section.querySelectorAll(".inventory-slot")) this.bindings.delete(slot);
+        section.remove();
+    }
+
+    select(index) {
+        this.inventory.select(index);
+        this.render();
+    }
+
+    // The inventory screen; with table = true the crafting table's 3x3 grid
+    // replaces the 2x2 one
+    open(table = false) {
+        if (this.isOpen) return;
+        this.isOpen = true;
+        this.craftingSection.hidden = table;
+        this.tableSection.hidden = !table;
+        this.screen.hidden = false;
+        this.render();
+        if (this.onToggle) this.onToggle(true);
+    }
+
+    // For BlockInteraction's onUse on a crafting table
+    openCraftingTable() {
+        this.open(true);
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.screen.hidden = true;
+        this.hideTooltip();
+        this.returnHeld();
+        // Like in Minecraft, nothing stays in a crafting grid
+        for (const stack of [...this.crafting.clear(), ...this.tableCrafting.clear()]) this.giveBack(stack);
+        this.render();
+        if (this.onToggle) this.onToggle(false);
+    }
+
+    toggle() {
+        if (this.isOpen) this.close();
+        else this.open();
+    }
+
+    // Puts the cursor stack back into the inventory
+    returnHeld() {
+        if (!this.held) return;
+        this.giveBack(this.held);
+        this.held = null;
+        this.dragFrom = null;
+    }
+
+    // Adds a stack to the inventory; what does not fit is dropped
+    giveBack(stack) {
+        const rest = this.inventory.add(stack);
+        if (rest && this.onDrop) this.onDrop(rest);
+    }
+
+    render() {
+        this.hotbarSlots.forEach((slot, i) => {
+            renderStack(slot, this.inventory.getSlot(i));
+            slot.classList.toggle("active", i === this.inventory.selected);
+        });
+        if (!this.isOpen) return;
+
+        for (const [slot, { container, index }] of this.bindings) renderStack(slot, container.getSlot(index));
+        renderStack(this.cursor, this.held);
+        this.cursor.hidden = !this.held;
+    }
+
+    handleKey(event) {
+        if (event.target && /^(INPUT|TEXTAREA)$/.test(event.target.tagName)) return;
+        if (event.code === this.toggleKey) {
+            this.toggle();
+        } else if (event.code === "Escape" && this.isOpen) {
+            this.close();
+        } else if (!this.isOpen && /^Digit[1-9]$/.test(event.code)) {
+            const index = Number(event.code.slice(5)) - 1;
+            if (index < HOTBAR_SIZE) this.select(index);
+        }
+    }
+
+    // Scrolling down moves the selection right, wrapping around
+    handleWheel(event) {
+        if (this.isOpen || event.deltaY === 0) return;
+        this.select(this.inventory.selected + Math.sign(event.deltaY));
+    }
+
+    handleSlotDown(event, slot) {
+        event.preventDefault();
+        const { container, index } = this.bindings.get(slot);
+        const stack = container.getSlot(index);
+        const right = event.button === 2;
+
+        if (index === container.outputIndex) {
+            this.takeOutput(container, index, event.shiftKey);
+        } else if (event.shiftKey && !this.held) {
+            if (container.quickMove) container.quickMove(index);
+            else if (stack) container.setSlot(index, this.inventory.add(stack));
+        } else if (!this.held) {
+            if (stack) {
+                this.held = right ? stack.split(Math.ceil(stack.count / 2)) : stack;
+                container.setSlot(index, right ? stack : null);
+                this.dragFrom = slot;
+            }
+        } else {
+            this.held = placeStack(container, index, this.held, right ? 1 : this.held.count);
+            this.dragFrom = null;
+        }
+        if (container.onChange) container.onChange(index);
+        this.hideTooltip();
+        this.moveCursor(event);
+        this.render();
+    }
+
+    // Crafts from an output slot onto the cursor, or with shift as many times
+    // as the inputs and the inventory allow
+    takeOutput(container, index, all) {
+        if (all) {
+            for (let result = container.getSlot(index); result; result = container.getSlot(index)) {
+                if (this.inventory.spaceFor(result) < result.count) break;
+                this.inventory.add(container.take(index));
+            }
+            return;
+        }
+        const result = container.getSlot(index);
+        if (!result) return;
+        if (!this.held) {
+            this.held = container.take(index);
+        } else if (this.held.item === result.item && this.held.damage === result.damage &&
+            this.held.count + result.count <= this.held.maxStackSize) {
+            this.held.count += container.take(index).count;
+        }
+    }
+
+    // Releasing a picked-up stack over another slot drops it there
+    handlePointerUp(event) {
+        const from = this.dragFrom;
+        this.dragFrom = null;
+        if (!this.isOpen || !this.held || !from) return;
+
+        const target = this.document.elementFromPoint(event.clientX, event.clientY);
+        const slot = target && target.closest(".inventory-slot");
+        if (!slot || slot === from || !this.bindings.has(slot)) return;
+
+        const { container, index } = this.bindings.get(slot);
+        if (index === container.outputIndex) return;
+        this.held = placeStack(container, index, this.held);
+        if (container.onChange) container.onChange(index);
+        this.render();
+    }
+
+    handlePointerMove(event) {
+        if (this.held) this.moveCursor(event);
+        if (!this.tooltip.hidden) this.placeTooltip(event);
+    }
+
+    moveCursor(event) {
+        this.cursor.style.left = `${event.clientX}px`;
+        this.cursor.style.top = `${event.clientY}px`;
+    }
+
+    showTooltip(event, slot) {
+        const { container, index } = this.bindings.get(slot);
+        const stack = container.getSlot(index);
+        if (!stack || this.held) return;
+
+        const doc = this.document;
+        const item = stack.item;
+        this.tooltip.replaceChildren();
+        element(doc, "div", "inventory-tooltip-name", this.tooltip).textContent = item.displayName;
+        if (item.description) element(doc, "div", "inventory-tooltip-description", this.tooltip).textContent = item.description;
+        if (item.damageable) {
+            element(doc, "div", "inventory-tooltip-durability", this.tooltip).textContent =
+                `Durability: ${item.durability - stack.damage} / ${item.durability}`;
+        }
+        element(doc, "div", "inventory-tooltip-id", this.tooltip).textContent = item.id;
+        this.tooltip.hidden = false;
+        this.placeTooltip(event);
+    }
+
+    placeTooltip(event) {
+        this.tooltip.style.left = `${event.clientX + 12}px`;
+        this.tooltip.style.top = `${event.clientY - 12}px`;
+    }
+
+    hideTooltip() {
+        this.tooltip.hidden = true;
+    }
+
+    dispose() {
+        this.close();
+        for (const [target, type, handler, options] of this.listeners) target.removeEventListener(type, handler, options);
+        this.listeners = [];
+        this.screen.remove();
+        this.cursor.remove();
+        this.tooltip.remove();
+    }
+}
@@ -1,3 +1,346 @@
-function(itemname, itemmodel, itemdesc) {
+// Items, item stacks and the player inventory.
+//
+// Items are registered once (like blocks in Block.js) and referenced by
+// namespaced name. Every non-air block gets a matching block item that places it.
+//
+// The inventory mirrors game.html: 7 hotbar slots (#hotbar .hotbarslot) and a
+// main storage grid opened from #hotbarslot-chest. Slots are addressed by one
+// flat index: 0..6 are the hotbar, 7.. are main storage.
+//
+// Usage example:
+// import { items, ItemStack, Inventory } from './Item.js';
+// const inv = new Inventory();
+// inv.add(new ItemStack('minecraft:dirt', 64));
+// localStorage.inv = JSON.stringify(inv);
+// const restored = Inventory.fromJSON(JSON.parse(localStorage.inv));
 
+import { blocks, namespaced } from "./Block.js";
+
+export const ITEM_TEXTURE_ROOT = "/assets/textures/item/";
+
+export class Item {
+    constructor(name, props = {}) {
+        this.id = namespaced(name);
+        this.displayName = props.displayName || this.id.split(":")[1]
+            .split("_")
+            .map((w) => w[0].toUpperCase() + w.slice(1))
+            .join(" ");
+        this.description = props.description || "";
+
+        // Icon shown in inventory slots; model is what the hand / dropped item renders
+        this.icon = props.icon || `${ITEM_TEXTURE_ROOT}${this.id.split(":")[1]}.png`;
+        this.model = props.model || null;
+
+        // Damageable items (tools) never stack
+        this.durability = props.durability ?? 0;
+        this.maxStackSize = this.durability > 0 ? 1 : (props.maxStackSize ?? 64);
+
+        // Name of the block placed on right click, or null
+        this.placesBlock = props.placesBlock ? namespaced(props.placesBlock) : null;
+    }
+
+    get damageable() {
+        return this.durability > 0;
+    }
+}
+
+export class ItemRegistry {
+    constructor() {
+        this.byId = new Map();
+    }
+
+    register(name, props = {}) {
+        const item = new Item(name, props);
+        if (this.byId.has(item.id)) throw new Error(`Item ${item.id} already registered`);
+        this.byId.set(item.id, item);
+        return item;
+    }
+
+    get(ref) {
+        if (ref instanceof Item) return ref;
+        if (typeof ref !== "string") return null;
+        return this.byId.get(namespaced(ref)) || null;
+    }
+
+    has(ref) {
+        return this.get(ref) !== null;
+    }
+
+    all() {
+        return [...this.byId.values()];
+    }
+}
+
+export const items = new ItemRegistry();
+
+export class ItemStack {
+    constructor(item, count = 1, damage = 0) {
+        this.item = items.get(item);
+        if (!this.item) throw new Error(`Unknown item: ${item}`);
+        this.count = count;
+        this.damage = damage;
+    }
+
+    get isEmpty() {
+        return this.count <= 0;
+    }
+
+    get maxStackSize() {
+        return this.item.maxStackSize;
+    }
+
+    // Remaining uses as 0..1, for durability bars
+    get durabilityFraction() {
+        if (!this.item.damageable) return 1;
+        return Math.max(0, 1 - this.damage / this.item.durability);
+    }
+
+    canMergeWith(other) {
+        return !!other &&
+            other.item === this.item &&
+            other.damage === this.damage &&
+            this.count < this.maxStackSize;
+    }
+
+    clone(count = this.count) {
+        return new ItemStack(this.item, count, this.damage);
+    }
+
+    // Takes up to `amount` items off this stack into a new stack
+    split(amount) {
+        const n = Math.max(0, Math.min(amount, this.count));
+        this.count -= n;
+        return this.clone(n);
+    }
+
+    // Moves as many items as fit from `other` into this stack; returns how many moved
+    mergeFrom(other) {
+        if (!other || other.item !== this.item || other.damage !== this.damage) return 0;
+        const n = Math.min(other.count, this.maxStackSize - this.count);
+        if (n <= 0) return 0;
+        this.count += n;
+        other.count -= n;
+        return n;
+    }
+
+    // Applies wear; returns true when the item breaks
+    applyDamage(amount = 1) {
+        if (!this.item.damageable) return false;
+        this.damage += amount;
+        if (this.damage >= this.item.durability) {
+            this.count = 0;
+            return true;
+        }
+        return false;
+    }
+
+    toJSON() {
+        const json = { id: this.item.id, count: this.count };
+        if (this.damage) json.damage = this.damage;
+        return json;
+    }
+
+    static fromJSON(json) {
+        if (!json) return null;
+        return new ItemStack(json.id, json.count ?? 1, json.damage ?? 0);
+    }
+}
+
+export const HOTBAR_SIZE = 7;
+export const MAIN_SIZE = 27;
+
+export class Inventory {
+    constructor(size = HOTBAR_SIZE + MAIN_SIZE) {
+        this.slots = new Array(size).fill(null);
+        this.selected = 0;
+    }
+
+    get size() {
+        return this.slots.length;
+    }
+
+    get hotbar() {
+        return this.slots.slice(0, HOTBAR_SIZE);
+    }
+
+    get main() {
+        return this.slots.slice(HOTBAR_SIZE);
+    }
+
+    get selectedStack() {
+        return this.slots[this.selected];
+    }
+
+    select(index) {
+        this.selected = ((index % HOTBAR_SIZE) + HOTBAR_SIZE) % HOTBAR_SIZE;
+        return this.selectedStack;
+    }
+
+    getSlot(index) {
+        return this.slots[index] || null;
+    }
+
+    setSlot(index, stack) {
+        if (index < 0 || index >= this.size) throw new RangeError(`Slot ${index} out of range`);
+        this.slots[index] = stack && !stack.isEmpty ? stack : null;
+    }
+
+    // Drops emptied stacks so slots are either null or hold at least one item
+    clean(index) {
+        const stack = this.slots[index];
+        if (stack && stack.isEmpty) this.slots[index] = null;
+    }
+
+    // Adds a stack, topping up existing stacks before using empty slots (hotbar
+    // first). Returns what did not fit, or null.
+    add(stack, range = [0, this.size]) {
+        const [from, to] = range;
+        const rest = stack.clone();
+
+        for (let i = from; i < to && rest.count > 0; i++) {
+            const slot = this.slots[i];
+            if (slot && slot.canMergeWith(rest)) slot.mergeFrom(rest);
+        }
+        for (let i = from; i < to && rest.count > 0; i++) {
+            if (this.slots[i]) continue;
+            this.slots[i] = rest.split(rest.maxStackSize);
+        }
+        return rest.count > 0 ? rest : null;
+    }
+
+    // How many of a stack's item would fit, counting free room in matching stacks
+    spaceFor(stack) {
+        return this.slots.reduce((n, slot) => {
+            if (!slot) return n + stack.maxStackSize;
+            if (slot.item === stack.item && slot.damage === stack.damage) return n + Math.max(0, slot.maxStackSize - slot.count);
+            return n;
+        }, 0);
+    }
+
+    // Removes up to `count` of an item across all slots; returns how many were removed
+    remove(item, count = 1) {
+        const target = items.get(item);
+        let left = count;
+        for (let i = this.size - 1; i >= 0 && left > 0; i--) {
+            const slot = this.slots[i];
+            if (!slot || slot.item !== target) continue;
+            left -= slot.split(left).count;
+            this.clean(i);
+        }
+        return count - left;
+    }
+
+    count(item) {
+        const target = items.get(item);
+        return this.slots.reduce((n, s) => n + (s && s.item === target ? s.count : 0), 0);
+    }
+
+    has(item, count = 1) {
+        return this.count(item) >= count;
+    }
+
+    // Takes half of a slot (rounded up), like right-clicking a stack
+    split(index, amount) {
+        const slot = this.slots[index];
+        if (!slot) return null;
+        const taken = slot.split(amount ?? Math.ceil(slot.count / 2));
+        this.clean(index);
+        return taken;
+    }
+
+    // Moves as much as fits from one slot onto another of the same item, or
+    // into it if the target is empty. Returns the number of items moved.
+    merge(from, to) {
+        const src = this.slots[from];
+        if (!src || from === to) return 0;
+        const dst = this.slots[to];
+        if (!dst) {
+            this.slots[to] = src;
+            this.slots[from] = null;
+            return src.count;
+        }
+        const moved = dst.mergeFrom(src);
+        this.clean(from);
+        return moved;
+    }
+
+    // Shift-click: moves a stack between the hotbar and main storage, topping
+    // up stacks there first. Returns the number of items moved.
+    quickMove(index) {
+        const stack = this.slots[index];
+        if (!stack) return 0;
+        const range = index < HOTBAR_SIZE ? [HOTBAR_SIZE, this.size] : [0, HOTBAR_SIZE];
+        const before = stack.count;
+        const rest = this.add(stack, range);
+        this.slots[index] = rest;
+        return before - (rest ? rest.count : 0);
+    }
+
+    swap(a, b) {
+        const tmp = this.slots[a];
+        this.slots[a] = this.slots[b];
+        this.slots[b] = tmp;
+    }
+
+    clear() {
+        this.slots.fill(null);
+    }
+
+    toJSON() {
+        return {
+            selected: this.selected,
+            slots: this.slots.map((s) => (s ? s.toJSON() : null))
+        };
+    }
+
+    static fromJSON(json) {
+        const inv = new Inventory(json.slots.length);
+        json.slots.forEach((s, i) => {
+            // Items removed from the game since the save are dropped silently
+            if (s && items.has(s.id)) inv.slots[i] = ItemStack.fromJSON(s);
+        });
+        inv.selected = json.selected || 0;
+        return inv;
+    }
+}
+
+// Block items
+for (const block of blocks.all()) {
+    if (block.isAir || block.liquid) continue;
+    items.register(block.name, {
+        displayName: block.displayName,
+        icon: block.getTexture("side"),
+        model: "block",
+        placesBlock: block.name
+    });
+}
+
+// Plain items
+items.register("stick");
+items.register("coal");
+items.register("diamond");
+items.register("iron_ingot");
+items.register("gold_ingot");
+items.register("flint");
+items.register("glowstone_dust");
+items.register("apple", { description: "Restores 4 hunger." });
+items.register("snowball", { maxStackSize: 16 });
+items.register("oak_sapling");
+items.register("wheat");
+items.register("wheat_seeds");
+items.register("carrot");
+items.register("porkchop");
+items.register("beef");
+items.register("white_wool");
+items.register("feather");
+items.register("rotten_flesh");
+items.register("bone");
+items.register("string");
+
+// Tools
+const TIERS = [["wooden", 59], ["stone", 131], ["iron", 250], ["golden", 32], ["diamond", 1561]];
+for (const [tier, durability] of TIERS) {
+    for (const tool of ["pickaxe", "axe", "shovel", "sword"]) {
+        items.register(`${tier}_${tool}`, { durability, model: "handheld" });
+    }
 }
@@ -0,0 +1,355 @@
+// Voxel light propagation: skylight and block light, 0..15 each.
+//
+// Light spreads by breadth-first flood fill, losing max(1, opacity) per step.
+// Skylight is 15 in every cell open to the sky and keeps 15 going straight
+// down through fully transparent blocks, so shade only appears under cover.
+// Block light starts at each block's lightEmission.
+//
+// Edits are incremental: update(x, y, z) removes the light that depended on
+// the changed cell (flooding outwards while levels keep decreasing), then
+// refills the hole from the brighter cells around it.
+//
+// LightEngine works on a "volume" and knows nothing about chunks:
+//   contains(x, y, z), opacity(x, y, z), emission(x, y, z),
+//   getLight(channel, x, y, z), setLight(channel, x, y, z, level), height
+// ArrayLightVolume implements it on plain typed arrays (handy for tests),
+// WorldLighting on a World's chunks.
+//
+// Usage example:
+// const volume = new ArrayLightVolume(16, 32, 16);
+// volume.setBlock(8, 10, 8, 0, 14);            // a torch
+// const engine = new LightEngine(volume);
+// engine.lightRegion(0, 0, 16, 16);
+// volume.getLight(BLOCK, 9, 10, 8);            // 13
+//
+// new WorldLighting(world); // world.setBlock / chunk loads now update light
+
+import { Chunk, CHUNK_SIZE, CHUNK_HEIGHT } from "./Chunk.js";
+import { World } from "./World.js";
+import { blocks } from "./Block.js";
+
+export const MAX_LIGHT = 15;
+export const SKY = 0;
+export const BLOCK = 1;
+
+// [dx, dy, dz]; index 3 (down) gets the skylight exception
+const DIRECTIONS = [
+    [1, 0, 0], [-1, 0, 0],
+    [0, 1, 0], [0, -1, 0],
+    [0, 0, 1], [0, 0, -1]
+];
+const DOWN = 3;
+
+export class LightEngine {
+    constructor(volume) {
+        this.volume = volume;
+    }
+
+    // Light a newly filled area: skylight down every column from the top of
+    // the volume, then every emitter, then flood both channels
+    lightRegion(minX, minZ, sizeX, sizeZ) {
+        const v = this.volume;
+        const sky = [];
+        const block = [];
+
+        for (let x = minX; x < minX + sizeX; x++) {
+            for (let z = minZ; z < minZ + sizeZ; z++) {
+                const bottom = this.openBottom(x, z);
+                for (let y = bottom; y < v.height; y++) v.setLight(SKY, x, y, z, MAX_LIGHT);
+
+                // Only cells beside a lower roof (or the lowest one, over
+                // translucent blocks) can spread further
+                const reach = Math.max(
+                    bottom + 1,
+                    this.openBottom(x + 1, z), this.openBottom(x - 1, z),
+                    this.openBottom(x, z + 1), this.openBottom(x, z - 1)
+                );
+                for (let y = bottom; y < Math.min(reach, v.height); y++) sky.push(x, y, z);
+
+                for (let y = 0; y < v.height; y++) {
+                    const emission = v.emission(x, y, z);
+                    if (emission <= 0) continue;
+                    v.setLight(BLOCK, x, y, z, emission);
+                    block.push(x, y, z);
+                }
+            }
+        }
+
+        this.propagate(SKY, sky);
+        this.propagate(BLOCK, block);
+    }
+
+    // Lowest y of the column that sees the sky; 0 outside the volume, where
+    // there is nothing to light
+    openBottom(x, z) {
+        const v = this.volume;
+        if (!v.contains(x, v.height - 1, z)) return 0;
+        let y = v.height - 1;
+        while (y >= 0 && v.opacity(x, y, z) === 0) y--;
+        return y + 1;
+    }
+
+    // Spread light outwards from the cells in queue ([x, y, z, x, y, z, ...])
+    propagate(channel, queue) {
+        const v = this.volume;
+        for (let head = 0; head < queue.length; head += 3) {
+            const x = queue[head], y = queue[head + 1], z = queue[head + 2];
+            const level = v.getLight(channel, x, y, z);
+            if (level <= 1) continue;
+
+            for (let d = 0; d < 6; d++) {
+                const [dx, dy, dz] = DIRECTIONS[d];
+                const nx = x + dx, ny = y + dy, nz = z + dz;
+                if (!v.contains(nx, ny, nz)) continue;
+
+                const opacity = v.opacity(nx, ny, nz);
+                if (opacity >= MAX_LIGHT) continue;
+                const next = channel === SKY && d === DOWN && level === MAX_LIGHT && opacity === 0
+                    ? MAX_LIGHT
+                    : level - Math.max(1, opacity);
+
+                if (next > v.getLight(channel, nx, ny, nz)) {
+                    v.setLight(channel, nx, ny, nz, next);
+                    queue.push(nx, ny, nz);
+                }
+            }
+        }
+    }
+
+    // Darkens everything lit through (x, y, z) and returns the queue of
+    // brighter border cells (and emitters) that must flood back in
+    remove(channel, x, y, z) {
+        const v = this.volume;
+        const removal = [x, y, z, v.getLight(channel, x, y, z)];
+        const refill = [];
+        v.setLight(channel, x, y, z, 0);
+
+        for (let head = 0; head < removal.length; head += 4) {
+            const cx = removal[head], cy = removal[head + 1], cz = removal[head + 2];
+            const level = removal[head + 3];
+
+            for (let d = 0; d < 6; d++) {
+                const [dx, dy, dz] = DIRECTIONS[d];
+                const nx = cx + dx, ny = cy + dy, nz = cz + dz;
+                if (!v.contains(nx, ny, nz)) continue;
+
+                const neighbour = v.getLight(channel, nx, ny, nz);
+                if (neighbour === 0) continue;
+
+                const dependent = neighbour < level ||
+                    (channel === SKY && d === DOWN && level === MAX_LIGHT && neighbour === MAX_LIGHT);
+                if (dependent) {
+                    v.setLight(channel, nx, ny, nz, 0);
+                    removal.push(nx, ny, nz, neighbour);
+                    // Emitters inside the darkened area relight themselves
+                    const emission = channel === BLOCK ? v.emission(nx, ny, nz) : 0;
+                    if (emission > 0) {
+                        v.setLight(channel, nx, ny, nz, emission);
+                        refill.push(nx, ny, nz);
+                    }
+                } else {
+                    refill.push(nx, ny, nz);
+                }
+            }
+        }
+        return refill;
+    }
+
+    // Call after the block at (x, y, z) changed
+    update(x, y, z) {
+        for (const channel of [SKY, BLOCK]) {
+            const refill = this.volume.getLight(channel, x, y, z) > 0 ? this.remove(channel, x, y, z) : [];
+            this.propagate(channel, refill);
+
+            const level = this.sourceLevel(channel, x, y, z);
+            if (level > this.volume.getLight(channel, x, y, z)) {
+                this.volume.setLight(channel, x, y, z, level);
+                this.propagate(channel, [x, y, z]);
+            }
+        }
+    }
+
+    // Light a cell gets from its own block and its neighbours
+    sourceLevel(channel, x, y, z) {
+        const v = this.volume;
+        const opacity = v.opacity(x, y, z);
+        let level = channel === BLOCK ? v.emission(x, y, z) : 0;
+        if (opacity >= MAX_LIGHT) return level;
+        if (channel === SKY && opacity === 0 && y >= v.height - 1) return MAX_LIGHT;
+
+        for (let d = 0; d < 6; d++) {
+            const [dx, dy, dz] = DIRECTIONS[d];
+            const nx = x + dx, ny = y + dy, nz = z + dz;
+            if (!v.contains(nx, ny, nz)) continue;
+            const neighbour = v.getLight(channel, nx, ny, nz);
+            // Light from above is the only direction that can keep skylight at 15
+            const fromAbove = channel === SKY && dy === 1 && neighbour === MAX_LIGHT && opacity === 0;
+            level = Math.max(level, fromAbove ? MAX_LIGHT : neighbour - Math.max(1, opacity));
+        }
+        return level;
+    }
+}
+
+// Light volume on plain arrays: opacity, emission and both light channels
+// for a sizeX * height * sizeZ box; the box top is open sky
+export class ArrayLightVolume {
+    constructor(sizeX, height, sizeZ) {
+        this.sizeX = sizeX;
+        this.height = height;
+        this.sizeZ = sizeZ;
+
+        const size = sizeX * height * sizeZ;
+        this.opacities = new Uint8Array(size);
+        this.emissions = new Uint8Array(size);
+        this.light = [new Uint8Array(size), new Uint8Array(size)];
+    }
+
+    index(x, y, z) {
+        return x + z * this.sizeX + y * this.sizeX * this.sizeZ;
+    }
+
+    contains(x, y, z) {
+        return x >= 0 && x < this.sizeX && y >= 0 && y < this.height && z >= 0 && z < this.sizeZ;
+    }
+
+    setBlock(x, y, z, opacity, emission = 0) {
+        const i = this.index(x, y, z);
+        this.opacities[i] = opacity;
+        this.emissions[i] = emission;
+    }
+
+    opacity(x, y, z) {
+        return this.opacities[this.index(x, y, z)];
+    }
+
+    emission(x, y, z) {
+        return this.emissions[this.index(x, y, z)];
+    }
+
+    getLight(channel, x, y, z) {
+        return this.light[channel][this.index(x, y, z)];
+    }
+
+    setLight(channel, x, y, z, level) {
+        this.light[channel][this.index(x, y, z)] = level;
+    }
+}
+
+// Block ID -> opacity / emission, built once from the registry
+function lightTables(registry) {
+    const opacity = new Uint8Array(65536);
+    const emission = new Uint8Array(65536);
+    for (const block of registry.all()) {
+        opacity[block.id] = block.lightOpacity;
+        emission[block.id] = block.lightEmission;
+    }
+    return { opacity, emission };
+}
+
+// Keeps chunk.light of a World up to date. Chunk light is packed per cell as
+// sky << 4 | block. Cells in chunks that are not loaded are left alone; when
+// such a chunk loads, light flows in from its loaded neighbours and out to them.
+export class WorldLighting {
+    constructor(world, registry = blocks) {
+        this.world = world;
+        this.tables = lightTables(registry);
+        this.engine = new LightEngine(this);
+        this.height = CHUNK_HEIGHT;
+
+        // Lookups happen millions of times while flooding; remember the last chunk
+        this.cached = null;
+
+        world.lighting = this;
+    }
+
+    chunkAt(x, z) {
+        const cx = World.toChunkCoord(x);
+        const cz = World.toChunkCoord(z);
+        const cached = this.cached;
+        if (cached && cached.cx === cx && cached.cz === cz) return cached;
+        const chunk = this.world.getChunk(cx, cz);
+        if (chunk) this.cached = chunk;
+        return chunk;
+    }
+
+    contains(x, y, z) {
+        return y >= 0 && y < CHUNK_HEIGHT && !!this.chunkAt(x, z);
+    }
+
+    blockIndex(chunk, x, y, z) {
+        return Chunk.index(x - chunk.cx * CHUNK_SIZE, y, z - chunk.cz * CHUNK_SIZE);
+    }
+
+    opacity(x, y, z) {
+        const chunk = this.chunkAt(x, z);
+        return chunk ? this.tables.opacity[chunk.blocks[this.blockIndex(chunk, x, y, z)]] : MAX_LIGHT;
+    }
+
+    emission(x, y, z) {
+        const chunk = this.chunkAt(x, z);
+        return chunk ? this.tables.emission[chunk.blocks[this.blockIndex(chunk, x, y, z)]] : 0;
+    }
+
+    getLight(channel, x, y, z) {
+        const chunk = this.chunkAt(x, z);
+        if (!chunk) return 0;
+        const packed = chunk.light[this.blockIndex(chunk, x, y, z)];
+        return channel === SKY ? packed >> 4 : packed & 15;
+    }
+
+    setLight(channel, x, y, z, level) {
+        const chunk = this.chunkAt(x, z);
+        if (!chunk) return;
+        const i = this.blockIndex(chunk, x, y, z);
+        const packed = chunk.light[i];
+        chunk.light[i] = channel === SKY ? (level << 4) | (packed & 15) : (packed & 0xf0) | level;
+        chunk.dirty = true;
+
+        // Faces of the neighbouring chunk are lit by this cell too
+        const lx = x - chunk.cx * CHUNK_SIZE;
+        const lz = z - chunk.cz * CHUNK_SIZE;
+        if (lx === 0) this.world.markDirty(chunk.cx - 1, chunk.cz);
+        if (lx === CHUNK_SIZE - 1) this.world.markDirty(chunk.cx + 1, chunk.cz);
+        if (lz === 0) this.world.markDirty(chunk.cx, chunk.cz - 1);
+        if (lz === CHUNK_SIZE - 1) this.world.markDirty(chunk.cx, chunk.cz + 1);
+    }
+
+    // Called by World once a chunk is generated and added
+    lightChunk(chunk) {
+        chunk.light.fill(0);
+        const ox = chunk.originX;
+        const oz = chunk.originZ;
+        this.engine.lightRegion(ox, oz, CHUNK_SIZE, CHUNK_SIZE);
+
+        // Let light from already loaded neighbours flow across the border
+        const sky = [];
+        const block = [];
+        const borders = [
+            [ox - 1, oz, 0, 1], [ox + CHUNK_SIZE, oz, 0, 1],
+            [ox, oz - 1, 1, 0], [ox, oz + CHUNK_SIZE, 1, 0]
+        ];
+        for (const [bx, bz, stepX, stepZ] of borders) {
+            if (!this.chunkAt(bx, bz)) continue;
+            for (let k = 0; k < CHUNK_SIZE; k++) {
+                const x = bx + k * stepX;
+                const z = bz + k * stepZ;
+                for (let y = 0; y < CHUNK_HEIGHT; y++) {
+                    if (this.getLight(SKY, x, y, z) > 1) sky.push(x, y, z);
+                    if (this.getLight(BLOCK, x, y, z) > 1) block.push(x, y, z);
+                }
+            }
+        }
+        this.engine.propagate(SKY, sky);
+        this.engine.propagate(BLOCK, block);
+    }
+
+    // Called by World after setBlock changed a block
+    blockChanged(x, y, z) {
+        this.engine.update(x, y, z);
+    }
+
+    // Drop the cached chunk reference so unloaded chunks can be collected
+    chunkUnloaded() {
+        this.cached = null;
+    }
+}
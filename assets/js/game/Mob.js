@@ -1 +1,613 @@
+// Entities, mobs and mob AI.
+//
+// Nothing in here touches the renderer or the DOM: the game feeds a context
+// object into every tick and reads positions back out, so AI can be ticked
+// headlessly in Node.
+//
+// Tick context:
+// { world, players: [Entity], random: () => number, dt: seconds }
+// world needs getBlock(x, y, z) and optionally getLight(x, y, z) (0..15).
+//
+// Mob AI is a list of behaviours with priorities. Every tick the running
+// behaviour is kept while shouldContinue() holds, unless a higher priority one
+// can start; otherwise the highest priority behaviour whose canStart() passes
+// takes over.
+//
+// A mob that dies drops its type's drops (the block drop format of Block.js).
+// There are no item entities, so like broken blocks in Interaction.js they go
+// straight into the inventory of the player who killed it; onDeath hears about
+// every death either way.
+//
+// Usage example:
+// const mobs = new MobManager({ onDeath: () => sounds.play("mob.death") });
+// mobs.spawn('minecraft:pig', [0, 65, 0]);
+// mobs.tick({ world, players: [player], random: Math.random, dt: 0.05 });
 
+import { blocks, namespaced, rollDrops } from "./Block.js";
+import { items, ItemStack } from "./Item.js";
+import { lerpVector, lerpAngle } from "./jshelper/ShadowGL/Engine/math.js";
+
+let nextEntityId = 1;
+
+export class Entity {
+    constructor(options = {}) {
+        this.id = nextEntityId++;
+        this.position = options.position ? [...options.position] : [0, 0, 0];
+        this.velocity = [0, 0, 0];
+        this.yaw = options.yaw || 0;
+        // Position and yaw before the current tick, for drawing between ticks
+        this.prevPosition = [...this.position];
+        this.prevYaw = this.yaw;
+
+        // Bounding box size in blocks; position is the centre of the feet
+        this.width = options.width ?? 0.6;
+        this.height = options.height ?? 1.8;
+
+        this.maxHealth = options.maxHealth ?? 20;
+        this.health = options.health ?? this.maxHealth;
+        this.onGround = false;
+        this.dead = false;
+
+        // Seconds alive, and the entity that last hurt us
+        this.age = 0;
+        this.lastHurtBy = null;
+        this.lastHurtAge = -Infinity;
+    }
+
+    // Called by whatever moves the entity (MobManager.tick, PlayerPhysics.step)
+    // before it moves, once per tick
+    savePrevious() {
+        this.prevPosition[0] = this.position[0];
+        this.prevPosition[1] = this.position[1];
+        this.prevPosition[2] = this.position[2];
+        this.prevYaw = this.yaw;
+    }
+
+    // Position between the last two ticks; alpha from GameLoop
+    interpolatePosition(alpha, out = [0, 0, 0]) {
+        return lerpVector(out, this.prevPosition, this.position, alpha);
+    }
+
+    // Yaw between the last two ticks, turning the short way round
+    interpolateYaw(alpha) {
+        return lerpAngle(this.prevYaw, this.yaw, alpha);
+    }
+
+    getBoundingBox() {
+        const [x, y, z] = this.position;
+        const hw = this.width / 2;
+        return {
+            minX: x - hw, minY: y, minZ: z - hw,
+            maxX: x + hw, maxY: y + this.height, maxZ: z + hw
+        };
+    }
+
+    distanceTo(other) {
+        const p = other.position || other;
+        return Math.hypot(p[0] - this.position[0], p[1] - this.position[1], p[2] - this.position[2]);
+    }
+
+    horizontalDistanceTo(other) {
+        const p = other.position || other;
+        return Math.hypot(p[0] - this.position[0], p[2] - this.position[2]);
+    }
+
+    damage(amount, source = null) {
+        if (this.dead || amount <= 0) return false;
+        this.health = Math.max(0, this.health - amount);
+        this.lastHurtBy = source;
+        this.lastHurtAge = this.age;
+        if (this.health === 0) this.die();
+        return true;
+    }
+
+    heal(amount) {
+        if (this.dead) return;
+        this.health = Math.min(this.maxHealth, this.health + amount);
+    }
+
+    die() {
+        this.dead = true;
+        this.velocity = [0, 0, 0];
+    }
+
+    // Moves by an offset. Plain integration; a physics step can replace this
+    // to add collision against the world.
+    move(dx, dy, dz) {
+        this.position[0] += dx;
+        this.position[1] += dy;
+        this.position[2] += dz;
+    }
+
+    update(ctx) {
+        const dt = ctx.dt;
+        this.age += dt;
+        if (this.dead) return;
+        this.move(this.velocity[0] * dt, this.velocity[1] * dt, this.velocity[2] * dt);
+    }
+}
+
+/* ---------------- BEHAVIOURS ---------------- */
+
+export class Behaviour {
+    constructor(priority = 0) {
+        this.priority = priority;
+    }
+
+    canStart(mob, ctx) { return false; }
+    shouldContinue(mob, ctx) { return this.canStart(mob, ctx); }
+    start(mob, ctx) {}
+    stop(mob, ctx) { mob.stopMoving(); }
+    tick(mob, ctx) {}
+}
+
+export class IdleBehaviour extends Behaviour {
+    constructor(priority = 0, duration = [1, 4]) {
+        super(priority);
+        this.duration = duration;
+    }
+
+    canStart() { return true; }
+    shouldContinue(mob) { return mob.age < mob.memory.idleUntil; }
+
+    start(mob, ctx) {
+        const [min, max] = this.duration;
+        mob.memory.idleUntil = mob.age + min + ctx.random() * (max - min);
+        mob.stopMoving();
+    }
+}
+
+export class WanderBehaviour extends Behaviour {
+    constructor(priority = 1, options = {}) {
+        super(priority);
+        this.speed = options.speed ?? 1;
+        this.radius = options.radius ?? 8;
+        // Chance per tick of deciding to go for a walk
+        this.chance = options.chance ?? 0.02;
+        this.timeout = options.timeout ?? 10;
+    }
+
+    canStart(mob, ctx) {
+        return ctx.random() < this.chance;
+    }
+
+    shouldContinue(mob) {
+        const target = mob.memory.wanderTarget;
+        return !!target &&
+            mob.age < mob.memory.wanderUntil &&
+            mob.horizontalDistanceTo(target) > 0.5;
+    }
+
+    start(mob, ctx) {
+        const angle = ctx.random() * Math.PI * 2;
+        const dist = ctx.random() * this.radius;
+        const [x, y, z] = mob.position;
+        mob.memory.wanderTarget = [x + Math.cos(angle) * dist, y, z + Math.sin(angle) * dist];
+        mob.memory.wanderUntil = mob.age + this.timeout;
+    }
+
+    tick(mob) {
+        mob.moveTowards(mob.memory.wanderTarget, this.speed * mob.speed);
+    }
+
+    stop(mob) {
+        mob.memory.wanderTarget = null;
+        mob.stopMoving();
+    }
+}
+
+// Runs away from whatever hurt the mob recently, or from nearby players
+export class FleeBehaviour extends Behaviour {
+    constructor(priority = 3, options = {}) {
+        super(priority);
+        this.speed = options.speed ?? 1.5;
+        this.afterHurt = options.afterHurt ?? 5;
+        this.fromPlayersWithin = options.fromPlayersWithin ?? 0;
+    }
+
+    threat(mob, ctx) {
+        if (mob.lastHurtBy && mob.age - mob.lastHurtAge < this.afterHurt && !mob.lastHurtBy.dead) {
+            return mob.lastHurtBy;
+        }
+        if (this.fromPlayersWithin > 0) {
+            const p = mob.nearestPlayer(ctx, this.fromPlayersWithin);
+            if (p) return p;
+        }
+        return null;
+    }
+
+    canStart(mob, ctx) {
+        return this.threat(mob, ctx) !== null;
+    }
+
+    tick(mob, ctx) {
+        const threat = this.threat(mob, ctx);
+        if (!threat) return;
+        const [x, y, z] = mob.position;
+        const away = [2 * x - threat.position[0], y, 2 * z - threat.position[2]];
+        mob.moveTowards(away, this.speed * mob.speed);
+    }
+}
+
+// Follows the nearest player, optionally only while they hold a lure item
+export class FollowPlayerBehaviour extends Behaviour {
+    constructor(priority = 2, options = {}) {
+        super(priority);
+        this.speed = options.speed ?? 1.2;
+        this.range = options.range ?? 10;
+        this.minDistance = options.minDistance ?? 2;
+        this.lure = options.lure ? namespaced(options.lure) : null;
+    }
+
+    target(mob, ctx) {
+        return mob.nearestPlayer(ctx, this.range, (p) => {
+            if (!this.lure) return true;
+            const held = p.inventory && p.inventory.selectedStack;
+            return !!held && held.item.id === this.lure;
+        });
+    }
+
+    canStart(mob, ctx) {
+        return this.target(mob, ctx) !== null;
+    }
+
+    tick(mob, ctx) {
+        const target = this.target(mob, ctx);
+        if (!target) return;
+        if (mob.horizontalDistanceTo(target) <= this.minDistance) mob.stopMoving();
+        else mob.moveTowards(target.position, this.speed * mob.speed);
+        mob.lookAt(target.position);
+    }
+}
+
+export class AttackBehaviour extends Behaviour {
+    constructor(priority = 4, options = {}) {
+        super(priority);
+        this.speed = options.speed ?? 1.2;
+        this.range = options.range ?? 16;
+        this.reach = options.reach ?? 1.5;
+        this.damage = options.damage ?? 3;
+        // Seconds between hits
+        this.cooldown = options.cooldown ?? 1;
+    }
+
+    canStart(mob, ctx) {
+        return mob.nearestPlayer(ctx, this.range) !== null;
+    }
+
+    start(mob) {
+        mob.memory.nextAttack = mob.age;
+    }
+
+    tick(mob, ctx) {
+        const target = mob.nearestPlayer(ctx, this.range);
+        if (!target) return;
+        mob.lookAt(target.position);
+
+        if (mob.distanceTo(target) > this.reach) {
+            mob.moveTowards(target.position, this.speed * mob.speed);
+            return;
+        }
+
+        mob.stopMoving();
+        if (mob.age >= mob.memory.nextAttack) {
+            target.damage(this.damage, mob);
+            mob.memory.nextAttack = mob.age + this.cooldown;
+        }
+    }
+}
+
+/* ---------------- MOBS ---------------- */
+
+export class Mob extends Entity {
+    constructor(type, options = {}) {
+        super({
+            ...options,
+            width: type.width,
+            height: type.height,
+            maxHealth: type.maxHealth
+        });
+        this.type = type;
+        this.speed = type.speed;
+        this.persistent = options.persistent ?? type.persistent;
+
+        this.behaviours = type.behaviours().sort((a, b) => b.priority - a.priority);
+        this.behaviour = null;
+
+        // Scratch space for behaviours
+        this.memory = {};
+
+        // Seconds since a player was last within the random despawn range
+        this.noPlayerTime = 0;
+    }
+
+    get hostile() {
+        return this.type.hostile;
+    }
+
+    nearestPlayer(ctx, range = Infinity, filter = null) {
+        let best = null;
+        let bestDist = range;
+        for (const player of ctx.players || []) {
+            if (player.dead) continue;
+            if (filter && !filter(player)) continue;
+            const d = this.distanceTo(player);
+            if (d <= bestDist) {
+                best = player;
+                bestDist = d;
+            }
+        }
+        return best;
+    }
+
+    lookAt(target) {
+        this.yaw = Math.atan2(target[0] - this.position[0], target[2] - this.position[2]);
+    }
+
+    moveTowards(target, speed) {
+        const dx = target[0] - this.position[0];
+        const dz = target[2] - this.position[2];
+        const len = Math.hypot(dx, dz);
+        if (len < 1e-6) {
+            this.stopMoving();
+            return;
+        }
+        this.velocity[0] = (dx / len) * speed;
+        this.velocity[2] = (dz / len) * speed;
+        this.lookAt(target);
+    }
+
+    stopMoving() {
+        this.velocity[0] = 0;
+        this.velocity[2] = 0;
+    }
+
+    selectBehaviour(ctx) {
+        const current = this.behaviour;
+        const keep = current && current.shouldContinue(this, ctx);
+
+        for (const b of this.behaviours) {
+            if (keep && b.priority <= current.priority) break;
+            if (b === current) continue;
+            if (b.canStart(this, ctx)) {
+                if (current) current.stop(this, ctx);
+                this.behaviour = b;
+                b.start(this, ctx);
+                return;
+            }
+        }
+
+        if (!keep && current) {
+            current.stop(this, ctx);
+            this.behaviour = null;
+        }
+    }
+
+    update(ctx) {
+        if (!this.dead) {
+            this.selectBehaviour(ctx);
+            if (this.behaviour) this.behaviour.tick(this, ctx);
+        }
+        super.update(ctx);
+    }
+}
+
+export class MobType {
+    constructor(name, props = {}) {
+        this.id = namespaced(name);
+        this.maxHealth = props.maxHealth ?? 10;
+        this.width = props.width ?? 0.9;
+        this.height = props.height ?? 0.9;
+        // Blocks per second at behaviour speed 1
+        this.speed = props.speed ?? 1;
+        this.hostile = props.hostile ?? false;
+        this.persistent = props.persistent ?? !this.hostile;
+        this.behaviours = props.behaviours || (() => [new IdleBehaviour(), new WanderBehaviour()]);
+
+        // Spawn rules: light range at the spawn cell, blocks it may stand on
+        const spawn = props.spawn || {};
+        this.spawn = {
+            minLight: spawn.minLight ?? 0,
+            maxLight: spawn.maxLight ?? 15,
+            on: spawn.on ? spawn.on.map(namespaced) : null,
+            groupSize: spawn.groupSize ?? [1, 1]
+        };
+
+        // Drops on death, same format as block drops
+        this.drops = props.drops || [];
+    }
+
+    rollDrops(random = Math.random) {
+        return rollDrops(this.drops, random);
+    }
+}
+
+export class MobRegistry {
+    constructor() {
+        this.byId = new Map();
+    }
+
+    register(name, props = {}) {
+        const type = new MobType(name, props);
+        if (this.byId.has(type.id)) throw new Error(`Mob ${type.id} already registered`);
+        this.byId.set(type.id, type);
+        return type;
+    }
+
+    get(ref) {
+        if (ref instanceof MobType) return ref;
+        if (typeof ref !== "string") return null;
+        return this.byId.get(namespaced(ref)) || null;
+    }
+
+    all() {
+        return [...this.byId.values()];
+    }
+}
+
+export const mobTypes = new MobRegistry();
+
+/* ---------------- SPAWNING / DESPAWNING ---------------- */
+
+function lightAt(world, x, y, z) {
+    return world.getLight ? world.getLight(x, y, z) : 15;
+}
+
+// A mob can spawn with its feet in (x, y, z) if the cell and the cells its body
+// fills are free, the block below matches the type's rules, and the light fits.
+export function canSpawnAt(type, world, x, y, z) {
+    type = mobTypes.get(type);
+    const fx = Math.floor(x), fy = Math.floor(y), fz = Math.floor(z);
+
+    const ground = blocks.get(world.getBlock(fx, fy - 1, fz));
+    if (!ground || !ground.solid) return false;
+    if (type.spawn.on && !type.spawn.on.includes(ground.name)) return false;
+
+    for (let dy = 0; dy < Math.ceil(type.height); dy++) {
+        const cell = blocks.get(world.getBlock(fx, fy + dy, fz));
+        if (cell && (cell.solid || cell.liquid)) return false;
+    }
+
+    const light = lightAt(world, fx, fy, fz);
+    return light >= type.spawn.minLight && light <= type.spawn.maxLight;
+}
+
+export class MobManager {
+    constructor(options = {}) {
+        this.mobs = new Map();
+        this.maxMobs = options.maxMobs ?? 70;
+
+        // Mobs further than this from every player are removed at once
+        this.despawnDistance = options.despawnDistance ?? 128;
+        // Past this distance, non-persistent mobs may despawn at random
+        this.randomDespawnDistance = options.randomDespawnDistance ?? 32;
+        // ...once they have been out of range this long, with this chance per tick
+        this.randomDespawnDelay = options.randomDespawnDelay ?? 30;
+        this.randomDespawnChance = options.randomDespawnChance ?? 1 / 800;
+
+        // onDeath(mob, drops): after a mob died and its drops were handed out
+        this.onDeath = options.onDeath || null;
+    }
+
+    get count() {
+        return this.mobs.size;
+    }
+
+    spawn(type, position, options = {}) {
+        const mobType = mobTypes.get(type);
+        if (!mobType) throw new Error(`Unknown mob: ${type}`);
+        const mob = new Mob(mobType, { ...options, position });
+        this.mobs.set(mob.id, mob);
+        return mob;
+    }
+
+    remove(mob) {
+        return this.mobs.delete(mob.id);
+    }
+
+    // Tries to spawn one group of `type` around (x, z), scanning down from y
+    // for a valid floor. Returns the mobs that were spawned.
+    trySpawn(type, world, x, y, z, random = Math.random) {
+        const mobType = mobTypes.get(type);
+        const spawned = [];
+        for (let dy = 0; dy < 32; dy++) {
+            if (!canSpawnAt(mobType, world, x, y - dy, z)) continue;
+
+            const [min, max] = mobType.spawn.groupSize;
+            const size = min + Math.floor(random() * (max - min + 1));
+            for (let i = 0; i < size && this.count < this.maxMobs; i++) {
+                const px = Math.floor(x) + (i === 0 ? 0 : Math.floor(random() * 5) - 2);
+                const pz = Math.floor(z) + (i === 0 ? 0 : Math.floor(random() * 5) - 2);
+                if (i > 0 && !canSpawnAt(mobType, world, px, y - dy, pz)) continue;
+                spawned.push(this.spawn(mobType, [px + 0.5, Math.floor(y - dy), pz + 0.5]));
+            }
+            break;
+        }
+        return spawned;
+    }
+
+    // Picks a random spot 24..radius blocks from a random player and tries a
+    // random mob type there
+    spawnCycle(ctx, radius = 64) {
+        const players = (ctx.players || []).filter((p) => !p.dead);
+        if (players.length === 0 || this.count >= this.maxMobs) return [];
+
+        const random = ctx.random;
+        const player = players[Math.floor(random() * players.length)];
+        const angle = random() * Math.PI * 2;
+        const dist = 24 + random() * (radius - 24);
+        const x = player.position[0] + Math.cos(angle) * dist;
+        const z = player.position[2] + Math.sin(angle) * dist;
+        const types = mobTypes.all();
+        const type = types[Math.floor(random() * types.length)];
+        return this.trySpawn(type, ctx.world, x, player.position[1] + 16, z, random);
+    }
+
+    shouldDespawn(mob, ctx) {
+        if (mob.persistent) return false;
+        const players = (ctx.players || []).filter((p) => !p.dead);
+        if (players.length === 0) return false;
+
+        const nearest = Math.min(...players.map((p) => mob.distanceTo(p)));
+        if (nearest > this.despawnDistance) return true;
+
+        if (nearest > this.randomDespawnDistance) mob.noPlayerTime += ctx.dt;
+        else mob.noPlayerTime = 0;
+
+        return mob.noPlayerTime > this.randomDespawnDelay && ctx.random() < this.randomDespawnChance;
+    }
+
+    // Rolls the dead mob's drops and gives them to the player who killed it,
+    // if that player has an inventory. Returns the drops.
+    dropLoot(mob, random = Math.random) {
+        const drops = mob.type.rollDrops(random);
+        const killer = mob.lastHurtBy;
+        if (killer && killer.inventory) {
+            for (const drop of drops) {
+                if (items.has(drop.item)) killer.inventory.add(new ItemStack(drop.item, drop.count));
+            }
+        }
+        if (this.onDeath) this.onDeath(mob, drops);
+        return drops;
+    }
+
+    tick(ctx) {
+        for (const mob of [...this.mobs.values()]) {
+            mob.savePrevious();
+            mob.update(ctx);
+            if (mob.dead) {
+                this.dropLoot(mob, ctx.random);
+                this.remove(mob);
+            } else if (this.shouldDespawn(mob, ctx)) {
+                this.remove(mob);
+            }
+        }
+    }
+}
+
+/* ---------------- DEFAULT MOBS ---------------- */
+
+const passive = (lure) => () => [
+    new IdleBehaviour(0),
+    new WanderBehaviour(1),
+    new FollowPlayerBehaviour(2, { lure }),
+    new FleeBehaviour(3)
+];
+
+const hostile = (options = {}) => () => [
+    new IdleBehaviour(0),
+    new WanderBehaviour(1, { chance: 0.01 }),
+    new AttackBehaviour(4, options)
+];
+
+const ANIMAL_SPAWN = { minLight: 9, on: ["grass_block"], groupSize: [2, 4] };
+const MONSTER_SPAWN = { maxLight: 7 };
+
+mobTypes.register("pig", { maxHealth: 10, speed: 1, behaviours: passive("carrot"), spawn: ANIMAL_SPAWN, drops: [{ item: "porkchop", count: [1, 3] }] });
+mobTypes.register("cow", { maxHealth: 10, height: 1.4, speed: 1, behaviours: passive("wheat"), spawn: ANIMAL_SPAWN, drops: [{ item: "beef", count: [1, 3] }] });
+mobTypes.register("sheep", { maxHealth: 8, height: 1.3, speed: 1, behaviours: passive("wheat"), spawn: ANIMAL_SPAWN, drops: [{ item: "white_wool", count: 1 }] });
+mobTypes.register("chicken", { maxHealth: 4, width: 0.4, height: 0.7, speed: 1, behaviours: passive("wheat_seeds"), spawn: ANIMAL_SPAWN, drops: [{ item: "feather", count: [0, 2] }] });
+
+mobTypes.register("zombie", { maxHealth: 20, width: 0.6, height: 1.95, speed: 1.2, hostile: true, behaviours: hostile({ damage: 3 }), spawn: MONSTER_SPAWN, drops: [{ item: "rotten_flesh", count: [0, 2] }] });
+mobTypes.register("skeleton", { maxHealth: 20, width: 0.6, height: 1.99, speed: 1.2, hostile: true, behaviours: hostile({ damage: 2, reach: 8, cooldown: 2 }), spawn: MONSTER_SPAWN, drops: [{ item: "bone", count: [0, 2] }] });
+mobTypes.register("spider", { maxHealth: 16, width: 1.4, height: 0.9, speed: 1.5, hostile: true, behaviours: hostile({ damage: 2 }), spawn: MONSTER_SPAWN, drops: [{ item: "string", count: [0, 2] }] });
@@ -0,0 +1,189 @@
+// Seeded noise and random helpers for world generation.
+//
+// Everything here is a pure function of its seed: the same seed always gives
+// the same numbers, on every machine, so generated chunks are reproducible.
+//
+// Usage example:
+// const seed = hashSeed('my world');
+// const noise = new SimplexNoise(seed);
+// noise.fbm2(x * 0.01, z * 0.01, 4); // roughly -1..1
+
+// Turns text or a number into a 32-bit unsigned seed. Integer strings are used
+// as numbers so "12345" and 12345 give the same world.
+export function hashSeed(seed) {
+    if (typeof seed === "number" && Number.isFinite(seed)) return seed >>> 0;
+    const text = String(seed).trim();
+    if (/^-?\d+$/.test(text)) return Number(BigInt.asUintN(32, BigInt(text)));
+
+    // FNV-1a
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+// Small fast PRNG; returns a function producing floats in [0, 1)
+export function mulberry32(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Hash of a seed and integer coordinates to [0, 1); stateless, so the result
+// does not depend on the order things are generated in
+export function hashCoords(seed, x, y = 0, z = 0) {
+    let h = seed >>> 0;
+    h = Math.imul(h ^ (x | 0), 0x27d4eb2d);
+    h = Math.imul(h ^ (h >>> 15) ^ (y | 0), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13) ^ (z | 0), 0xc2b2ae35);
+    h ^= h >>> 16;
+    return (h >>> 0) / 4294967296;
+}
+
+const GRAD3 = [
+    [1, 1, 0], [-1, 1, 0], [1, -1, 0], [-1, -1, 0],
+    [1, 0, 1], [-1, 0, 1], [1, 0, -1], [-1, 0, -1],
+    [0, 1, 1], [0, -1, 1], [0, 1, -1], [0, -1, -1]
+];
+
+const F2 = 0.5 * (Math.sqrt(3) - 1);
+const G2 = (3 - Math.sqrt(3)) / 6;
+const F3 = 1 / 3;
+const G3 = 1 / 6;
+
+// Simplex noise (Gustavson) with a seeded permutation table
+export class SimplexNoise {
+    constructor(seed) {
+        const random = mulberry32(hashSeed(seed));
+        const p = new Uint8Array(256);
+        for (let i = 0; i < 256; i++) p[i] = i;
+        for (let i = 255; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            const t = p[i]; p[i] = p[j]; p[j] = t;
+        }
+
+        this.perm = new Uint8Array(512);
+        this.permMod12 = new Uint8Array(512);
+        for (let i = 0; i < 512; i++) {
+            this.perm[i] = p[i & 255];
+            this.permMod12[i] = this.perm[i] % 12;
+        }
+    }
+
+    noise2(xin, yin) {
+        const perm = this.perm, permMod12 = this.permMod12;
+        const s = (xin + yin) * F2;
+        const i = Math.floor(xin + s);
+        const j = Math.floor(yin + s);
+        const t = (i + j) * G2;
+        const x0 = xin - (i - t);
+        const y0 = yin - (j - t);
+
+        const i1 = x0 > y0 ? 1 : 0;
+        const j1 = x0 > y0 ? 0 : 1;
+
+        const x1 = x0 - i1 + G2, y1 = y0 - j1 + G2;
+        const x2 = x0 - 1 + 2 * G2, y2 = y0 - 1 + 2 * G2;
+
+        const ii = i & 255, jj = j & 255;
+        let n = 0;
+
+        let t0 = 0.5 - x0 * x0 - y0 * y0;
+        if (t0 > 0) {
+            const g = GRAD3[permMod12[ii + perm[jj]]];
+            t0 *= t0;
+            n += t0 * t0 * (g[0] * x0 + g[1] * y0);
+        }
+        let t1 = 0.5 - x1 * x1 - y1 * y1;
+        if (t1 > 0) {
+            const g = GRAD3[permMod12[ii + i1 + perm[jj + j1]]];
+            t1 *= t1;
+            n += t1 * t1 * (g[0] * x1 + g[1] * y1);
+        }
+        let t2 = 0.5 - x2 * x2 - y2 * y2;
+        if (t2 > 0) {
+            const g = GRAD3[permMod12[ii + 1 + perm[jj + 1]]];
+            t2 *= t2;
+            n += t2 * t2 * (g[0] * x2 + g[1] * y2);
+        }
+
+        // Scale to roughly -1..1
+        return 70 * n;
+    }
+
+    noise3(xin, yin, zin) {
+        const perm = this.perm, permMod12 = this.permMod12;
+        const s = (xin + yin + zin) * F3;
+        const i = Math.floor(xin + s);
+        const j = Math.floor(yin + s);
+        const k = Math.floor(zin + s);
+        const t = (i + j + k) * G3;
+        const x0 = xin - (i - t);
+        const y0 = yin - (j - t);
+        const z0 = zin - (k - t);
+
+        let i1, j1, k1, i2, j2, k2;
+        if (x0 >= y0) {
+            if (y0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+            else if (x0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 0; k2 = 1; }
+            else { i1 = 0; j1 = 0; k1 = 1; i2 = 1; j2 = 0; k2 = 1; }
+        } else {
+            if (y0 < z0) { i1 = 0; j1 = 0; k1 = 1; i2 = 0; j2 = 1; k2 = 1; }
+            else if (x0 < z0) { i1 = 0; j1 = 1; k1 = 0; i2 = 0; j2 = 1; k2 = 1; }
+            else { i1 = 0; j1 = 1; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+        }
+
+        const x1 = x0 - i1 + G3, y1 = y0 - j1 + G3, z1 = z0 - k1 + G3;
+        const x2 = x0 - i2 + 2 * G3, y2 = y0 - j2 + 2 * G3, z2 = z0 - k2 + 2 * G3;
+        const x3 = x0 - 1 + 3 * G3, y3 = y0 - 1 + 3 * G3, z3 = z0 - 1 + 3 * G3;
+
+        const ii = i & 255, jj = j & 255, kk = k & 255;
+        const corners = [
+            [x0, y0, z0, permMod12[ii + perm[jj + perm[kk]]]],
+            [x1, y1, z1, permMod12[ii + i1 + perm[jj + j1 + perm[kk + k1]]]],
+            [x2, y2, z2, permMod12[ii + i2 + perm[jj + j2 + perm[kk + k2]]]],
+            [x3, y3, z3, permMod12[ii + 1 + perm[jj + 1 + perm[kk + 1]]]]
+        ];
+
+        let n = 0;
+        for (const [x, y, z, gi] of corners) {
+            let tc = 0.6 - x * x - y * y - z * z;
+            if (tc <= 0) continue;
+            const g = GRAD3[gi];
+            tc *= tc;
+            n += tc * tc * (g[0] * x + g[1] * y + g[2] * z);
+        }
+
+        return 32 * n;
+    }
+
+    // Fractal sum of octaves, normalised back to roughly -1..1
+    fbm2(x, y, octaves = 4, lacunarity = 2, gain = 0.5) {
+        let sum = 0, amp = 1, freq = 1, norm = 0;
+        for (let o = 0; o < octaves; o++) {
+            sum += amp * this.noise2(x * freq, y * freq);
+            norm += amp;
+            amp *= gain;
+            freq *= lacunarity;
+        }
+        return sum / norm;
+    }
+
+    fbm3(x, y, z, octaves = 3, lacunarity = 2, gain = 0.5) {
+        let sum = 0, amp = 1, freq = 1, norm = 0;
+        for (let o = 0; o < octaves; o++) {
+            sum += amp * this.noise3(x * freq, y * freq, z * freq);
+            norm += amp;
+            amp *= gain;
+            freq *= lacunarity;
+        }
+        return sum / norm;
+    }
+}
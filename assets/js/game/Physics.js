@@ -0,0 +1,258 @@
+// Player physics: moves an entity's bounding box through the voxel world.
+//
+// Collision works on block boxes from a shape lookup, shapeAt(x, y, z), that
+// returns the collision height of the block in that cell (0 = pass through,
+// 1 = full block, 0.5 = slab...). Moves are resolved one axis at a time
+// (Y, then X, then Z) against every box in the swept region, the same way
+// Minecraft does it, so sliding along walls comes for free.
+//
+// The lookup is all the world this module needs, so it runs in Node without
+// WebGL. createShapeLookup(world) builds one from a World and Block.js.
+//
+// Usage example:
+// const player = new Entity({ position: [0, 70, 0], width: 0.6, height: 1.8 });
+// const physics = new PlayerPhysics(player, createShapeLookup(world), { isLiquid });
+// physics.step({ forward: 1, strafe: 0, jump: false, yaw: camera.yaw }, 0.05);
+// controls.attachTo(player); // camera rides on the player
+
+import { blocks } from "./Block.js";
+
+// Blocks per second (squared); tuned to Minecraft's per-tick values at 20 TPS
+export const GRAVITY = 32;
+export const TERMINAL_VELOCITY = 78.4;
+export const JUMP_VELOCITY = 10;
+export const WALK_SPEED = 4.317;
+export const SPRINT_SPEED = 5.612;
+export const SNEAK_SPEED = 1.31;
+export const FLY_SPEED = 10.92;
+export const SWIM_SPEED = 2.2;
+
+// Ledges up to this height are climbed without jumping
+export const STEP_HEIGHT = 0.6;
+
+const EPSILON = 1e-7;
+
+export function createShapeLookup(world) {
+    return (x, y, z) => {
+        const block = blocks.get(world.getBlock(x, y, z));
+        return block && block.solid ? block.height : 0;
+    };
+}
+
+export function createLiquidLookup(world) {
+    return (x, y, z) => {
+        const block = blocks.get(world.getBlock(x, y, z));
+        return !!block && block.liquid;
+    };
+}
+
+function offsetBox(box, dx, dy, dz) {
+    return {
+        minX: box.minX + dx, minY: box.minY + dy, minZ: box.minZ + dz,
+        maxX: box.maxX + dx, maxY: box.maxY + dy, maxZ: box.maxZ + dz
+    };
+}
+
+// Collision boxes of every block touching the box swept by (dx, dy, dz)
+export function collectBoxes(box, dx, dy, dz, shapeAt) {
+    const x0 = Math.floor(Math.min(box.minX, box.minX + dx));
+    const y0 = Math.floor(Math.min(box.minY, box.minY + dy)) - 1;
+    const z0 = Math.floor(Math.min(box.minZ, box.minZ + dz));
+    const x1 = Math.floor(Math.max(box.maxX, box.maxX + dx));
+    const y1 = Math.floor(Math.max(box.maxY, box.maxY + dy));
+    const z1 = Math.floor(Math.max(box.maxZ, box.maxZ + dz));
+
+    const boxes = [];
+    for (let y = y0; y <= y1; y++) {
+        for (let z = z0; z <= z1; z++) {
+            for (let x = x0; x <= x1; x++) {
+                const h = shapeAt(x, y, z);
+                if (h > 0) boxes.push({ minX: x, minY: y, minZ: z, maxX: x + 1, maxY: y + h, maxZ: z + 1 });
+            }
+        }
+    }
+    return boxes;
+}
+
+const AXES = {
+    x: ["minX", "maxX", "minY", "maxY", "minZ", "maxZ"],
+    y: ["minY", "maxY", "minX", "maxX", "minZ", "maxZ"],
+    z: ["minZ", "maxZ", "minX", "maxX", "minY", "maxY"]
+};
+
+// Shortens `delta` along one axis so `box` stops at the first box in the way
+export function clipAxis(axis, box, boxes, delta) {
+    if (delta === 0) return 0;
+    const [min, max, aMin, aMax, bMin, bMax] = AXES[axis];
+    for (const b of boxes) {
+        // Only boxes overlapping on the other two axes can block this one
+        if (b[aMax] <= box[aMin] + EPSILON || b[aMin] >= box[aMax] - EPSILON) continue;
+        if (b[bMax] <= box[bMin] + EPSILON || b[bMin] >= box[bMax] - EPSILON) continue;
+
+        if (delta > 0 && b[min] >= box[max] - EPSILON) {
+            delta = Math.min(delta, b[min] - box[max]);
+        } else if (delta < 0 && b[max] <= box[min] + EPSILON) {
+            delta = Math.max(delta, b[max] - box[min]);
+        }
+    }
+    return delta;
+}
+
+// Moves a box by (dx, dy, dz) as far as the world allows
+export function sweep(box, dx, dy, dz, shapeAt) {
+    const boxes = collectBoxes(box, dx, dy, dz, shapeAt);
+
+    const my = clipAxis("y", box, boxes, dy);
+    box = offsetBox(box, 0, my, 0);
+    const mx = clipAxis("x", box, boxes, dx);
+    box = offsetBox(box, mx, 0, 0);
+    const mz = clipAxis("z", box, boxes, dz);
+    box = offsetBox(box, 0, 0, mz);
+
+    return { box, dx: mx, dy: my, dz: mz };
+}
+
+function isColliding(box, shapeAt) {
+    const boxes = collectBoxes(box, 0, 0, 0, shapeAt);
+    return boxes.some((b) =>
+        b.maxX > box.minX + EPSILON && b.minX < box.maxX - EPSILON &&
+        b.maxY > box.minY + EPSILON && b.minY < box.maxY - EPSILON &&
+        b.maxZ > box.minZ + EPSILON && b.minZ < box.maxZ - EPSILON
+    );
+}
+
+export class PlayerPhysics {
+    constructor(entity, shapeAt, options = {}) {
+        this.entity = entity;
+        this.shapeAt = shapeAt;
+        this.isLiquid = options.isLiquid || (() => false);
+
+        this.stepHeight = options.stepHeight ?? STEP_HEIGHT;
+        this.flying = options.flying ?? false;
+        this.sneaking = false;
+        this.sprinting = false;
+        this.inWater = false;
+
+        // Set when the last step bumped into something horizontally
+        this.collidedHorizontally = false;
+    }
+
+    // Whether any liquid block overlaps the entity's box
+    checkInWater() {
+        const box = this.entity.getBoundingBox();
+        for (let y = Math.floor(box.minY); y <= Math.floor(box.maxY - EPSILON); y++) {
+            for (let z = Math.floor(box.minZ); z <= Math.floor(box.maxZ - EPSILON); z++) {
+                for (let x = Math.floor(box.minX); x <= Math.floor(box.maxX - EPSILON); x++) {
+                    if (this.isLiquid(x, y, z)) return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    // input: { forward, strafe, up, jump, sneak, sprint, yaw }; forward/strafe/up in -1..1
+    step(input, dt) {
+        const e = this.entity;
+        const v = e.velocity;
+        e.savePrevious();
+
+        this.inWater = this.checkInWater();
+        this.sneaking = !!input.sneak && !this.flying;
+        this.sprinting = !!input.sprint && !this.sneaking && (input.forward || 0) > 0;
+
+        // Horizontal wish direction on the ground plane
+        let forward = input.forward || 0;
+        let strafe = input.strafe || 0;
+        const len = Math.hypot(forward, strafe);
+        if (len > 1) { forward /= len; strafe /= len; }
+
+        let speed = WALK_SPEED;
+        if (this.flying) speed = FLY_SPEED;
+        else if (this.inWater) speed = SWIM_SPEED;
+        else if (this.sneaking) speed = SNEAK_SPEED;
+        else if (this.sprinting) speed = SPRINT_SPEED;
+
+        const yaw = input.yaw || 0;
+        const sy = Math.sin(yaw), cy = Math.cos(yaw);
+        const wishX = (-sy * forward + cy * strafe) * speed;
+        const wishZ = (-cy * forward - sy * strafe) * speed;
+
+        // Approach the wish velocity quickly on the ground, slowly in the air
+        const control = this.flying || e.onGround ? 20 : (this.inWater ? 8 : 2);
+        const k = Math.min(1, control * dt);
+        v[0] += (wishX - v[0]) * k;
+        v[2] += (wishZ - v[2]) * k;
+
+        if (this.flying) {
+            const up = input.up ?? ((input.jump ? 1 : 0) - (input.sneak ? 1 : 0));
+            v[1] += (up * FLY_SPEED - v[1]) * Math.min(1, 20 * dt);
+        } else if (this.inWater) {
+            // Buoyancy and drag: sink slowly, swim up while jump is held
+            v[1] -= GRAVITY * 0.25 * dt;
+            v[1] *= Math.pow(0.2, dt * 4);
+            if (input.jump) v[1] = Math.max(v[1], SWIM_SPEED * 1.5);
+        } else {
+            if (input.jump && e.onGround) v[1] = JUMP_VELOCITY;
+            v[1] = Math.max(-TERMINAL_VELOCITY, v[1] - GRAVITY * dt);
+        }
+
+        this.move(v[0] * dt, v[1] * dt, v[2] * dt);
+    }
+
+    move(dx, dy, dz) {
+        const e = this.entity;
+        const box = e.getBoundingBox();
+        const wasOnGround = e.onGround;
+
+        // Sneaking never walks off an edge: shrink the move until there is
+        // still ground under the box
+        if (this.sneaking && wasOnGround) {
+            const inc = 0.05;
+            const hasGround = (ox, oz) => isColliding(offsetBox(box, ox, -this.stepHeight, oz), this.shapeAt);
+            while (dx !== 0 && !hasGround(dx, 0)) dx = Math.abs(dx) < inc ? 0 : dx - Math.sign(dx) * inc;
+            while (dz !== 0 && !hasGround(0, dz)) dz = Math.abs(dz) < inc ? 0 : dz - Math.sign(dz) * inc;
+            while (dx !== 0 && dz !== 0 && !hasGround(dx, dz)) {
+                dx = Math.abs(dx) < inc ? 0 : dx - Math.sign(dx) * inc;
+                dz = Math.abs(dz) < inc ? 0 : dz - Math.sign(dz) * inc;
+            }
+        }
+
+        let result = sweep(box, dx, dy, dz, this.shapeAt);
+        let stepped = false;
+
+        // Step up: if we hit a wall while grounded, retry the move lifted by
+        // stepHeight and settle back down; keep it if it got us further
+        const blockedH = result.dx !== dx || result.dz !== dz;
+        const grounded = wasOnGround || (dy < 0 && result.dy !== dy);
+        if (blockedH && grounded && this.stepHeight > 0 && !this.flying) {
+            const up = sweep(box, 0, this.stepHeight, 0, this.shapeAt);
+            const across = sweep(up.box, dx, 0, dz, this.shapeAt);
+            const down = sweep(across.box, 0, -up.dy + Math.min(dy, 0), 0, this.shapeAt);
+            const before = result.dx * result.dx + result.dz * result.dz;
+            const after = across.dx * across.dx + across.dz * across.dz;
+            if (after > before + EPSILON) {
+                result = {
+                    box: down.box,
+                    dx: across.dx,
+                    dy: down.box.minY - box.minY,
+                    dz: across.dz
+                };
+                dy = result.dy;
+                stepped = true;
+            }
+        }
+
+        const p = e.position;
+        p[0] = (result.box.minX + result.box.maxX) / 2;
+        p[1] = result.box.minY;
+        p[2] = (result.box.minZ + result.box.maxZ) / 2;
+
+        this.collidedHorizontally = result.dx !== dx || result.dz !== dz;
+        if (result.dx !== dx) e.velocity[0] = 0;
+        if (result.dz !== dz) e.velocity[2] = 0;
+
+        const hitY = result.dy !== dy;
+        e.onGround = stepped || (hitY && dy < 0);
+        if (hitY) e.velocity[1] = 0;
+    }
+}
@@ -0,0 +1,66 @@
+// Voxel raycasting (Amanatides & Woo DDA).
+//
+// Walks the grid cells a ray passes through, in order, and stops at the first
+// cell accepted by isHit(x, y, z). Besides the hit cell it reports the face
+// that was entered (as a normal) and the empty cell in front of that face,
+// which is where a block would be placed.
+//
+// Usage example:
+// const hit = raycast(camera.position, camera.getForward(), 5, (x, y, z) => world.getBlock(x, y, z) !== 0);
+// if (hit) world.setBlock(...hit.place, blockId);
+
+export function raycast(origin, direction, maxDistance, isHit) {
+    const len = Math.hypot(direction[0], direction[1], direction[2]);
+    if (len === 0) return null;
+    const dir = [direction[0] / len, direction[1] / len, direction[2] / len];
+
+    const cell = [Math.floor(origin[0]), Math.floor(origin[1]), Math.floor(origin[2])];
+    const step = [0, 0, 0];
+    // Distance along the ray to the next boundary on each axis, and between boundaries
+    const tMax = [Infinity, Infinity, Infinity];
+    const tDelta = [Infinity, Infinity, Infinity];
+
+    for (let i = 0; i < 3; i++) {
+        if (dir[i] > 0) {
+            step[i] = 1;
+            tDelta[i] = 1 / dir[i];
+            tMax[i] = (cell[i] + 1 - origin[i]) / dir[i];
+        } else if (dir[i] < 0) {
+            step[i] = -1;
+            tDelta[i] = -1 / dir[i];
+            tMax[i] = (origin[i] - cell[i]) / -dir[i];
+        }
+    }
+
+    let normal = [0, 0, 0];
+    let distance = 0;
+
+    while (distance <= maxDistance) {
+        if (isHit(cell[0], cell[1], cell[2])) {
+            return {
+                position: [...cell],
+                normal,
+                place: [cell[0] + normal[0], cell[1] + normal[1], cell[2] + normal[2]],
+                distance,
+                point: [
+                    origin[0] + dir[0] * distance,
+                    origin[1] + dir[1] * distance,
+                    origin[2] + dir[2] * distance
+                ]
+            };
+        }
+
+        // Advance along whichever axis reaches its next boundary first
+        let axis = 0;
+        if (tMax[1] < tMax[axis]) axis = 1;
+        if (tMax[2] < tMax[axis]) axis = 2;
+
+        distance = tMax[axis];
+        cell[axis] += step[axis];
+        tMax[axis] += tDelta[axis];
+        normal = [0, 0, 0];
+        normal[axis] = -step[axis];
+    }
+
+    return null;
+}
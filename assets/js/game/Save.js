@@ -0,0 +1,696 @@
+// World persistence: binary chunk format, region files and IndexedDB storage.
+//
+// Chunks are stored as a palette of block names plus bit-packed palette
+// indices (so a chunk of stone and air needs 1 bit per block, and saves keep
+// working when block IDs are renumbered), deflated when the browser supports
+// CompressionStream. Chunks are grouped into 32x32 regions; a region is one
+// record in IndexedDB and the unit that is read and written.
+//
+// Only chunks that were edited are saved, everything else is regenerated from
+// the seed. WorldSave tracks edits through chunk.modified, saves chunks as
+// they unload and writes dirty regions on save() / autosave.
+//
+// A whole world (metadata and all regions) can be exported to one file and
+// imported again as a new world, and copied, renamed or deleted in place.
+//
+// Usage example:
+// const storage = new IndexedDBStorage();
+// const save = await WorldSave.create(storage, { name: "My world", seed: hashSeed("abc"), worldType: "flat" });
+// save.attach(world);
+// await save.prefetch(player.position[0], player.position[2], world.renderDistance);
+// save.beforeSave = () => {
+//     save.setPlayer(player, inventory);
+//     save.setClock(clock);
+// };
+// save.startAutosave();
+// await save.save();
+// downloadWorld(storage, save.meta.id);
+
+import { CHUNK_VOLUME } from "./Chunk.js";
+import { World } from "./World.js";
+import { blocks } from "./Block.js";
+
+export const SAVE_VERSION = 1;
+export const REGION_SIZE = 32;
+export const AUTOSAVE_INTERVAL = 30000;
+
+const REGION_MAGIC = 0x3152434d; // "MCR1"
+const EXPORT_MAGIC = 0x3157434d; // "MCW1"
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/* ---- Chunks ---- */
+
+// Layout: u8 version, u16 palette length, palette (u8 length + UTF-8 block
+// name each), u8 bits per entry, then u32 words. Entries never straddle a
+// word, so a word holds floor(32 / bits) of them. A single-entry palette has
+// 0 bits and no words.
+export function encodeChunk(chunk) {
+    const ids = [];
+    const paletteIndex = new Map();
+    const indices = new Uint16Array(CHUNK_VOLUME);
+    for (let i = 0; i < CHUNK_VOLUME; i++) {
+        const id = chunk.blocks[i];
+        let p = paletteIndex.get(id);
+        if (p === undefined) {
+            p = ids.length;
+            paletteIndex.set(id, p);
+            ids.push(id);
+        }
+        indices[i] = p;
+    }
+
+    const names = ids.map((id) => {
+        const block = blocks.get(id);
+        return encoder.encode(block ? block.name : "minecraft:air");
+    });
+    const bits = ids.length > 1 ? Math.ceil(Math.log2(ids.length)) : 0;
+    const perWord = bits ? Math.floor(32 / bits) : 0;
+    const wordCount = bits ? Math.ceil(CHUNK_VOLUME / perWord) : 0;
+
+    const headerSize = 1 + 2 + names.reduce((sum, n) => sum + 1 + n.length, 0) + 1;
+    const bytes = new Uint8Array(headerSize + wordCount * 4);
+    const view = new DataView(bytes.buffer);
+    let offset = 0;
+    view.setUint8(offset++, SAVE_VERSION);
+    view.setUint16(offset, names.length, true);
+    offset += 2;
+    for (const name of names) {
+        view.setUint8(offset++, name.length);
+        bytes.set(name, offset);
+        offset += name.length;
+    }
+    view.setUint8(offset++, bits);
+
+    for (let w = 0; w < wordCount; w++) {
+        let word = 0;
+        const start = w * perWord;
+        const end = Math.min(start + perWord, CHUNK_VOLUME);
+        for (let i = start; i < end; i++) word |= indices[i] << ((i - start) * bits);
+        view.setUint32(offset, word >>> 0, true);
+        offset += 4;
+    }
+    return bytes;
+}
+
+// Fills chunk.blocks from encoded bytes; unknown block names become air
+export function decodeChunk(bytes, chunk) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 0;
+    const version = view.getUint8(offset++);
+    if (version > SAVE_VERSION) throw new Error(`Unsupported chunk version ${version}`);
+
+    const paletteLength = view.getUint16(offset, true);
+    offset += 2;
+    const palette = new Uint16Array(paletteLength);
+    for (let p = 0; p < paletteLength; p++) {
+        const length = view.getUint8(offset++);
+        const name = decoder.decode(bytes.subarray(offset, offset + length));
+        offset += length;
+        const block = blocks.get(name);
+        palette[p] = block ? block.id : 0;
+    }
+
+    const bits = view.getUint8(offset++);
+    if (bits === 0) {
+        chunk.blocks.fill(palette[0] || 0);
+    } else {
+        const perWord = Math.floor(32 / bits);
+        const mask = (1 << bits) - 1;
+        for (let i = 0; i < CHUNK_VOLUME; i++) {
+            const word = view.getUint32(offset + Math.floor(i / perWord) * 4, true);
+            chunk.blocks[i] = palette[(word >>> ((i % perWord) * bits)) & mask] || 0;
+        }
+    }
+
+    chunk.dirty = true;
+    chunk.modified = false;
+    return chunk;
+}
+
+/* ---- Compression ---- */
+
+async function pipeBytes(bytes, stream) {
+    const out = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(out).arrayBuffer());
+}
+
+// A leading byte records whether the payload is deflated (1) or raw (0), so
+// saves stay readable in browsers without CompressionStream
+export async function compress(bytes) {
+    const deflate = typeof CompressionStream !== "undefined";
+    const payload = deflate ? await pipeBytes(bytes, new CompressionStream("deflate")) : bytes;
+    const out = new Uint8Array(payload.length + 1);
+    out[0] = deflate ? 1 : 0;
+    out.set(payload, 1);
+    return out;
+}
+
+export async function decompress(bytes) {
+    const payload = bytes.subarray(1);
+    if (bytes[0] === 0) return payload;
+    if (typeof DecompressionStream === "undefined") {
+        throw new Error("This browser cannot read compressed saves");
+    }
+    return pipeBytes(payload, new DecompressionStream("deflate"));
+}
+
+/* ---- Regions ---- */
+
+export function toRegionCoord(c) {
+    return Math.floor(c / REGION_SIZE);
+}
+
+// Index of a chunk inside its region (0..1023)
+export function regionIndex(cx, cz) {
+    const lx = cx - toRegionCoord(cx) * REGION_SIZE;
+    const lz = cz - toRegionCoord(cz) * REGION_SIZE;
+    return lx + lz * REGION_SIZE;
+}
+
+// entries: Map of region index -> compressed chunk bytes.
+// Layout: u32 magic, u16 count, then per chunk u16 index, u32 length, bytes.
+export function encodeRegion(entries) {
+    let size = 4 + 2;
+    for (const data of entries.values()) size += 2 + 4 + data.length;
+
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, REGION_MAGIC, true);
+    view.setUint16(4, entries.size, true);
+    let offset = 6;
+    for (const [index, data] of entries) {
+        view.setUint16(offset, index, true);
+        view.setUint32(offset + 2, data.length, true);
+        bytes.set(data, offset + 6);
+        offset += 6 + data.length;
+    }
+    return bytes;
+}
+
+export function decodeRegion(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (view.getUint32(0, true) !== REGION_MAGIC) throw new Error("Not a region file");
+
+    const entries = new Map();
+    const count = view.getUint16(4, true);
+    let offset = 6;
+    for (let i = 0; i < count; i++) {
+        const index = view.getUint16(offset, true);
+        const length = view.getUint32(offset + 2, true);
+        entries.set(index, bytes.slice(offset + 6, offset + 6 + length));
+        offset += 6 + length;
+    }
+    return entries;
+}
+
+/* ---- Storage backends ---- */
+
+function regionKey(worldId, rx, rz) {
+    return `${worldId}/${rx},${rz}`;
+}
+
+function parseRegionKey(key) {
+    const [rx, rz] = key.slice(key.lastIndexOf("/") + 1).split(",").map(Number);
+    return { rx, rz };
+}
+
+function request(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+// IndexedDB database with a "worlds" store (metadata, keyed by id) and a
+// "regions" store (region bytes, keyed "<worldId>/<rx>,<rz>")
+export class IndexedDBStorage {
+    constructor(name = "minecraft-worlds") {
+        this.name = name;
+        this.db = null;
+    }
+
+    open() {
+        if (this.db) return this.db;
+        const req = indexedDB.open(this.name, 1);
+        req.onupgradeneeded = () => {
+            const db = req.result;
+            if (!db.objectStoreNames.contains("worlds")) db.createObjectStore("worlds", { keyPath: "id" });
+            if (!db.objectStoreNames.contains("regions")) db.createObjectStore("regions");
+        };
+        this.db = request(req);
+        return this.db;
+    }
+
+    async store(name, mode = "readonly") {
+        const db = await this.open();
+        return db.transaction(name, mode).objectStore(name);
+    }
+
+    async getMeta(id) {
+        return (await request((await this.store("worlds")).get(id))) || null;
+    }
+
+    async putMeta(meta) {
+        await request((await this.store("worlds", "readwrite")).put(meta));
+    }
+
+    async listMeta() {
+        return request((await this.store("worlds")).getAll());
+    }
+
+    async getRegion(worldId, rx, rz) {
+        const data = await request((await this.store("regions")).get(regionKey(worldId, rx, rz)));
+        return data ? new Uint8Array(data) : null;
+    }
+
+    async putRegion(worldId, rx, rz, bytes) {
+        await request((await this.store("regions", "readwrite")).put(bytes, regionKey(worldId, rx, rz)));
+    }
+
+    async listRegions(worldId) {
+        const store = await this.store("regions");
+        const range = IDBKeyRange.bound(`${worldId}/`, `${worldId}/\uffff`);
+        const [keys, values] = await Promise.all([
+            request(store.getAllKeys(range)),
+            request(store.getAll(range))
+        ]);
+        return keys.map((key, i) => ({ ...parseRegionKey(key), data: new Uint8Array(values[i]) }));
+    }
+
+    async deleteWorld(id) {
+        const db = await this.open();
+        const tx = db.transaction(["worlds", "regions"], "readwrite");
+        tx.objectStore("worlds").delete(id);
+        tx.objectStore("regions").delete(IDBKeyRange.bound(`${id}/`, `${id}/\uffff`));
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+}
+
+// Same interface kept in memory; for worlds that should not persist
+export class MemoryStorage {
+    constructor() {
+        this.worlds = new Map();
+        this.regions = new Map();
+    }
+
+    async getMeta(id) {
+        const meta = this.worlds.get(id);
+        return meta ? structuredClone(meta) : null;
+    }
+
+    async putMeta(meta) {
+        this.worlds.set(meta.id, structuredClone(meta));
+    }
+
+    async listMeta() {
+        return [...this.worlds.values()].map((meta) => structuredClone(meta));
+    }
+
+    async getRegion(worldId, rx, rz) {
+        return this.regions.get(regionKey(worldId, rx, rz)) || null;
+    }
+
+    async putRegion(worldId, rx, rz, bytes) {
+        this.regions.set(regionKey(worldId, rx, rz), bytes);
+    }
+
+    async listRegions(worldId) {
+        const prefix = `${worldId}/`;
+        return [...this.regions]
+            .filter(([key]) => key.startsWith(prefix))
+            .map(([key, data]) => ({ ...parseRegionKey(key), data }));
+    }
+
+    async deleteWorld(id) {
+        this.worlds.delete(id);
+        for (const key of [...this.regions.keys()]) {
+            if (key.startsWith(`${id}/`)) this.regions.delete(key);
+        }
+    }
+}
+
+/* ---- Worlds ---- */
+
+export function createWorldId() {
+    if (globalThis.crypto && crypto.randomUUID) return crypto.randomUUID();
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+}
+
+export function createWorldMeta(options = {}) {
+    const now = Date.now();
+    return {
+        id: options.id || createWorldId(),
+        name: options.name || "New World",
+        version: SAVE_VERSION,
+        seed: options.seed ?? 0,
+        // Options chosen when the world was created; gameMode follows /gamemode
+        worldType: options.worldType || "default",
+        gameMode: options.gameMode || "survival",
+        cheats: options.cheats ?? false,
+        spawn: options.spawn || [0, 80, 0],
+        // World clock ticks (see Clock.js) and whether the cycle is stopped
+        time: options.time ?? 1000,
+        timeFrozen: options.timeFrozen ?? false,
+        created: now,
+        lastPlayed: now,
+        // Bytes of region data stored for the world
+        size: 0,
+        // { position, yaw, pitch, health, inventory } once the player has been saved
+        player: null
+    };
+}
+
+export class WorldSave {
+    constructor(storage, meta) {
+        this.storage = storage;
+        this.meta = meta;
+        this.world = null;
+
+        // "rx,rz" -> { chunks: Map(index -> { raw, packed }), loaded, promise, dirty, error }
+        // raw is the encoded chunk, packed its compressed form (null until saved)
+        this.regions = new Map();
+
+        this.saving = null;
+        this.autosaveTimer = null;
+        // Called as every save (autosaves too) starts, to store the player
+        // and clock state that only the game keeps up to date
+        this.beforeSave = null;
+        // Called once for every region that could not be read (storage
+        // failure, corrupt data); its chunks are generated instead
+        this.onRegionError = (err) => console.error(err.message);
+    }
+
+    static async create(storage, options = {}) {
+        const save = new WorldSave(storage, createWorldMeta(options));
+        await storage.putMeta(save.meta);
+        return save;
+    }
+
+    static async open(storage, id) {
+        const meta = await storage.getMeta(id);
+        if (!meta) throw new Error(`World "${id}" does not exist`);
+        if (meta.version > SAVE_VERSION) throw new Error(`World "${meta.name}" was saved by a newer version`);
+        meta.size ??= await worldSize(storage, id);
+        return new WorldSave(storage, meta);
+    }
+
+    // Saved chunks replace generated ones, and edited chunks are kept as they unload
+    attach(world) {
+        this.world = world;
+        const generator = world.generator;
+        world.generator = (chunk, w) => {
+            const region = this.region(toRegionCoord(chunk.cx), toRegionCoord(chunk.cz));
+            const entry = region.chunks.get(regionIndex(chunk.cx, chunk.cz));
+            // World lights the chunk after this returns, so no relight here
+            if (entry) decodeChunk(entry.raw, chunk);
+            else if (generator) generator(chunk, w);
+        };
+        world.onChunkUnload = (chunk) => {
+            if (chunk.modified) this.storeChunk(chunk);
+        };
+    }
+
+    detach() {
+        this.stopAutosave();
+        this.world = null;
+    }
+
+    // Region record, loading it from storage in the background the first time.
+    // Chunks stored before the load finishes win over the stored copies.
+    // region.promise never rejects: a region that cannot be read is loaded
+    // with its error set and reported through onRegionError.
+    region(rx, rz) {
+        const key = `${rx},${rz}`;
+        let region = this.regions.get(key);
+        if (region) return region;
+
+        // size: bytes of the region as stored, to keep meta.size up to date
+        region = { chunks: new Map(), loaded: false, promise: null, dirty: false, size: 0, error: null };
+        this.regions.set(key, region);
+        region.promise = this.readRegion(rx, rz).then(({ stored, size }) => {
+            region.size = size;
+            for (const [index, entry] of stored) {
+                if (!region.chunks.has(index)) region.chunks.set(index, entry);
+            }
+            region.loaded = true;
+            this.applyRegion(rx, rz, region);
+        }, (err) => {
+            region.loaded = true;
+            region.error = new Error(`Could not load region ${key} of "${this.meta.name}": ${err.message}`, { cause: err });
+            if (this.onRegionError) this.onRegionError(region.error, rx, rz);
+        });
+        return region;
+    }
+
+    async readRegion(rx, rz) {
+        const stored = new Map();
+        const bytes = await this.storage.getRegion(this.meta.id, rx, rz);
+        if (!bytes) return { stored, size: 0 };
+        for (const [index, packed] of decodeRegion(bytes)) {
+            stored.set(index, { raw: await decompress(packed), packed });
+        }
+        return { stored, size: bytes.length };
+    }
+
+    // Chunks generated while their region was still loading get the saved data,
+    // and their light is worked out again for the saved blocks
+    applyRegion(rx, rz, region) {
+        if (!this.world) return;
+        for (const chunk of this.world.chunks.values()) {
+            if (chunk.modified || toRegionCoord(chunk.cx) !== rx || toRegionCoord(chunk.cz) !== rz) continue;
+            const entry = region.chunks.get(regionIndex(chunk.cx, chunk.cz));
+            if (!entry) continue;
+            decodeChunk(entry.raw, chunk);
+            if (this.world.lighting) this.world.lighting.lightChunk(chunk);
+            this.world.markDirty(chunk.cx - 1, chunk.cz);
+            this.world.markDirty(chunk.cx + 1, chunk.cz);
+            this.world.markDirty(chunk.cx, chunk.cz - 1);
+            this.world.markDirty(chunk.cx, chunk.cz + 1);
+        }
+    }
+
+    // Loads every region touching the chunks within radius of a block position;
+    // await this before the first world.update to avoid regenerating saved chunks
+    prefetch(x, z, radius = 8) {
+        const cx = World.toChunkCoord(x);
+        const cz = World.toChunkCoord(z);
+        const pending = [];
+        for (let rz = toRegionCoord(cz - radius); rz <= toRegionCoord(cz + radius); rz++) {
+            for (let rx = toRegionCoord(cx - radius); rx <= toRegionCoord(cx + radius); rx++) {
+                pending.push(this.region(rx, rz).promise);
+            }
+        }
+        return Promise.all(pending);
+    }
+
+    storeChunk(chunk) {
+        const region = this.region(toRegionCoord(chunk.cx), toRegionCoord(chunk.cz));
+        region.chunks.set(regionIndex(chunk.cx, chunk.cz), { raw: encodeChunk(chunk), packed: null });
+        region.dirty = true;
+        chunk.modified = false;
+    }
+
+    setPlayer(entity, inventory = null) {
+        this.meta.player = {
+            position: [...entity.position],
+            yaw: entity.yaw ?? 0,
+            pitch: entity.pitch ?? 0,
+            health: entity.health ?? null,
+            inventory: inventory ? inventory.toJSON() : null
+        };
+    }
+
+    setSpawn(x, y, z) {
+        this.meta.spawn = [x, y, z];
+    }
+
+    setTime(time) {
+        this.meta.time = time;
+    }
+
+    // Stores a WorldClock's state; restore with new WorldClock({ time, frozen })
+    setClock(clock) {
+        this.meta.time = clock.time;
+        this.meta.timeFrozen = clock.frozen;
+    }
+
+    // Writes edited chunks and the metadata. Overlapping calls share one save.
+    // Rejects when storage fails (quota, aborted transaction); regions that
+    // were not written stay dirty and go out with the next save. Regions that
+    // could not be read are skipped, as writing them would replace every stored
+    // chunk that was never loaded; their edits stay in memory.
+    save() {
+        if (!this.saving) {
+            if (this.beforeSave) this.beforeSave();
+            this.saving = this.write().finally(() => { this.saving = null; });
+        }
+        return this.saving;
+    }
+
+    async write() {
+        if (this.world) {
+            for (const chunk of this.world.chunks.values()) {
+                if (chunk.modified) this.storeChunk(chunk);
+            }
+        }
+
+        for (const [key, region] of this.regions) {
+            if (!region.dirty) continue;
+            await region.promise;
+            if (region.error) continue;
+            // Cleared first so chunks stored while this write is under way
+            // mark the region again; a failed write marks it for the next save
+            region.dirty = false;
+
+            try {
+                const entries = new Map();
+                for (const [index, entry] of region.chunks) {
+                    if (!entry.packed) entry.packed = await compress(entry.raw);
+                    entries.set(index, entry.packed);
+                }
+                const [rx, rz] = key.split(",").map(Number);
+                const bytes = encodeRegion(entries);
+                await this.storage.putRegion(this.meta.id, rx, rz, bytes);
+                this.meta.size += bytes.length - region.size;
+                region.size = bytes.length;
+            } catch (err) {
+                region.dirty = true;
+                throw new Error(`Could not save region ${key} of "${this.meta.name}": ${err.message}`, { cause: err });
+            }
+        }
+
+        this.meta.lastPlayed = Date.now();
+        await this.storage.putMeta(this.meta);
+    }
+
+    startAutosave(interval = AUTOSAVE_INTERVAL) {
+        this.stopAutosave();
+        this.autosaveTimer = setInterval(() => {
+            this.save().catch((err) => console.error("Autosave failed:", err));
+        }, interval);
+    }
+
+    stopAutosave() {
+        if (this.autosaveTimer === null) return;
+        clearInterval(this.autosaveTimer);
+        this.autosaveTimer = null;
+    }
+}
+
+/* ---- Export / import ---- */
+
+// Layout: u32 magic, u32 metadata length, metadata JSON, u32 region count,
+// then per region i32 rx, i32 rz, u32 length, region bytes
+export async function exportWorld(storage, id) {
+    const meta = await storage.getMeta(id);
+    if (!meta) throw new Error(`World "${id}" does not exist`);
+    const regions = await storage.listRegions(id);
+
+    const metaBytes = encoder.encode(JSON.stringify(meta));
+    const header = new DataView(new ArrayBuffer(8));
+    header.setUint32(0, EXPORT_MAGIC, true);
+    header.setUint32(4, metaBytes.length, true);
+
+    const parts = [header.buffer, metaBytes];
+    const count = new DataView(new ArrayBuffer(4));
+    count.setUint32(0, regions.length, true);
+    parts.push(count.buffer);
+
+    for (const { rx, rz, data } of regions) {
+        const head = new DataView(new ArrayBuffer(12));
+        head.setInt32(0, rx, true);
+        head.setInt32(4, rz, true);
+        head.setUint32(8, data.length, true);
+        parts.push(head.buffer, data);
+    }
+    return new Blob(parts, { type: "application/octet-stream" });
+}
+
+export async function downloadWorld(storage, id) {
+    const blob = await exportWorld(storage, id);
+    const meta = await storage.getMeta(id);
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${meta.name.replace(/[^\w\- ]+/g, "_") || "world"}.mcworld`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// source: File, Blob or ArrayBuffer from exportWorld. The import always gets a
+// fresh id so it never overwrites an existing world.
+export async function importWorld(storage, source, options = {}) {
+    const buffer = source instanceof ArrayBuffer ? source : await source.arrayBuffer();
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    if (bytes.length < 12 || view.getUint32(0, true) !== EXPORT_MAGIC) {
+        throw new Error("Not a world file");
+    }
+
+    const metaLength = view.getUint32(4, true);
+    const imported = JSON.parse(decoder.decode(bytes.subarray(8, 8 + metaLength)));
+    if (imported.version > SAVE_VERSION) throw new Error("This world was saved by a newer version");
+
+    const meta = { ...imported, id: createWorldId(), name: options.name || imported.name, size: 0 };
+    let offset = 8 + metaLength;
+    const count = view.getUint32(offset, true);
+    offset += 4;
+    for (let i = 0; i < count; i++) {
+        const rx = view.getInt32(offset, true);
+        const rz = view.getInt32(offset + 4, true);
+        const length = view.getUint32(offset + 8, true);
+        offset += 12;
+        await storage.putRegion(meta.id, rx, rz, bytes.slice(offset, offset + length));
+        meta.size += length;
+        offset += length;
+    }
+
+    await storage.putMeta(meta);
+    return meta;
+}
+
+// Most recently played first. Worlds saved before sizes were tracked get
+// theirs counted.
+export async function listWorlds(storage) {
+    const worlds = await storage.listMeta();
+    for (const meta of worlds) meta.size ??= await worldSize(storage, meta.id);
+    return worlds.sort((a, b) => b.lastPlayed - a.lastPlayed);
+}
+
+export async function worldSize(storage, id) {
+    let size = 0;
+    for (const { data } of await storage.listRegions(id)) size += data.length;
+    return size;
+}
+
+export async function renameWorld(storage, id, name) {
+    const meta = await storage.getMeta(id);
+    if (!meta) throw new Error(`World "${id}" does not exist`);
+    meta.name = name;
+    await storage.putMeta(meta);
+    return meta;
+}
+
+// Copies the metadata and every region under a new id; returns the new metadata
+export async function duplicateWorld(storage, id, options = {}) {
+    const source = await storage.getMeta(id);
+    if (!source) throw new Error(`World "${id}" does not exist`);
+    const now = Date.now();
+    const meta = { ...source, id: createWorldId(), name: options.name || `${source.name} - Copy`, created: now, lastPlayed: now };
+    for (const { rx, rz, data } of await storage.listRegions(id)) {
+        await storage.putRegion(meta.id, rx, rz, data.slice());
+    }
+    await storage.putMeta(meta);
+    return meta;
+}
+
+export function deleteWorld(storage, id) {
+    return storage.deleteWorld(id);
+}
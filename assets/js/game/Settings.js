@@ -0,0 +1,336 @@
+// Player settings: schema, validation and persistence.
+//
+// Every setting is declared once in SETTINGS_SCHEMA under a dotted key
+// ("video.fov"), whose first part is the section it is listed in on the
+// settings screen (SettingsUI.js). A declaration gives the type and range
+// the value is checked against:
+//   number   min, max and step; values snap to the step
+//   boolean  true / false
+//   choice   one of `values`, shown with `labels`
+//   key      a KeyboardEvent.code, e.g. "KeyW"
+// reload: true marks settings the running game cannot change (the WebGL
+// context's antialiasing, the render backend); they apply on the next load.
+//
+// Values are saved to localStorage as { version, values }. Stored values that
+// fail validation (hand edits, a removed choice) fall back to the default
+// with a warning instead of breaking the game. watch() picks up changes made
+// on another page, so the settings screen in mainmenu.html applies live to a
+// game open in another tab.
+//
+// The helpers at the end turn settings into options: engineOptions for
+// createEngine (js3dhelper.js, including the preferred backend), viewOptions
+// for handle.setView, worldOptions for World, controlOptions for
+// CameraController and volume for each audio category (SoundPlayer in
+// Sound.js).
+//
+// Usage example:
+// import { settings, engineOptions, viewOptions, worldOptions } from './Settings.js';
+// settings.load().watch();
+// const handle = await createEngine(canvas, engineOptions(settings));
+// const world = new World({ ...worldOptions(settings), generator });
+// const sounds = new SoundPlayer(settings);
+// settings.subscribe((key) => {
+//     if (key.startsWith("video.")) handle.setView(viewOptions(settings));
+//     if (key === "video.renderDistance") world.renderDistance = worldOptions(settings).renderDistance;
+// });
+// settings.set("video.fov", 90);
+
+export const SETTINGS_KEY = "minecraft.settings";
+export const SETTINGS_VERSION = 1;
+
+// Backends for createEngine's prefer list; "auto" keeps its default order
+export const RENDER_BACKENDS = ["auto", "three", "babylon", "playcanvas", "shadowgl"];
+
+export const SECTIONS = {
+    video: "Video",
+    audio: "Audio",
+    controls: "Controls"
+};
+
+// CameraController's default sensitivity, what 100% means
+const BASE_SENSITIVITY = 0.002;
+
+function volumeSetting(label) {
+    return { label, type: "number", min: 0, max: 100, step: 1, default: 100, unit: "%" };
+}
+
+function keySetting(label, code) {
+    return { label, type: "key", default: code };
+}
+
+export const SETTINGS_SCHEMA = {
+    "video.fov": { label: "Field of view", type: "number", min: 30, max: 110, step: 1, default: 70, unit: "°" },
+    "video.renderDistance": { label: "Render distance", type: "number", min: 2, max: 32, step: 1, default: 8, unit: " chunks" },
+    // 0 follows the screen (window.devicePixelRatio)
+    "video.pixelRatio": { label: "Resolution", type: "choice", values: [0, 0.5, 0.75, 1, 1.5, 2], labels: ["Auto", "50%", "75%", "100%", "150%", "200%"], default: 0 },
+    "video.antialias": { label: "Antialiasing", type: "boolean", default: true, reload: true },
+    "video.guiScale": { label: "GUI scale", type: "number", min: 0.5, max: 2, step: 0.25, default: 1, unit: "x" },
+    "video.backend": { label: "Renderer", type: "choice", values: RENDER_BACKENDS, labels: ["Auto", "three.js", "Babylon.js", "PlayCanvas", "ShadowGL"], default: "auto", reload: true },
+
+    "audio.master": volumeSetting("Master volume"),
+    "audio.music": volumeSetting("Music"),
+    "audio.blocks": volumeSetting("Blocks"),
+    "audio.creatures": volumeSetting("Creatures"),
+    "audio.ambient": volumeSetting("Ambient"),
+    "audio.ui": volumeSetting("Interface"),
+
+    "controls.sensitivity": { label: "Mouse sensitivity", type: "number", min: 10, max: 200, step: 5, default: 100, unit: "%" },
+    "controls.invertY": { label: "Invert mouse", type: "boolean", default: false },
+    "controls.key.forward": keySetting("Walk forwards", "KeyW"),
+    "controls.key.back": keySetting("Walk backwards", "KeyS"),
+    "controls.key.left": keySetting("Strafe left", "KeyA"),
+    "controls.key.right": keySetting("Strafe right", "KeyD"),
+    "controls.key.jump": keySetting("Jump", "Space"),
+    "controls.key.sneak": keySetting("Sneak", "ShiftLeft"),
+    "controls.key.sprint": keySetting("Sprint", "ControlLeft"),
+    "controls.key.inventory": keySetting("Open inventory", "KeyE"),
+    "controls.key.chat": keySetting("Open chat", "KeyT"),
+    "controls.key.command": keySetting("Open command", "Slash")
+};
+
+function definition(key) {
+    const def = SETTINGS_SCHEMA[key];
+    if (!def) throw new Error(`Unknown setting: ${key}`);
+    return def;
+}
+
+// Returns the value as stored (numbers snapped to their step) or throws a
+// TypeError / RangeError saying what is wrong with it
+export function validateSetting(key, value) {
+    const def = definition(key);
+    switch (def.type) {
+        case "number": {
+            if (typeof value !== "number" || !Number.isFinite(value)) throw new TypeError(`${key} must be a number, got ${JSON.stringify(value)}`);
+            if (value < def.min || value > def.max) throw new RangeError(`${key} must be between ${def.min} and ${def.max}, got ${value}`);
+            const steps = Math.round((value - def.min) / def.step);
+            // toFixed drops the float noise of steps like 0.25
+            return Math.min(def.max, Number((def.min + steps * def.step).toFixed(6)));
+        }
+        case "boolean":
+            if (typeof value !== "boolean") throw new TypeError(`${key} must be true or false, got ${JSON.stringify(value)}`);
+            return value;
+        case "choice":
+            if (!def.values.includes(value)) throw new RangeError(`${key} must be one of ${def.values.join(", ")}, got ${JSON.stringify(value)}`);
+            return value;
+        case "key":
+            if (typeof value !== "string" || !/^[A-Z][A-Za-z0-9]+$/.test(value)) throw new TypeError(`${key} must be a KeyboardEvent.code, got ${JSON.stringify(value)}`);
+            return value;
+        default:
+            throw new Error(`Setting ${key} has unknown type ${def.type}`);
+    }
+}
+
+export function defaultSettings() {
+    const values = {};
+    for (const [key, def] of Object.entries(SETTINGS_SCHEMA)) values[key] = def.default;
+    return values;
+}
+
+// Text shown for a value on the settings screen, e.g. "70°", "Auto", "On"
+export function formatSetting(key, value) {
+    const def = definition(key);
+    if (def.type === "boolean") return value ? "On" : "Off";
+    if (def.type === "choice") return def.labels ? def.labels[def.values.indexOf(value)] : String(value);
+    if (def.type === "key") return formatKey(value);
+    return `${value}${def.unit || ""}`;
+}
+
+// "KeyW" -> "W", "Digit1" -> "1", "ShiftLeft" -> "Left Shift"
+export function formatKey(code) {
+    if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+    if (/^Digit\d$/.test(code)) return code.slice(5);
+    const side = /^(\w+?)(Left|Right)$/.exec(code);
+    if (side) return `${side[2]} ${side[1] === "Control" ? "Ctrl" : side[1]}`;
+    return code;
+}
+
+export class Settings {
+    constructor(options = {}) {
+        // Anything with getItem / setItem; null keeps settings in memory only
+        this.storage = options.storage !== undefined ? options.storage : (typeof localStorage !== "undefined" ? localStorage : null);
+        this.key = options.key || SETTINGS_KEY;
+        this.values = defaultSettings();
+        // Values when the page loaded, to tell which reload settings have changed since
+        this.initial = { ...this.values };
+        this.listeners = new Set();
+        this.stopWatching = null;
+    }
+
+    // Reads the stored settings; returns this
+    load() {
+        let stored = null;
+        try {
+            stored = this.storage && this.storage.getItem(this.key);
+        } catch (err) {
+            console.warn(`Could not read settings: ${err.message}`);
+        }
+        this.values = this.parse(stored);
+        this.initial = { ...this.values };
+        return this;
+    }
+
+    // Stored JSON to validated values; bad entries get their default
+    parse(json) {
+        const values = defaultSettings();
+        if (!json) return values;
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (err) {
+            console.warn(`Ignoring unreadable settings: ${err.message}`);
+            return values;
+        }
+        for (const [key, value] of Object.entries((data && data.values) || {})) {
+            // Settings removed from the game since they were saved
+            if (!(key in SETTINGS_SCHEMA)) continue;
+            try {
+                values[key] = validateSetting(key, value);
+            } catch (err) {
+                console.warn(`Resetting setting: ${err.message}`);
+            }
+        }
+        return values;
+    }
+
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.key, JSON.stringify(this));
+        } catch (err) {
+            console.warn(`Could not save settings: ${err.message}`);
+        }
+    }
+
+    get(key) {
+        definition(key);
+        return this.values[key];
+    }
+
+    // Validates, saves and notifies subscribers; throws on an invalid value
+    set(key, value) {
+        const valid = validateSetting(key, value);
+        if (this.values[key] === valid) return valid;
+        this.values[key] = valid;
+        this.save();
+        this.emit(key, valid);
+        return valid;
+    }
+
+    // Resets one setting, every setting of a section ("video") or everything
+    reset(keyOrSection = null) {
+        for (const key of Object.keys(SETTINGS_SCHEMA)) {
+            if (keyOrSection && key !== keyOrSection && !key.startsWith(`${keyOrSection}.`)) continue;
+            this.set(key, SETTINGS_SCHEMA[key].default);
+        }
+    }
+
+    // Keys of a section in schema order
+    keys(section = null) {
+        return Object.keys(SETTINGS_SCHEMA).filter((key) => !section || key.startsWith(`${section}.`));
+    }
+
+    // listener(key, value, settings) after every change; returns an unsubscribe function
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    emit(key, value) {
+        for (const listener of this.listeners) listener(key, value, this);
+    }
+
+    // Reload settings changed since the page loaded
+    get pendingReload() {
+        return this.keys().filter((key) => SETTINGS_SCHEMA[key].reload && this.values[key] !== this.initial[key]);
+    }
+
+    // Keys bound to the same code as another key setting: { code: [keys] }
+    keyConflicts() {
+        const byCode = {};
+        for (const key of this.keys()) {
+            if (SETTINGS_SCHEMA[key].type !== "key") continue;
+            (byCode[this.values[key]] ||= []).push(key);
+        }
+        return Object.fromEntries(Object.entries(byCode).filter(([, keys]) => keys.length > 1));
+    }
+
+    // Applies changes saved by other pages (the storage event only fires in
+    // the pages that did not make the change). Returns this.
+    watch(target = typeof window !== "undefined" ? window : null) {
+        if (!target || this.stopWatching) return this;
+        const handler = (event) => {
+            if (event.key !== this.key) return;
+            const values = this.parse(event.newValue);
+            for (const key of this.keys()) {
+                if (values[key] === this.values[key]) continue;
+                this.values[key] = values[key];
+                this.emit(key, values[key]);
+            }
+        };
+        target.addEventListener("storage", handler);
+        this.stopWatching = () => {
+            target.removeEventListener("storage", handler);
+            this.stopWatching = null;
+        };
+        return this;
+    }
+
+    toJSON() {
+        return { version: SETTINGS_VERSION, values: this.values };
+    }
+}
+
+export const settings = new Settings();
+
+/* ---- Applying settings ---- */
+
+// createEngine options (js3dhelper.js); ShadowGL stays as the fallback when a
+// chosen backend cannot load
+export function engineOptions(s) {
+    const backend = s.get("video.backend");
+    const options = {
+        fov: s.get("video.fov"),
+        pixelRatio: s.get("video.pixelRatio"),
+        antialias: s.get("video.antialias")
+    };
+    if (backend !== "auto") options.prefer = backend === "shadowgl" ? ["shadowgl"] : [backend, "shadowgl"];
+    return options;
+}
+
+// What handle.setView can change on a running engine
+export function viewOptions(s) {
+    return { fov: s.get("video.fov"), pixelRatio: s.get("video.pixelRatio") };
+}
+
+// World options (World.js): how many chunks around the player stay loaded
+export function worldOptions(s) {
+    return { renderDistance: s.get("video.renderDistance") };
+}
+
+// 0..1 for an audio category ("music", "blocks", ...), including the master volume
+export function volume(s, category) {
+    return (s.get("audio.master") / 100) * (s.get(`audio.${category}`) / 100);
+}
+
+// CameraController options: sensitivity, invertY and keys (code -> action)
+export function controlOptions(s) {
+    const key = (name) => s.get(`controls.key.${name}`);
+    return {
+        sensitivity: BASE_SENSITIVITY * s.get("controls.sensitivity") / 100,
+        invertY: s.get("controls.invertY"),
+        keys: {
+            [key("forward")]: "forward",
+            [key("back")]: "back",
+            [key("left")]: "left",
+            [key("right")]: "right",
+            [key("jump")]: "up",
+            [key("sneak")]: "down",
+            [key("sprint")]: "sprint"
+        }
+    };
+}
+
+// The HUD and inventory CSS scale by --gui-scale
+export function applyGuiScale(s, root = document.documentElement) {
+    root.style.setProperty("--gui-scale", String(s.get("video.guiScale")));
+}
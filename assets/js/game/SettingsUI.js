@@ -0,0 +1,229 @@
+// Settings screen, opened from the Settings button of mainmenu.html.
+//
+// One tab per section of SETTINGS_SCHEMA (Settings.js). Every setting gets a
+// row with a control for its type: a slider for numbers, an On / Off button
+// for booleans, a drop-down for choices and, for key bindings, a button that
+// waits for the next key press (Escape cancels). Changes are validated, saved
+// and applied at once through Settings.set; the row's reset button goes back
+// to the default. Keys bound twice are marked, and settings that only apply
+// after a reload (antialiasing, renderer) say so at the bottom.
+//
+// The screen follows the settings rather than the other way round, so
+// changes from another tab show up too.
+//
+// Usage example:
+// settings.load().watch();
+// const screen = new SettingsUI(settings, { onClose: () => playButton.focus() });
+// document.getElementById("settings-button").addEventListener("click", () => screen.open());
+
+import { SETTINGS_SCHEMA, SECTIONS, formatSetting } from "./Settings.js";
+
+function element(doc, tag, className, parent = null) {
+    const el = doc.createElement(tag);
+    if (className) el.className = className;
+    if (parent) parent.appendChild(el);
+    return el;
+}
+
+function button(doc, className, text, parent) {
+    const el = element(doc, "button", className, parent);
+    el.type = "button";
+    el.textContent = text;
+    return el;
+}
+
+export class SettingsUI {
+    constructor(settings, options = {}) {
+        this.settings = settings;
+        this.document = options.document || document;
+        this.onClose = options.onClose || null;
+
+        this.isOpen = false;
+        this.section = Object.keys(SECTIONS)[0];
+        // Setting key -> { row, update(value) } for the rows of the open section
+        this.rows = new Map();
+        // Key setting waiting for a key press, or null
+        this.capturing = null;
+
+        this.listeners = [];
+        this.build(options.root || this.document.body);
+        this.unsubscribe = settings.subscribe(() => this.handleChange());
+    }
+
+    build(root) {
+        const doc = this.document;
+        this.screen = element(doc, "div", "settings-screen", root);
+        this.screen.hidden = true;
+        const panel = element(doc, "div", "settings-panel", this.screen);
+        element(doc, "h2", "settings-title", panel).textContent = "Settings";
+
+        this.tabs = element(doc, "div", "settings-tabs", panel);
+        for (const [section, title] of Object.entries(SECTIONS)) {
+            const tab = button(doc, "settings-tab", title, this.tabs);
+            tab.dataset.section = section;
+            this.listen(tab, "click", () => this.showSection(section));
+        }
+
+        this.list = element(doc, "div", "settings-list", panel);
+        this.note = element(doc, "p", "settings-note", panel);
+        this.note.hidden = true;
+
+        const footer = element(doc, "div", "settings-footer", panel);
+        this.listen(button(doc, "settings-button", "Reset section", footer), "click", () => this.settings.reset(this.section));
+        this.listen(button(doc, "settings-button settings-done", "Done", footer), "click", () => this.close());
+
+        // Capture phase, so a key being bound never reaches the page's own shortcuts
+        this.listen(doc, "keydown", (e) => this.handleKey(e), true);
+    }
+
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push([target, type, handler, options]);
+    }
+
+    open(section = this.section) {
+        this.isOpen = true;
+        this.screen.hidden = false;
+        this.showSection(section);
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.capturing = null;
+        this.screen.hidden = true;
+        if (this.onClose) this.onClose();
+    }
+
+    showSection(section) {
+        this.section = section;
+        this.capturing = null;
+        for (const tab of this.tabs.children) tab.classList.toggle("active", tab.dataset.section === section);
+
+        this.list.replaceChildren();
+        this.rows.clear();
+        for (const key of this.settings.keys(section)) this.rows.set(key, this.buildRow(key));
+        this.refresh();
+    }
+
+    buildRow(key) {
+        const doc = this.document;
+        const def = SETTINGS_SCHEMA[key];
+        const row = element(doc, "div", "settings-row", this.list);
+        const label = element(doc, "label", "settings-label", row);
+        label.textContent = def.label;
+        label.htmlFor = `setting-${key}`;
+
+        // Row elements are rebuilt with the section, so their listeners go with them
+        const control = element(doc, "div", "settings-control", row);
+        let update;
+        if (def.type === "number") {
+            const input = element(doc, "input", "settings-slider", control);
+            input.type = "range";
+            input.id = label.htmlFor;
+            input.min = def.min;
+            input.max = def.max;
+            input.step = def.step;
+            const value = element(doc, "span", "settings-value", control);
+            input.addEventListener("input", () => this.change(key, Number(input.value)));
+            update = (v) => {
+                input.value = v;
+                value.textContent = formatSetting(key, v);
+            };
+        } else if (def.type === "boolean") {
+            const toggle = button(doc, "settings-toggle", "", control);
+            toggle.id = label.htmlFor;
+            toggle.addEventListener("click", () => this.change(key, !this.settings.get(key)));
+            update = (v) => {
+                toggle.textContent = formatSetting(key, v);
+                toggle.classList.toggle("on", v);
+            };
+        } else if (def.type === "choice") {
+            const select = element(doc, "select", "settings-select", control);
+            select.id = label.htmlFor;
+            // Option values are indexes, so numeric choices survive the round trip
+            def.values.forEach((v, i) => {
+                const option = element(doc, "option", null, select);
+                option.value = String(i);
+                option.textContent = formatSetting(key, v);
+            });
+            select.addEventListener("change", () => this.change(key, def.values[Number(select.value)]));
+            update = (v) => {
+                select.value = String(def.values.indexOf(v));
+            };
+        } else {
+            const bind = button(doc, "settings-key", "", control);
+            bind.id = label.htmlFor;
+            bind.addEventListener("click", () => {
+                this.capturing = this.capturing === key ? null : key;
+                this.refresh();
+            });
+            update = (v) => {
+                bind.textContent = this.capturing === key ? "> Press a key <" : formatSetting(key, v);
+                bind.classList.toggle("capturing", this.capturing === key);
+            };
+        }
+
+        const reset = button(doc, "settings-reset", "↺", row);
+        reset.title = "Reset to default";
+        reset.addEventListener("click", () => this.change(key, def.default));
+
+        return {
+            row,
+            update: (v) => {
+                update(v);
+                reset.disabled = v === def.default;
+            }
+        };
+    }
+
+    change(key, value) {
+        try {
+            this.settings.set(key, value);
+        } catch (err) {
+            // The controls only offer valid values; this is a bug, not a user error
+            console.warn(err.message);
+            this.refresh();
+        }
+    }
+
+    handleChange() {
+        if (this.isOpen) this.refresh();
+    }
+
+    // Shows current values, key conflicts and the reload note
+    refresh() {
+        const conflicts = new Set(Object.values(this.settings.keyConflicts()).flat());
+        for (const [key, { row, update }] of this.rows) {
+            update(this.settings.get(key));
+            row.classList.toggle("conflict", conflicts.has(key));
+        }
+
+        const pending = this.settings.pendingReload;
+        this.note.hidden = pending.length === 0;
+        this.note.textContent = `${pending.map((key) => SETTINGS_SCHEMA[key].label).join(", ")}: takes effect after reloading the game`;
+    }
+
+    handleKey(event) {
+        if (!this.isOpen) return;
+        if (this.capturing) {
+            event.preventDefault();
+            event.stopPropagation();
+            const key = this.capturing;
+            this.capturing = null;
+            if (event.code !== "Escape") this.change(key, event.code);
+            this.refresh();
+        } else if (event.code === "Escape") {
+            event.preventDefault();
+            this.close();
+        }
+    }
+
+    dispose() {
+        this.close();
+        this.unsubscribe();
+        for (const [target, type, handler, options] of this.listeners) target.removeEventListener(type, handler, options);
+        this.listeners = [];
+        this.screen.remove();
+    }
+}
@@ -0,0 +1,76 @@
+// Music and sound effects, each at the volume of its settings category.
+//
+// Every sound in SOUNDS belongs to one of the audio categories of Settings.js
+// (music, blocks, creatures, ambient, ui) and plays at volume(settings,
+// category), so both its slider and the master volume apply. Sounds still
+// playing (music, ambient loops) follow the sliders live.
+//
+// A missing file or a browser that blocks autoplay is not an error; the sound
+// just stays silent.
+//
+// Usage example:
+// const sounds = new SoundPlayer(settings);
+// const music = sounds.play("music.menu");
+// sounds.play("block.break");
+// sounds.stop(music);
+
+import { volume } from "./Settings.js";
+
+// name -> { category, src, loop }
+export const SOUNDS = {
+    "music.menu": { category: "music", src: "/assets/audios/calm1.mp3", loop: true },
+    "block.break": { category: "blocks", src: "/assets/audios/block/break.mp3" },
+    "block.place": { category: "blocks", src: "/assets/audios/block/place.mp3" },
+    "mob.hurt": { category: "creatures", src: "/assets/audios/mob/hurt.mp3" },
+    "mob.death": { category: "creatures", src: "/assets/audios/mob/death.mp3" },
+    "ambient.wind": { category: "ambient", src: "/assets/audios/ambient/wind.mp3", loop: true },
+    "ui.click": { category: "ui", src: "/assets/audios/ui/click.mp3" }
+};
+
+export class SoundPlayer {
+    constructor(settings, options = {}) {
+        this.settings = settings;
+        // new Audio(src) in the browser; tests pass a fake
+        this.createAudio = options.createAudio || ((src) => new Audio(src));
+        // Audio -> category, for sounds that have not ended
+        this.playing = new Map();
+        this.unsubscribe = settings.subscribe((key) => {
+            if (key.startsWith("audio.")) this.updateVolumes();
+        });
+    }
+
+    volume(category) {
+        return volume(this.settings, category);
+    }
+
+    // Starts a sound from SOUNDS and returns its Audio
+    play(name) {
+        const sound = SOUNDS[name];
+        if (!sound) throw new Error(`Unknown sound: ${name}`);
+        const audio = this.createAudio(sound.src);
+        audio.loop = !!sound.loop;
+        audio.volume = this.volume(sound.category);
+        this.playing.set(audio, sound.category);
+
+        const forget = () => this.playing.delete(audio);
+        audio.addEventListener("ended", forget);
+        audio.addEventListener("error", forget);
+        const started = audio.play();
+        if (started) started.catch(forget);
+        return audio;
+    }
+
+    stop(audio) {
+        audio.pause();
+        this.playing.delete(audio);
+    }
+
+    updateVolumes() {
+        for (const [audio, category] of this.playing) audio.volume = this.volume(category);
+    }
+
+    dispose() {
+        for (const audio of [...this.playing.keys()]) this.stop(audio);
+        this.unsubscribe();
+    }
+}
@@ -0,0 +1,346 @@
+// Seeded procedural terrain.
+//
+// Pipeline per chunk:
+// 1. Biome per column from continentalness, temperature and humidity noise
+//    (ocean, plains, forest, desert, mountains).
+// 2. Surface height from multi-octave simplex noise, with biome base height and
+//    amplitude blended over neighbouring biomes so borders don't form cliffs.
+// 3. Layers: bedrock, stone, dirt/sand, top block, water up to SEA_LEVEL.
+// 4. Caves carved where two 3D noise fields both cross zero ("spaghetti").
+// 5. Ore veins by depth, from a per-chunk PRNG.
+// 6. Trees and cacti on a jittered grid of world-space candidates. Candidates
+//    from neighbouring chunks are evaluated too and only the blocks inside this
+//    chunk are written, so decorations never get cut at chunk borders.
+//
+// Nothing reads global state or Math.random, so a seed always produces
+// byte-identical chunks regardless of the order they are generated in.
+//
+// Besides this "default" type, a world can be "flat" (FLAT_LAYERS everywhere)
+// or "void" (empty apart from a stone platform to spawn on).
+//
+// Usage example:
+// const terrain = new TerrainGenerator('my seed', { type: "default" });
+// const world = new World({ generator: terrain.generator() });
+// player.position = terrain.spawnPoint();
+
+import { Chunk, CHUNK_SIZE, CHUNK_HEIGHT } from "./Chunk.js";
+import { blocks } from "./Block.js";
+import { SimplexNoise, hashSeed, hashCoords, mulberry32 } from "./Noise.js";
+
+export const SEA_LEVEL = 62;
+
+export const WORLD_TYPES = ["default", "flat", "void"];
+
+const id = (name) => blocks.get(name).id;
+const AIR = 0;
+const STONE = id("stone");
+const DIRT = id("dirt");
+const GRASS = id("grass_block");
+const SAND = id("sand");
+const SANDSTONE = id("sandstone");
+const GRAVEL = id("gravel");
+const WATER = id("water");
+const BEDROCK = id("bedrock");
+const SNOW = id("snow_block");
+const LOG = id("oak_log");
+const LEAVES = id("oak_leaves");
+const CACTUS = id("cactus");
+
+// Flat worlds, from y 0 up
+const FLAT_LAYERS = [BEDROCK, DIRT, DIRT, GRASS];
+
+// Void worlds: a square of stone this far around 0, 0 at VOID_PLATFORM_Y
+const VOID_PLATFORM_RADIUS = 1;
+const VOID_PLATFORM_Y = 64;
+
+export const BIOMES = {
+    ocean: { name: "ocean", base: 46, amplitude: 8, top: SAND, filler: SAND, tree: null, treeChance: 0 },
+    plains: { name: "plains", base: 66, amplitude: 5, top: GRASS, filler: DIRT, tree: "oak", treeChance: 0.06 },
+    forest: { name: "forest", base: 68, amplitude: 8, top: GRASS, filler: DIRT, tree: "oak", treeChance: 0.8 },
+    desert: { name: "desert", base: 66, amplitude: 4, top: SAND, filler: SAND, tree: "cactus", treeChance: 0.25 },
+    mountains: { name: "mountains", base: 92, amplitude: 48, top: GRASS, filler: DIRT, tree: "oak", treeChance: 0.15 }
+};
+
+// Stone above this height in mountains is capped with snow
+const SNOW_LINE = 120;
+
+const ORES = [
+    { block: id("coal_ore"), maxY: 128, veins: 16, size: 10 },
+    { block: id("iron_ore"), maxY: 64, veins: 10, size: 6 },
+    { block: id("gold_ore"), maxY: 32, veins: 2, size: 6 },
+    { block: id("diamond_ore"), maxY: 16, veins: 1, size: 5 }
+];
+
+// Trees sit on a grid of TREE_CELL x TREE_CELL cells, at most one per cell.
+// TREE_MARGIN must cover the widest canopy radius.
+const TREE_CELL = 5;
+const TREE_MARGIN = 3;
+
+// Biome blending: samples every BLEND_STEP blocks, BLEND_RADIUS steps out
+const BLEND_STEP = 4;
+const BLEND_RADIUS = 2;
+
+export class TerrainGenerator {
+    constructor(seed, options = {}) {
+        this.seed = hashSeed(seed);
+        this.type = options.type ?? "default";
+        if (!WORLD_TYPES.includes(this.type)) throw new Error(`Unknown world type "${this.type}"`);
+        this.caves = options.caves ?? true;
+        this.decorations = options.decorations ?? true;
+
+        // Each noise field gets its own derived seed
+        const sub = (n) => (this.seed + Math.imul(n, 0x9E3779B1)) >>> 0;
+        this.continentNoise = new SimplexNoise(sub(1));
+        this.temperatureNoise = new SimplexNoise(sub(2));
+        this.humidityNoise = new SimplexNoise(sub(3));
+        this.heightNoise = new SimplexNoise(sub(4));
+        this.caveNoiseA = new SimplexNoise(sub(5));
+        this.caveNoiseB = new SimplexNoise(sub(6));
+        this.treeSeed = sub(7);
+        this.oreSeed = sub(8);
+        this.bedrockSeed = sub(9);
+
+        this.biomeCache = new Map();
+    }
+
+    // Function suitable for World's generator option
+    generator() {
+        return (chunk) => this.generate(chunk);
+    }
+
+    // Where a new player stands in this world: on the surface at 0, 0
+    spawnPoint() {
+        if (this.type === "flat") return [0.5, FLAT_LAYERS.length, 0.5];
+        if (this.type === "void") return [0.5, VOID_PLATFORM_Y + 1, 0.5];
+        return [0.5, Math.max(this.heightAt(0, 0), SEA_LEVEL) + 1, 0.5];
+    }
+
+    biomeAt(x, z) {
+        const c = this.continentNoise.fbm2(x * 0.0015, z * 0.0015, 3);
+        if (c < -0.25) return BIOMES.ocean;
+
+        const t = this.temperatureNoise.fbm2(x * 0.001, z * 0.001, 2);
+        const h = this.humidityNoise.fbm2(x * 0.0012, z * 0.0012, 2);
+        if (t > 0.2 && h < 0) return BIOMES.desert;
+        if (t < -0.25) return BIOMES.mountains;
+        if (h > 0.05) return BIOMES.forest;
+        return BIOMES.plains;
+    }
+
+    // Biome of the blend grid point; cached because neighbouring columns share them
+    gridBiome(gx, gz) {
+        const key = `${gx},${gz}`;
+        let biome = this.biomeCache.get(key);
+        if (!biome) {
+            biome = this.biomeAt(gx * BLEND_STEP, gz * BLEND_STEP);
+            if (this.biomeCache.size > 4096) this.biomeCache.clear();
+            this.biomeCache.set(key, biome);
+        }
+        return biome;
+    }
+
+    heightAt(x, z) {
+        // Weighted average of base/amplitude over nearby grid points
+        const gx0 = Math.round(x / BLEND_STEP);
+        const gz0 = Math.round(z / BLEND_STEP);
+        let base = 0, amplitude = 0, total = 0;
+        for (let dz = -BLEND_RADIUS; dz <= BLEND_RADIUS; dz++) {
+            for (let dx = -BLEND_RADIUS; dx <= BLEND_RADIUS; dx++) {
+                const biome = this.gridBiome(gx0 + dx, gz0 + dz);
+                const w = (BLEND_RADIUS + 1 - Math.abs(dx)) * (BLEND_RADIUS + 1 - Math.abs(dz));
+                base += biome.base * w;
+                amplitude += biome.amplitude * w;
+                total += w;
+            }
+        }
+        base /= total;
+        amplitude /= total;
+
+        const n = this.heightNoise.fbm2(x * 0.008, z * 0.008, 5);
+        const h = Math.floor(base + n * amplitude);
+        return Math.max(1, Math.min(CHUNK_HEIGHT - 32, h));
+    }
+
+    isCave(x, y, z) {
+        const a = this.caveNoiseA.noise3(x * 0.025, y * 0.035, z * 0.025);
+        const b = this.caveNoiseB.noise3(x * 0.025, y * 0.035, z * 0.025);
+        return a * a + b * b < 0.006;
+    }
+
+    generate(chunk) {
+        if (this.type === "flat") return this.generateFlat(chunk);
+        if (this.type === "void") return this.generateVoid(chunk);
+
+        const ox = chunk.originX;
+        const oz = chunk.originZ;
+        const data = chunk.blocks;
+        const set = (x, y, z, block) => { data[Chunk.index(x, y, z)] = block; };
+
+        const heights = new Int32Array(CHUNK_SIZE * CHUNK_SIZE);
+
+        for (let z = 0; z < CHUNK_SIZE; z++) {
+            for (let x = 0; x < CHUNK_SIZE; x++) {
+                const wx = ox + x, wz = oz + z;
+                const biome = this.biomeAt(wx, wz);
+                const height = this.heightAt(wx, wz);
+                heights[x + z * CHUNK_SIZE] = height;
+
+                const underwater = height < SEA_LEVEL;
+                const beach = !underwater && height <= SEA_LEVEL + 1 && biome.top === GRASS;
+                let top = underwater ? (biome === BIOMES.ocean ? SAND : GRAVEL) : (beach ? SAND : biome.top);
+                let filler = underwater || beach ? SAND : biome.filler;
+                if (biome === BIOMES.mountains && height >= SNOW_LINE) {
+                    top = SNOW;
+                    filler = STONE;
+                }
+                const fillerDepth = 3 + Math.floor(hashCoords(this.bedrockSeed, wx, 1, wz) * 2);
+
+                for (let y = 0; y <= height; y++) {
+                    let block;
+                    if (y === 0 || (y < 4 && hashCoords(this.bedrockSeed, wx, y, wz) < 0.5 / y)) block = BEDROCK;
+                    else if (y === height) block = top;
+                    else if (y > height - fillerDepth) block = filler;
+                    else if (filler === SAND && y > height - fillerDepth - 2) block = SANDSTONE;
+                    else block = STONE;
+                    set(x, y, z, block);
+                }
+                for (let y = height + 1; y <= SEA_LEVEL; y++) set(x, y, z, WATER);
+
+                if (!this.caves) continue;
+                // Keep a roof under water so oceans don't pour into caves
+                const ceiling = underwater ? height - 4 : height;
+                for (let y = 5; y <= ceiling; y++) {
+                    if (this.isCave(wx, y, wz)) set(x, y, z, AIR);
+                }
+            }
+        }
+
+        this.placeOres(chunk);
+        if (this.decorations) this.decorate(chunk, heights);
+        chunk.dirty = true;
+        return chunk;
+    }
+
+    generateFlat(chunk) {
+        for (let z = 0; z < CHUNK_SIZE; z++) {
+            for (let x = 0; x < CHUNK_SIZE; x++) {
+                FLAT_LAYERS.forEach((block, y) => { chunk.blocks[Chunk.index(x, y, z)] = block; });
+            }
+        }
+        chunk.dirty = true;
+        return chunk;
+    }
+
+    generateVoid(chunk) {
+        const r = VOID_PLATFORM_RADIUS;
+        for (let z = -r; z <= r; z++) {
+            for (let x = -r; x <= r; x++) {
+                const lx = x - chunk.originX, lz = z - chunk.originZ;
+                if (lx < 0 || lx >= CHUNK_SIZE || lz < 0 || lz >= CHUNK_SIZE) continue;
+                chunk.blocks[Chunk.index(lx, VOID_PLATFORM_Y, lz)] = STONE;
+            }
+        }
+        chunk.dirty = true;
+        return chunk;
+    }
+
+    placeOres(chunk) {
+        const data = chunk.blocks;
+        ORES.forEach((ore, oreIndex) => {
+            const random = mulberry32(Math.floor(hashCoords(this.oreSeed, chunk.cx, oreIndex, chunk.cz) * 4294967296));
+            for (let v = 0; v < ore.veins; v++) {
+                let x = random() * CHUNK_SIZE;
+                let y = 1 + random() * (ore.maxY - 1);
+                let z = random() * CHUNK_SIZE;
+                // A short random walk; cells outside the chunk are skipped
+                for (let n = 0; n < ore.size; n++) {
+                    const bx = Math.floor(x), by = Math.floor(y), bz = Math.floor(z);
+                    if (Chunk.inBounds(bx, by, bz)) {
+                        const i = Chunk.index(bx, by, bz);
+                        if (data[i] === STONE) data[i] = ore.block;
+                    }
+                    x += random() * 2 - 1;
+                    y += random() * 2 - 1;
+                    z += random() * 2 - 1;
+                }
+            }
+        });
+    }
+
+    // Deterministic tree candidate for a grid cell: { x, z, roll } in world space
+    treeCandidate(cellX, cellZ) {
+        const x = cellX * TREE_CELL + Math.floor(hashCoords(this.treeSeed, cellX, 0, cellZ) * TREE_CELL);
+        const z = cellZ * TREE_CELL + Math.floor(hashCoords(this.treeSeed, cellX, 1, cellZ) * TREE_CELL);
+        return { x, z, roll: hashCoords(this.treeSeed, cellX, 2, cellZ) };
+    }
+
+    decorate(chunk, heights) {
+        const ox = chunk.originX;
+        const oz = chunk.originZ;
+        const data = chunk.blocks;
+
+        // Writes a block if it lands inside this chunk and only over air
+        const put = (wx, y, wz, block, replace = false) => {
+            const x = wx - ox, z = wz - oz;
+            if (!Chunk.inBounds(x, y, z)) return;
+            const i = Chunk.index(x, y, z);
+            if (replace || data[i] === AIR) data[i] = block;
+        };
+
+        const cx0 = Math.floor((ox - TREE_MARGIN) / TREE_CELL);
+        const cx1 = Math.floor((ox + CHUNK_SIZE - 1 + TREE_MARGIN) / TREE_CELL);
+        const cz0 = Math.floor((oz - TREE_MARGIN) / TREE_CELL);
+        const cz1 = Math.floor((oz + CHUNK_SIZE - 1 + TREE_MARGIN) / TREE_CELL);
+
+        for (let cz = cz0; cz <= cz1; cz++) {
+            for (let cx = cx0; cx <= cx1; cx++) {
+                const { x, z, roll } = this.treeCandidate(cx, cz);
+                const biome = this.biomeAt(x, z);
+                if (!biome.tree || roll >= biome.treeChance) continue;
+
+                // Columns of neighbouring chunks need their height recomputed
+                const lx = x - ox, lz = z - oz;
+                const inside = lx >= 0 && lx < CHUNK_SIZE && lz >= 0 && lz < CHUNK_SIZE;
+                const ground = inside ? heights[lx + lz * CHUNK_SIZE] : this.heightAt(x, z);
+                if (ground <= SEA_LEVEL + 1) continue;
+                if (this.caves && this.isCave(x, ground, z)) continue;
+
+                // Decorations must match what the surface pass put there
+                if (biome.tree === "cactus") {
+                    if (biome.top !== SAND) continue;
+                    const size = 1 + Math.floor(hashCoords(this.treeSeed, x, 3, z) * 3);
+                    for (let y = 1; y <= size; y++) put(x, ground + y, z, CACTUS);
+                } else {
+                    if (biome === BIOMES.mountains && ground >= SNOW_LINE) continue;
+                    this.placeOak(put, x, ground + 1, z);
+                }
+            }
+        }
+    }
+
+    placeOak(put, x, y, z) {
+        const trunk = 4 + Math.floor(hashCoords(this.treeSeed, x, 4, z) * 3);
+        const top = y + trunk;
+
+        // Two wide layers, then two narrow ones, corners trimmed by hash
+        for (let dy = -3; dy <= 0; dy++) {
+            const radius = dy >= -1 ? 1 : 2;
+            for (let dz = -radius; dz <= radius; dz++) {
+                for (let dx = -radius; dx <= radius; dx++) {
+                    const corner = Math.abs(dx) === radius && Math.abs(dz) === radius;
+                    if (corner && (dy === 0 || hashCoords(this.treeSeed, x + dx, top + dy, z + dz) < 0.5)) continue;
+                    put(x + dx, top + dy, z + dz, LEAVES);
+                }
+            }
+        }
+        put(x, top + 1, z, LEAVES);
+        put(x - 1, top + 1, z, LEAVES);
+        put(x + 1, top + 1, z, LEAVES);
+        put(x, top + 1, z - 1, LEAVES);
+        put(x, top + 1, z + 1, LEAVES);
+
+        for (let dy = 0; dy < trunk; dy++) put(x, y + dy, z, LOG, true);
+        // The ground under a tree is dirt, not grass
+        put(x, y - 1, z, DIRT, true);
+    }
+}
@@ -0,0 +1,169 @@
+// Voxel world: a map of loaded chunks addressed by chunk coordinates.
+//
+// World-space block access (getBlock / setBlock) is routed to the owning chunk.
+// Edits on a chunk border also mark the neighbouring chunk dirty, because its
+// faces against the edited block may have become visible or hidden.
+//
+// update(x, z) keeps the set of loaded chunks centred on a position: missing
+// chunks inside renderDistance are created (and filled by options.generator,
+// a few at a time, nearest first), chunks outside renderDistance are dropped.
+//
+// Usage example:
+// const world = new World({ renderDistance: 6, generator: (chunk) => { ... } });
+// world.setBlock(0, 64, 0, 1);
+// world.update(player.x, player.z);
+
+import { Chunk, CHUNK_SIZE, CHUNK_HEIGHT } from "./Chunk.js";
+
+export class World {
+    constructor(options = {}) {
+        this.chunks = new Map();
+        this.renderDistance = options.renderDistance ?? 8;
+        this.generator = options.generator || null;
+        // Generating is expensive, so only a few new chunks are created per update
+        this.loadsPerUpdate = options.loadsPerUpdate ?? 4;
+        // Called with a chunk just before it is dropped, e.g. to save its edits
+        this.onChunkUnload = options.onChunkUnload || null;
+        // Set by WorldLighting (Light.js) to keep chunk light up to date
+        this.lighting = null;
+    }
+
+    static key(cx, cz) {
+        return `${cx},${cz}`;
+    }
+
+    static toChunkCoord(v) {
+        return Math.floor(v / CHUNK_SIZE);
+    }
+
+    getChunk(cx, cz) {
+        return this.chunks.get(World.key(cx, cz)) || null;
+    }
+
+    loadChunk(cx, cz) {
+        const key = World.key(cx, cz);
+        let chunk = this.chunks.get(key);
+        if (chunk) return chunk;
+
+        chunk = new Chunk(cx, cz);
+        if (this.generator) this.generator(chunk, this);
+        chunk.dirty = true;
+        chunk.modified = false;
+        this.chunks.set(key, chunk);
+        if (this.lighting) this.lighting.lightChunk(chunk);
+
+        // Border faces of already loaded neighbours may now be hidden
+        this.markDirty(cx - 1, cz);
+        this.markDirty(cx + 1, cz);
+        this.markDirty(cx, cz - 1);
+        this.markDirty(cx, cz + 1);
+        return chunk;
+    }
+
+    unloadChunk(cx, cz) {
+        const key = World.key(cx, cz);
+        const chunk = this.chunks.get(key);
+        if (!chunk) return false;
+        if (this.onChunkUnload) this.onChunkUnload(chunk);
+        this.chunks.delete(key);
+        if (this.lighting) this.lighting.chunkUnloaded(chunk);
+
+        this.markDirty(cx - 1, cz);
+        this.markDirty(cx + 1, cz);
+        this.markDirty(cx, cz - 1);
+        this.markDirty(cx, cz + 1);
+        return true;
+    }
+
+    markDirty(cx, cz) {
+        const chunk = this.getChunk(cx, cz);
+        if (chunk) chunk.dirty = true;
+    }
+
+    getBlock(x, y, z) {
+        if (y < 0 || y >= CHUNK_HEIGHT) return 0;
+        const cx = World.toChunkCoord(x);
+        const cz = World.toChunkCoord(z);
+        const chunk = this.getChunk(cx, cz);
+        if (!chunk) return 0;
+        return chunk.getBlock(x - cx * CHUNK_SIZE, y, z - cz * CHUNK_SIZE);
+    }
+
+    setBlock(x, y, z, id) {
+        if (y < 0 || y >= CHUNK_HEIGHT) return false;
+        const cx = World.toChunkCoord(x);
+        const cz = World.toChunkCoord(z);
+        const chunk = this.loadChunk(cx, cz);
+
+        const lx = x - cx * CHUNK_SIZE;
+        const lz = z - cz * CHUNK_SIZE;
+        if (!chunk.setBlock(lx, y, lz, id)) return false;
+        if (this.lighting) this.lighting.blockChanged(x, y, z);
+
+        if (lx === 0) this.markDirty(cx - 1, cz);
+        if (lx === CHUNK_SIZE - 1) this.markDirty(cx + 1, cz);
+        if (lz === 0) this.markDirty(cx, cz - 1);
+        if (lz === CHUNK_SIZE - 1) this.markDirty(cx, cz + 1);
+        return true;
+    }
+
+    // Packed skylight << 4 | block light. Above the world is open sky, below
+    // it and in unloaded chunks is dark.
+    getPackedLight(x, y, z) {
+        if (y >= CHUNK_HEIGHT) return 0xf0;
+        if (y < 0) return 0;
+        const cx = World.toChunkCoord(x);
+        const cz = World.toChunkCoord(z);
+        const chunk = this.getChunk(cx, cz);
+        if (!chunk) return 0;
+        return chunk.light[Chunk.index(x - cx * CHUNK_SIZE, y, z - cz * CHUNK_SIZE)];
+    }
+
+    getSkyLight(x, y, z) {
+        return this.getPackedLight(x, y, z) >> 4;
+    }
+
+    getBlockLight(x, y, z) {
+        return this.getPackedLight(x, y, z) & 15;
+    }
+
+    // Brightest of the two channels, as used by mob spawning
+    getLight(x, y, z) {
+        return Math.max(this.getSkyLight(x, y, z), this.getBlockLight(x, y, z));
+    }
+
+    // Chebyshev distance in chunks, matching the square load area
+    isInRange(cx, cz, centerCx, centerCz) {
+        return Math.max(Math.abs(cx - centerCx), Math.abs(cz - centerCz)) <= this.renderDistance;
+    }
+
+    update(x, z) {
+        const centerCx = World.toChunkCoord(x);
+        const centerCz = World.toChunkCoord(z);
+
+        for (const chunk of [...this.chunks.values()]) {
+            if (!this.isInRange(chunk.cx, chunk.cz, centerCx, centerCz)) {
+                this.unloadChunk(chunk.cx, chunk.cz);
+            }
+        }
+
+        // Without a generator, chunks only come into existence through setBlock
+        if (!this.generator) return;
+
+        const r = this.renderDistance;
+        const missing = [];
+        for (let dz = -r; dz <= r; dz++) {
+            for (let dx = -r; dx <= r; dx++) {
+                if (!this.chunks.has(World.key(centerCx + dx, centerCz + dz))) {
+                    missing.push([dx, dz]);
+                }
+            }
+        }
+
+        // Nearest chunks first so the area around the player fills in quickly
+        missing.sort((a, b) => (a[0] * a[0] + a[1] * a[1]) - (b[0] * b[0] + b[1] * b[1]));
+        for (const [dx, dz] of missing.slice(0, this.loadsPerUpdate)) {
+            this.loadChunk(centerCx + dx, centerCz + dz);
+        }
+    }
+}
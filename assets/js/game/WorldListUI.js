@@ -0,0 +1,437 @@
+// World selection screen, opened from the Play button of mainmenu.html.
+//
+// Lists the saved worlds (Save.js), most recently played first, each with its
+// name, when it was last played, its game mode and how much space it takes.
+// Clicking a world selects it; Play (or a double click) opens game.html with
+// the world's ID in the URL so the game loads that save. Rename and Duplicate
+// ask for a name, Delete asks for confirmation first.
+//
+// "Create New World" shows a form for the name, seed, game mode, world type
+// and cheats. The seed may be text or a number and goes through hashSeed, so
+// the same seed always gives the same terrain; an empty seed picks a random
+// one. The new world is saved with its spawn point and launched at once.
+//
+// Escape steps back: from a dialog to the list or form, from the form to the
+// list, and from the list out of the screen.
+//
+// Usage example:
+// const worlds = new WorldListUI(new IndexedDBStorage(), { onClose: () => playButton.focus() });
+// playButton.addEventListener("click", () => worlds.open());
+
+import { WorldSave, listWorlds, renameWorld, duplicateWorld, deleteWorld } from "./Save.js";
+import { TerrainGenerator, WORLD_TYPES } from "./Terrain.js";
+import { GAME_MODES } from "./Commands.js";
+import { hashSeed } from "./Noise.js";
+
+// Longest world name accepted by the name inputs
+const MAX_NAME_LENGTH = 32;
+
+const WORLD_TYPE_NAMES = { default: "Default", flat: "Superflat", void: "The Void" };
+
+// URL of the game page that loads a world
+export function worldUrl(id, page = "game.html") {
+    return `${page}?world=${encodeURIComponent(id)}`;
+}
+
+// Text or number to a seed, as typed in the form; empty picks a random seed
+export function parseSeed(text, random = Math.random) {
+    const trimmed = String(text ?? "").trim();
+    if (trimmed === "") return Math.floor(random() * 0x100000000);
+    return hashSeed(trimmed);
+}
+
+function capitalize(word) {
+    return word[0].toUpperCase() + word.slice(1);
+}
+
+function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function formatDate(time) {
+    return new Date(time).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+}
+
+function element(doc, tag, className, parent = null) {
+    const el = doc.createElement(tag);
+    if (className) el.className = className;
+    if (parent) parent.appendChild(el);
+    return el;
+}
+
+function button(doc, className, text, parent) {
+    const el = element(doc, "button", className, parent);
+    el.type = "button";
+    el.textContent = text;
+    return el;
+}
+
+export class WorldListUI {
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.document = options.document || document;
+        this.onClose = options.onClose || null;
+        // Called with the metadata of the world to launch
+        this.onPlay = options.onPlay || ((meta) => { location.href = worldUrl(meta.id); });
+
+        this.isOpen = false;
+        // Metadata of the listed worlds, and the selected world's id
+        this.worlds = [];
+        this.selected = null;
+        // "list", "create" or "dialog"; the dialog returns to dialogReturn
+        this.view = "list";
+        this.dialogReturn = "list";
+        this.dialogAction = null;
+        // Create form state
+        this.form = null;
+
+        this.listeners = [];
+        this.build(options.root || this.document.body);
+    }
+
+    build(root) {
+        const doc = this.document;
+        this.screen = element(doc, "div", "worlds-screen", root);
+        this.screen.hidden = true;
+        const panel = element(doc, "div", "worlds-panel", this.screen);
+        this.title = element(doc, "h2", "worlds-title", panel);
+
+        // World list
+        this.listView = element(doc, "div", "worlds-view", panel);
+        this.list = element(doc, "div", "worlds-list", this.listView);
+        this.empty = element(doc, "p", "worlds-empty", this.listView);
+        this.empty.textContent = "No worlds yet. Create one to start playing.";
+        this.status = element(doc, "p", "worlds-status", this.listView);
+        this.status.hidden = true;
+        const actions = element(doc, "div", "worlds-footer", this.listView);
+        this.playButton = button(doc, "worlds-button worlds-primary", "Play Selected World", actions);
+        this.listen(this.playButton, "click", () => this.play(this.selected));
+        this.listen(button(doc, "worlds-button", "Create New World", actions), "click", () => this.showCreate());
+        this.renameButton = button(doc, "worlds-button", "Rename", actions);
+        this.listen(this.renameButton, "click", () => this.askRename(this.selected));
+        this.duplicateButton = button(doc, "worlds-button", "Duplicate", actions);
+        this.listen(this.duplicateButton, "click", () => this.askDuplicate(this.selected));
+        this.deleteButton = button(doc, "worlds-button worlds-danger", "Delete", actions);
+        this.listen(this.deleteButton, "click", () => this.askDelete(this.selected));
+        this.listen(button(doc, "worlds-button", "Cancel", actions), "click", () => this.close());
+
+        // Create New World form
+        this.createView = element(doc, "form", "worlds-view worlds-form", panel);
+        this.createView.noValidate = true;
+        this.nameInput = this.field("World Name", "input", "world-name");
+        this.nameInput.maxLength = MAX_NAME_LENGTH;
+        this.seedInput = this.field("Seed (leave blank for a random seed)", "input", "world-seed");
+        this.seedInput.spellcheck = false;
+        this.modeSelect = this.field("Game Mode", "select", "world-mode");
+        for (const mode of GAME_MODES) {
+            const option = element(doc, "option", null, this.modeSelect);
+            option.value = mode;
+            option.textContent = capitalize(mode);
+        }
+        this.typeSelect = this.field("World Type", "select", "world-type");
+        for (const type of WORLD_TYPES) {
+            const option = element(doc, "option", null, this.typeSelect);
+            option.value = type;
+            option.textContent = WORLD_TYPE_NAMES[type];
+        }
+        this.cheatsToggle = this.field("Allow Cheats", "button", "world-cheats");
+        this.cheatsToggle.type = "button";
+        this.cheatsToggle.classList.add("worlds-toggle");
+        this.listen(this.cheatsToggle, "click", () => {
+            this.form.cheats = !this.form.cheats;
+            this.updateForm();
+        });
+        // Picking creative turns cheats on, as it does in the game
+        this.listen(this.modeSelect, "change", () => {
+            if (this.modeSelect.value === "creative") this.form.cheats = true;
+            this.updateForm();
+        });
+        this.formError = element(doc, "p", "worlds-error", this.createView);
+        this.formError.hidden = true;
+        const formActions = element(doc, "div", "worlds-footer", this.createView);
+        this.createButton = button(doc, "worlds-button worlds-primary", "Create New World", formActions);
+        this.createButton.type = "submit";
+        this.listen(button(doc, "worlds-button", "Cancel", formActions), "click", () => this.showList());
+        this.listen(this.createView, "submit", (e) => {
+            e.preventDefault();
+            this.create();
+        });
+
+        // Rename, duplicate and delete dialogs
+        this.dialogView = element(doc, "form", "worlds-view worlds-dialog", panel);
+        this.dialogView.noValidate = true;
+        this.dialogText = element(doc, "p", "worlds-dialog-text", this.dialogView);
+        this.dialogInput = element(doc, "input", "worlds-input", this.dialogView);
+        this.dialogInput.type = "text";
+        this.dialogInput.maxLength = MAX_NAME_LENGTH;
+        const dialogActions = element(doc, "div", "worlds-footer", this.dialogView);
+        this.confirmButton = button(doc, "worlds-button worlds-primary", "", dialogActions);
+        this.confirmButton.type = "submit";
+        this.listen(button(doc, "worlds-button", "Cancel", dialogActions), "click", () => this.closeDialog());
+        this.listen(this.dialogView, "submit", (e) => {
+            e.preventDefault();
+            this.confirmDialog();
+        });
+
+        this.listen(doc, "keydown", (e) => this.handleKey(e));
+        this.showView("list");
+    }
+
+    // Labelled control in the create form
+    field(label, tag, id) {
+        const doc = this.document;
+        const row = element(doc, "div", "worlds-field", this.createView);
+        const text = element(doc, "label", "worlds-label", row);
+        text.textContent = label;
+        text.htmlFor = id;
+        const control = element(doc, tag, tag === "select" ? "worlds-select" : tag === "input" ? "worlds-input" : "worlds-button", row);
+        control.id = id;
+        if (tag === "input") control.type = "text";
+        return control;
+    }
+
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push([target, type, handler, options]);
+    }
+
+    open() {
+        this.isOpen = true;
+        this.screen.hidden = false;
+        return this.showList();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.screen.hidden = true;
+        if (this.onClose) this.onClose();
+    }
+
+    showView(view) {
+        this.view = view;
+        this.listView.hidden = view !== "list";
+        this.createView.hidden = view !== "create";
+        this.dialogView.hidden = view !== "dialog";
+        if (view === "list") this.title.textContent = "Select World";
+        if (view === "create") this.title.textContent = "Create New World";
+    }
+
+    showList() {
+        this.showView("list");
+        return this.refresh();
+    }
+
+    // Reloads the worlds from storage and redraws the list
+    async refresh() {
+        try {
+            this.worlds = await listWorlds(this.storage);
+            this.status.hidden = true;
+        } catch (err) {
+            this.worlds = [];
+            this.showStatus(`Could not load the worlds: ${err.message}`);
+        }
+        if (!this.worlds.some((w) => w.id === this.selected)) this.selected = this.worlds.length ? this.worlds[0].id : null;
+        this.render();
+    }
+
+    render() {
+        const doc = this.document;
+        this.list.replaceChildren();
+        this.empty.hidden = this.worlds.length > 0;
+        for (const meta of this.worlds) {
+            const row = element(doc, "div", "worlds-entry", this.list);
+            row.tabIndex = 0;
+            row.dataset.id = meta.id;
+            row.classList.toggle("selected", meta.id === this.selected);
+            element(doc, "div", "worlds-name", row).textContent = meta.name;
+            element(doc, "div", "worlds-details", row).textContent = `Last played ${formatDate(meta.lastPlayed)}`;
+            const tags = [capitalize(meta.gameMode || "survival"), formatSize(meta.size || 0)];
+            if (meta.worldType && meta.worldType !== "default") tags.push(WORLD_TYPE_NAMES[meta.worldType] || meta.worldType);
+            if (meta.cheats) tags.push("Cheats");
+            element(doc, "div", "worlds-details", row).textContent = tags.join(", ");
+            // Rows are rebuilt with the list, so their listeners go with them
+            row.addEventListener("click", () => this.select(meta.id));
+            row.addEventListener("dblclick", () => this.play(meta.id));
+        }
+        this.updateButtons();
+    }
+
+    // The buttons acting on the selected world need one
+    updateButtons() {
+        const none = this.selected === null;
+        this.playButton.disabled = none;
+        this.renameButton.disabled = none;
+        this.duplicateButton.disabled = none;
+        this.deleteButton.disabled = none;
+    }
+
+    select(id) {
+        this.selected = id;
+        for (const row of this.list.children) row.classList.toggle("selected", row.dataset.id === id);
+        this.updateButtons();
+    }
+
+    showStatus(text) {
+        this.status.textContent = text;
+        this.status.hidden = false;
+    }
+
+    get(id) {
+        return this.worlds.find((w) => w.id === id) || null;
+    }
+
+    play(id) {
+        const meta = this.get(id);
+        if (meta) this.onPlay(meta);
+    }
+
+    /* ---- Create ---- */
+
+    showCreate() {
+        this.form = { cheats: false };
+        this.nameInput.value = "New World";
+        this.seedInput.value = "";
+        this.modeSelect.value = GAME_MODES[0];
+        this.typeSelect.value = WORLD_TYPES[0];
+        this.formError.hidden = true;
+        this.showView("create");
+        this.updateForm();
+        this.nameInput.focus();
+    }
+
+    updateForm() {
+        this.cheatsToggle.textContent = this.form.cheats ? "ON" : "OFF";
+        this.cheatsToggle.classList.toggle("on", this.form.cheats);
+    }
+
+    // Options for WorldSave.create from the form, or throws with what is wrong
+    readForm() {
+        const name = this.nameInput.value.trim();
+        if (!name) throw new Error("The world needs a name");
+        const seed = parseSeed(this.seedInput.value);
+        const worldType = this.typeSelect.value;
+        const spawn = new TerrainGenerator(seed, { type: worldType }).spawnPoint();
+        return { name, seed, gameMode: this.modeSelect.value, worldType, cheats: this.form.cheats, spawn };
+    }
+
+    async create() {
+        let options;
+        try {
+            options = this.readForm();
+        } catch (err) {
+            this.formError.textContent = err.message;
+            this.formError.hidden = false;
+            return null;
+        }
+        this.createButton.disabled = true;
+        try {
+            const save = await WorldSave.create(this.storage, options);
+            this.onPlay(save.meta);
+            return save.meta;
+        } catch (err) {
+            this.formError.textContent = `Could not create the world: ${err.message}`;
+            this.formError.hidden = false;
+            return null;
+        } finally {
+            this.createButton.disabled = false;
+        }
+    }
+
+    /* ---- Rename, duplicate, delete ---- */
+
+    // action(name) for dialogs with a name input, action() otherwise
+    showDialog({ title, text, confirm, name = null, action }) {
+        this.dialogReturn = this.view === "dialog" ? this.dialogReturn : this.view;
+        this.dialogAction = action;
+        this.title.textContent = title;
+        this.dialogText.textContent = text;
+        this.confirmButton.textContent = confirm;
+        this.confirmButton.classList.toggle("worlds-danger", name === null);
+        this.dialogInput.hidden = name === null;
+        this.dialogInput.value = name ?? "";
+        this.showView("dialog");
+        if (name !== null) this.dialogInput.focus();
+        else this.confirmButton.focus();
+    }
+
+    closeDialog() {
+        this.dialogAction = null;
+        if (this.dialogReturn === "create") this.showView("create");
+        else this.showList();
+    }
+
+    async confirmDialog() {
+        const action = this.dialogAction;
+        if (!action) return;
+        let name;
+        if (!this.dialogInput.hidden) {
+            name = this.dialogInput.value.trim();
+            if (!name) {
+                this.dialogInput.focus();
+                return;
+            }
+        }
+        this.dialogAction = null;
+        try {
+            await action(name);
+        } catch (err) {
+            this.showStatus(err.message);
+        }
+        await this.showList();
+    }
+
+    askRename(id) {
+        const meta = this.get(id);
+        if (!meta) return;
+        this.showDialog({
+            title: "Rename World",
+            text: "World Name",
+            confirm: "Rename",
+            name: meta.name,
+            action: (name) => renameWorld(this.storage, id, name)
+        });
+    }
+
+    askDuplicate(id) {
+        const meta = this.get(id);
+        if (!meta) return;
+        this.showDialog({
+            title: "Duplicate World",
+            text: "Name of the copy",
+            confirm: "Duplicate",
+            name: `${meta.name} - Copy`.slice(0, MAX_NAME_LENGTH),
+            action: async (name) => {
+                this.selected = (await duplicateWorld(this.storage, id, { name })).id;
+            }
+        });
+    }
+
+    askDelete(id) {
+        const meta = this.get(id);
+        if (!meta) return;
+        this.showDialog({
+            title: "Delete World",
+            text: `Are you sure you want to delete "${meta.name}"? It will be lost forever!`,
+            confirm: "Delete",
+            action: () => deleteWorld(this.storage, id)
+        });
+    }
+
+    handleKey(event) {
+        if (!this.isOpen || event.code !== "Escape") return;
+        event.preventDefault();
+        if (this.view === "dialog") this.closeDialog();
+        else if (this.view === "create") this.showList();
+        else this.close();
+    }
+
+    dispose() {
+        this.close();
+        for (const [target, type, handler, options] of this.listeners) target.removeEventListener(type, handler, options);
+        this.listeners = [];
+        this.screen.remove();
+    }
+}
@@ -1,11 +1,95 @@
 import { mat4 } from "./math.js";
 
+// Keeps the camera from flipping over when looking straight up or down
+const PITCH_LIMIT = Math.PI / 2 - 0.001;
+
 export class Camera {
     constructor(fov, aspect, near, far) {
+        this.fov = fov;
+        this.aspect = aspect;
+        this.near = near;
+        this.far = far;
+
         this.projection = mat4.create();
-        mat4.perspective(this.projection, fov, aspect, near, far);
+        this.updateProjection();
 
         this.position = [0, 0, 5];
+        this.up = [0, 1, 0];
+
+        // Radians. yaw 0 looks down -Z, positive pitch looks up
+        this.yaw = 0;
+        this.pitch = 0;
+
+        // "first-person" looks out from position; "orbit" circles target at distance
+        this.mode = "first-person";
+        this.target = [0, 0, 0];
+        this.distance = 10;
+
         this.view = mat4.create();
+        this.updateView();
+    }
+
+    updateProjection() {
+        mat4.perspective(this.projection, this.fov, this.aspect, this.near, this.far);
+    }
+
+    setFov(fov) {
+        this.fov = fov;
+        this.updateProjection();
+    }
+
+    setAspect(aspect) {
+        this.aspect = aspect;
+        this.updateProjection();
+    }
+
+    setRotation(yaw, pitch) {
+        this.yaw = yaw % (Math.PI * 2);
+        this.pitch = Math.max(-PITCH_LIMIT, Math.min(PITCH_LIMIT, pitch));
+    }
+
+    rotate(dYaw, dPitch) {
+        this.setRotation(this.yaw + dYaw, this.pitch + dPitch);
+    }
+
+    getForward(out = [0, 0, 0]) {
+        const cp = Math.cos(this.pitch);
+        out[0] = -Math.sin(this.yaw) * cp;
+        out[1] = Math.sin(this.pitch);
+        out[2] = -Math.cos(this.yaw) * cp;
+        return out;
+    }
+
+    getRight(out = [0, 0, 0]) {
+        out[0] = Math.cos(this.yaw);
+        out[1] = 0;
+        out[2] = -Math.sin(this.yaw);
+        return out;
+    }
+
+    // Point the camera at a world position without moving it
+    lookAt(point) {
+        const dx = point[0] - this.position[0];
+        const dy = point[1] - this.position[1];
+        const dz = point[2] - this.position[2];
+        this.setRotation(Math.atan2(-dx, -dz), Math.atan2(dy, Math.hypot(dx, dz)));
+    }
+
+    // Rebuild the view matrix; call once per frame after moving or rotating.
+    // In orbit mode this also moves position onto the orbit.
+    updateView() {
+        const f = this.getForward();
+        let center;
+        if (this.mode === "orbit") {
+            this.position[0] = this.target[0] - f[0] * this.distance;
+            this.position[1] = this.target[1] - f[1] * this.distance;
+            this.position[2] = this.target[2] - f[2] * this.distance;
+            center = this.target;
+        } else {
+            const p = this.position;
+            center = [p[0] + f[0], p[1] + f[1], p[2] + f[2]];
+        }
+        mat4.lookAt(this.view, this.position, center, this.up);
+        return this.view;
     }
 }
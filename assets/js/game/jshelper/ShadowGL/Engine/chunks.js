@@ -0,0 +1,131 @@
+// Keeps one greedy-meshed Mesh per loaded chunk of a World and hands them to
+// a WebGL3D renderer.
+//
+// Each call to update(position):
+// - moves the world's loaded area to the position (load / unload chunks),
+// - drops meshes whose chunk has been unloaded,
+// - rebuilds meshes for dirty chunks, nearest first, a few per frame.
+//
+// Vertices carry the world's light levels (see Light.js; without a
+// WorldLighting every chunk is in full daylight) and ambient occlusion;
+// setDaylight scales skylight for the time of day and setFog fades the edge of
+// the loaded area into the sky colour.
+//
+// Pass options.atlas (a TextureAtlas from loadBlockAtlas) to draw block
+// textures; without one every block is drawn in options.color.
+//
+// Usage example:
+// const chunks = new ChunkRenderer(renderer, world, { atlas: await loadBlockAtlas(renderer.gl, blocks) });
+// function frame() { chunks.update(camera.position); renderer.render(); }
+
+import { Mesh } from "./mesh.js";
+import { Material } from "./material.js";
+import { greedyMesh } from "./mesher.js";
+import { chunkVertexSrc, chunkFragmentSrc } from "./shaders.js";
+import { World } from "../../../World.js";
+import { CHUNK_SIZE } from "../../../Chunk.js";
+import { blocks } from "../../../Block.js";
+
+export class ChunkRenderer {
+    constructor(renderer, world, options = {}) {
+        this.renderer = renderer;
+        this.gl = renderer.gl;
+        this.world = world;
+
+        this.rebuildsPerUpdate = options.rebuildsPerUpdate ?? 4;
+        this.isOpaque = options.isOpaque || ((id) => blocks.isOpaque(id));
+
+        this.atlas = options.atlas || null;
+
+        // One material for every chunk mesh
+        this.material = new Material(this.gl, {
+            vertexSrc: chunkVertexSrc,
+            fragmentSrc: chunkFragmentSrc,
+            defines: { USE_ATLAS: !!this.atlas },
+            uniforms: {
+                uColor: options.color || (this.atlas ? [1, 1, 1, 1] : [0.55, 0.55, 0.55, 1.0]),
+                uTexture: this.atlas ? this.atlas.texture : null
+            }
+        });
+        this.setDaylight(options.daylight ?? 1);
+
+        // Fog ends at the edge of the loaded area by default
+        this.fogFar = options.fogFar ?? world.renderDistance * CHUNK_SIZE;
+        this.fogNear = options.fogNear ?? this.fogFar * 0.7;
+        this.setFog(options.fogColor || [0.75, 0.85, 0.95]);
+
+        // chunk key -> Mesh
+        this.meshes = new Map();
+    }
+
+    // 0..1 multiplier for skylight; block light is unaffected
+    setDaylight(value) {
+        this.daylight = value;
+        this.material.setUniform("uDaylight", value);
+    }
+
+    setFog(color, near = this.fogNear, far = this.fogFar) {
+        this.fogNear = near;
+        this.fogFar = Math.max(far, near + 1);
+        this.material.setUniforms({ uFogColor: color.slice(0, 3), uFogRange: [this.fogNear, this.fogFar] });
+    }
+
+    update(position) {
+        const [x, , z] = position;
+        this.world.update(x, z);
+        if (this.atlas) this.atlas.update(performance.now() / 1000);
+
+        for (const key of [...this.meshes.keys()]) {
+            if (!this.world.chunks.has(key)) this.dropMesh(key);
+        }
+
+        const cx = x / CHUNK_SIZE;
+        const cz = z / CHUNK_SIZE;
+        const dirty = [...this.world.chunks.values()].filter((c) => c.dirty);
+        dirty.sort((a, b) =>
+            ((a.cx + 0.5 - cx) ** 2 + (a.cz + 0.5 - cz) ** 2) -
+            ((b.cx + 0.5 - cx) ** 2 + (b.cz + 0.5 - cz) ** 2)
+        );
+
+        for (const chunk of dirty.slice(0, this.rebuildsPerUpdate)) {
+            this.rebuild(chunk);
+        }
+    }
+
+    rebuild(chunk) {
+        const key = World.key(chunk.cx, chunk.cz);
+        const ox = chunk.originX;
+        const oz = chunk.originZ;
+        const sample = (x, y, z) => this.world.getBlock(ox + x, y, oz + z);
+
+        const data = greedyMesh(chunk, sample, {
+            isOpaque: this.isOpaque,
+            light: (x, y, z) => this.world.getPackedLight(ox + x, y, oz + z),
+            tileRect: this.atlas ? (id, face) => this.atlas.blockRect(id, face) : null
+        });
+        chunk.dirty = false;
+
+        this.dropMesh(key);
+        if (data.indices.length === 0) return;
+
+        const mesh = new Mesh(this.gl, data, null, null, {
+            material: this.material,
+            rotationSpeed: [0, 0, 0]
+        });
+        this.meshes.set(key, mesh);
+        this.renderer.addMesh(mesh);
+    }
+
+    dropMesh(key) {
+        const mesh = this.meshes.get(key);
+        if (!mesh) return;
+
+        mesh.dispose();
+        this.meshes.delete(key);
+    }
+
+    dispose() {
+        for (const key of [...this.meshes.keys()]) this.dropMesh(key);
+        this.material.dispose();
+    }
+}
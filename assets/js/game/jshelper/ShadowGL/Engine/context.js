@@ -0,0 +1,119 @@
+// WebGL context creation and the features ShadowGL uses beyond WebGL1.
+//
+// createContext prefers WebGL2 and falls back to WebGL1. getCapabilities
+// wraps the differences: in WebGL2 vertex array objects, 32-bit indices and
+// instancing are core, in WebGL1 they come from OES_vertex_array_object,
+// OES_element_index_uint and ANGLE_instanced_arrays when the browser has
+// them. Callers check the flags and use the wrapped functions either way.
+//
+// GPU objects die with a lost context. Meshes, textures and shader programs
+// register themselves with trackResource and keep the CPU-side data they were
+// made from; after webglcontextrestored the renderer calls restoreResources,
+// which recreates them in creation order (programs before the meshes that use
+// them). dispose() untracks a resource.
+//
+// Usage example:
+// const gl = createContext(canvas);
+// const caps = getCapabilities(gl);
+// if (caps.instancing) caps.drawArraysInstanced(gl.TRIANGLES, 0, 36, count);
+
+const capabilities = new WeakMap();
+// gl -> Set of objects with a restore() method
+const resources = new WeakMap();
+
+export function createContext(canvas, options = {}) {
+    const attributes = options.attributes || {};
+    let gl = null;
+    if (options.webgl2 !== false) gl = canvas.getContext("webgl2", attributes);
+    if (!gl) gl = canvas.getContext("webgl", attributes);
+    if (!gl) throw new Error("WebGL not supported");
+    return gl;
+}
+
+export function isWebGL2(gl) {
+    return typeof WebGL2RenderingContext !== "undefined" && gl instanceof WebGL2RenderingContext;
+}
+
+// Detected once per context
+export function getCapabilities(gl) {
+    let caps = capabilities.get(gl);
+    if (!caps) {
+        caps = isWebGL2(gl) ? webgl2Capabilities(gl) : webgl1Capabilities(gl);
+        capabilities.set(gl, caps);
+    }
+    return caps;
+}
+
+// Extension objects do not survive a context loss; queries them again in
+// place, so code holding the capabilities object keeps working
+export function refreshCapabilities(gl) {
+    const caps = isWebGL2(gl) ? webgl2Capabilities(gl) : webgl1Capabilities(gl);
+    const cached = capabilities.get(gl);
+    if (!cached) {
+        capabilities.set(gl, caps);
+        return caps;
+    }
+    return Object.assign(cached, caps);
+}
+
+export function trackResource(gl, resource) {
+    let set = resources.get(gl);
+    if (!set) {
+        set = new Set();
+        resources.set(gl, set);
+    }
+    set.add(resource);
+}
+
+export function untrackResource(gl, resource) {
+    const set = resources.get(gl);
+    if (set) set.delete(resource);
+}
+
+// Recreates every tracked resource of a restored context
+export function restoreResources(gl) {
+    const set = resources.get(gl);
+    if (!set) return;
+    for (const resource of set) resource.restore();
+}
+
+function webgl2Capabilities(gl) {
+    return {
+        webgl2: true,
+        vertexArrays: true,
+        uintIndices: true,
+        instancing: true,
+        createVertexArray: () => gl.createVertexArray(),
+        bindVertexArray: (vao) => gl.bindVertexArray(vao),
+        deleteVertexArray: (vao) => gl.deleteVertexArray(vao),
+        vertexAttribDivisor: (loc, divisor) => gl.vertexAttribDivisor(loc, divisor),
+        drawArraysInstanced: (mode, first, count, instances) =>
+            gl.drawArraysInstanced(mode, first, count, instances),
+        drawElementsInstanced: (mode, count, type, offset, instances) =>
+            gl.drawElementsInstanced(mode, count, type, offset, instances)
+    };
+}
+
+function webgl1Capabilities(gl) {
+    const vao = gl.getExtension("OES_vertex_array_object");
+    const uint = gl.getExtension("OES_element_index_uint");
+    const instanced = gl.getExtension("ANGLE_instanced_arrays");
+    const missing = () => { throw new Error("Not supported by this WebGL context"); };
+
+    return {
+        webgl2: false,
+        vertexArrays: !!vao,
+        uintIndices: !!uint,
+        instancing: !!instanced,
+        createVertexArray: vao ? () => vao.createVertexArrayOES() : missing,
+        bindVertexArray: vao ? (v) => vao.bindVertexArrayOES(v) : missing,
+        deleteVertexArray: vao ? (v) => vao.deleteVertexArrayOES(v) : missing,
+        vertexAttribDivisor: instanced ? (loc, divisor) => instanced.vertexAttribDivisorANGLE(loc, divisor) : missing,
+        drawArraysInstanced: instanced
+            ? (mode, first, count, instances) => instanced.drawArraysInstancedANGLE(mode, first, count, instances)
+            : missing,
+        drawElementsInstanced: instanced
+            ? (mode, count, type, offset, instances) => instanced.drawElementsInstancedANGLE(mode, count, type, offset, instances)
+            : missing
+    };
+}
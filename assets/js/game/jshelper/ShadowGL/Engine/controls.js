@@ -0,0 +1,194 @@
+// Mouse and keyboard controller for a Camera.
+//
+// First-person: click the canvas to grab the pointer (Pointer Lock API), move
+// the mouse to look, WASD to move, Space / Shift to go up / down, Ctrl to sprint.
+// Orbit: drag to rotate around camera.target, wheel to zoom, WASD to pan the target.
+// F5 toggles between the two, like the perspective key in Minecraft.
+//
+// The movement keys can be rebound with options.keys or setKeys(), a map of
+// KeyboardEvent.code to action like MOVE_KEYS.
+//
+// Usage example:
+// const controls = new CameraController(camera, canvas, { sensitivity: 0.002 });
+// function frame(dt) { controls.update(dt); renderer.render(); }
+
+export const MOVE_KEYS = {
+    KeyW: "forward",
+    KeyS: "back",
+    KeyA: "left",
+    KeyD: "right",
+    Space: "up",
+    ShiftLeft: "down",
+    ShiftRight: "down",
+    ControlLeft: "sprint"
+};
+
+export class CameraController {
+    constructor(camera, canvas, options = {}) {
+        this.camera = camera;
+        this.canvas = canvas;
+
+        this.sensitivity = options.sensitivity ?? 0.002;
+        this.invertY = options.invertY ?? false;
+        this.keys = { ...(options.keys || MOVE_KEYS) };
+        // Blocks per second
+        this.speed = options.speed ?? 5;
+        this.minDistance = options.minDistance ?? 2;
+        this.maxDistance = options.maxDistance ?? 50;
+
+        // Set by attachTo(): the camera then follows this entity instead of flying
+        this.follow = null;
+        this.eyeHeight = options.eyeHeight ?? 1.62;
+
+        this.actions = { forward: false, back: false, left: false, right: false, up: false, down: false, sprint: false };
+        this.dragging = false;
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onKeyUp = this.onKeyUp.bind(this);
+        this.onMouseMove = this.onMouseMove.bind(this);
+        this.onMouseDown = this.onMouseDown.bind(this);
+        this.onMouseUp = this.onMouseUp.bind(this);
+        this.onWheel = this.onWheel.bind(this);
+        this.onBlur = this.onBlur.bind(this);
+
+        if (options.attach !== false) this.attach();
+    }
+
+    get locked() {
+        return typeof document !== "undefined" && document.pointerLockElement === this.canvas;
+    }
+
+    attach() {
+        window.addEventListener("keydown", this.onKeyDown);
+        window.addEventListener("keyup", this.onKeyUp);
+        window.addEventListener("blur", this.onBlur);
+        document.addEventListener("mousemove", this.onMouseMove);
+        this.canvas.addEventListener("mousedown", this.onMouseDown);
+        window.addEventListener("mouseup", this.onMouseUp);
+        this.canvas.addEventListener("wheel", this.onWheel, { passive: false });
+    }
+
+    detach() {
+        window.removeEventListener("keydown", this.onKeyDown);
+        window.removeEventListener("keyup", this.onKeyUp);
+        window.removeEventListener("blur", this.onBlur);
+        document.removeEventListener("mousemove", this.onMouseMove);
+        this.canvas.removeEventListener("mousedown", this.onMouseDown);
+        window.removeEventListener("mouseup", this.onMouseUp);
+        this.canvas.removeEventListener("wheel", this.onWheel);
+        if (this.locked) document.exitPointerLock();
+    }
+
+    // Camera rides on an entity (anything with a position array) from now on
+    attachTo(entity) {
+        this.follow = entity;
+    }
+
+    setMode(mode) {
+        this.camera.mode = mode;
+        if (mode === "orbit" && this.locked) document.exitPointerLock();
+    }
+
+    toggleMode() {
+        this.setMode(this.camera.mode === "orbit" ? "first-person" : "orbit");
+    }
+
+    onKeyDown(e) {
+        if (e.code === "F5") {
+            e.preventDefault();
+            this.toggleMode();
+            return;
+        }
+        const action = this.keys[e.code];
+        if (action) this.actions[action] = true;
+    }
+
+    onKeyUp(e) {
+        const action = this.keys[e.code];
+        if (action) this.actions[action] = false;
+    }
+
+    setKeys(keys) {
+        this.keys = { ...keys };
+        // A key held down while rebinding would never be released
+        this.onBlur();
+    }
+
+    // Releasing keys while the window is unfocused never fires keyup
+    onBlur() {
+        for (const k in this.actions) this.actions[k] = false;
+        this.dragging = false;
+    }
+
+    onMouseDown(e) {
+        if (this.camera.mode === "orbit") {
+            this.dragging = true;
+        } else if (!this.locked) {
+            this.canvas.requestPointerLock();
+        }
+    }
+
+    onMouseUp() {
+        this.dragging = false;
+    }
+
+    onMouseMove(e) {
+        const active = this.camera.mode === "orbit" ? this.dragging : this.locked;
+        if (!active) return;
+        const dy = this.invertY ? -e.movementY : e.movementY;
+        this.camera.rotate(-e.movementX * this.sensitivity, -dy * this.sensitivity);
+    }
+
+    onWheel(e) {
+        if (this.camera.mode !== "orbit") return;
+        e.preventDefault();
+        const d = this.camera.distance * Math.exp(e.deltaY * 0.001);
+        this.camera.distance = Math.max(this.minDistance, Math.min(this.maxDistance, d));
+    }
+
+    // Movement wish in camera space: forward/strafe/up in -1..1. The same
+    // object is valid input for PlayerPhysics.step (jump, sneak, sprint, yaw).
+    getMoveInput() {
+        const a = this.actions;
+        return {
+            forward: (a.forward ? 1 : 0) - (a.back ? 1 : 0),
+            strafe: (a.right ? 1 : 0) - (a.left ? 1 : 0),
+            up: (a.up ? 1 : 0) - (a.down ? 1 : 0),
+            jump: a.up,
+            sneak: a.down,
+            sprint: a.sprint,
+            yaw: this.camera.yaw
+        };
+    }
+
+    update(dt) {
+        const camera = this.camera;
+
+        if (this.follow) {
+            const p = this.follow.position;
+            const eye = [p[0], p[1] + this.eyeHeight, p[2]];
+            if (camera.mode === "orbit") camera.target = eye;
+            else camera.position = eye;
+            camera.updateView();
+            return;
+        }
+
+        const { forward, strafe, up } = this.getMoveInput();
+        if (forward || strafe || up) {
+            // Walk on the horizontal plane regardless of pitch
+            const sy = Math.sin(camera.yaw);
+            const cy = Math.cos(camera.yaw);
+            const step = this.speed * dt;
+            const dx = (-sy * forward + cy * strafe) * step;
+            const dz = (-cy * forward - sy * strafe) * step;
+            const dy = up * step;
+
+            const p = camera.mode === "orbit" ? camera.target : camera.position;
+            p[0] += dx;
+            p[1] += dy;
+            p[2] += dz;
+        }
+
+        camera.updateView();
+    }
+}
@@ -0,0 +1,88 @@
+// View frustum for culling.
+//
+// The six planes are extracted from the combined projection * view matrix
+// (Gribb & Hartmann), normals pointing inwards, so a point is inside when
+// dot(normal, p) + d >= 0 for every plane.
+//
+// Usage example:
+// const frustum = new Frustum().setFromCamera(camera);
+// if (frustum.intersectsBox(mesh.worldBounds)) mesh.draw(camera);
+
+import { mat4 } from "./math.js";
+
+// Axis-aligned box { min: [x, y, z], max: [x, y, z] } around a matrix-transformed box
+export function transformBox(box, matrix, out = { min: [0, 0, 0], max: [0, 0, 0] }) {
+    out.min[0] = out.min[1] = out.min[2] = Infinity;
+    out.max[0] = out.max[1] = out.max[2] = -Infinity;
+    for (let i = 0; i < 8; i++) {
+        const x = i & 1 ? box.max[0] : box.min[0];
+        const y = i & 2 ? box.max[1] : box.min[1];
+        const z = i & 4 ? box.max[2] : box.min[2];
+        const p = [
+            matrix[0] * x + matrix[4] * y + matrix[8] * z + matrix[12],
+            matrix[1] * x + matrix[5] * y + matrix[9] * z + matrix[13],
+            matrix[2] * x + matrix[6] * y + matrix[10] * z + matrix[14]
+        ];
+        for (let k = 0; k < 3; k++) {
+            if (p[k] < out.min[k]) out.min[k] = p[k];
+            if (p[k] > out.max[k]) out.max[k] = p[k];
+        }
+    }
+    return out;
+}
+
+export class Frustum {
+    constructor() {
+        // [a, b, c, d] each: left, right, bottom, top, near, far
+        this.planes = Array.from({ length: 6 }, () => [0, 0, 0, 0]);
+        this.matrix = mat4.create();
+    }
+
+    setFromCamera(camera) {
+        // projection * view (mat4.multiply takes the right-hand matrix first)
+        mat4.multiply(this.matrix, camera.view, camera.projection);
+        return this.setFromMatrix(this.matrix);
+    }
+
+    // m is column-major, so row r is (m[r], m[4 + r], m[8 + r], m[12 + r])
+    setFromMatrix(m) {
+        const row = (r) => [m[r], m[4 + r], m[8 + r], m[12 + r]];
+        const r0 = row(0), r1 = row(1), r2 = row(2), r3 = row(3);
+        const combos = [[r0, 1], [r0, -1], [r1, 1], [r1, -1], [r2, 1], [r2, -1]];
+
+        combos.forEach(([r, sign], i) => {
+            const p = this.planes[i];
+            for (let k = 0; k < 4; k++) p[k] = r3[k] + sign * r[k];
+            const len = Math.hypot(p[0], p[1], p[2]) || 1;
+            for (let k = 0; k < 4; k++) p[k] /= len;
+        });
+        return this;
+    }
+
+    containsPoint(p) {
+        for (const [a, b, c, d] of this.planes) {
+            if (a * p[0] + b * p[1] + c * p[2] + d < 0) return false;
+        }
+        return true;
+    }
+
+    // Conservative: true unless the box is fully behind one plane
+    intersectsBox(box) {
+        const { min, max } = box;
+        for (const [a, b, c, d] of this.planes) {
+            // Corner furthest along the plane normal
+            const x = a >= 0 ? max[0] : min[0];
+            const y = b >= 0 ? max[1] : min[1];
+            const z = c >= 0 ? max[2] : min[2];
+            if (a * x + b * y + c * z + d < 0) return false;
+        }
+        return true;
+    }
+
+    intersectsSphere(center, radius) {
+        for (const [a, b, c, d] of this.planes) {
+            if (a * center[0] + b * center[1] + c * center[2] + d < -radius) return false;
+        }
+        return true;
+    }
+}
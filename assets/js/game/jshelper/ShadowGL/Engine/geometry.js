@@ -0,0 +1,39 @@
+// Simple geometry in the Mesh vertex layout ([x,y,z, nx,ny,nz, u,v]).
+//
+// boxData builds a cube centred on the origin. Faces are named like the
+// mesher's (east +X, west -X, top +Y, bottom -Y, south +Z, north -Z) so a
+// block whose top differs from its sides can be split into one mesh per
+// texture. Each face maps the whole texture, image top towards +Y (towards
+// north on the top and bottom faces).
+//
+// Usage example:
+// const cube = new Mesh(gl, boxData(1), vertexSrc, fragmentSrc);
+// const top = boxData(1, ["top"]);
+
+export const BOX_FACES = ["east", "west", "top", "bottom", "south", "north"];
+
+// [normal, corners bottom-left, bottom-right, top-right, top-left seen from outside]
+const FACE_CORNERS = {
+    east: [[1, 0, 0], [[1, -1, 1], [1, -1, -1], [1, 1, -1], [1, 1, 1]]],
+    west: [[-1, 0, 0], [[-1, -1, -1], [-1, -1, 1], [-1, 1, 1], [-1, 1, -1]]],
+    top: [[0, 1, 0], [[-1, 1, 1], [1, 1, 1], [1, 1, -1], [-1, 1, -1]]],
+    bottom: [[0, -1, 0], [[-1, -1, -1], [1, -1, -1], [1, -1, 1], [-1, -1, 1]]],
+    south: [[0, 0, 1], [[-1, -1, 1], [1, -1, 1], [1, 1, 1], [-1, 1, 1]]],
+    north: [[0, 0, -1], [[1, -1, -1], [-1, -1, -1], [-1, 1, -1], [1, 1, -1]]]
+};
+const FACE_UVS = [[0, 1], [1, 1], [1, 0], [0, 0]];
+
+export function boxData(size = 1, faces = BOX_FACES) {
+    const half = size / 2;
+    const vertices = [];
+    const indices = [];
+    for (const name of faces) {
+        const [normal, corners] = FACE_CORNERS[name];
+        const base = vertices.length / 8;
+        corners.forEach((corner, k) => {
+            vertices.push(...corner.map((v) => v * half), ...normal, ...FACE_UVS[k]);
+        });
+        indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+    }
+    return { vertices, indices, stride: 8 };
+}
@@ -0,0 +1,138 @@
+// Block selection outline and breaking-crack overlay.
+//
+// Both are unit cubes that follow the targeted block: a black wireframe around
+// it and a slightly larger shell that darkens in a pixelated crack pattern as
+// the break progresses (stage 0..9, -1 hides it).
+//
+// Usage example:
+// const highlight = new BlockHighlight(renderer);
+// highlight.update(hit ? hit.position : null, interaction.crackStage);
+
+import { Mesh } from "./mesh.js";
+
+const outlineVertexSrc = `
+attribute vec3 aPosition;
+attribute vec3 aNormal;
+attribute vec2 aUV;
+
+uniform mat4 uProjection;
+uniform mat4 uView;
+uniform mat4 uModel;
+
+varying vec2 vUV;
+
+void main() {
+    vUV = aUV;
+    gl_Position = uProjection * uView * uModel * vec4(aPosition, 1.0);
+}
+`;
+
+const outlineFragmentSrc = `
+precision mediump float;
+
+uniform vec4 uColor;
+
+void main() {
+    gl_FragColor = uColor;
+}
+`;
+
+// uColor.a carries the break progress (0..1); texels whose hash falls below
+// it are drawn dark, so more of the 16x16 face cracks as progress grows
+const crackFragmentSrc = `
+precision mediump float;
+
+uniform vec4 uColor;
+
+varying vec2 vUV;
+
+float hash(vec2 p) {
+    return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+}
+
+void main() {
+    vec2 texel = floor(vUV * 16.0);
+    if (hash(texel) >= uColor.a) discard;
+    gl_FragColor = vec4(0.0, 0.0, 0.0, 0.55);
+}
+`;
+
+const CORNERS = [
+    [0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0],
+    [0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1]
+];
+const EDGES = [
+    [0, 1], [1, 2], [2, 3], [3, 0],
+    [4, 5], [5, 6], [6, 7], [7, 4],
+    [0, 4], [1, 5], [2, 6], [3, 7]
+];
+
+// [normal, four corners] for each cube face
+const FACES = [
+    [[1, 0, 0], [1, 5, 6, 2]],
+    [[-1, 0, 0], [4, 0, 3, 7]],
+    [[0, 1, 0], [3, 2, 6, 7]],
+    [[0, -1, 0], [4, 5, 1, 0]],
+    [[0, 0, 1], [5, 4, 7, 6]],
+    [[0, 0, -1], [0, 1, 2, 3]]
+];
+
+function outlineData(pad) {
+    const vertices = [];
+    for (const [a, b] of EDGES) {
+        for (const c of [CORNERS[a], CORNERS[b]]) {
+            vertices.push(...c.map((v) => v * (1 + 2 * pad) - pad), 0, 0, 0, 0, 0);
+        }
+    }
+    return { vertices, indices: null, stride: 8 };
+}
+
+function shellData(pad) {
+    const vertices = [];
+    const indices = [];
+    const uvs = [[0, 1], [1, 1], [1, 0], [0, 0]];
+    for (const [normal, quad] of FACES) {
+        const base = vertices.length / 8;
+        quad.forEach((ci, k) => {
+            vertices.push(...CORNERS[ci].map((v) => v * (1 + 2 * pad) - pad), ...normal, ...uvs[k]);
+        });
+        indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+    }
+    return { vertices, indices, stride: 8 };
+}
+
+export class BlockHighlight {
+    constructor(renderer) {
+        const gl = renderer.gl;
+        this.gl = gl;
+
+        const common = { rotationSpeed: [0, 0, 0], visible: false, renderOrder: 1 };
+        this.outline = new Mesh(gl, outlineData(0.002), outlineVertexSrc, outlineFragmentSrc, { ...common, mode: gl.LINES });
+        this.crack = new Mesh(gl, shellData(0.001), outlineVertexSrc, crackFragmentSrc, common);
+
+        this.setColor(this.outline, [0, 0, 0, 0.6]);
+        renderer.addMesh(this.outline);
+        renderer.addMesh(this.crack);
+    }
+
+    setColor(mesh, color) {
+        mesh.setUniform("uColor", color);
+    }
+
+    // position: [x, y, z] of the targeted block or null; stage: 0..9 or -1
+    update(position, stage = -1) {
+        const visible = !!position;
+        this.outline.visible = visible;
+        this.crack.visible = visible && stage >= 0;
+        if (!visible) return;
+
+        this.outline.position = position;
+        this.crack.position = position;
+        if (stage >= 0) this.setColor(this.crack, [0, 0, 0, (stage + 1) / 10]);
+    }
+
+    dispose() {
+        this.outline.dispose();
+        this.crack.dispose();
+    }
+}
@@ -0,0 +1,178 @@
+// One mesh drawn many times in a single call (dropped items, particles, mobs).
+//
+// Every instance has a model matrix and an RGBA colour, stored interleaved in
+// a dynamic buffer and fed to the shader as aInstanceMatrix / aInstanceColor
+// with a divisor of 1. The mesh's own transform (uModel) applies on top, so
+// the whole batch can be moved like any node. Only the first `count`
+// instances are drawn.
+//
+// Without instancing support (WebGL1 lacking ANGLE_instanced_arrays) the
+// instances are drawn one call each with constant attribute values.
+//
+// Usage example:
+// const items = new InstancedMesh(gl, cubeData, null, null, { maxInstances: 512 });
+// items.setTransformAt(0, [4.5, 65, 2.5], [0, angle, 0], [0.25, 0.25, 0.25]);
+// items.setColorAt(0, [0.6, 0.4, 0.2, 1]);
+// items.count = 1;
+// renderer.add(items);
+
+import { Mesh } from "./mesh.js";
+import { composeMatrix } from "./scene.js";
+import { instancedVertexSrc, instancedFragmentSrc } from "./shaders.js";
+
+// Floats per instance: mat4 + rgba
+const INSTANCE_FLOATS = 20;
+const COLOR_OFFSET = 16;
+
+export class InstancedMesh extends Mesh {
+    constructor(gl, data, vertexSrc, fragmentSrc, options = {}) {
+        // Instances can be anywhere, so the mesh bounds say nothing about them
+        super(gl, data, vertexSrc || instancedVertexSrc, fragmentSrc || instancedFragmentSrc, {
+            frustumCulled: false,
+            ...options
+        });
+
+        this.maxInstances = options.maxInstances ?? 256;
+        this.count = options.count ?? 0;
+
+        this.instanceData = new Float32Array(this.maxInstances * INSTANCE_FLOATS);
+        this.resetInstances(0);
+        this.initInstances();
+        this.buildVertexArray();
+    }
+
+    initInstances() {
+        const gl = this.gl;
+        this.instanceBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, this.instanceData.byteLength, gl.DYNAMIC_DRAW);
+        this.instancesDirty = true;
+        // Instances currently in the GPU buffer
+        this.uploadedCount = 0;
+
+        for (const name of ["aInstanceMatrix", "aInstanceColor"]) {
+            this.attributeLocations[name] = this.program.attributeLocation(name);
+        }
+    }
+
+    // The instance buffer has to exist before Mesh's restore builds the VAO
+    restore() {
+        this.initInstances();
+        super.restore();
+    }
+
+    // Identity matrix and white for every instance from `first` on
+    resetInstances(first) {
+        for (let i = first; i < this.maxInstances; i++) {
+            const o = i * INSTANCE_FLOATS;
+            this.instanceData.fill(0, o, o + COLOR_OFFSET);
+            this.instanceData[o] = this.instanceData[o + 5] = this.instanceData[o + 10] = this.instanceData[o + 15] = 1;
+            this.instanceData.fill(1, o + COLOR_OFFSET, o + INSTANCE_FLOATS);
+        }
+    }
+
+    // Resizes the instance storage, keeping the instances that still fit
+    setMaxInstances(maxInstances) {
+        const gl = this.gl;
+        const old = this.instanceData;
+        const previous = this.maxInstances;
+        this.maxInstances = maxInstances;
+        this.instanceData = new Float32Array(maxInstances * INSTANCE_FLOATS);
+        this.instanceData.set(old.subarray(0, Math.min(old.length, this.instanceData.length)));
+        if (maxInstances > previous) this.resetInstances(previous);
+
+        // Same buffer object, so vertex arrays pointing at it stay valid
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, this.instanceData.byteLength, gl.DYNAMIC_DRAW);
+        this.instancesDirty = true;
+        this.uploadedCount = 0;
+    }
+
+    // [location, float offset] per vec4 slot; a mat4 attribute takes four
+    instanceSlots() {
+        const slots = [];
+        const matrix = this.attributeLocations.aInstanceMatrix;
+        const color = this.attributeLocations.aInstanceColor;
+        if (matrix !== null) {
+            for (let c = 0; c < 4; c++) slots.push([matrix + c, c * 4]);
+        }
+        if (color !== null) slots.push([color, COLOR_OFFSET]);
+        return slots;
+    }
+
+    setMatrixAt(index, matrix) {
+        this.instanceData.set(matrix, index * INSTANCE_FLOATS);
+        this.instancesDirty = true;
+    }
+
+    setTransformAt(index, position, rotation = [0, 0, 0], scale = [1, 1, 1]) {
+        const o = index * INSTANCE_FLOATS;
+        composeMatrix(this.instanceData.subarray(o, o + 16), position, rotation, scale);
+        this.instancesDirty = true;
+    }
+
+    setColorAt(index, color) {
+        const o = index * INSTANCE_FLOATS + COLOR_OFFSET;
+        this.instanceData.set(color.length === 3 ? [...color, 1] : color, o);
+        this.instancesDirty = true;
+    }
+
+    enableAttributes() {
+        super.enableAttributes();
+        // Called by Mesh's init before the instance buffer exists
+        if (!this.instanceBuffer || !this.caps.instancing) return;
+
+        const gl = this.gl;
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+        for (const [loc, offset] of this.instanceSlots()) {
+            gl.enableVertexAttribArray(loc);
+            gl.vertexAttribPointer(loc, 4, gl.FLOAT, false, INSTANCE_FLOATS * 4, offset * 4);
+            this.caps.vertexAttribDivisor(loc, 1);
+        }
+    }
+
+    disableAttributes() {
+        super.disableAttributes();
+        if (!this.caps.instancing) return;
+
+        const gl = this.gl;
+        for (const [loc] of this.instanceSlots()) {
+            this.caps.vertexAttribDivisor(loc, 0);
+            gl.disableVertexAttribArray(loc);
+        }
+    }
+
+    drawCall() {
+        const gl = this.gl;
+        const count = Math.min(this.count, this.maxInstances);
+        if (count <= 0) return;
+
+        if (this.instancesDirty || count > this.uploadedCount) {
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+            gl.bufferSubData(gl.ARRAY_BUFFER, 0, this.instanceData.subarray(0, count * INSTANCE_FLOATS));
+            this.instancesDirty = false;
+            this.uploadedCount = count;
+        }
+
+        if (this.caps.instancing) {
+            if (this.ibo) this.caps.drawElementsInstanced(this.mode, this.indices.length, this.indexType, 0, count);
+            else this.caps.drawArraysInstanced(this.mode, 0, this.vertexCount, count);
+            return;
+        }
+
+        const slots = this.instanceSlots();
+        for (let i = 0; i < count; i++) {
+            const o = i * INSTANCE_FLOATS;
+            for (const [loc, offset] of slots) {
+                gl.vertexAttrib4fv(loc, this.instanceData.subarray(o + offset, o + offset + 4));
+            }
+            super.drawCall();
+        }
+    }
+
+    dispose() {
+        super.dispose();
+        this.gl.deleteBuffer(this.instanceBuffer);
+        this.instanceBuffer = null;
+    }
+}
@@ -0,0 +1,67 @@
+// A shader program plus the uniform values to draw with it.
+//
+// Materials built from the same sources and defines share one compiled
+// ShaderProgram (see shader.js); each material keeps its own uniform values
+// and sends them when a mesh draws with it. Values can be numbers, booleans,
+// arrays or Textures: textures are bound to consecutive texture units and the
+// sampler uniform is set to the unit.
+//
+// Usage example:
+// const material = new Material(gl, {
+//     vertexSrc: chunkVertexSrc,
+//     fragmentSrc: chunkFragmentSrc,
+//     defines: { USE_ATLAS: true },
+//     uniforms: { uColor: [1, 1, 1, 1], uTexture: atlas.texture }
+// });
+// const mesh = new Mesh(gl, data, null, null, { material });
+// material.setUniform("uDaylight", 0.5);
+
+import { getShaderProgram } from "./shader.js";
+
+// Sends uniform values to a program in use, binding textures from `unit` on.
+// Returns the next free texture unit.
+export function applyUniforms(program, uniforms, unit = 0) {
+    for (const name in uniforms) {
+        const value = uniforms[name];
+        if (value && typeof value.bind === "function") {
+            value.bind(unit);
+            program.setUniform(name, unit++);
+        } else {
+            program.setUniform(name, value);
+        }
+    }
+    return unit;
+}
+
+export class Material {
+    constructor(gl, options = {}) {
+        this.gl = gl;
+        // A given ShaderProgram stays owned by the caller
+        this.ownsProgram = !options.program;
+        this.program = options.program || getShaderProgram(gl, options.vertexSrc, options.fragmentSrc, {
+            defines: options.defines,
+            chunks: options.chunks
+        });
+        this.uniforms = { ...(options.uniforms || {}) };
+    }
+
+    setUniform(name, value) {
+        this.uniforms[name] = value;
+    }
+
+    setUniforms(values) {
+        Object.assign(this.uniforms, values);
+    }
+
+    // Makes the program current and sends this material's uniforms.
+    // Returns the next free texture unit.
+    apply() {
+        this.program.use();
+        return applyUniforms(this.program, this.uniforms);
+    }
+
+    dispose() {
+        if (this.ownsProgram && this.program) this.program.release();
+        this.program = null;
+    }
+}
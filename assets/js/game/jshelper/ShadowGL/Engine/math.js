@@ -8,6 +8,15 @@ export const mat4 = {
         return out;
     },
 
+    // ---------------------
+    // Reset to identity
+    // ---------------------
+    identity(out) {
+        out.fill(0);
+        out[0] = out[5] = out[10] = out[15] = 1;
+        return out;
+    },
+
     // ---------------------
     // Clone matrix
     // ---------------------
@@ -369,3 +378,28 @@ export const mat4 = {
         return out;
     }
 };
+
+// ---------------------
+// Linear interpolation, e.g. between the last two game ticks (GameLoop alpha)
+// ---------------------
+export function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+// ---------------------
+// Component-wise lerp of two arrays into out
+// ---------------------
+export function lerpVector(out, a, b, t) {
+    for (let i = 0; i < a.length; i++) out[i] = a[i] + (b[i] - a[i]) * t;
+    return out;
+}
+
+// ---------------------
+// Lerp of two angles in radians, turning the short way round
+// ---------------------
+export function lerpAngle(a, b, t) {
+    let delta = (b - a) % (Math.PI * 2);
+    if (delta > Math.PI) delta -= Math.PI * 2;
+    if (delta < -Math.PI) delta += Math.PI * 2;
+    return a + delta * t;
+}
@@ -1,53 +1,137 @@
-import { createShaderProgram } from "./shader.js";
-import { mat4 } from "./math.js";
+import { Material, applyUniforms } from "./material.js";
+import { Node } from "./scene.js";
+import { transformBox } from "./frustum.js";
+import { getCapabilities, trackResource, untrackResource } from "./context.js";
 
-export class Mesh {
+// Largest vertex index a Uint16 index buffer can address
+const MAX_UINT16_INDEX = 65535;
+
+// Local-space { min, max } of the vertex positions, or null for an empty mesh
+function computeBounds(vertices, stride) {
+    if (vertices.length < stride) return null;
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < vertices.length; i += stride) {
+        for (let k = 0; k < 3; k++) {
+            const v = vertices[i + k];
+            if (v < min[k]) min[k] = v;
+            if (v > max[k]) max[k] = v;
+        }
+    }
+    return { min, max };
+}
+
+// Expands indexed vertices into a flat list for drawArrays
+function unindex(vertices, indices, stride) {
+    const flat = new Float32Array(indices.length * stride);
+    for (let i = 0; i < indices.length; i++) {
+        const src = indices[i] * stride;
+        for (let k = 0; k < stride; k++) flat[i * stride + k] = vertices[src + k];
+    }
+    return flat;
+}
+
+// A drawable scene graph node. position / rotation / scale (and the parent's
+// transform) give uModel.
+//
+// Shading comes from a Material; meshes of the same kind (e.g. chunks) pass
+// one shared material, otherwise the mesh builds its own from the sources
+// (still sharing the compiled program with identical meshes). Per-mesh
+// uniforms (setUniform) and the mesh's texture are applied on top of it.
+//
+// Indices are uploaded as 16-bit when every index fits and 32-bit otherwise;
+// on a WebGL1 context without OES_element_index_uint a large mesh is expanded
+// and drawn without indices. Attribute state lives in a vertex array object
+// when the context has them. The vertex and index arrays stay on the mesh, so
+// restore() can rebuild the buffers after a context loss.
+export class Mesh extends Node {
     constructor(gl, data, vertexSrc, fragmentSrc, options = {}) {
+        super(options);
         this.gl = gl;
+        this.caps = getCapabilities(gl);
 
-        this.vertices = data.vertices;   // [x,y,z, nx,ny,nz, u,v]
+        this.vertices = data.vertices;   // [x,y,z, nx,ny,nz, u,v, ...extra]
         this.indices  = data.indices;    // [i1,i2,i3...]
         this.stride   = data.stride || 8; // number of floats per vertex
+        // Attributes after the base 8 floats: { aLight: { size, offset } }
+        this.extraAttributes = data.attributes || {};
 
-        this.rotationSpeed = options.rotationSpeed || [0.01, 0.01, 0];
-        this.rotation = [0, 0, 0];
+        // Radians per second added to rotation; static unless given
+        this.rotationSpeed = options.rotationSpeed || [0, 0, 0];
 
-        this.program = createShaderProgram(gl, vertexSrc, fragmentSrc);
-        this.attributeLocations = {};
-        this.uniformLocations   = {};
+        // Bounds for frustum culling; worldBounds is refreshed by the renderer
+        this.boundingBox = computeBounds(this.vertices, this.stride);
+        this.worldBounds = this.boundingBox ? { min: [0, 0, 0], max: [0, 0, 0] } : null;
+        this.frustumCulled = options.frustumCulled ?? true;
+        // Higher orders draw later; overlays that blend over the world use 1
+        this.renderOrder = options.renderOrder ?? 0;
 
-        this.model = mat4.create();
+        // gl.TRIANGLES unless given, e.g. gl.LINES for outlines
+        this.mode = options.mode ?? gl.TRIANGLES;
+
+        // Texture (see texture.js) bound to unit 0 as uTexture when drawing
+        this.texture = options.texture || null;
+
+        this.ownsMaterial = !options.material;
+        this.material = options.material || new Material(gl, { vertexSrc, fragmentSrc, defines: options.defines });
+        // Values for this mesh only, applied after the material's
+        this.uniforms = {};
+        this.attributeLocations = {};
 
         this.init();
+        trackResource(gl, this);
     }
 
     init() {
         const gl = this.gl;
 
+        let maxIndex = 0;
+        if (this.indices) {
+            for (let i = 0; i < this.indices.length; i++) {
+                if (this.indices[i] > maxIndex) maxIndex = this.indices[i];
+            }
+            if (maxIndex > MAX_UINT16_INDEX && !this.caps.uintIndices) {
+                this.vertices = unindex(this.vertices, this.indices, this.stride);
+                this.indices = null;
+            }
+        }
+
         // Create VBO
         this.vbo = gl.createBuffer();
         gl.bindBuffer(gl.ARRAY_BUFFER, this.vbo);
         gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(this.vertices), gl.STATIC_DRAW);
+        this.vertexCount = this.vertices.length / this.stride;
 
         // Create IBO (optional)
+        this.ibo = null;
         if (this.indices) {
+            const wide = maxIndex > MAX_UINT16_INDEX;
+            this.indexType = wide ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT;
             this.ibo = gl.createBuffer();
             gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.ibo);
-            gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(this.indices), gl.STATIC_DRAW);
+            gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, wide ? new Uint32Array(this.indices) : new Uint16Array(this.indices), gl.STATIC_DRAW);
         }
 
         // Look up attributes
-        const attribs = ["aPosition", "aNormal", "aUV"];
+        const attribs = ["aPosition", "aNormal", "aUV", ...Object.keys(this.extraAttributes)];
         for (const name of attribs) {
-            const loc = gl.getAttribLocation(this.program, name);
-            this.attributeLocations[name] = loc >= 0 ? loc : null;
+            this.attributeLocations[name] = this.program.attributeLocation(name);
         }
 
-        // Look up uniforms (cached)
-        const uniforms = ["uProjection", "uView", "uModel", "uColor", "uTexture"];
-        for (const name of uniforms) {
-            this.uniformLocations[name] = gl.getUniformLocation(this.program, name);
-        }
+        this.vao = null;
+        this.buildVertexArray();
+    }
+
+    // Records the attribute pointers and index buffer once, so drawing only
+    // binds the VAO. Subclasses that add buffers call this again.
+    buildVertexArray() {
+        if (!this.caps.vertexArrays) return;
+        const gl = this.gl;
+        if (!this.vao) this.vao = this.caps.createVertexArray();
+        this.caps.bindVertexArray(this.vao);
+        this.enableAttributes();
+        if (this.ibo) gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.ibo);
+        this.caps.bindVertexArray(null);
     }
 
     enableAttributes() {
@@ -95,47 +179,106 @@ export class Mesh {
                 6 * 4
             );
         }
+
+        // Extra attributes (light, atlas tile) from the mesh data
+        for (const [name, { size, offset }] of Object.entries(this.extraAttributes)) {
+            const loc = this.attributeLocations[name];
+            if (loc === null) continue;
+            gl.enableVertexAttribArray(loc);
+            gl.vertexAttribPointer(loc, size, gl.FLOAT, false, strideBytes, offset * 4);
+        }
+    }
+
+    // The material's ShaderProgram
+    get program() {
+        return this.material.program;
     }
 
-    update() {
-        this.rotation[0] += this.rotationSpeed[0];
-        this.rotation[1] += this.rotationSpeed[1];
-        this.rotation[2] += this.rotationSpeed[2];
+    // The model matrix is the node's world matrix
+    get model() {
+        return this.worldMatrix;
+    }
 
-        mat4.identity(this.model);
-        mat4.rotateX(this.model, this.model, this.rotation[0]);
-        mat4.rotateY(this.model, this.model, this.rotation[1]);
-        mat4.rotateZ(this.model, this.model, this.rotation[2]);
+    // Per-frame animation, before the scene's matrices are updated; dt in seconds
+    update(dt) {
+        this.rotation[0] += this.rotationSpeed[0] * dt;
+        this.rotation[1] += this.rotationSpeed[1] * dt;
+        this.rotation[2] += this.rotationSpeed[2] * dt;
     }
 
-    setUniform(name, value) {
-        const gl = this.gl;
-        const loc = this.uniformLocations[name];
-        if (!loc) return;
+    updateBounds() {
+        if (this.boundingBox) transformBox(this.boundingBox, this.worldMatrix, this.worldBounds);
+        return this.worldBounds;
+    }
 
-        if (value.length === 16) gl.uniformMatrix4fv(loc, false, value);
-        else if (value.length === 4) gl.uniform4fv(loc, value);
-        else if (value.length === 3) gl.uniform3fv(loc, value);
-        else if (value.length === 2) gl.uniform2fv(loc, value);
-        else gl.uniform1f(loc, value);
+    // Uniform for this mesh only; shared values belong on the material
+    setUniform(name, value) {
+        this.uniforms[name] = value;
     }
 
     draw(camera) {
         const gl = this.gl;
-        gl.useProgram(this.program);
+        const program = this.program;
+        let unit = this.material.apply();
+        unit = applyUniforms(program, this.uniforms, unit);
 
         // Set basic uniforms
-        gl.uniformMatrix4fv(this.uniformLocations.uProjection, false, camera.projection);
-        gl.uniformMatrix4fv(this.uniformLocations.uView, false, camera.view);
-        gl.uniformMatrix4fv(this.uniformLocations.uModel, false, this.model);
+        program.setUniform("uProjection", camera.projection);
+        program.setUniform("uView", camera.view);
+        program.setUniform("uModel", this.model);
+
+        if (this.texture) {
+            this.texture.bind(unit);
+            program.setUniform("uTexture", unit);
+        }
+
+        if (this.vao) {
+            this.caps.bindVertexArray(this.vao);
+            this.drawCall();
+            this.caps.bindVertexArray(null);
+            return;
+        }
 
         this.enableAttributes();
+        if (this.ibo) gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.ibo);
+        this.drawCall();
+        this.disableAttributes();
+    }
 
-        if (this.indices) {
-            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.ibo);
-            gl.drawElements(gl.TRIANGLES, this.indices.length, gl.UNSIGNED_SHORT, 0);
-        } else {
-            gl.drawArrays(gl.TRIANGLES, 0, this.vertices.length / this.stride);
+    drawCall() {
+        const gl = this.gl;
+        if (this.ibo) gl.drawElements(this.mode, this.indices.length, this.indexType, 0);
+        else gl.drawArrays(this.mode, 0, this.vertexCount);
+    }
+
+    // Without VAOs, leave only the three shared attributes enabled so meshes
+    // without extra attributes are not validated against this mesh's buffer
+    disableAttributes() {
+        const gl = this.gl;
+        for (const name of Object.keys(this.extraAttributes)) {
+            const loc = this.attributeLocations[name];
+            if (loc !== null) gl.disableVertexAttribArray(loc);
         }
     }
+
+    // New buffers and vertex array after a context loss; the program has been
+    // restored first (see context.js)
+    restore() {
+        this.init();
+    }
+
+    // Frees the GPU buffers (and the material if the mesh made it); the mesh
+    // cannot be drawn afterwards
+    dispose() {
+        const gl = this.gl;
+        untrackResource(gl, this);
+        this.removeFromParent();
+        if (this.ownsMaterial) this.material.dispose();
+        if (this.vao) this.caps.deleteVertexArray(this.vao);
+        gl.deleteBuffer(this.vbo);
+        if (this.ibo) gl.deleteBuffer(this.ibo);
+        this.vao = null;
+        this.vbo = null;
+        this.ibo = null;
+    }
 }
@@ -0,0 +1,234 @@
+// Greedy mesher for voxel chunks.
+//
+// Turns one chunk of block IDs into a single vertex/index buffer in the
+// [x,y,z, nx,ny,nz, u,v] stride-8 layout that Mesh expects. Coplanar faces of
+// the same block are merged into the largest rectangles possible, so a flat
+// 16x16 floor becomes 2 triangles instead of 512.
+//
+// Faces are only emitted for blocks inside the chunk. Neighbouring blocks
+// outside the chunk are read through sample(x, y, z) in chunk-local
+// coordinates (so x = -1 is the last column of the chunk to the west).
+//
+// UVs are in block units along the quad (0..width, 0..height), with V following
+// the world Y axis on side faces so textures are not rotated on walls.
+//
+// Optional per-vertex attributes follow the base 8 floats, in this order:
+// - aLight [sky, block, ao], all 0..1, with options.light(x, y, z) returning
+//   the packed light (sky << 4 | block) of a chunk-local cell. A face takes the
+//   light of the cell in front of it; ambient occlusion darkens each corner by
+//   the opaque blocks touching it. Only unoccluded faces with equal light are
+//   merged, so occlusion never smears across a large quad.
+// - aTile [u0, v0, width, height] with options.tileRect(id, face) (e.g. a
+//   TextureAtlas's blockRect); the shader repeats the tile with fract(uv).
+// The returned attributes map gives each one's size and float offset.
+
+import { CHUNK_SIZE, CHUNK_HEIGHT } from "../../../Chunk.js";
+
+const DIMS = [CHUNK_SIZE, CHUNK_HEIGHT, CHUNK_SIZE];
+
+// Face name (as in Block.FACES) for each axis and direction
+const FACE_NAMES = [
+    { "1": "east", "-1": "west" },
+    { "1": "top", "-1": "bottom" },
+    { "1": "south", "-1": "north" }
+];
+const NO_TILE = [0, 0, 0, 0];
+
+// Four corners at ambient occlusion level 3 (unoccluded)
+const AO_NONE = 0xff;
+
+function defaultIsOpaque(id) {
+    return id !== 0;
+}
+
+// Face of block `id` towards `neighbour` is visible if the neighbour does not
+// cover it. Two identical see-through blocks (glass, water) hide each other.
+function faceVisible(id, neighbour, isOpaque) {
+    if (id === 0) return false;
+    if (neighbour === 0) return true;
+    if (isOpaque(neighbour)) return false;
+    return neighbour !== id;
+}
+
+export function greedyMesh(chunk, sample, options = {}) {
+    const isOpaque = options.isOpaque || defaultIsOpaque;
+    const origin = options.origin || [chunk.originX, 0, chunk.originZ];
+    const tileRect = options.tileRect || null;
+    const light = options.light || null;
+
+    const attributes = {};
+    let stride = 8;
+    if (light) {
+        attributes.aLight = { size: 3, offset: stride };
+        stride += 3;
+    }
+    if (tileRect) {
+        attributes.aTile = { size: 4, offset: stride };
+        stride += 4;
+    }
+
+    const vertices = [];
+    const indices = [];
+
+    const get = (x, y, z) => {
+        if (x >= 0 && x < CHUNK_SIZE && z >= 0 && z < CHUNK_SIZE) return chunk.getBlock(x, y, z);
+        if (y < 0 || y >= CHUNK_HEIGHT) return 0;
+        return sample ? sample(x, y, z) : 0;
+    };
+
+    const pos = [0, 0, 0];
+
+    for (let d = 0; d < 3; d++) {
+        const u = (d + 1) % 3;
+        const v = (d + 2) % 3;
+        const du = DIMS[u];
+        const dv = DIMS[v];
+        const mask = new Int32Array(du * dv);
+        // Per mask cell: packed light | ao corners << 8
+        const shades = new Int32Array(du * dv);
+
+        for (const dir of [1, -1]) {
+            const face = FACE_NAMES[d][dir];
+            // Tile of each block ID on this face, looked up once per direction
+            const tiles = new Map();
+            const tileFor = (id) => {
+                let tile = tiles.get(id);
+                if (!tile) {
+                    const rect = tileRect(id, face);
+                    tile = rect ? [rect[0], rect[1], rect[2] - rect[0], rect[3] - rect[1]] : NO_TILE;
+                    tiles.set(id, tile);
+                }
+                return tile;
+            };
+
+            for (let s = 0; s < DIMS[d]; s++) {
+                // Build the visibility mask for this slice
+                let n = 0;
+                for (let j = 0; j < dv; j++) {
+                    for (let i = 0; i < du; i++) {
+                        pos[d] = s; pos[u] = i; pos[v] = j;
+                        const id = get(pos[0], pos[1], pos[2]);
+                        pos[d] = s + dir;
+                        const neighbour = get(pos[0], pos[1], pos[2]);
+                        const visible = faceVisible(id, neighbour, isOpaque);
+                        mask[n] = visible ? id : 0;
+                        if (visible && light) {
+                            shades[n] = light(pos[0], pos[1], pos[2]) | (occlusion(get, isOpaque, pos, u, v) << 8);
+                        }
+                        n++;
+                    }
+                }
+
+                // Merge the mask into rectangles
+                n = 0;
+                for (let j = 0; j < dv; j++) {
+                    for (let i = 0; i < du;) {
+                        const id = mask[n];
+                        if (id === 0) { i++; n++; continue; }
+                        const shade = shades[n];
+                        const same = (m) => mask[m] === id && shades[m] === shade;
+
+                        let w = 1;
+                        let h = 1;
+                        if (!light || shade >> 8 === AO_NONE) {
+                            while (i + w < du && same(n + w)) w++;
+
+                            grow: while (j + h < dv) {
+                                for (let k = 0; k < w; k++) {
+                                    if (!same(n + k + h * du)) break grow;
+                                }
+                                h++;
+                            }
+                        }
+
+                        const tile = tileRect ? tileFor(id) : null;
+                        emitQuad(vertices, indices, stride, origin, light ? shade : -1, tile, d, u, v, dir, s, i, j, w, h);
+
+                        for (let l = 0; l < h; l++) {
+                            for (let k = 0; k < w; k++) mask[n + k + l * du] = 0;
+                        }
+                        i += w;
+                        n += w;
+                    }
+                }
+            }
+        }
+    }
+
+    return { vertices, indices, stride, attributes };
+}
+
+// Ambient occlusion of the four face corners, in emitQuad's corner order,
+// 2 bits each (3 = open, 0 = fully occluded). front is the cell the face
+// looks into; u and v are the face's axes.
+function occlusion(get, isOpaque, front, u, v) {
+    const p = [0, 0, 0];
+    const solid = (ou, ov) => {
+        p[0] = front[0]; p[1] = front[1]; p[2] = front[2];
+        p[u] += ou;
+        p[v] += ov;
+        return isOpaque(get(p[0], p[1], p[2])) ? 1 : 0;
+    };
+
+    let packed = 0;
+    const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]];
+    for (let k = 0; k < 4; k++) {
+        const [ou, ov] = corners[k];
+        const side1 = solid(ou, 0);
+        const side2 = solid(0, ov);
+        const ao = side1 && side2 ? 0 : 3 - side1 - side2 - solid(ou, ov);
+        packed |= ao << (k * 2);
+    }
+    return packed;
+}
+
+function emitQuad(vertices, indices, stride, origin, shade, tile, d, u, v, dir, s, i, j, w, h) {
+    const base = vertices.length / stride;
+    const normal = [0, 0, 0];
+    normal[d] = dir;
+
+    // The face lies on the far side of the block for positive normals
+    const plane = dir > 0 ? s + 1 : s;
+
+    // Texture axes: walls run U horizontally and V down from the top edge
+    // (image rows start at the top), top and bottom faces use X/Z
+    const texU = d === 0 ? 2 : 0;
+    const texV = d === 1 ? 2 : 1;
+    const corners = [[0, 0], [w, 0], [w, h], [0, h]];
+    const ao = [0, 0, 0, 0];
+    for (let k = 0; k < 4; k++) {
+        const [cu, cv] = corners[k];
+        const p = [0, 0, 0];
+        p[d] = plane;
+        p[u] = i + cu;
+        p[v] = j + cv;
+
+        const tu = texU === u ? cu : cv;
+        let tv = texV === u ? cu : cv;
+        if (texV === 1) tv = (texV === u ? w : h) - tv;
+
+        vertices.push(
+            p[0] + origin[0], p[1] + origin[1], p[2] + origin[2],
+            normal[0], normal[1], normal[2],
+            tu, tv
+        );
+        if (shade >= 0) {
+            ao[k] = (shade >> (8 + k * 2)) & 3;
+            vertices.push(((shade >> 4) & 15) / 15, (shade & 15) / 15, ao[k] / 3);
+        }
+        if (tile) vertices.push(tile[0], tile[1], tile[2], tile[3]);
+    }
+
+    // (u, v, d) is right-handed, so 0-1-2 winds counter-clockwise seen from +d.
+    // Splitting along the brighter diagonal keeps a single dark corner from
+    // smearing across the whole quad.
+    const flip = ao[0] + ao[2] < ao[1] + ao[3];
+    if (dir > 0) {
+        if (flip) indices.push(base + 1, base + 2, base + 3, base + 1, base + 3, base);
+        else indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+    } else if (flip) {
+        indices.push(base + 1, base + 3, base + 2, base + 1, base, base + 3);
+    } else {
+        indices.push(base, base + 2, base + 1, base, base + 3, base + 2);
+    }
+}
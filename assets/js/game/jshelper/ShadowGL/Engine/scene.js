@@ -0,0 +1,86 @@
+// Scene graph node: a transform (position, Euler rotation in radians, scale)
+// relative to its parent, plus children.
+//
+// updateWorldMatrix() walks the tree once per frame, composing each node's
+// local matrix (translate * rotateX * rotateY * rotateZ * scale) with its
+// parent's. Hiding a node hides everything below it.
+//
+// Usage example:
+// const group = new Node({ position: [10, 64, 10] });
+// group.add(mesh);             // mesh is drawn relative to the group
+// renderer.add(group);
+// group.rotation[1] = Math.PI; // turns the group and everything in it
+
+import { mat4 } from "./math.js";
+
+// Writes translate * rotateX * rotateY * rotateZ * scale into out
+export function composeMatrix(out, position, rotation, scale) {
+    mat4.identity(out);
+    mat4.translate(out, out, position);
+    if (rotation[0]) mat4.rotateX(out, out, rotation[0]);
+    if (rotation[1]) mat4.rotateY(out, out, rotation[1]);
+    if (rotation[2]) mat4.rotateZ(out, out, rotation[2]);
+    mat4.scale(out, out, scale);
+    return out;
+}
+
+export class Node {
+    constructor(options = {}) {
+        this.name = options.name || "";
+        this.position = options.position || [0, 0, 0];
+        this.rotation = options.rotation || [0, 0, 0];
+        this.scale = options.scale || [1, 1, 1];
+        this.visible = options.visible ?? true;
+
+        this.parent = null;
+        this.children = [];
+
+        this.localMatrix = mat4.create();
+        this.worldMatrix = mat4.create();
+    }
+
+    add(child) {
+        if (child.parent) child.parent.remove(child);
+        child.parent = this;
+        this.children.push(child);
+        return child;
+    }
+
+    remove(child) {
+        const i = this.children.indexOf(child);
+        if (i < 0) return false;
+        this.children.splice(i, 1);
+        child.parent = null;
+        return true;
+    }
+
+    removeFromParent() {
+        return this.parent ? this.parent.remove(this) : false;
+    }
+
+    updateMatrix() {
+        return composeMatrix(this.localMatrix, this.position, this.rotation, this.scale);
+    }
+
+    updateWorldMatrix(parentMatrix = null) {
+        this.updateMatrix();
+        // mat4.multiply(out, a, b) is b * a for these column-major matrices
+        if (parentMatrix) mat4.multiply(this.worldMatrix, this.localMatrix, parentMatrix);
+        else mat4.copy(this.worldMatrix, this.localMatrix);
+
+        for (const child of this.children) child.updateWorldMatrix(this.worldMatrix);
+    }
+
+    // Depth-first; returning false from fn skips the node's children
+    traverse(fn) {
+        if (fn(this) === false) return;
+        for (const child of this.children) child.traverse(fn);
+    }
+
+    traverseVisible(fn) {
+        this.traverse((node) => {
+            if (!node.visible) return false;
+            return fn(node);
+        });
+    }
+}
@@ -1,25 +1,279 @@
-export function createShaderProgram(gl, vertexSrc, fragmentSrc) {
-    const vertex = createShader(gl, gl.VERTEX_SHADER, vertexSrc);
-    const fragment = createShader(gl, gl.FRAGMENT_SHADER, fragmentSrc);
+// GLSL programs with reflection and a small preprocessor.
+//
+// preprocess() expands `#include <name>` lines from a chunk library
+// (shaderChunks in shaders.js unless given) and adds a `#define` line for
+// every entry of options.defines, so one source can be built in variants.
+//
+// ShaderProgram compiles and links, then reflects the active attributes and
+// uniforms. setUniform picks the gl.uniform* call from the type the shader
+// declares (float / int / bool vectors, matrices, samplers and arrays of
+// them) and skips values that have not changed since the last call.
+// Compile errors quote the failing lines of the preprocessed source.
+//
+// getShaderProgram() shares one ShaderProgram per context between all callers
+// with the same sources and defines; release() drops a reference. After a
+// context loss restore() compiles the program again (see context.js).
+//
+// Usage example:
+// const program = getShaderProgram(gl, vertexSrc, fragmentSrc, { defines: { USE_ATLAS: true } });
+// program.use();
+// program.setUniform("uFogRange", [40, 64]);
+// program.release();
 
-    const program = gl.createProgram();
-    gl.attachShader(program, vertex);
-    gl.attachShader(program, fragment);
-    gl.linkProgram(program);
+import { shaderChunks } from "./shaders.js";
+import { trackResource, untrackResource } from "./context.js";
 
-    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-        throw new Error("Shader link error: " + gl.getProgramInfoLog(program));
+const INCLUDE = /^[ \t]*#include[ \t]+[<"]([\w.-]+)[>"][ \t]*$/gm;
+
+// Lines shown before and after a failing line in compile errors
+const ERROR_CONTEXT = 2;
+
+export function preprocess(source, options = {}) {
+    const chunks = options.chunks || shaderChunks;
+    const expand = (src, stack) => src.replace(INCLUDE, (line, name) => {
+        if (!(name in chunks)) throw new Error(`Unknown shader chunk: ${name}`);
+        if (stack.includes(name)) throw new Error(`Shader chunk includes itself: ${[...stack, name].join(" -> ")}`);
+        return expand(chunks[name], [...stack, name]);
+    });
+    let output = expand(source, []);
+
+    // false / null / undefined leave a define out, true defines it without a value
+    const defines = Object.entries(options.defines || {})
+        .filter(([, value]) => value !== false && value != null)
+        .map(([name, value]) => (value === true ? `#define ${name}` : `#define ${name} ${value}`));
+    if (defines.length) {
+        // #version has to stay the first line
+        const version = output.match(/^\s*#version[^\n]*\n/);
+        const head = version ? version[0] : "";
+        output = head + defines.join("\n") + "\n" + output.slice(head.length);
     }
-    return program;
+    return output;
+}
+
+function compileError(kind, source, log) {
+    const lines = source.split("\n");
+    const failing = [...new Set([...log.matchAll(/ERROR:\s*\d+:(\d+)/g)].map((m) => Number(m[1])))].sort((a, b) => a - b);
+
+    const context = [];
+    for (const n of failing) {
+        for (let i = Math.max(1, n - ERROR_CONTEXT); i <= Math.min(lines.length, n + ERROR_CONTEXT); i++) {
+            context.push(`${i === n ? ">" : " "} ${String(i).padStart(4)} | ${lines[i - 1]}`);
+        }
+        context.push("");
+    }
+
+    const error = new Error(`Shader compile error (${kind}): ${log.trim()}\n${context.join("\n")}`);
+    error.log = log;
+    error.source = source;
+    error.lines = failing;
+    return error;
 }
 
-function createShader(gl, type, src) {
+function createShader(gl, type, source) {
     const shader = gl.createShader(type);
-    gl.shaderSource(shader, src);
+    gl.shaderSource(shader, source);
     gl.compileShader(shader);
 
     if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-        throw new Error("Shader compile error: " + gl.getShaderInfoLog(shader));
+        const log = gl.getShaderInfoLog(shader) || "";
+        gl.deleteShader(shader);
+        throw compileError(type === gl.VERTEX_SHADER ? "vertex" : "fragment", source, log);
     }
     return shader;
 }
+
+// gl.uniform* call for a reflected uniform type; arrays use the v variants
+function uniformSetter(gl, type, location, isArray) {
+    const ints = [gl.INT, gl.BOOL, gl.SAMPLER_2D, gl.SAMPLER_CUBE,
+        gl.SAMPLER_3D, gl.SAMPLER_2D_ARRAY, gl.SAMPLER_2D_SHADOW,
+        gl.INT_SAMPLER_2D, gl.UNSIGNED_INT_SAMPLER_2D].filter((t) => t !== undefined);
+
+    if (type === gl.FLOAT) return isArray ? (v) => gl.uniform1fv(location, v) : (v) => gl.uniform1f(location, v);
+    if (type === gl.FLOAT_VEC2) return (v) => gl.uniform2fv(location, v);
+    if (type === gl.FLOAT_VEC3) return (v) => gl.uniform3fv(location, v);
+    if (type === gl.FLOAT_VEC4) return (v) => gl.uniform4fv(location, v);
+    if (ints.includes(type)) {
+        return isArray ? (v) => gl.uniform1iv(location, Array.from(v, Number)) : (v) => gl.uniform1i(location, Number(v));
+    }
+    if (type === gl.INT_VEC2 || type === gl.BOOL_VEC2) return (v) => gl.uniform2iv(location, Array.from(v, Number));
+    if (type === gl.INT_VEC3 || type === gl.BOOL_VEC3) return (v) => gl.uniform3iv(location, Array.from(v, Number));
+    if (type === gl.INT_VEC4 || type === gl.BOOL_VEC4) return (v) => gl.uniform4iv(location, Array.from(v, Number));
+    if (type === gl.FLOAT_MAT2) return (v) => gl.uniformMatrix2fv(location, false, v);
+    if (type === gl.FLOAT_MAT3) return (v) => gl.uniformMatrix3fv(location, false, v);
+    if (type === gl.FLOAT_MAT4) return (v) => gl.uniformMatrix4fv(location, false, v);
+    // WebGL2 only
+    if (type === gl.UNSIGNED_INT) return isArray ? (v) => gl.uniform1uiv(location, v) : (v) => gl.uniform1ui(location, v);
+    if (type === gl.UNSIGNED_INT_VEC2) return (v) => gl.uniform2uiv(location, v);
+    if (type === gl.UNSIGNED_INT_VEC3) return (v) => gl.uniform3uiv(location, v);
+    if (type === gl.UNSIGNED_INT_VEC4) return (v) => gl.uniform4uiv(location, v);
+    return null;
+}
+
+function sameValue(a, b) {
+    if (a === b) return true;
+    if (a == null || b == null || typeof a !== "object" || typeof b !== "object") return false;
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return false;
+    return true;
+}
+
+export class ShaderProgram {
+    constructor(gl, vertexSrc, fragmentSrc, options = {}) {
+        this.gl = gl;
+        this.vertexSrc = preprocess(vertexSrc, options);
+        this.fragmentSrc = preprocess(fragmentSrc, options);
+
+        // References from getShaderProgram; the cache entry goes when it drops to 0
+        this.refs = 0;
+        this.cacheKey = null;
+
+        this.compile();
+        trackResource(gl, this);
+    }
+
+    // Compiles and links the preprocessed sources, then reflects the program
+    compile() {
+        const gl = this.gl;
+        const vertex = createShader(gl, gl.VERTEX_SHADER, this.vertexSrc);
+        const fragment = createShader(gl, gl.FRAGMENT_SHADER, this.fragmentSrc);
+
+        const program = gl.createProgram();
+        gl.attachShader(program, vertex);
+        gl.attachShader(program, fragment);
+        gl.linkProgram(program);
+        // The program keeps its compiled code; the shader objects are not needed any more
+        gl.deleteShader(vertex);
+        gl.deleteShader(fragment);
+
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            const log = gl.getProgramInfoLog(program);
+            gl.deleteProgram(program);
+            throw new Error("Shader link error: " + log);
+        }
+        this.handle = program;
+
+        // name -> { location, type, size }
+        this.attributes = {};
+        // name -> { location, type, size, set, value }; arrays are listed without "[0]"
+        this.uniforms = {};
+        this.reflect();
+    }
+
+    // After a context loss: new program, new locations, no cached values
+    restore() {
+        this.compile();
+    }
+
+    reflect() {
+        const gl = this.gl;
+        const program = this.handle;
+
+        const attributes = gl.getProgramParameter(program, gl.ACTIVE_ATTRIBUTES) || 0;
+        for (let i = 0; i < attributes; i++) {
+            const info = gl.getActiveAttrib(program, i);
+            if (!info) continue;
+            this.attributes[info.name] = {
+                location: gl.getAttribLocation(program, info.name),
+                type: info.type,
+                size: info.size
+            };
+        }
+
+        const uniforms = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS) || 0;
+        for (let i = 0; i < uniforms; i++) {
+            const info = gl.getActiveUniform(program, i);
+            if (!info) continue;
+            const location = gl.getUniformLocation(program, info.name);
+            // Members of WebGL2 uniform blocks have no location
+            if (!location) continue;
+            const isArray = info.size > 1 || info.name.endsWith("[0]");
+            const name = info.name.replace(/\[0\]$/, "");
+            this.uniforms[name] = {
+                location,
+                type: info.type,
+                size: info.size,
+                set: uniformSetter(gl, info.type, location, isArray),
+                value: undefined
+            };
+        }
+    }
+
+    // Location of an active attribute, or null when the shader does not use it.
+    // Attributes the driver did not report are looked up directly.
+    attributeLocation(name) {
+        const attribute = this.attributes[name];
+        if (attribute) return attribute.location;
+        const loc = this.gl.getAttribLocation(this.handle, name);
+        return loc >= 0 ? loc : null;
+    }
+
+    hasUniform(name) {
+        return name in this.uniforms;
+    }
+
+    use() {
+        this.gl.useProgram(this.handle);
+        return this;
+    }
+
+    // Applies to this program, so use() it first. Unknown names are ignored
+    // (the compiler drops unused uniforms); returns whether it was set.
+    setUniform(name, value) {
+        const uniform = this.uniforms[name];
+        if (!uniform || !uniform.set || value === undefined || value === null) return false;
+        if (sameValue(uniform.value, value)) return true;
+
+        uniform.set(value);
+        uniform.value = typeof value === "object" ? Array.from(value) : value;
+        return true;
+    }
+
+    setUniforms(values) {
+        for (const [name, value] of Object.entries(values)) this.setUniform(name, value);
+    }
+
+    release() {
+        if (--this.refs > 0) return;
+        const programs = programCache.get(this.gl);
+        if (programs && programs.get(this.cacheKey) === this) programs.delete(this.cacheKey);
+        this.dispose();
+    }
+
+    dispose() {
+        if (this.handle) this.gl.deleteProgram(this.handle);
+        this.handle = null;
+        untrackResource(this.gl, this);
+    }
+}
+
+// gl -> Map(preprocessed sources -> ShaderProgram)
+const programCache = new WeakMap();
+
+export function getShaderProgram(gl, vertexSrc, fragmentSrc, options = {}) {
+    const vertex = preprocess(vertexSrc, options);
+    const fragment = preprocess(fragmentSrc, options);
+    const key = vertex + "\0" + fragment;
+
+    let programs = programCache.get(gl);
+    if (!programs) {
+        programs = new Map();
+        programCache.set(gl, programs);
+    }
+    let program = programs.get(key);
+    if (!program) {
+        // Already preprocessed; sources without includes or defines pass through unchanged
+        program = new ShaderProgram(gl, vertex, fragment);
+        program.cacheKey = key;
+        programs.set(key, program);
+    }
+    program.refs++;
+    return program;
+}
+
+// Compiles an unshared program and returns the raw WebGLProgram. The caller
+// owns it, so it is not recreated after a context loss.
+export function createShaderProgram(gl, vertexSrc, fragmentSrc, options = {}) {
+    const program = new ShaderProgram(gl, vertexSrc, fragmentSrc, options);
+    untrackResource(gl, program);
+    return program.handle;
+}
@@ -0,0 +1,228 @@
+// Built-in GLSL sources used by the engine.
+//
+// Shared pieces live in shaderChunks and are pulled in with `#include <name>`
+// (see preprocess in shader.js), so fog, lighting and atlas sampling are
+// written once.
+//
+// The chunk shaders consume the greedy mesher's vertex layout including the
+// aLight attribute ([sky, block, ao], 0..1). Skylight is scaled by uDaylight
+// (1 at noon) before the brighter channel is taken; a fixed per-face shade
+// keeps block edges readable and ambient occlusion darkens corners. Linear
+// distance fog fades chunks into uFogColor between uFogRange.x and .y.
+// Defining USE_ATLAS builds the textured variant for meshes from
+// greedyMesh(..., { tileRect }).
+
+export const shaderChunks = {
+    // Minecraft-style brightness curve with a floor so caves are never pitch black
+    chunk_light: `
+float chunkLight(vec3 light, float daylight) {
+    float level = max(light.x * daylight, light.y);
+    float brightness = level / (4.0 - 3.0 * level);
+    return mix(0.04, 1.0, brightness) * (0.5 + 0.5 * light.z);
+}
+`,
+
+    // Classic voxel face shading: top brightest, bottom darkest
+    face_shade: `
+float faceShade(vec3 normal) {
+    return normal.y > 0.5 ? 1.0 : (normal.y < -0.5 ? 0.5 : (abs(normal.x) > 0.5 ? 0.8 : 0.65));
+}
+`,
+
+    // Needs viewPosition (view-space vec4) in scope
+    fog_vertex: `
+    vFogDepth = length(viewPosition.xyz);
+`,
+
+    fog_pars_vertex: `
+varying float vFogDepth;
+`,
+
+    fog_pars_fragment: `
+uniform vec3 uFogColor;
+uniform vec2 uFogRange;
+varying float vFogDepth;
+
+vec3 applyFog(vec3 color) {
+    float fog = clamp((vFogDepth - uFogRange.x) / (uFogRange.y - uFogRange.x), 0.0, 1.0);
+    return mix(color, uFogColor, fog);
+}
+`,
+
+    // Merged quads span several blocks, so the UV is wrapped with fract()
+    // inside the block's atlas tile instead of relying on texture repeat
+    atlas_pars_fragment: `
+uniform sampler2D uTexture;
+varying vec4 vTile;
+
+vec4 sampleAtlas(vec2 uv) {
+    return texture2D(uTexture, vTile.xy + fract(uv) * vTile.zw);
+}
+`,
+
+    // uSunColor is already scaled by the sun's intensity
+    sun_light: `
+uniform vec3 uSunDirection;
+uniform vec3 uSunColor;
+uniform vec3 uAmbient;
+
+vec3 sunLight(vec3 normal) {
+    return uAmbient + uSunColor * max(dot(normalize(normal), uSunDirection), 0.0);
+}
+`
+};
+
+export const chunkVertexSrc = `
+attribute vec3 aPosition;
+attribute vec3 aNormal;
+attribute vec2 aUV;
+attribute vec3 aLight;
+
+uniform mat4 uProjection;
+uniform mat4 uView;
+uniform mat4 uModel;
+uniform float uDaylight;
+
+varying vec3 vNormal;
+varying vec2 vUV;
+varying float vLight;
+
+#ifdef USE_ATLAS
+attribute vec4 aTile;
+varying vec4 vTile;
+#endif
+
+#include <fog_pars_vertex>
+#include <chunk_light>
+
+void main() {
+    vNormal = aNormal;
+    vUV = aUV;
+    vLight = chunkLight(aLight, uDaylight);
+#ifdef USE_ATLAS
+    vTile = aTile;
+#endif
+    vec4 viewPosition = uView * uModel * vec4(aPosition, 1.0);
+#include <fog_vertex>
+    gl_Position = uProjection * viewPosition;
+}
+`;
+
+export const chunkFragmentSrc = `
+precision mediump float;
+
+uniform vec4 uColor;
+
+varying vec3 vNormal;
+varying vec2 vUV;
+varying float vLight;
+
+#include <fog_pars_fragment>
+#include <face_shade>
+#ifdef USE_ATLAS
+#include <atlas_pars_fragment>
+#endif
+
+void main() {
+#ifdef USE_ATLAS
+    vec4 texel = sampleAtlas(vUV);
+    // Fully transparent texels (glass, leaves) are cut out
+    if (texel.a < 0.1) discard;
+#else
+    vec4 texel = vec4(1.0);
+#endif
+    vec3 color = texel.rgb * uColor.rgb * faceShade(vNormal) * vLight;
+    gl_FragColor = vec4(applyFog(color), texel.a * uColor.a);
+}
+`;
+
+// Default shaders of InstancedMesh: each instance has its own model matrix
+// (aInstanceMatrix, four attribute slots) and colour, lit by a fixed light.
+export const instancedVertexSrc = `
+attribute vec3 aPosition;
+attribute vec3 aNormal;
+attribute vec2 aUV;
+attribute mat4 aInstanceMatrix;
+attribute vec4 aInstanceColor;
+
+uniform mat4 uProjection;
+uniform mat4 uView;
+uniform mat4 uModel;
+
+varying vec3 vNormal;
+varying vec2 vUV;
+varying vec4 vColor;
+
+void main() {
+    mat4 model = uModel * aInstanceMatrix;
+    vNormal = normalize(mat3(model[0].xyz, model[1].xyz, model[2].xyz) * aNormal);
+    vUV = aUV;
+    vColor = aInstanceColor;
+    gl_Position = uProjection * uView * model * vec4(aPosition, 1.0);
+}
+`;
+
+export const instancedFragmentSrc = `
+precision mediump float;
+
+varying vec3 vNormal;
+varying vec2 vUV;
+varying vec4 vColor;
+
+void main() {
+    float light = 0.6 + 0.4 * max(dot(normalize(vNormal), normalize(vec3(0.3, 1.0, 0.5))), 0.0);
+    gl_FragColor = vec4(vColor.rgb * light, vColor.a);
+}
+`;
+
+// Textured, sun-lit instanced cubes for the createEngine backend
+// (js3dhelper.js). The texture is multiplied by the instance colour; light is
+// uAmbient plus uSunColor (already scaled by intensity) on faces turned
+// towards uSunDirection, then faded into uFogColor like the chunks.
+export const blockInstancedVertexSrc = `
+attribute vec3 aPosition;
+attribute vec3 aNormal;
+attribute vec2 aUV;
+attribute mat4 aInstanceMatrix;
+attribute vec4 aInstanceColor;
+
+uniform mat4 uProjection;
+uniform mat4 uView;
+uniform mat4 uModel;
+
+varying vec3 vNormal;
+varying vec2 vUV;
+varying vec4 vColor;
+
+#include <fog_pars_vertex>
+
+void main() {
+    mat4 model = uModel * aInstanceMatrix;
+    vNormal = normalize(mat3(model[0].xyz, model[1].xyz, model[2].xyz) * aNormal);
+    vUV = aUV;
+    vColor = aInstanceColor;
+    vec4 viewPosition = uView * model * vec4(aPosition, 1.0);
+#include <fog_vertex>
+    gl_Position = uProjection * viewPosition;
+}
+`;
+
+export const blockInstancedFragmentSrc = `
+precision mediump float;
+
+uniform sampler2D uTexture;
+
+varying vec3 vNormal;
+varying vec2 vUV;
+varying vec4 vColor;
+
+#include <sun_light>
+#include <fog_pars_fragment>
+
+void main() {
+    vec4 texel = texture2D(uTexture, vUV) * vColor;
+    if (texel.a < 0.1) discard;
+
+    gl_FragColor = vec4(applyFog(texel.rgb * sunLight(vNormal)), texel.a);
+}
+`;
@@ -0,0 +1,314 @@
+// Texture loading and the block texture atlas.
+//
+// Texture wraps a GL texture made from an image or canvas, with nearest
+// filtering by default (pixel art) and optional mipmaps.
+//
+// TextureAtlas packs equally sized tiles into one power-of-two texture. Every
+// tile is surrounded by `padding` pixels copied from its own edge, so linear
+// or mipmapped sampling near a tile border does not pick up its neighbours.
+// Images taller than wide are animation strips (one square frame under the
+// other, like water_still.png); their slot in the atlas is redrawn with the
+// current frame by update(time), so UV rectangles never change.
+//
+// Textures keep their source image so they can be uploaded again after a
+// context loss (see context.js).
+//
+// Usage example:
+// const atlas = await loadBlockAtlas(gl, blocks, { mipmaps: true });
+// atlas.blockRect("grass_block", "top"); // [u0, v0, u1, v1]
+// function frame(time) { atlas.update(time / 1000); atlas.texture.bind(0); ... }
+
+import { getCapabilities, trackResource, untrackResource } from "./context.js";
+
+export const TILE_SIZE = 16;
+export const ATLAS_PADDING = 2;
+// Seconds per frame of animated textures
+export const FRAME_TIME = 0.1;
+
+function createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== "undefined") return new OffscreenCanvas(width, height);
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+function nextPowerOfTwo(n) {
+    let p = 1;
+    while (p < n) p *= 2;
+    return p;
+}
+
+export function loadImage(url) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error(`Failed to load image ${url}`));
+        image.src = url;
+    });
+}
+
+// Magenta/black checkerboard shown for textures that failed to load
+export function missingTexture(size = TILE_SIZE) {
+    const canvas = createCanvas(size, size);
+    const ctx = canvas.getContext("2d");
+    const half = size / 2;
+    ctx.fillStyle = "#000";
+    ctx.fillRect(0, 0, size, size);
+    ctx.fillStyle = "#f800f8";
+    ctx.fillRect(0, 0, half, half);
+    ctx.fillRect(half, half, half, half);
+    return canvas;
+}
+
+// Single-colour image, e.g. a white texture for untextured meshes whose
+// colour comes from elsewhere
+export function solidImage(color = "#fff", size = 1) {
+    const canvas = createCanvas(size, size);
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = color;
+    ctx.fillRect(0, 0, size, size);
+    return canvas;
+}
+
+export class Texture {
+    constructor(gl, source, options = {}) {
+        this.gl = gl;
+        this.filter = options.filter || "nearest";
+        this.mipmaps = options.mipmaps ?? false;
+        this.wrap = options.wrap || "clamp";
+
+        this.handle = gl.createTexture();
+        this.width = 0;
+        this.height = 0;
+        // Last uploaded image, uploaded again after a context loss
+        this.source = null;
+        if (source) this.upload(source);
+        trackResource(gl, this);
+    }
+
+    upload(source) {
+        const gl = this.gl;
+        this.source = source;
+        this.width = source.width;
+        this.height = source.height;
+
+        gl.bindTexture(gl.TEXTURE_2D, this.handle);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+        this.applyParameters();
+    }
+
+    // Redraws part of the texture, e.g. one animation frame of an atlas tile
+    uploadRegion(x, y, source) {
+        const gl = this.gl;
+        gl.bindTexture(gl.TEXTURE_2D, this.handle);
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, x, y, gl.RGBA, gl.UNSIGNED_BYTE, source);
+        if (this.hasMipmaps) gl.generateMipmap(gl.TEXTURE_2D);
+    }
+
+    applyParameters() {
+        const gl = this.gl;
+        const nearest = this.filter === "nearest";
+        // WebGL1 only mipmaps and repeats power-of-two textures; WebGL2 does any size
+        const pot = getCapabilities(gl).webgl2 ||
+            ((this.width & (this.width - 1)) === 0 && (this.height & (this.height - 1)) === 0);
+        this.hasMipmaps = this.mipmaps && pot;
+
+        let minFilter = nearest ? gl.NEAREST : gl.LINEAR;
+        if (this.hasMipmaps) {
+            gl.generateMipmap(gl.TEXTURE_2D);
+            minFilter = nearest ? gl.NEAREST_MIPMAP_LINEAR : gl.LINEAR_MIPMAP_LINEAR;
+        }
+        const wrap = this.wrap === "repeat" && pot ? gl.REPEAT : gl.CLAMP_TO_EDGE;
+
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, minFilter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, nearest ? gl.NEAREST : gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, wrap);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, wrap);
+    }
+
+    bind(unit = 0) {
+        const gl = this.gl;
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.bindTexture(gl.TEXTURE_2D, this.handle);
+    }
+
+    restore() {
+        this.handle = this.gl.createTexture();
+        if (this.source) this.upload(this.source);
+    }
+
+    dispose() {
+        this.gl.deleteTexture(this.handle);
+        this.handle = null;
+        this.source = null;
+        untrackResource(this.gl, this);
+    }
+}
+
+export class TextureAtlas {
+    constructor(gl, options = {}) {
+        this.gl = gl;
+        this.tileSize = options.tileSize ?? TILE_SIZE;
+        this.padding = options.padding ?? ATLAS_PADDING;
+        this.mipmaps = options.mipmaps ?? false;
+        // Block registry used by blockRect to resolve IDs and names
+        this.registry = options.registry || null;
+
+        // name -> { image, frames, frameTime }, filled by add() before build()
+        this.sources = new Map();
+        // name -> { x, y, rect: [u0, v0, u1, v1], frames: [canvas], frameTime, frame }
+        this.tiles = new Map();
+
+        this.canvas = null;
+        this.texture = null;
+        trackResource(gl, this);
+    }
+
+    add(name, image, options = {}) {
+        const frames = image.height > image.width && image.height % image.width === 0
+            ? image.height / image.width
+            : 1;
+        this.sources.set(name, { image, frames, frameTime: options.frameTime ?? FRAME_TIME });
+        return this;
+    }
+
+    has(name) {
+        return this.tiles.has(name);
+    }
+
+    build() {
+        const cell = this.tileSize + this.padding * 2;
+        const columns = Math.max(1, Math.ceil(Math.sqrt(this.sources.size)));
+        const rows = Math.max(1, Math.ceil(this.sources.size / columns));
+        const width = nextPowerOfTwo(columns * cell);
+        const height = nextPowerOfTwo(rows * cell);
+
+        this.canvas = createCanvas(width, height);
+        const ctx = this.canvas.getContext("2d");
+        ctx.imageSmoothingEnabled = false;
+
+        let n = 0;
+        for (const [name, source] of this.sources) {
+            const x = (n % columns) * cell;
+            const y = Math.floor(n / columns) * cell;
+            n++;
+
+            const frames = [];
+            for (let f = 0; f < source.frames; f++) frames.push(this.paddedFrame(source.image, f));
+            ctx.drawImage(frames[0], x, y);
+
+            const pad = this.padding;
+            this.tiles.set(name, {
+                x, y,
+                rect: [(x + pad) / width, (y + pad) / height, (x + pad + this.tileSize) / width, (y + pad + this.tileSize) / height],
+                // Still tiles only need the atlas copy
+                frames: frames.length > 1 ? frames : null,
+                frameTime: source.frameTime,
+                frame: 0
+            });
+        }
+
+        if (this.texture) this.texture.dispose();
+        this.texture = new Texture(this.gl, this.canvas, { mipmaps: this.mipmaps });
+        this.sources.clear();
+        return this;
+    }
+
+    // One frame scaled to the tile size, with its edge pixels extruded into the padding
+    paddedFrame(image, frame) {
+        const size = this.tileSize;
+        const pad = this.padding;
+        const full = size + pad * 2;
+        const frameSize = image.width;
+
+        const canvas = createCanvas(full, full);
+        const ctx = canvas.getContext("2d");
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(image, 0, frame * frameSize, frameSize, frameSize, pad, pad, size, size);
+
+        if (pad > 0) {
+            const far = pad + size - 1;
+            // Edges: stretch the outermost row/column across the padding
+            ctx.drawImage(canvas, pad, pad, size, 1, pad, 0, size, pad);
+            ctx.drawImage(canvas, pad, far, size, 1, pad, far + 1, size, pad);
+            ctx.drawImage(canvas, pad, 0, 1, full, 0, 0, pad, full);
+            ctx.drawImage(canvas, far, 0, 1, full, far + 1, 0, pad, full);
+        }
+        return canvas;
+    }
+
+    // [u0, v0, u1, v1] of a tile, v0 being the top edge; null if unknown
+    getRect(name) {
+        const tile = this.tiles.get(name);
+        return tile ? tile.rect : null;
+    }
+
+    // Rect of a block face (face names as in Block.FACES); block may be a
+    // Block or, with a registry, its ID or name
+    blockRect(ref, face) {
+        const block = typeof ref === "object" ? ref : this.registry && this.registry.get(ref);
+        const url = block && block.getTexture(face);
+        return url ? this.getRect(url) : null;
+    }
+
+    // Advances animated tiles to the given time (seconds); returns true if
+    // anything was redrawn
+    update(time) {
+        if (!this.texture) return false;
+        let changed = false;
+        for (const tile of this.tiles.values()) {
+            if (!tile.frames) continue;
+            const frame = Math.floor(time / tile.frameTime) % tile.frames.length;
+            if (frame === tile.frame) continue;
+            tile.frame = frame;
+            this.texture.uploadRegion(tile.x, tile.y, tile.frames[frame]);
+            changed = true;
+        }
+        return changed;
+    }
+
+    // The texture comes back from the atlas canvas, which holds the first
+    // frame of every animated tile; the next update() redraws the current one
+    restore() {
+        for (const tile of this.tiles.values()) tile.frame = 0;
+    }
+
+    dispose() {
+        if (this.texture) this.texture.dispose();
+        this.texture = null;
+        this.tiles.clear();
+        untrackResource(this.gl, this);
+    }
+}
+
+// Loads every texture referenced by a block registry into a new atlas, keyed
+// by texture URL. A texture that fails to load becomes a tile in its block's
+// colour (block.color), so a world without its texture files still shows
+// grass green and sand yellow.
+export async function loadBlockAtlas(gl, registry, options = {}) {
+    // url -> colour of its block: the block it is the side texture of, so dirt
+    // stays brown under grass, else the first block using it
+    const urls = new Map();
+    const textured = registry.all().filter((block) => block.textures);
+    for (const block of textured) {
+        if (block.textures.side && !urls.has(block.textures.side)) urls.set(block.textures.side, block.color);
+    }
+    for (const block of textured) {
+        for (const url of Object.values(block.textures)) {
+            if (url && !urls.has(url)) urls.set(url, block.color);
+        }
+    }
+
+    const atlas = new TextureAtlas(gl, { ...options, registry });
+    const frameTimes = options.frameTimes || {};
+    const images = await Promise.all([...urls].map(([url, color]) =>
+        loadImage(url).catch((err) => {
+            console.warn(err.message);
+            return solidImage(`#${color.toString(16).padStart(6, "0")}`, atlas.tileSize);
+        })
+    ));
+    [...urls.keys()].forEach((url, i) => atlas.add(url, images[i], { frameTime: frameTimes[url] }));
+    return atlas.build();
+}
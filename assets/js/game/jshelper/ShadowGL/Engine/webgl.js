@@ -1,16 +1,60 @@
-import { createShaderProgram } from "./shader.js";
-import { mat4 } from "./math.js";
+import { Node } from "./scene.js";
+import { Frustum } from "./frustum.js";
+import { createContext, getCapabilities, refreshCapabilities, restoreResources } from "./context.js";
 
+// Renders a scene graph: every frame, world matrices are updated, meshes
+// outside the camera frustum are skipped and the rest are drawn in
+// renderOrder (insertion order within the same order). The context is WebGL2
+// where the browser has it, see context.js.
+//
+// When the browser takes the context away (driver reset, too many contexts)
+// rendering pauses; once it is restored every mesh, texture and program is
+// recreated from its CPU-side data and onContextRestored is called. dispose()
+// stops the loop and frees everything in the scene.
+//
+// start() is a plain render loop; games drive render(dt) from a GameLoop
+// (GameLoop.js) instead, which ticks the simulation at a fixed rate.
+//
+// Usage example:
+// const renderer = new WebGL3D(canvas);
+// renderer.setCamera(camera);
+// renderer.add(mesh);
+// renderer.start();
+// console.log(renderer.stats.drawn, renderer.stats.culled);
 
 export class WebGL3D {
-    constructor(canvas) {
-        this.gl = canvas.getContext("webgl");
-        if (!this.gl) throw new Error("WebGL not supported");
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        // WebGL2 when available; options.webgl2 = false forces WebGL1
+        this.gl = createContext(canvas, options);
+        this.caps = getCapabilities(this.gl);
+        // Drawing buffer pixels per CSS pixel; 0 follows window.devicePixelRatio
+        this.pixelRatio = options.pixelRatio || 0;
 
-        this.meshes = [];
+        this.scene = new Node({ name: "root" });
         this.camera = null;
+        this.frustum = new Frustum();
+        this.culling = true;
+        // Counts from the last render()
+        this.stats = { drawn: 0, culled: 0 };
+        // requestAnimationFrame id while start()ed
+        this.frame = null;
         this.background = [0.1, 0.1, 0.1, 1.0];
 
+        this.contextLost = false;
+        // Optional callbacks, e.g. to rebuild state that lives outside the scene
+        this.onContextLost = null;
+        this.onContextRestored = null;
+        this.handleContextLost = (event) => {
+            // Without preventDefault the browser never restores the context
+            event.preventDefault();
+            this.contextLost = true;
+            if (this.onContextLost) this.onContextLost();
+        };
+        this.handleContextRestored = () => this.restoreContext();
+        canvas.addEventListener("webglcontextlost", this.handleContextLost);
+        canvas.addEventListener("webglcontextrestored", this.handleContextRestored);
+
         this.initGL();
     }
 
@@ -18,32 +62,139 @@ export class WebGL3D {
         const gl = this.gl;
         gl.clearColor(...this.background);
         gl.enable(gl.DEPTH_TEST);
+
+        // Overlays (block selection, cracks) draw with alpha
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+    }
+
+    restoreContext() {
+        const gl = this.gl;
+        this.contextLost = false;
+        refreshCapabilities(gl);
+        this.initGL();
+        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        restoreResources(gl);
+        if (this.onContextRestored) this.onContextRestored();
+    }
+
+    // [r, g, b, a] in 0..1, e.g. the sky colour of the day/night cycle
+    setBackground(color) {
+        this.background = color;
+        this.gl.clearColor(...color);
     }
 
     setCamera(camera) {
         this.camera = camera;
+        camera.setAspect(this.canvas.width / Math.max(1, this.canvas.height));
+    }
+
+    add(node) {
+        return this.scene.add(node);
+    }
+
+    remove(node) {
+        return node.removeFromParent();
     }
 
+    // Meshes are nodes; these stay for callers that only deal in meshes
     addMesh(mesh) {
-        this.meshes.push(mesh);
+        return this.add(mesh);
+    }
+
+    removeMesh(mesh) {
+        return this.remove(mesh);
     }
 
-    render() {
+    // Every mesh in the scene, visible or not
+    get meshes() {
+        const list = [];
+        this.scene.traverse((node) => { if (node.draw) list.push(node); });
+        return list;
+    }
+
+    // Takes effect on the next resize(), i.e. the next frame
+    setPixelRatio(ratio) {
+        this.pixelRatio = ratio || 0;
+    }
+
+    // Match the drawing buffer to the displayed size and keep the camera's
+    // aspect ratio in sync. Returns true if the size changed.
+    resize() {
+        const canvas = this.canvas;
+        const dpr = this.pixelRatio || Math.max(1, window.devicePixelRatio || 1);
+        const width = Math.floor(canvas.clientWidth * dpr);
+        const height = Math.floor(canvas.clientHeight * dpr);
+        if (canvas.width === width && canvas.height === height) return false;
+
+        canvas.width = width;
+        canvas.height = height;
+        this.gl.viewport(0, 0, width, height);
+        if (this.camera) this.camera.setAspect(width / Math.max(1, height));
+        return true;
+    }
+
+    // dt: seconds since the last frame, for node animations (Mesh.rotationSpeed)
+    render(dt = 0) {
         const gl = this.gl;
+        // Every GL call is a no-op until the context comes back
+        if (this.contextLost) return;
+
+        this.resize();
+        if (this.camera) this.camera.updateView();
 
         gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+        if (!this.camera) return;
+
+        const visible = [];
+        this.scene.traverseVisible((node) => {
+            if (node.update) node.update(dt);
+            if (node.draw) visible.push(node);
+        });
+        this.scene.updateWorldMatrix();
 
-        for (let mesh of this.meshes) {
-            mesh.update();
-            mesh.draw(this.camera);
-        }
+        this.frustum.setFromCamera(this.camera);
+        let culled = 0;
+        const drawList = visible.filter((mesh) => {
+            if (!this.culling || !mesh.frustumCulled || !mesh.boundingBox) return true;
+            if (this.frustum.intersectsBox(mesh.updateBounds())) return true;
+            culled++;
+            return false;
+        });
+
+        // Array sort is stable, so equal orders keep scene order
+        drawList.sort((a, b) => (a.renderOrder || 0) - (b.renderOrder || 0));
+        for (const mesh of drawList) mesh.draw(this.camera);
+
+        this.stats.drawn = drawList.length;
+        this.stats.culled = culled;
     }
 
     start() {
-        const loop = () => {
-            this.render();
-            requestAnimationFrame(loop);
+        if (this.frame != null) return;
+        let last = performance.now();
+        const loop = (time = performance.now()) => {
+            this.render(Math.max(0, time - last) / 1000);
+            last = time;
+            this.frame = requestAnimationFrame(loop);
         };
         loop();
     }
+
+    stop() {
+        if (this.frame == null) return;
+        cancelAnimationFrame(this.frame);
+        this.frame = null;
+    }
+
+    // Stops rendering and frees every mesh in the scene (shared materials and
+    // textures stay with their owners). The renderer cannot be used afterwards.
+    dispose() {
+        this.stop();
+        this.canvas.removeEventListener("webglcontextlost", this.handleContextLost);
+        this.canvas.removeEventListener("webglcontextrestored", this.handleContextRestored);
+        for (const mesh of this.meshes) mesh.dispose();
+        for (const child of [...this.scene.children]) this.scene.remove(child);
+        this.camera = null;
+    }
 }
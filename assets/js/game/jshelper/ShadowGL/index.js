@@ -0,0 +1,27 @@
+// ShadowGL: the game's own WebGL engine, no third-party download needed.
+//
+// This entry point gathers the engine's public classes so the engine can be
+// loaded as one module, e.g. by createEngine({ prefer: ['shadowgl'] }) in
+// js3dhelper.js. The chunk renderer and block highlight depend on the game
+// modules and are imported from their own files.
+//
+// Usage example:
+// import * as ShadowGL from './ShadowGL/index.js';
+// const renderer = new ShadowGL.WebGL3D(canvas);
+// renderer.setCamera(new ShadowGL.Camera(Math.PI / 3, 1, 0.1, 1000));
+
+export { WebGL3D } from "./Engine/webgl.js";
+export { Node, composeMatrix } from "./Engine/scene.js";
+export { Mesh } from "./Engine/mesh.js";
+export { InstancedMesh } from "./Engine/instanced.js";
+export { Camera } from "./Engine/camera.js";
+export { CameraController } from "./Engine/controls.js";
+export { Frustum } from "./Engine/frustum.js";
+export { createContext, getCapabilities, refreshCapabilities, trackResource, untrackResource, restoreResources } from "./Engine/context.js";
+export { ShaderProgram, getShaderProgram, createShaderProgram, preprocess } from "./Engine/shader.js";
+export { Material, applyUniforms } from "./Engine/material.js";
+export { Texture, TextureAtlas, loadImage, missingTexture, solidImage } from "./Engine/texture.js";
+export { boxData, BOX_FACES } from "./Engine/geometry.js";
+export { mat4 } from "./Engine/math.js";
+export { shaderChunks } from "./Engine/shaders.js";
+export * as shaders from "./Engine/shaders.js";
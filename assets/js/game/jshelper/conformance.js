@@ -0,0 +1,353 @@
+// Conformance checks for createEngine backends (js3dhelper.js).
+//
+// Every backend returns the same handle shape and has to behave the same through it. The checks
+// below drive a handle through the public API only and record what it observes (return values,
+// repeated adds, removals, unknown blocks, frames the render loop draws to the canvas), so
+// results of different backends can be compared entry by entry. runConformance creates each backend on a canvas whose WebGL context is a
+// recording mock, so it also runs where no GPU is available. Backends that need more of WebGL
+// than the mock offers report their init error instead of results.
+//
+// Usage example (browser console or a debug page):
+// import { createEngine } from './js3dhelper.js';
+// import { runConformance } from './conformance.js';
+// const report = await runConformance(createEngine, { backends: ['three', 'shadowgl'] });
+// console.table(report.results.map(r => ({ backend: r.backend, passed: r.passed, failures: r.failures.length })));
+// report.mismatches; // checks where backends disagreed
+//
+// From the repository root, `node --test tests/conformance.test.js` runs all four backends in Node:
+// ShadowGL, and three, Babylon and PlayCanvas against stand-ins for those libraries
+// (tests/fixtures/engines). It fails on any difference. runConformance takes module specifiers as
+// backends too, which is how the test points createEngine at the stand-ins.
+
+/* ---------------- MOCK WEBGL ---------------- */
+
+// A WebGL context that accepts every call: constants get stable numbers, create* returns fresh
+// objects, shaders compile and programs link. Calls are counted in `calls` by name.
+export function createMockGL(version = 2) {
+  const constants = new Map();
+  const calls = {};
+  const strings = {
+    VERSION: version === 2 ? 'WebGL 2.0 (mock)' : 'WebGL 1.0 (mock)',
+    SHADING_LANGUAGE_VERSION: version === 2 ? 'WebGL GLSL ES 3.00 (mock)' : 'WebGL GLSL ES 1.0 (mock)',
+    VENDOR: 'mock',
+    RENDERER: 'mock'
+  };
+  const locations = new WeakMap();
+
+  const constant = (name) => {
+    if (!constants.has(name)) constants.set(name, 0x8000 + constants.size);
+    return constants.get(name);
+  };
+  const nameOf = (value) => [...constants].find(([, v]) => v === value)?.[0];
+
+  const impl = {
+    canvas: null,
+    drawingBufferWidth: 300,
+    drawingBufferHeight: 150,
+    getParameter: (p) => strings[nameOf(p)] ?? 4096,
+    getExtension: () => null,
+    getSupportedExtensions: () => [],
+    getContextAttributes: () => ({ alpha: true, antialias: true, depth: true, stencil: false }),
+    getShaderPrecisionFormat: () => ({ precision: 23, rangeMin: 127, rangeMax: 127 }),
+    getShaderParameter: () => true,
+    getProgramParameter: (program, p) => (nameOf(p) === 'ACTIVE_UNIFORMS' || nameOf(p) === 'ACTIVE_ATTRIBUTES' ? 0 : true),
+    getShaderInfoLog: () => '',
+    getProgramInfoLog: () => '',
+    // Attributes get consecutive locations per program, in lookup order
+    getAttribLocation: (program, name) => {
+      if (!locations.has(program)) locations.set(program, new Map());
+      const map = locations.get(program);
+      if (!map.has(name)) map.set(name, map.size);
+      return map.get(name);
+    },
+    getUniformLocation: (program, name) => ({ name }),
+    checkFramebufferStatus: () => constant('FRAMEBUFFER_COMPLETE'),
+    isContextLost: () => false,
+    getError: () => 0
+  };
+
+  return new Proxy(impl, {
+    get(target, key) {
+      if (typeof key === 'symbol') return undefined;
+      if (key === 'calls') return calls;
+      if (key in target) {
+        const value = target[key];
+        if (typeof value !== 'function') return value;
+        return (...args) => { calls[key] = (calls[key] || 0) + 1; return value(...args); };
+      }
+      if (/^[A-Z0-9_]+$/.test(key)) return constant(key);
+      return (...args) => {
+        calls[key] = (calls[key] || 0) + 1;
+        return key.startsWith('create') ? { mock: key } : undefined;
+      };
+    },
+    set(target, key, value) {
+      target[key] = value;
+      return true;
+    }
+  });
+}
+
+// Enough of a canvas element for the backends: a fixed size and the mock context
+export function createMockCanvas(options = {}) {
+  const gl = createMockGL(options.version ?? 2);
+  const canvas = {
+    width: options.width || 300,
+    height: options.height || 150,
+    clientWidth: options.width || 300,
+    clientHeight: options.height || 150,
+    style: {},
+    getContext(type) {
+      if (type === 'webgl2' && (options.version ?? 2) !== 2) return null;
+      return type === 'webgl2' || type === 'webgl' || type === 'experimental-webgl' ? gl : null;
+    },
+    getBoundingClientRect() { return { left: 0, top: 0, width: this.clientWidth, height: this.clientHeight }; },
+    addEventListener() {},
+    removeEventListener() {},
+    setAttribute() {},
+    focus() {}
+  };
+  gl.canvas = canvas;
+  return canvas;
+}
+
+/* ---------------- CHECKS ---------------- */
+
+// Counts the frames a backend draws to canvas by the clears of its WebGL context (every backend
+// clears once per frame). take() returns the count since the last take(); restore() unhooks it.
+function countFrames(canvas) {
+  const gl = canvas.getContext('webgl2') || canvas.getContext('webgl');
+  if (!gl) throw new Error('the canvas has no WebGL context to count frames on');
+  const clear = gl.clear;
+  let frames = 0;
+  gl.clear = function (...args) {
+    frames++;
+    return clear.apply(this, args);
+  };
+  return {
+    take() {
+      const n = frames;
+      frames = 0;
+      return n;
+    },
+    restore() { delete gl.clear; }
+  };
+}
+
+// Resolves after n animation frames, so a running render loop has drawn at least n - 1
+function animationFrames(n) {
+  return new Promise(resolve => {
+    const step = () => (--n <= 0 ? resolve() : requestAnimationFrame(step));
+    requestAnimationFrame(step);
+  });
+}
+
+const HANDLE_FUNCTIONS = ['addBlock', 'removeBlock', 'setSun', 'setSky', 'setView', 'setCamera', 'render', 'start', 'stop', 'dispose'];
+
+// [name, async (handle, canvas) => observation]; an observation must be the same for every backend
+const CHECKS = [
+  ['handle shape', async (h) => ({
+    libName: typeof h.libName,
+    camera: !!h.camera,
+    scene: !!h.scene,
+    functions: HANDLE_FUNCTIONS.filter(name => typeof h[name] === 'function')
+  })],
+
+  // runs before anything calls start()
+  ['a new engine draws nothing until start()', async (h, canvas) => {
+    const frames = countFrames(canvas);
+    try {
+      await animationFrames(3);
+      return frames.take();
+    } finally {
+      frames.restore();
+    }
+  }],
+
+  ['add and remove a coloured block', async (h) => {
+    const added = !!await h.addBlock(0, 0, 0, { color: 0xff0000 });
+    return [added, h.removeBlock(0, 0, 0), h.removeBlock(0, 0, 0)];
+  }],
+
+  ['adding an occupied position returns the existing block', async (h) => {
+    const first = await h.addBlock(1, 0, 0, { color: 0x00ff00 });
+    const second = await h.addBlock(1, 0, 0, { color: 0x0000ff });
+    const same = first === second;
+    h.removeBlock(1, 0, 0);
+    return same;
+  }],
+
+  ['registry blocks by name, id and with face textures', async (h) => {
+    const results = [];
+    for (const [i, ref] of ['minecraft:stone', 'stone', 1, 'minecraft:grass_block'].entries()) {
+      results.push(!!await h.addBlock(i, 5, 0, ref));
+    }
+    for (let i = 0; i < 4; i++) results.push(h.removeBlock(i, 5, 0));
+    return results;
+  }],
+
+  ['unknown blocks are rejected', async (h) => {
+    try {
+      await h.addBlock(0, 9, 0, 'minecraft:does_not_exist');
+      return 'added';
+    } catch (e) {
+      return 'rejected';
+    }
+  }],
+
+  ['addBlock returns a handle per block, not the shared batch', async (h) => {
+    const a = await h.addBlock(0, 4, 0, { color: 0x996633 });
+    const b = await h.addBlock(1, 4, 0, { color: 0x996633 });
+    const shape = { distinct: a !== b, sharedBatch: a.batch === b.batch, position: [b.x, b.y, b.z], index: b.index };
+    const removed = [a.remove(), a.remove(), a.removed, a.index, b.index];
+    // a stale handle must not remove a block added at its position later
+    const c = await h.addBlock(0, 4, 0, { color: 0x996633 });
+    const stale = [a.remove(), c.removed];
+    const updated = await c.update({ color: 0x112233 });
+    const after = [c.removed, updated.removed, updated.batch !== b.batch, h.removeBlock(0, 4, 0), b.remove()];
+    return { shape, removed, stale, after };
+  }],
+
+  ['removing from a shared batch keeps the others', async (h) => {
+    for (let i = 0; i < 5; i++) await h.addBlock(i, 2, 0, { color: 0x336699 });
+    const removed = [h.removeBlock(1, 2, 0), h.removeBlock(4, 2, 0)];
+    // re-adding a removed position must work, and the survivors must still be removable
+    const readded = !!await h.addBlock(1, 2, 0, { color: 0x336699 });
+    const survivors = [0, 1, 2, 3].map(i => h.removeBlock(i, 2, 0));
+    return { removed, readded, survivors };
+  }],
+
+  ['sun, sky and fog', async (h) => {
+    h.setSun({ x: 0.3, y: 1, z: 0.2 }, 0xffeecc, 0.7);
+    h.setSky(0x87ceeb, { color: 0xaabbcc, near: 10, far: 80 });
+    h.setSky(0x000010);
+    return 'ok';
+  }],
+
+  ['view: field of view, clip planes and pixel ratio', async (h) => {
+    h.setView({ fov: 90, near: 0.05, far: 500 });
+    h.setView({ pixelRatio: 1 });
+    h.setView({ pixelRatio: 0 });
+    h.render();
+    return 'ok';
+  }],
+
+  ['camera placement', async (h) => {
+    h.setCamera([0.5, 70, 0.5], [0.5, 70, -0.5]);
+    h.setCamera([-3, 64, 2], [10, 60, 2]);
+    h.render();
+    return 'ok';
+  }],
+
+  ['render draws a frame without the loop running', async (h) => {
+    await h.addBlock(0, 3, 0, { color: 0x884422 });
+    h.render();
+    h.render();
+    h.removeBlock(0, 3, 0);
+    return 'ok';
+  }],
+
+  ['start and stop are idempotent', async (h) => {
+    h.start();
+    h.start();
+    h.stop();
+    h.stop();
+    return 'ok';
+  }],
+
+  ['stop() stops the render loop', async (h, canvas) => {
+    const frames = countFrames(canvas);
+    try {
+      h.start();
+      h.start();
+      await animationFrames(3);
+      const started = frames.take() > 0;
+      h.stop();
+      frames.take();
+      await animationFrames(3);
+      const stopped = frames.take();
+      h.start();
+      await animationFrames(3);
+      const restarted = frames.take() > 0;
+      h.stop();
+      frames.take();
+      await animationFrames(3);
+      return { started, stopped, restarted, stoppedAgain: frames.take() };
+    } finally {
+      h.stop();
+      frames.restore();
+    }
+  }]
+];
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Runs every check against one handle, created on canvas. Does not dispose it.
+export async function checkEngine(handle, canvas) {
+  const results = [];
+  for (const [name, check] of CHECKS) {
+    try {
+      results.push({ name, ok: true, observed: await check(handle, canvas) });
+    } catch (err) {
+      results.push({ name, ok: false, error: String(err && err.message || err) });
+    }
+  }
+  return results;
+}
+
+// The reference behaviour every backend has to match
+export const EXPECTED = {
+  'handle shape': { libName: 'string', camera: true, scene: true, functions: HANDLE_FUNCTIONS },
+  'a new engine draws nothing until start()': 0,
+  'add and remove a coloured block': [true, true, false],
+  'adding an occupied position returns the existing block': true,
+  'registry blocks by name, id and with face textures': [true, true, true, true, true, true, true, true],
+  'unknown blocks are rejected': 'rejected',
+  'addBlock returns a handle per block, not the shared batch': {
+    shape: { distinct: true, sharedBatch: true, position: [1, 4, 0], index: 1 },
+    removed: [true, false, true, -1, 0],
+    stale: [false, false],
+    after: [true, false, true, true, true]
+  },
+  'removing from a shared batch keeps the others': { removed: [true, true], readded: true, survivors: [true, true, true, true] },
+  'sun, sky and fog': 'ok',
+  'view: field of view, clip planes and pixel ratio': 'ok',
+  'camera placement': 'ok',
+  'render draws a frame without the loop running': 'ok',
+  'start and stop are idempotent': 'ok',
+  'stop() stops the render loop': { started: true, stopped: 0, restarted: true, stoppedAgain: 0 }
+};
+
+// Creates each backend with createEngine on a mock canvas (or options.createCanvas()), runs the
+// checks and compares the observations with EXPECTED and with each other.
+export async function runConformance(createEngine, options = {}) {
+  const backends = options.backends || ['three', 'babylon', 'playcanvas', 'shadowgl'];
+  const makeCanvas = options.createCanvas || (() => createMockCanvas());
+  const results = [];
+
+  for (const backend of backends) {
+    const canvas = makeCanvas();
+    let handle = null;
+    try {
+      handle = await createEngine(canvas, { prefer: [backend] });
+    } catch (err) {
+      results.push({ backend, available: false, passed: false, error: String(err && err.message || err), failures: [], checks: [] });
+      continue;
+    }
+    const checks = await checkEngine(handle, canvas);
+    const failures = checks.filter(c => !c.ok || !same(c.observed, EXPECTED[c.name]));
+    results.push({ backend, libName: handle.libName, available: true, passed: failures.length === 0, failures, checks });
+    try { handle.dispose(); } catch (e) {}
+  }
+
+  // Checks where the available backends observed different things
+  const available = results.filter(r => r.available);
+  const mismatches = CHECKS.map(([name]) => name).filter(name => {
+    const observed = available.map(r => r.checks.find(c => c.name === name));
+    return observed.some(o => !same(o, observed[0]));
+  });
+
+  return { passed: available.length > 0 && available.every(r => r.passed) && mismatches.length === 0, results, mismatches };
+}
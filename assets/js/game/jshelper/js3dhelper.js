@@ -1,35 +1,182 @@
-// Minecraft-oriented 3D helper that attempts to import common 3D engines (three, Babylon, PlayCanvas)
-// and initializes only the first one that successfully loads. It exposes a minimal "voxel-like"
+// Minecraft-oriented 3D helper that attempts to import common 3D engines (three, Babylon, PlayCanvas,
+// or our own ShadowGL) and initializes only the first one that successfully loads. It exposes a minimal "voxel-like"
 // API suitable for simple Minecraft-style blocks: addBlock / removeBlock, simple lighting and camera.
 //
 // Notes:
 // - ES module with dynamic imports so bundlers or modern browsers can use it.
-// - Default preference order: three -> @babylonjs/core -> playcanvas
+// - Default preference order: three -> @babylonjs/core -> playcanvas -> shadowgl
+// - 'shadowgl' ships with the game (./ShadowGL), so it works without any third-party download.
 // - The helper keeps to a single active engine (the first that successfully imports/initializes).
+// - Textures and materials are cached by key, and blocks that look the same are drawn as one
+//   instanced batch (three InstancedMesh, Babylon thin instances, PlayCanvas hardware instancing,
+//   ShadowGL InstancedMesh).
+//   removeBlock only frees the block's instance slot; shared resources live until dispose().
+// - addBlock resolves to a handle on that one block: { x, y, z, batch, index, removed, remove(),
+//   update(settings) }. batch is the engine object the block is drawn with and is shared by every
+//   block that looks the same, so treat it as read-only; move or drop a block through its handle.
 //
 // Usage example:
 // import { createEngine } from './js3dhelper.js';
 // const handle = await createEngine(canvasElement, { prefer: ['three','babylon','playcanvas'], pixelRatio: 1 });
 // await handle.addBlock(0,0,0, { texture: '/assets/textures/grass.png' });
+// await handle.addBlock(0,1,0, 'minecraft:grass_block'); // or a Block / numeric ID from Block.js
 // handle.start();
 //
 // Returned handle:
-// { libName, engine/renderer, scene, camera, addBlock, removeBlock, setSun, start, stop, dispose }
+// { libName, engine/renderer, scene, camera, addBlock, removeBlock, setSun, setSky, setView, setCamera, render, start,
+//   stop, dispose, diagnostics }
 //
+// View options, for every backend: fov (degrees, default 70), near / far clip planes (0.1 / 1000),
+// pixelRatio (0 or unset follows the device) and antialias (default true). setView({ fov, near, far,
+// pixelRatio }) changes any of them but antialias on the running engine, e.g. from the settings screen
+// (Settings.js); antialiasing is fixed once the WebGL context exists.
+//
+// Every backend is created with its render loop stopped. start() runs the engine's own loop until
+// stop(); while it is stopped only render() draws. A game with a fixed-timestep GameLoop
+// (GameLoop.js) never starts it and calls render() once per frame instead.
+//
+// setSun(dir, color, intensity): dir points from the scene towards the sun.
+// setSky(color, fog): clear colour plus optional linear fog { color, near, far }.
+// setCamera(position, target): moves the camera to position, looking at target ([x, y, z] in
+// scene units), e.g. to follow a game's own first-person camera every frame.
+// Both are driven by the day/night cycle in Clock.js (applyClock).
+//
+// Every backend must behave the same through this handle; conformance.js checks that.
+//
+// handle.diagnostics reports which backends were tried, why they failed and what the GPU
+// supports (see createEngine's options: onDiagnostic, debug).
+//
+
+import { blocks as blockRegistry, Block } from '../Block.js';
+
+const DEFAULT_ORDER = ['three', '@babylonjs/core', 'playcanvas', 'shadowgl'];
+
+// addBlock accepts a plain { texture, color } object, a registered Block, a block
+// name ('minecraft:stone') or a numeric block ID. Everything is normalised to
+// { texture, textures: { top, side, bottom } | null, color, transparent }.
+function resolveSettings(settings = {}) {
+  if (settings instanceof Block || typeof settings === 'string' || typeof settings === 'number') {
+    const block = blockRegistry.get(settings);
+    if (!block) throw new Error(`Unknown block: ${settings}`);
+    return block.toSettings();
+  }
+  if (settings.block !== undefined) {
+    const block = blockRegistry.get(settings.block);
+    if (!block) throw new Error(`Unknown block: ${settings.block}`);
+    return { ...block.toSettings(), ...settings, block };
+  }
+  return { textures: null, ...settings };
+}
+
+// True when the top or bottom texture differs from the sides
+function hasFaceTextures(settings) {
+  const t = settings.textures;
+  return !!t && (t.top !== t.side || t.bottom !== t.side);
+}
+
+// Blocks with the same look share materials and one instanced batch
+function materialKey(settings) {
+  return `${settings.texture || ''}|${settings.color ?? ''}|${!!settings.transparent}`;
+}
+
+function batchKey(settings) {
+  if (!hasFaceTextures(settings)) return materialKey(settings);
+  const { top, side, bottom } = settings.textures;
+  return `${top}|${side}|${bottom}|${settings.color ?? ''}|${!!settings.transparent}`;
+}
+
+// Memoises (possibly async) factories by key; concurrent callers share the pending promise
+function createCache() {
+  const map = new Map();
+  return {
+    map,
+    get(key, create) {
+      if (!map.has(key)) map.set(key, create());
+      return map.get(key);
+    },
+    // Calls fn with every resolved value, then forgets them
+    clear(fn) {
+      for (const value of map.values()) Promise.resolve(value).then(v => v && fn(v), () => {});
+      map.clear();
+    }
+  };
+}
+
+// Instance slots of one batch, kept dense: removing a block moves the last block into its
+// slot, so only the first `count` instances are ever drawn.
+function createSlots() {
+  const keys = [];
+  const index = new Map();
+  return {
+    get count() { return keys.length; },
+    indexOf(key) { return index.get(key) ?? -1; },
+    add(key) {
+      index.set(key, keys.length);
+      keys.push(key);
+      return keys.length - 1;
+    },
+    // { index, moved }: moved is the key now stored at index, or null if the last slot was freed
+    remove(key) {
+      const i = index.get(key);
+      if (i === undefined) return null;
+      index.delete(key);
+      const last = keys.pop();
+      if (last === key) return { index: i, moved: null };
+      keys[i] = last;
+      index.set(last, i);
+      return { index: i, moved: last };
+    }
+  };
+}
+
+// The handle addBlock resolves to. record is the backend's { batch, x, y, z } entry in blocks;
+// api.batchObject(batch) picks the engine object the batch draws with.
+function createBlockHandle(record, key, api) {
+  const { x, y, z } = record;
+  const handle = {
+    x, y, z,
+    get batch() { return api.batchObject(record.batch); },
+    // Instance slot in the batch; moves when other blocks of the batch are removed, -1 once removed
+    get index() { return handle.removed ? -1 : record.batch.slots.indexOf(key); },
+    get removed() { return api.blocks.get(key) !== record; },
+    // Removes this block, never one added at the same position later
+    remove() { return !handle.removed && api.removeBlock(x, y, z); },
+    // Redraws the block with other settings; resolves to the new handle
+    update(settings) {
+      handle.remove();
+      return api.addBlock(x, y, z, settings);
+    }
+  };
+  return handle;
+}
 
-const DEFAULT_ORDER = ['three', '@babylonjs/core', 'playcanvas'];
+// Initial instance capacity of a batch; batches double when full
+const BATCH_CAPACITY = 64;
 
+// { mod, error }: a failed import is recorded so we can try the next library
 async function tryImport(spec) {
   try {
-    return await import(spec);
+    return { mod: await import(spec), error: null };
   } catch (err) {
-    // silent failure so we can try the next library
-    return null;
+    return { mod: null, error: err };
   }
 }
 
-function fitCanvasToDisplaySize(canvas) {
-  const dpr = Math.max(1, window.devicePixelRatio || 1);
+function describeError(err) {
+  if (!err) return null;
+  return { name: err.name || 'Error', message: String(err.message ?? err), stack: err.stack || null };
+}
+
+// Drawing buffer pixels per CSS pixel when the pixelRatio option is unset
+function devicePixelRatio() {
+  return Math.max(1, Math.min(2, window.devicePixelRatio || 1));
+}
+
+function viewDefaults(opts) {
+  return { fov: opts.fov ?? 70, near: opts.near ?? 0.1, far: opts.far ?? 1000 };
+}
+
+function fitCanvasToDisplaySize(canvas, dpr = Math.max(1, window.devicePixelRatio || 1)) {
   const width = Math.floor(canvas.clientWidth * dpr);
   const height = Math.floor(canvas.clientHeight * dpr);
   if (canvas.width !== width || canvas.height !== height) {
@@ -44,12 +191,12 @@ function fitCanvasToDisplaySize(canvas) {
 async function initThree(mod, canvas, opts = {}) {
   // mod is the 'three' module
   const {
-    Scene, PerspectiveCamera, WebGLRenderer, BoxGeometry, MeshBasicMaterial, MeshLambertMaterial,
-    Mesh, TextureLoader, AmbientLight, DirectionalLight, Color, Vector3, Group
+    Scene, PerspectiveCamera, WebGLRenderer, BoxGeometry, MeshLambertMaterial,
+    InstancedMesh, Matrix4, TextureLoader, AmbientLight, DirectionalLight, Color, Vector3, Group
   } = mod;
 
-  const dpr = opts.pixelRatio || Math.max(1, Math.min(2, window.devicePixelRatio || 1));
-  const renderer = new WebGLRenderer({ canvas, antialias: true });
+  let dpr = opts.pixelRatio || devicePixelRatio();
+  const renderer = new WebGLRenderer({ canvas, antialias: opts.antialias ?? true });
   renderer.setPixelRatio(dpr);
   renderer.setSize(canvas.clientWidth, canvas.clientHeight, false);
 
@@ -64,7 +211,8 @@ async function initThree(mod, canvas, opts = {}) {
   const scene = new Scene();
   scene.background = new Color(opts.background || 0x87ceeb); // sky-ish
 
-  const camera = new PerspectiveCamera(70, canvas.clientWidth / Math.max(1, canvas.clientHeight), 0.1, 1000);
+  const view = viewDefaults(opts);
+  const camera = new PerspectiveCamera(view.fov, canvas.clientWidth / Math.max(1, canvas.clientHeight), view.near, view.far);
   camera.position.set(8, 8, 8);
   camera.lookAt(new Vector3(0, 0, 0));
 
@@ -81,61 +229,123 @@ async function initThree(mod, canvas, opts = {}) {
   scene.add(world);
 
   const loader = new TextureLoader();
+  const textures = createCache();
+  const materials = createCache();
+  // batch key -> { mesh: InstancedMesh, slots }
+  const batches = createCache();
 
-  // store block meshes by key "x,y,z"
+  // block key "x,y,z" -> { batch, x, y, z, handle }
   const blocks = new Map();
   const blockSize = opts.blockSize || 1;
 
   function blockKey(x, y, z) { return `${x},${y},${z}`; }
 
-  async function makeMaterial(settings = {}) {
-    if (settings.texture) {
-      try {
-        const tex = await new Promise((res, rej) => loader.load(settings.texture, res, undefined, rej));
-        // if NearestFilter exists, prefer pixelated look for Minecraft textures
-        if (mod.NearestFilter !== undefined) {
-          tex.magFilter = mod.NearestFilter;
-          tex.minFilter = mod.NearestFilter;
-        }
-        const mat = new MeshLambertMaterial({ map: tex });
-        return mat;
-      } catch (e) {
-        // fallback to color
+  // Resolves to null when the image fails to load
+  function loadTexture(url) {
+    return textures.get(url, () => new Promise((res) => loader.load(url, (tex) => {
+      // if NearestFilter exists, prefer pixelated look for Minecraft textures
+      if (mod.NearestFilter !== undefined) {
+        tex.magFilter = mod.NearestFilter;
+        tex.minFilter = mod.NearestFilter;
       }
-    }
-    return new MeshLambertMaterial({ color: settings.color || 0x8B4513 });
+      res(tex);
+    }, undefined, () => res(null))));
+  }
+
+  function makeMaterial(settings = {}) {
+    return materials.get(materialKey(settings), async () => {
+      const transparent = !!settings.transparent;
+      const tex = settings.texture ? await loadTexture(settings.texture) : null;
+      if (tex) return new MeshLambertMaterial({ map: tex, transparent, alphaTest: transparent ? 0.1 : 0 });
+      // fallback to color
+      return new MeshLambertMaterial({ color: settings.color || 0x8B4513, transparent, opacity: transparent ? 0.8 : 1 });
+    });
   }
 
-  // create a simple cube with scaled UVs (not optimized — simple usage)
+  // BoxGeometry material order: +x, -x, +y, -y, +z, -z
+  async function makeBlockMaterial(settings) {
+    if (!hasFaceTextures(settings)) return makeMaterial(settings);
+    const { top, side, bottom } = settings.textures;
+    const [topMat, sideMat, bottomMat] = await Promise.all([
+      makeMaterial({ ...settings, texture: top }),
+      makeMaterial({ ...settings, texture: side }),
+      makeMaterial({ ...settings, texture: bottom })
+    ]);
+    return [sideMat, sideMat, topMat, bottomMat, sideMat, sideMat];
+  }
+
+  // one cube shared by every batch
   const boxGeo = new BoxGeometry(blockSize, blockSize, blockSize);
+  const matrix = new Matrix4();
 
-  async function addBlock(x, y, z, settings = {}) {
-    const key = blockKey(x, y, z);
-    if (blocks.has(key)) return blocks.get(key);
-    const mat = await makeMaterial(settings);
-    const mesh = new Mesh(boxGeo.clone(), mat);
-    mesh.position.set(
-      x * blockSize + blockSize / 2,
-      y * blockSize + blockSize / 2,
-      z * blockSize + blockSize / 2
-    );
+  function createBatchMesh(material, capacity) {
+    const mesh = new InstancedMesh(boxGeo, material, capacity);
+    mesh.count = 0;
     mesh.castShadow = true;
     mesh.receiveShadow = true;
+    // instances are spread over the world, the cube's own bounds would cull them
+    mesh.frustumCulled = false;
     world.add(mesh);
-    blocks.set(key, mesh);
     return mesh;
   }
 
+  function getBatch(settings) {
+    return batches.get(batchKey(settings), async () => ({
+      mesh: createBatchMesh(await makeBlockMaterial(settings), BATCH_CAPACITY),
+      slots: createSlots()
+    }));
+  }
+
+  // InstancedMesh capacity is fixed, so a full batch moves to a mesh twice the size
+  function growBatch(batch) {
+    const old = batch.mesh;
+    const mesh = createBatchMesh(old.material, old.instanceMatrix.count * 2);
+    mesh.instanceMatrix.array.set(old.instanceMatrix.array);
+    mesh.count = old.count;
+    world.remove(old);
+    old.dispose?.(); // frees the instance buffer only; geometry and material are shared
+    batch.mesh = mesh;
+  }
+
+  function setInstance(batch, index, x, y, z) {
+    matrix.makeTranslation(
+      x * blockSize + blockSize / 2,
+      y * blockSize + blockSize / 2,
+      z * blockSize + blockSize / 2
+    );
+    batch.mesh.setMatrixAt(index, matrix);
+    batch.mesh.instanceMatrix.needsUpdate = true;
+  }
+
+  // Resolves to the block's handle; its batch is the InstancedMesh drawing it
+  async function addBlock(x, y, z, settings = {}) {
+    const key = blockKey(x, y, z);
+    if (blocks.has(key)) return blocks.get(key).handle;
+    const batch = await getBatch(resolveSettings(settings));
+    // added by a concurrent call while the material loaded
+    if (blocks.has(key)) return blocks.get(key).handle;
+
+    if (batch.slots.count >= batch.mesh.instanceMatrix.count) growBatch(batch);
+    const index = batch.slots.add(key);
+    setInstance(batch, index, x, y, z);
+    batch.mesh.count = batch.slots.count;
+    const record = { batch, x, y, z };
+    record.handle = createBlockHandle(record, key, { blocks, addBlock, removeBlock, batchObject: b => b.mesh });
+    blocks.set(key, record);
+    return record.handle;
+  }
+
   function removeBlock(x, y, z) {
     const key = blockKey(x, y, z);
-    const m = blocks.get(key);
-    if (!m) return false;
-    world.remove(m);
-    if (m.geometry) m.geometry.dispose?.();
-    if (m.material) {
-      if (Array.isArray(m.material)) m.material.forEach(mat => mat.dispose?.());
-      else m.material.dispose?.();
+    const block = blocks.get(key);
+    if (!block) return false;
+    const { batch } = block;
+    const { index, moved } = batch.slots.remove(key);
+    if (moved) {
+      const other = blocks.get(moved);
+      setInstance(batch, index, other.x, other.y, other.z);
     }
+    batch.mesh.count = batch.slots.count;
     blocks.delete(key);
     return true;
   }
@@ -146,28 +356,53 @@ async function initThree(mod, canvas, opts = {}) {
     sun.intensity = intensity;
   }
 
-  // animation loop
+  function setSky(color, fog = null) {
+    scene.background = new Color(color);
+    if (!fog || !mod.Fog) {
+      scene.fog = null;
+      return;
+    }
+    if (!scene.fog) scene.fog = new mod.Fog(fog.color ?? color, fog.near ?? 50, fog.far ?? 120);
+    scene.fog.color = new Color(fog.color ?? color);
+    if (fog.near !== undefined) scene.fog.near = fog.near;
+    if (fog.far !== undefined) scene.fog.far = fog.far;
+  }
+
+  function setView(view = {}) {
+    if (view.fov !== undefined) camera.fov = view.fov;
+    if (view.near !== undefined) camera.near = view.near;
+    if (view.far !== undefined) camera.far = view.far;
+    camera.updateProjectionMatrix();
+    // the next render() resizes the drawing buffer
+    if (view.pixelRatio !== undefined) {
+      dpr = view.pixelRatio || devicePixelRatio();
+      renderer.setPixelRatio(dpr);
+    }
+  }
+
+  function setCamera(position, target) {
+    camera.position.set(position[0], position[1], position[2]);
+    camera.lookAt(new Vector3(target[0], target[1], target[2]));
+  }
+
+  // animation loop; the scene has no animations of its own, time-based updates belong in a GameLoop
   let raf = null;
-  let last = 0;
-  function render(t) {
+  function render() {
     // adapt to size changes
-    if (fitCanvasToDisplaySize(canvas)) {
+    if (fitCanvasToDisplaySize(canvas, dpr)) {
       const w = canvas.width / dpr;
       const h = canvas.height / dpr;
       renderer.setSize(w, h, false);
       camera.aspect = w / Math.max(1, h);
       camera.updateProjectionMatrix();
     }
-    const time = t || performance.now();
-    const dt = (time - last) * 0.001;
-    last = time;
     renderer.render(scene, camera);
   }
 
   function start() {
     if (raf != null) return;
-    const loop = (t) => {
-      render(t);
+    const loop = () => {
+      render();
       raf = requestAnimationFrame(loop);
     };
     raf = requestAnimationFrame(loop);
@@ -181,15 +416,11 @@ async function initThree(mod, canvas, opts = {}) {
   function dispose() {
     stop();
     try {
-      world.traverse((o) => {
-        if (o.isMesh) {
-          o.geometry?.dispose?.();
-          if (o.material) {
-            if (Array.isArray(o.material)) o.material.forEach(m => m.dispose?.());
-            else o.material.dispose?.();
-          }
-        }
-      });
+      batches.clear(batch => { world.remove(batch.mesh); batch.mesh.dispose?.(); });
+      materials.clear(mat => mat.dispose?.());
+      textures.clear(tex => tex.dispose?.());
+      boxGeo.dispose?.();
+      blocks.clear();
       renderer.dispose?.();
     } catch (e) {}
   }
@@ -202,25 +433,30 @@ async function initThree(mod, canvas, opts = {}) {
     addBlock,
     removeBlock,
     setSun,
+    setSky,
+    setView,
+    setCamera,
+    render,
     start,
     stop,
     dispose,
-    _internal: { world, blocks }
+    _internal: { world, blocks, batches, materials, textures }
   };
 }
 
 /* ---------------- BABYLON.JS IMPLEMENTATION ---------------- */
 async function initBabylon(mod, canvas, opts = {}) {
   // try to use either the namespaced @babylonjs/core import or similar
-  const { Engine, Scene, ArcRotateCamera, Vector3, HemisphericLight, DirectionalLight, MeshBuilder, StandardMaterial, Texture, Color3 } = mod;
+  const { Engine, Scene, ArcRotateCamera, Vector3, HemisphericLight, DirectionalLight, MeshBuilder, StandardMaterial, MultiMaterial, SubMesh, Texture, Color3, Matrix } = mod;
 
-  const engine = new Engine(canvas, true, { preserveDrawingBuffer: true, stencil: true });
+  const engine = new Engine(canvas, opts.antialias ?? true, { preserveDrawingBuffer: true, stencil: true });
   const scene = new Scene(engine);
 
   scene.clearColor = new Color3(0.53, 0.81, 0.92); // sky-like
 
   const camera = new ArcRotateCamera("camera", -Math.PI / 4, Math.PI / 3, 20, new Vector3(0, 0, 0), scene);
   camera.attachControl(canvas, true);
+  setView({ ...viewDefaults(opts), pixelRatio: opts.pixelRatio });
 
   const hemi = new HemisphericLight("hemi", new Vector3(0, 1, 0), scene);
   hemi.intensity = 0.7;
@@ -229,56 +465,150 @@ async function initBabylon(mod, canvas, opts = {}) {
   sun.intensity = 0.8;
 
   const blockSize = opts.blockSize || 1;
+  const textures = createCache();
+  const materials = createCache();
+  // batch key -> { mesh: box with thin instances, slots }
+  const batches = createCache();
+  // block key "x,y,z" -> { batch, x, y, z, handle }
   const blocks = new Map();
   function blockKey(x, y, z) { return `${x},${y},${z}`; }
 
-  async function makeMaterial(settings = {}) {
-    const mat = new StandardMaterial("mat", scene);
-    if (settings.texture) {
-      try {
-        mat.diffuseTexture = new Texture(settings.texture, scene, true, false, Texture.TRILINEAR_SAMPLINGMODE);
-        mat.diffuseTexture.hasAlpha = false;
-      } catch (e) {
+  function makeMaterial(settings = {}) {
+    return materials.get(materialKey(settings), async () => {
+      const mat = new StandardMaterial(`mat:${materialKey(settings)}`, scene);
+      if (settings.texture) {
+        try {
+          // hasAlpha belongs to the texture, so transparent and opaque materials get their own
+          const transparent = !!settings.transparent;
+          mat.diffuseTexture = textures.get(`${settings.texture}|${transparent}`, () => {
+            const texture = new Texture(settings.texture, scene, true, false, Texture.TRILINEAR_SAMPLINGMODE);
+            texture.hasAlpha = transparent;
+            return texture;
+          });
+        } catch (e) {
+          mat.diffuseColor = Color3.FromHexString(settings.color ? `#${settings.color.toString(16).padStart(6,'0')}` : "#8B4513");
+        }
+      } else {
         mat.diffuseColor = Color3.FromHexString(settings.color ? `#${settings.color.toString(16).padStart(6,'0')}` : "#8B4513");
+        if (settings.transparent) mat.alpha = 0.8;
       }
-    } else {
-      mat.diffuseColor = Color3.FromHexString(settings.color ? `#${settings.color.toString(16).padStart(6,'0')}` : "#8B4513");
-    }
-    return mat;
+      return mat;
+    });
+  }
+
+  // CreateBox emits its faces as 4 sides, then top, then bottom (6 indices each),
+  // so per-face textures become one sub-mesh per face into a MultiMaterial.
+  async function makeBlockMaterial(settings, mesh) {
+    if (!hasFaceTextures(settings) || !MultiMaterial || !SubMesh) return makeMaterial(settings);
+    const { top, side, bottom } = settings.textures;
+    const multi = new MultiMaterial("block", scene);
+    multi.subMaterials.push(
+      await makeMaterial({ ...settings, texture: side }),
+      await makeMaterial({ ...settings, texture: top }),
+      await makeMaterial({ ...settings, texture: bottom })
+    );
+    const verticesCount = mesh.getTotalVertices();
+    mesh.subMeshes = [];
+    [0, 0, 0, 0, 1, 2].forEach((matIndex, face) => new SubMesh(matIndex, 0, verticesCount, face * 6, 6, mesh));
+    return multi;
+  }
+
+  // One box per batch; its thin instances are the blocks. Without instances the box itself
+  // would render at the origin, so it is hidden while the batch is empty.
+  function getBatch(settings) {
+    const key = batchKey(settings);
+    return batches.get(key, async () => {
+      const mesh = MeshBuilder.CreateBox(`batch:${key}`, { size: blockSize }, scene);
+      mesh.material = await makeBlockMaterial(settings, mesh);
+      mesh.receiveShadows = true;
+      mesh.isVisible = false;
+      // thin instances are spread over the world, the box's own bounds would cull them
+      mesh.alwaysSelectAsActiveMesh = true;
+      return { mesh, slots: createSlots() };
+    });
   }
 
+  function instanceMatrix(x, y, z) {
+    return Matrix.Translation(x * blockSize + blockSize / 2, y * blockSize + blockSize / 2, z * blockSize + blockSize / 2);
+  }
+
+  // Resolves to the block's handle; its batch is the thin-instanced box drawing it
   async function addBlock(x, y, z, settings = {}) {
     const key = blockKey(x, y, z);
-    if (blocks.has(key)) return blocks.get(key);
-    const mesh = MeshBuilder.CreateBox(`b${key}`, { size: blockSize }, scene);
-    mesh.position = new Vector3(x * blockSize + blockSize / 2, y * blockSize + blockSize / 2, z * blockSize + blockSize / 2);
-    mesh.material = await makeMaterial(settings);
-    mesh.receiveShadows = true;
-    blocks.set(key, mesh);
-    return mesh;
+    if (blocks.has(key)) return blocks.get(key).handle;
+    const batch = await getBatch(resolveSettings(settings));
+    // added by a concurrent call while the material loaded
+    if (blocks.has(key)) return blocks.get(key).handle;
+
+    // thinInstanceAdd appends at thinInstanceCount, i.e. the slot createSlots hands out
+    batch.slots.add(key);
+    batch.mesh.thinInstanceAdd(instanceMatrix(x, y, z));
+    batch.mesh.isVisible = true;
+    const record = { batch, x, y, z };
+    record.handle = createBlockHandle(record, key, { blocks, addBlock, removeBlock, batchObject: b => b.mesh });
+    blocks.set(key, record);
+    return record.handle;
   }
 
   function removeBlock(x, y, z) {
     const key = blockKey(x, y, z);
-    const m = blocks.get(key);
-    if (!m) return false;
-    m.dispose();
+    const block = blocks.get(key);
+    if (!block) return false;
+    const { batch } = block;
+    const { index, moved } = batch.slots.remove(key);
+    if (moved) {
+      const other = blocks.get(moved);
+      batch.mesh.thinInstanceSetMatrixAt(index, instanceMatrix(other.x, other.y, other.z));
+    }
+    batch.mesh.thinInstanceCount = batch.slots.count;
+    batch.mesh.isVisible = batch.slots.count > 0;
     blocks.delete(key);
     return true;
   }
 
+  function toColor3(color) {
+    return Color3.FromArray([(color >> 16 & 255) / 255, (color >> 8 & 255) / 255, (color & 255) / 255]);
+  }
+
+  // Babylon's direction is where the light travels, i.e. away from the sun
   function setSun(dir, color = 0xffffff, intensity = 0.8) {
-    sun.direction = new Vector3(dir.x, dir.y, dir.z);
-    sun.diffuse = Color3.FromArray([(color >> 16 & 255) / 255, (color >> 8 & 255) / 255, (color & 255) / 255]);
+    sun.direction = new Vector3(-dir.x, -dir.y, -dir.z);
+    sun.diffuse = toColor3(color);
     sun.intensity = intensity;
   }
 
-  engine.runRenderLoop(() => {
-    scene.render();
-  });
+  function setSky(color, fog = null) {
+    scene.clearColor = toColor3(color);
+    if (!fog) {
+      scene.fogMode = Scene.FOGMODE_NONE;
+      return;
+    }
+    scene.fogMode = Scene.FOGMODE_LINEAR;
+    scene.fogColor = toColor3(fog.color ?? color);
+    scene.fogStart = fog.near ?? 50;
+    scene.fogEnd = fog.far ?? 120;
+  }
+
+  // Babylon's fov is vertical radians; its scaling level is CSS pixels per drawing buffer pixel
+  function setView(view = {}) {
+    if (view.fov !== undefined) camera.fov = view.fov * Math.PI / 180;
+    if (view.near !== undefined) camera.minZ = view.near;
+    if (view.far !== undefined) camera.maxZ = view.far;
+    if (view.pixelRatio !== undefined) engine.setHardwareScalingLevel(1 / (view.pixelRatio || devicePixelRatio()));
+  }
 
-  function start() { engine.runRenderLoop(() => scene.render()); }
-  function stop() { engine.stopRenderLoop?.(() => scene.render()); }
+  // ArcRotateCamera keeps its position when the target moves, then works out its angles from both
+  function setCamera(position, target) {
+    camera.setTarget(new Vector3(target[0], target[1], target[2]));
+    camera.setPosition(new Vector3(position[0], position[1], position[2]));
+  }
+
+  // stopRenderLoop only removes the function it is given, so the loop keeps one function;
+  // runRenderLoop ignores a function that is already running
+  const renderLoop = () => scene.render();
+  function render() { scene.render(); }
+  function start() { engine.runRenderLoop(renderLoop); }
+  function stop() { engine.stopRenderLoop(renderLoop); }
   function dispose() {
     try { scene.dispose(); engine.dispose(); } catch (e) {}
   }
@@ -291,10 +621,14 @@ async function initBabylon(mod, canvas, opts = {}) {
     addBlock,
     removeBlock,
     setSun,
+    setSky,
+    setView,
+    setCamera,
+    render,
     start,
     stop,
     dispose,
-    _internal: { blocks }
+    _internal: { blocks, batches, materials, textures }
   };
 }
 
@@ -306,9 +640,12 @@ async function initPlaycanvas(mod, canvas, opts = {}) {
   const app = new pc.Application(canvas, {
     mouse: new pc.Mouse(document.body),
     touch: new pc.TouchDevice(document.body),
-    keyboard: new pc.Keyboard(window)
+    keyboard: new pc.Keyboard(window),
+    graphicsDeviceOptions: { antialias: opts.antialias ?? true }
   });
+  // start() ticks every frame; nothing renders on its own until the handle's start()
   app.start();
+  app.autoRender = false;
   app.setCanvasFillMode(pc.FILLMODE_NONE);
   app.setCanvasResolution(pc.RESOLUTION_AUTO);
   app.scene.ambientLight = new pc.Color(0.6, 0.6, 0.6);
@@ -324,60 +661,240 @@ async function initPlaycanvas(mod, canvas, opts = {}) {
   app.root.addChild(sun);
 
   const camera = new pc.Entity();
+  const view = viewDefaults(opts);
   camera.addComponent('camera', {
-    clearColor: new pc.Color(0.53, 0.81, 0.92)
+    clearColor: new pc.Color(0.53, 0.81, 0.92),
+    fov: view.fov,
+    nearClip: view.near,
+    farClip: view.far
   });
   camera.setLocalPosition(8, 8, 8);
   camera.lookAt(0, 0, 0);
   app.root.addChild(camera);
 
+  const device = app.graphicsDevice;
+  const textures = createCache();
+  const materials = createCache();
+  // batch key -> { entity, parts: [{ meshInstance, local, data, buffer }], slots, capacity }
+  const batches = createCache();
+  // block key "x,y,z" -> { batch, x, y, z, handle }
   const blocks = new Map();
   const blockSize = opts.blockSize || 1;
   function blockKey(x, y, z) { return `${x},${y},${z}`; }
 
-  async function addBlock(x, y, z, settings = {}) {
-    const key = blockKey(x, y, z);
-    if (blocks.has(key)) return blocks.get(key);
-    const ent = new pc.Entity();
-    ent.addComponent('model', { type: 'box' });
-    ent.setLocalScale(blockSize, blockSize, blockSize);
-    ent.setLocalPosition(x * blockSize + blockSize/2, y * blockSize + blockSize/2, z * blockSize + blockSize/2);
-    if (settings.texture) {
-      const asset = new pc.Asset(`tex-${key}`, 'texture', { url: settings.texture });
+  // Resolves to null when the image fails to load; a failed asset never becomes ready
+  function loadTexture(url) {
+    return textures.get(url, async () => {
+      const asset = new pc.Asset(`tex-${url}`, 'texture', { url });
       app.assets.add(asset);
-      await new Promise((res) => asset.ready(() => res()));
+      return new Promise((res) => {
+        asset.ready(() => res(asset.resource));
+        asset.once('error', () => res(null));
+        app.assets.load(asset);
+      });
+    });
+  }
+
+  function makeMaterial(settings = {}) {
+    return materials.get(materialKey(settings), async () => {
       const material = new pc.StandardMaterial();
-      material.diffuseMap = asset.resource;
+      const texture = settings.texture ? await loadTexture(settings.texture) : null;
+      if (texture) {
+        material.diffuseMap = texture;
+      } else {
+        const c = settings.color ?? 0x8B4513;
+        material.diffuse = new pc.Color((c>>16&255)/255, (c>>8&255)/255, (c&255)/255);
+      }
+      if (settings.transparent) {
+        material.blendType = pc.BLEND_NORMAL;
+        material.opacity = texture ? 1 : 0.8;
+      }
       material.update();
-      ent.model.model.meshInstances.forEach(mi => mi.material = material);
+      return material;
+    });
+  }
+
+  // The built-in box has a single mesh instance, so blocks whose top/bottom
+  // differ from their sides are built from six planes instead.
+  // [texture slot, position, euler angles] for a unit plane facing +y
+  const FACE_PLANES = [
+    ['top', [0, 0.5, 0], [0, 0, 0]],
+    ['bottom', [0, -0.5, 0], [180, 0, 0]],
+    ['side', [0.5, 0, 0], [0, 0, -90]],
+    ['side', [-0.5, 0, 0], [0, 0, 90]],
+    ['side', [0, 0, 0.5], [90, 0, 0]],
+    ['side', [0, 0, -0.5], [-90, 0, 0]]
+  ];
+
+  // Instanced mesh instances ignore their entity's transform and use the per-instance
+  // matrix as world matrix, so each part (the box, or one of the six planes) bakes its own
+  // local transform into the block's matrix and has its own instance buffer.
+  const instanceFormat = pc.VertexFormat.getDefaultInstancingFormat
+    ? pc.VertexFormat.getDefaultInstancingFormat(device)
+    : pc.VertexFormat.defaultInstancingFormat;
+
+  function setInstancing(part, capacity) {
+    part.buffer?.destroy();
+    part.buffer = new pc.VertexBuffer(device, instanceFormat, capacity, pc.BUFFER_DYNAMIC);
+    part.meshInstance.setInstancing(part.buffer);
+    // instances are spread over the world, the part's own bounds would cull them
+    part.meshInstance.cull = false;
+  }
+
+  function setInstanceCount(meshInstance, count) {
+    if ('instancingCount' in meshInstance) meshInstance.instancingCount = count;
+    else meshInstance.instancingData.count = count;
+  }
+
+  async function createBatch(settings) {
+    const entity = new pc.Entity();
+    const parts = [];
+    const addPart = (meshInstances, material, local) => {
+      meshInstances.forEach(meshInstance => {
+        meshInstance.material = material;
+        parts.push({ meshInstance, local, data: new Float32Array(BATCH_CAPACITY * 16), buffer: null });
+      });
+    };
+    if (hasFaceTextures(settings)) {
+      for (const [slot, pos, rot] of FACE_PLANES) {
+        const face = new pc.Entity();
+        face.addComponent('model', { type: 'plane' });
+        const material = await makeMaterial({ ...settings, texture: settings.textures[slot] });
+        const local = new pc.Mat4().setTRS(new pc.Vec3(...pos), new pc.Quat().setFromEulerAngles(...rot), pc.Vec3.ONE);
+        addPart(face.model.model.meshInstances, material, local);
+        entity.addChild(face);
+      }
     } else {
-      const material = new pc.StandardMaterial();
-      material.diffuse = new pc.Color(0.54, 0.27, 0.07);
-      material.update();
-      ent.model.model.meshInstances.forEach(mi => mi.material = material);
+      entity.addComponent('model', { type: 'box' });
+      addPart(entity.model.model.meshInstances, await makeMaterial(settings), new pc.Mat4());
+    }
+    parts.forEach(part => setInstancing(part, BATCH_CAPACITY));
+    entity.enabled = false;
+    app.root.addChild(entity);
+    return { entity, parts, slots: createSlots(), capacity: BATCH_CAPACITY };
+  }
+
+  function growBatch(batch) {
+    batch.capacity *= 2;
+    for (const part of batch.parts) {
+      const data = new Float32Array(batch.capacity * 16);
+      data.set(part.data);
+      part.data = data;
+      setInstancing(part, batch.capacity);
+    }
+  }
+
+  const blockMatrix = new pc.Mat4();
+  const partMatrix = new pc.Mat4();
+  const blockScale = new pc.Vec3(blockSize, blockSize, blockSize);
+
+  function setInstance(batch, index, x, y, z) {
+    const position = new pc.Vec3(x * blockSize + blockSize/2, y * blockSize + blockSize/2, z * blockSize + blockSize/2);
+    blockMatrix.setTRS(position, pc.Quat.IDENTITY, blockScale);
+    for (const part of batch.parts) {
+      partMatrix.mul2(blockMatrix, part.local);
+      part.data.set(partMatrix.data, index * 16);
+    }
+  }
+
+  function uploadBatch(batch) {
+    const count = batch.slots.count;
+    for (const part of batch.parts) {
+      part.buffer.setData(part.data);
+      setInstanceCount(part.meshInstance, count);
     }
-    app.root.addChild(ent);
-    blocks.set(key, ent);
-    return ent;
+    batch.entity.enabled = count > 0;
+  }
+
+  // Resolves to the block's handle; its batch is the entity drawing it
+  async function addBlock(x, y, z, settings = {}) {
+    const key = blockKey(x, y, z);
+    if (blocks.has(key)) return blocks.get(key).handle;
+    settings = resolveSettings(settings);
+    const batch = await batches.get(batchKey(settings), () => createBatch(settings));
+    // added by a concurrent call while the materials loaded
+    if (blocks.has(key)) return blocks.get(key).handle;
+
+    if (batch.slots.count >= batch.capacity) growBatch(batch);
+    setInstance(batch, batch.slots.add(key), x, y, z);
+    uploadBatch(batch);
+    const record = { batch, x, y, z };
+    record.handle = createBlockHandle(record, key, { blocks, addBlock, removeBlock, batchObject: b => b.entity });
+    blocks.set(key, record);
+    return record.handle;
   }
 
   function removeBlock(x, y, z) {
     const key = blockKey(x, y, z);
-    const e = blocks.get(key);
-    if (!e) return false;
-    e.destroy();
+    const block = blocks.get(key);
+    if (!block) return false;
+    const { batch } = block;
+    const { index, moved } = batch.slots.remove(key);
+    if (moved) {
+      const other = blocks.get(moved);
+      setInstance(batch, index, other.x, other.y, other.z);
+    }
+    uploadBatch(batch);
     blocks.delete(key);
     return true;
   }
 
+  function toColor(color) {
+    return new pc.Color((color>>16&255)/255, (color>>8&255)/255, (color&255)/255);
+  }
+
+  // Directional lights shine down their entity's -Y axis, so rotate +Y onto dir
   function setSun(dir, color = 0xffffff, intensity = 0.9) {
-    sun.setLocalEulerAngles(dir.x, dir.y, dir.z);
+    const len = Math.hypot(dir.x, dir.y, dir.z) || 1;
+    const [x, y, z] = [dir.x / len, dir.y / len, dir.z / len];
+    const axis = new pc.Vec3(z, 0, -x); // up x dir
+    const angle = Math.acos(Math.max(-1, Math.min(1, y))) * 180 / Math.PI;
+    if (axis.length() < 1e-6) axis.set(1, 0, 0);
+    else axis.normalize();
+    sun.setLocalRotation(new pc.Quat().setFromAxisAngle(axis, angle));
     sun.light.intensity = intensity;
-    sun.light.color = new pc.Color((color>>16&255)/255, (color>>8&255)/255, (color&255)/255);
+    sun.light.color = toColor(color);
+  }
+
+  function setSky(color, fog = null) {
+    camera.camera.clearColor = toColor(color);
+    const scene = app.scene;
+    // Newer PlayCanvas versions keep fog settings in a scene.fog object
+    if (scene.fog && typeof scene.fog === 'object') {
+      scene.fog.type = fog ? 'linear' : 'none';
+      if (fog) {
+        scene.fog.color = toColor(fog.color ?? color);
+        scene.fog.start = fog.near ?? 50;
+        scene.fog.end = fog.far ?? 120;
+      }
+      return;
+    }
+    scene.fog = fog ? pc.FOG_LINEAR : pc.FOG_NONE;
+    if (fog) {
+      scene.fogColor = toColor(fog.color ?? color);
+      scene.fogStart = fog.near ?? 50;
+      scene.fogEnd = fog.far ?? 120;
+    }
+  }
+
+  // the device renders at min(maxPixelRatio, devicePixelRatio)
+  function setView(view = {}) {
+    if (view.fov !== undefined) camera.camera.fov = view.fov;
+    if (view.near !== undefined) camera.camera.nearClip = view.near;
+    if (view.far !== undefined) camera.camera.farClip = view.far;
+    if (view.pixelRatio !== undefined) device.maxPixelRatio = view.pixelRatio || devicePixelRatio();
+  }
+  if (opts.pixelRatio) device.maxPixelRatio = opts.pixelRatio;
+
+  function setCamera(position, target) {
+    camera.setPosition(position[0], position[1], position[2]);
+    camera.lookAt(target[0], target[1], target[2]);
   }
 
-  function start() { app.resume(); }
-  function stop() { app.pause(); }
+  // the app's ticks render only while autoRender is set
+  function render() { app.render(); }
+  function start() { app.autoRender = true; }
+  function stop() { app.autoRender = false; }
   function dispose() {
     try { app.destroy(); } catch (e) {}
   }
@@ -390,50 +907,350 @@ async function initPlaycanvas(mod, canvas, opts = {}) {
     addBlock,
     removeBlock,
     setSun,
+    setSky,
+    setView,
+    setCamera,
+    render,
+    start,
+    stop,
+    dispose,
+    _internal: { blocks, batches, materials, textures }
+  };
+}
+
+/* ---------------- SHADOWGL IMPLEMENTATION ---------------- */
+async function initShadowGL(mod, canvas, opts = {}) {
+  // mod is ShadowGL/index.js
+  const { WebGL3D, Camera, Node, InstancedMesh, Material, Texture, boxData, BOX_FACES, loadImage, missingTexture, solidImage, shaders } = mod;
+
+  const renderer = new WebGL3D(canvas, { ...opts, attributes: { antialias: opts.antialias ?? true } });
+  const gl = renderer.gl;
+
+  const view = viewDefaults(opts);
+  const camera = new Camera(view.fov * Math.PI / 180, canvas.clientWidth / Math.max(1, canvas.clientHeight), view.near, view.far);
+  camera.position = [8, 8, 8];
+  camera.lookAt([0, 0, 0]);
+  renderer.setCamera(camera);
+
+  // one material for every batch; lighting and fog are uniforms of it, textures belong to the meshes
+  const material = new Material(gl, {
+    vertexSrc: shaders.blockInstancedVertexSrc,
+    fragmentSrc: shaders.blockInstancedFragmentSrc
+  });
+
+  function toRGB(color) {
+    return [(color >> 16 & 255) / 255, (color >> 8 & 255) / 255, (color & 255) / 255];
+  }
+
+  const blockSize = opts.blockSize || 1;
+  // untextured blocks sample white and take their colour from the instance
+  const white = new Texture(gl, solidImage());
+  const textures = createCache();
+  // batch key -> { group, parts: [InstancedMesh], color, slots }
+  const batches = createCache();
+  // block key "x,y,z" -> { batch, x, y, z, handle }
+  const blocks = new Map();
+  function blockKey(x, y, z) { return `${x},${y},${z}`; }
+
+  function loadTexture(url) {
+    return textures.get(url, async () => new Texture(gl, await loadImage(url).catch(() => missingTexture())));
+  }
+
+  // [texture slot, box faces] for blocks whose top/bottom differ from their sides
+  const FACE_PARTS = [
+    ['top', ['top']],
+    ['bottom', ['bottom']],
+    ['side', ['east', 'west', 'south', 'north']]
+  ];
+
+  async function createBatch(settings) {
+    const parts = hasFaceTextures(settings)
+      ? await Promise.all(FACE_PARTS.map(async ([slot, faces]) => [await loadTexture(settings.textures[slot]), faces]))
+      : [[settings.texture ? await loadTexture(settings.texture) : white, BOX_FACES]];
+
+    const group = new Node({ name: batchKey(settings) });
+    const meshes = parts.map(([texture, faces]) => group.add(new InstancedMesh(gl, boxData(blockSize, faces), null, null, {
+      material, texture, maxInstances: BATCH_CAPACITY
+    })));
+    renderer.add(group);
+
+    const transparent = !!settings.transparent;
+    const color = settings.texture || hasFaceTextures(settings)
+      ? [1, 1, 1, 1]
+      : [...toRGB(settings.color ?? 0x8B4513), transparent ? 0.8 : 1];
+    return { group, parts: meshes, color, slots: createSlots() };
+  }
+
+  function setInstance(batch, index, x, y, z) {
+    const center = [x * blockSize + blockSize / 2, y * blockSize + blockSize / 2, z * blockSize + blockSize / 2];
+    for (const mesh of batch.parts) {
+      mesh.setTransformAt(index, center);
+      mesh.setColorAt(index, batch.color);
+    }
+  }
+
+  function setCount(batch) {
+    for (const mesh of batch.parts) mesh.count = batch.slots.count;
+  }
+
+  // Resolves to the block's handle; its batch is the scene node drawing it (one InstancedMesh per texture)
+  async function addBlock(x, y, z, settings = {}) {
+    const key = blockKey(x, y, z);
+    if (blocks.has(key)) return blocks.get(key).handle;
+    settings = resolveSettings(settings);
+    const batch = await batches.get(batchKey(settings), () => createBatch(settings));
+    // added by a concurrent call while the textures loaded
+    if (blocks.has(key)) return blocks.get(key).handle;
+
+    const capacity = batch.parts[0].maxInstances;
+    if (batch.slots.count >= capacity) batch.parts.forEach(mesh => mesh.setMaxInstances(capacity * 2));
+    setInstance(batch, batch.slots.add(key), x, y, z);
+    setCount(batch);
+    const record = { batch, x, y, z };
+    record.handle = createBlockHandle(record, key, { blocks, addBlock, removeBlock, batchObject: b => b.group });
+    blocks.set(key, record);
+    return record.handle;
+  }
+
+  function removeBlock(x, y, z) {
+    const key = blockKey(x, y, z);
+    const block = blocks.get(key);
+    if (!block) return false;
+    const { batch } = block;
+    const { index, moved } = batch.slots.remove(key);
+    if (moved) {
+      const other = blocks.get(moved);
+      setInstance(batch, index, other.x, other.y, other.z);
+    }
+    setCount(batch);
+    blocks.delete(key);
+    return true;
+  }
+
+  const ambient = 0.6;
+  material.setUniform('uAmbient', [ambient, ambient, ambient]);
+
+  function setSun(dir, color = 0xffffff, intensity = 0.8) {
+    const len = Math.hypot(dir.x, dir.y, dir.z) || 1;
+    material.setUniforms({
+      uSunDirection: [dir.x / len, dir.y / len, dir.z / len],
+      uSunColor: toRGB(color).map(c => c * intensity)
+    });
+  }
+
+  function setSky(color, fog = null) {
+    renderer.setBackground([...toRGB(color), 1]);
+    material.setUniforms({
+      uFogColor: toRGB(fog ? fog.color ?? color : color),
+      // without fog the range is pushed far beyond anything drawn
+      uFogRange: fog ? [fog.near ?? 50, fog.far ?? 120] : [1e6, 2e6]
+    });
+  }
+
+  setSun({ x: 10, y: 20, z: 10 });
+  setSky(opts.background || 0x87ceeb);
+
+  function setView(view = {}) {
+    if (view.fov !== undefined) camera.fov = view.fov * Math.PI / 180;
+    if (view.near !== undefined) camera.near = view.near;
+    if (view.far !== undefined) camera.far = view.far;
+    camera.updateProjection();
+    if (view.pixelRatio !== undefined) renderer.setPixelRatio(view.pixelRatio);
+  }
+
+  function setCamera(position, target) {
+    camera.position = [position[0], position[1], position[2]];
+    camera.lookAt(target);
+    camera.updateView();
+  }
+
+  function render(dt = 0) { renderer.render(dt); }
+  function start() { renderer.start(); }
+  function stop() { renderer.stop(); }
+  function dispose() {
+    stop();
+    try {
+      batches.clear(batch => {
+        batch.group.removeFromParent();
+        batch.parts.forEach(mesh => mesh.dispose());
+      });
+      textures.clear(tex => tex.dispose());
+      white.dispose();
+      blocks.clear();
+      material.dispose();
+      renderer.dispose();
+    } catch (e) {}
+  }
+
+  return {
+    libName: 'shadowgl',
+    renderer,
+    scene: renderer.scene,
+    camera,
+    addBlock,
+    removeBlock,
+    setSun,
+    setSky,
+    setView,
+    setCamera,
+    render,
     start,
     stop,
     dispose,
-    _internal: { blocks }
+    _internal: { blocks, batches, textures }
   };
 }
 
+/* ---------------- DIAGNOSTICS ---------------- */
+
+// GPU capabilities, probed on a throwaway canvas so the engine's canvas is free to pick its own
+// context type and attributes. webgl is 2, 1 or 0 (unavailable).
+export function detectCapabilities() {
+  const caps = { webgl: 0, version: null, shadingLanguage: null, vendor: null, renderer: null,
+    maxTextureSize: 0, maxCubeMapSize: 0, maxTextureUnits: 0, maxVertexAttribs: 0, maxSamples: 0, extensions: [] };
+  let canvas = null;
+  try {
+    canvas = typeof OffscreenCanvas !== 'undefined' ? new OffscreenCanvas(1, 1) : document.createElement('canvas');
+  } catch (e) {
+    return caps;
+  }
+
+  for (const [type, version] of [['webgl2', 2], ['webgl', 1]]) {
+    let gl = null;
+    try { gl = canvas.getContext(type); } catch (e) {}
+    if (!gl) continue;
+
+    caps.webgl = version;
+    caps.version = gl.getParameter(gl.VERSION);
+    caps.shadingLanguage = gl.getParameter(gl.SHADING_LANGUAGE_VERSION);
+    // The unmasked names identify the actual GPU where the browser exposes them
+    const info = gl.getExtension('WEBGL_debug_renderer_info');
+    caps.vendor = gl.getParameter(info ? info.UNMASKED_VENDOR_WEBGL : gl.VENDOR);
+    caps.renderer = gl.getParameter(info ? info.UNMASKED_RENDERER_WEBGL : gl.RENDERER);
+    caps.maxTextureSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+    caps.maxCubeMapSize = gl.getParameter(gl.MAX_CUBE_MAP_TEXTURE_SIZE);
+    caps.maxTextureUnits = gl.getParameter(gl.MAX_TEXTURE_IMAGE_UNITS);
+    caps.maxVertexAttribs = gl.getParameter(gl.MAX_VERTEX_ATTRIBS);
+    caps.maxSamples = version === 2 ? gl.getParameter(gl.MAX_SAMPLES) : 0;
+    caps.extensions = gl.getSupportedExtensions() || [];
+    gl.getExtension('WEBGL_lose_context')?.loseContext();
+    break;
+  }
+  return caps;
+}
+
+function logReport(report) {
+  const title = `[js3dhelper] ${report.selected ? `using ${report.selected}` : 'no engine available'}`;
+  console.groupCollapsed(title);
+  console.table(report.attempts.map(a => ({
+    backend: a.backend,
+    specifier: a.specifier,
+    found: a.found,
+    ok: a.ok,
+    error: (a.initError || a.importError)?.message ?? '',
+    ms: a.ms
+  })));
+  console.log('GPU', report.gpu);
+  for (const a of report.attempts) {
+    const err = a.initError || a.importError;
+    if (err && err.stack) console.log(`${a.backend}: ${err.stack}`);
+  }
+  console.groupEnd();
+}
+
 /* ---------------- FACTORY ---------------- */
+
+// prefer-list names -> module specifiers (tried in order) and initializer
+const BACKENDS = {
+  'three': { specifiers: ['three'], init: initThree },
+  '@babylonjs/core': { specifiers: ['@babylonjs/core', 'babylonjs'], init: initBabylon },
+  'babylon': { specifiers: ['@babylonjs/core', 'babylonjs'], init: initBabylon },
+  'playcanvas': { specifiers: ['playcanvas'], global: 'pc', init: initPlaycanvas },
+  'shadowgl': { specifiers: ['./ShadowGL/index.js'], init: initShadowGL }
+};
+
+// best-effort detection for raw specifiers in the prefer list
+function detectBackend(mod) {
+  if (mod.WebGLRenderer && mod.Scene && mod.PerspectiveCamera) return [mod, initThree];
+  if (mod.Engine && mod.Scene) return [mod, initBabylon];
+  if (mod.Application) return [mod, initPlaycanvas];
+  if (mod.pc && mod.pc.Application) return [mod.pc, initPlaycanvas];
+  if (mod.WebGL3D && mod.InstancedMesh) return [mod, initShadowGL];
+  return [mod, null];
+}
+
+async function attemptBackend(name, canvas, options) {
+  const backend = BACKENDS[name] || { specifiers: [name], init: null };
+  const entry = { backend: name, specifier: null, found: false, importError: null, initError: null, ok: false, ms: 0 };
+  const started = performance.now();
+
+  let mod = null;
+  for (const spec of backend.specifiers) {
+    const result = await tryImport(spec);
+    entry.specifier = spec;
+    if (result.mod) {
+      mod = result.mod;
+      entry.importError = null;
+      break;
+    }
+    // keep the first failure; later fallbacks usually fail the same way
+    if (!entry.importError) entry.importError = describeError(result.error);
+  }
+  if (!mod && backend.global && typeof window !== 'undefined' && window[backend.global]) {
+    mod = window[backend.global];
+    entry.specifier = `window.${backend.global}`;
+    entry.importError = null;
+  }
+
+  let handle = null;
+  if (mod) {
+    entry.found = true;
+    const [engineModule, init] = backend.init ? [mod, backend.init] : detectBackend(mod);
+    try {
+      if (!init) throw new Error(`${name} does not look like three, Babylon, PlayCanvas or ShadowGL`);
+      handle = await init(engineModule, canvas, options);
+      entry.ok = true;
+    } catch (err) {
+      entry.initError = describeError(err);
+    }
+  }
+  entry.ms = Math.round(performance.now() - started);
+  return { entry, handle };
+}
+
+// Options besides the backends' own:
+// - prefer: backend names or module specifiers, tried in order
+// - onDiagnostic(entry, report): called after every backend attempt
+// - debug: log the report to the console
+// The report ({ selected, gpu, attempts }) is returned as handle.diagnostics and attached to
+// the thrown error as error.diagnostics when no backend could be started.
 export async function createEngine(canvas, options = {}) {
   const prefer = options.prefer || DEFAULT_ORDER;
+  const report = { selected: null, gpu: detectCapabilities(), attempts: [] };
 
   for (const name of prefer) {
-    if (name === 'three') {
-      const mod = await tryImport('three');
-      if (mod) {
-        try { return await initThree(mod, canvas, options); } catch (e) {}
-      }
-    } else if (name === '@babylonjs/core' || name === 'babylon') {
-      const mod = await tryImport('@babylonjs/core') || await tryImport('babylonjs');
-      if (mod) {
-        try { return await initBabylon(mod, canvas, options); } catch (e) {}
-      }
-    } else if (name === 'playcanvas') {
-      const mod = await tryImport('playcanvas') || (window && window.pc ? window.pc : null);
-      if (mod) {
-        try { return await initPlaycanvas(mod, canvas, options); } catch (e) {}
-      }
-    } else {
-      // try raw specifier
-      const mod = await tryImport(name);
-      if (mod) {
-        // best-effort detection
-        if (mod.WebGLRenderer && mod.Scene && mod.PerspectiveCamera) {
-          try { return await initThree(mod, canvas, options); } catch (e) {}
-        } else if (mod.Engine && mod.Scene) {
-          try { return await initBabylon(mod, canvas, options); } catch (e) {}
-        } else if (mod.Application || (mod.pc && mod.pc.Application)) {
-          try { return await initPlaycanvas(mod, canvas, options); } catch (e) {}
-        }
-      }
+    const { entry, handle } = await attemptBackend(name, canvas, options);
+    report.attempts.push(entry);
+    if (options.onDiagnostic) {
+      try { options.onDiagnostic(entry, report); } catch (e) {}
+    }
+    if (handle) {
+      report.selected = handle.libName;
+      handle.diagnostics = report;
+      if (options.debug) logReport(report);
+      return handle;
     }
   }
 
-  throw new Error('No supported 3D engine available. Install or load three, @babylonjs/core or playcanvas.');
+  if (options.debug) logReport(report);
+  const reasons = report.attempts
+    .map(a => `${a.backend}: ${a.found ? (a.initError?.message ?? 'failed') : 'not found'}`)
+    .join('; ');
+  const gpu = report.gpu.webgl ? `WebGL ${report.gpu.webgl}` : 'no WebGL';
+  const error = new Error(`No supported 3D engine available (${reasons}; ${gpu}). ` +
+    'Install or load three, @babylonjs/core or playcanvas, or use shadowgl.');
+  error.diagnostics = report;
+  throw error;
 }
 
 export default { createEngine };
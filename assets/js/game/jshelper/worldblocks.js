@@ -0,0 +1,109 @@
+// Draws a World (World.js) through a createEngine handle (js3dhelper.js), for backends that
+// have no chunk meshes of their own. The ShadowGL ChunkRenderer (ShadowGL/Engine/chunks.js) is
+// faster and lit; this one only needs addBlock / removeBlock, so three, Babylon and PlayCanvas
+// can show the same world.
+//
+// Only blocks next to a see-through neighbour are added, each as one instanced cube. Like
+// ChunkRenderer, update(position) moves the world's loaded area, forgets unloaded chunks and
+// redoes a few dirty chunks per call, nearest first. addBlock is asynchronous, so every change
+// to the handle goes through one queue and a chunk is never added and removed out of order.
+//
+// Usage example:
+// const handle = await createEngine(canvas, { prefer: ['three'] });
+// const view = new WorldBlockRenderer(handle, world);
+// function frame() { view.update(player.position); handle.render(); }
+
+import { World } from '../World.js';
+import { CHUNK_SIZE, CHUNK_HEIGHT } from '../Chunk.js';
+import { blocks } from '../Block.js';
+
+export class WorldBlockRenderer {
+  constructor(handle, world, options = {}) {
+    this.handle = handle;
+    this.world = world;
+    this.rebuildsPerUpdate = options.rebuildsPerUpdate ?? 2;
+    this.isOpaque = options.isOpaque || ((id) => blocks.isOpaque(id));
+
+    // chunk key -> [[x, y, z]] of the blocks added for it
+    this.added = new Map();
+    this.queue = Promise.resolve();
+  }
+
+  // Runs fn after every earlier change; a failed change is logged and does not stop the queue
+  enqueue(fn) {
+    this.queue = this.queue.then(fn).catch(err => console.warn(`Could not draw blocks: ${err.message}`));
+    return this.queue;
+  }
+
+  update(position) {
+    const [x, , z] = position;
+    this.world.update(x, z);
+
+    for (const key of [...this.added.keys()]) {
+      if (!this.world.chunks.has(key)) this.drop(key);
+    }
+
+    const cx = x / CHUNK_SIZE;
+    const cz = z / CHUNK_SIZE;
+    const dirty = [...this.world.chunks.values()].filter(c => c.dirty);
+    dirty.sort((a, b) =>
+      ((a.cx + 0.5 - cx) ** 2 + (a.cz + 0.5 - cz) ** 2) -
+      ((b.cx + 0.5 - cx) ** 2 + (b.cz + 0.5 - cz) ** 2)
+    );
+    for (const chunk of dirty.slice(0, this.rebuildsPerUpdate)) this.rebuild(chunk);
+  }
+
+  // [x, y, z, id] of every block of the chunk with a face that can be seen
+  visibleBlocks(chunk) {
+    const ox = chunk.originX;
+    const oz = chunk.originZ;
+    // Neighbours outside the chunk come from the world; below the world counts as solid
+    const opaqueAt = (x, y, z) => {
+      if (y < 0) return true;
+      if (x >= 0 && x < CHUNK_SIZE && z >= 0 && z < CHUNK_SIZE) return this.isOpaque(chunk.getBlock(x, y, z));
+      return this.isOpaque(this.world.getBlock(ox + x, y, oz + z));
+    };
+
+    const visible = [];
+    for (let y = 0; y < CHUNK_HEIGHT; y++) {
+      for (let z = 0; z < CHUNK_SIZE; z++) {
+        for (let x = 0; x < CHUNK_SIZE; x++) {
+          const id = chunk.getBlock(x, y, z);
+          if (id === 0) continue;
+          if (opaqueAt(x + 1, y, z) && opaqueAt(x - 1, y, z) && opaqueAt(x, y + 1, z) &&
+              opaqueAt(x, y - 1, z) && opaqueAt(x, y, z + 1) && opaqueAt(x, y, z - 1)) continue;
+          visible.push([ox + x, y, oz + z, id]);
+        }
+      }
+    }
+    return visible;
+  }
+
+  rebuild(chunk) {
+    const key = World.key(chunk.cx, chunk.cz);
+    const visible = this.visibleBlocks(chunk);
+    chunk.dirty = false;
+
+    const previous = this.added.get(key) || [];
+    this.added.set(key, visible);
+    return this.enqueue(async () => {
+      // A block can change in place, so the chunk is redone from scratch
+      for (const [x, y, z] of previous) this.handle.removeBlock(x, y, z);
+      await Promise.all(visible.map(([x, y, z, id]) => this.handle.addBlock(x, y, z, id)));
+    });
+  }
+
+  drop(key) {
+    const previous = this.added.get(key);
+    if (!previous) return;
+    this.added.delete(key);
+    this.enqueue(() => {
+      for (const [x, y, z] of previous) this.handle.removeBlock(x, y, z);
+    });
+  }
+
+  dispose() {
+    for (const key of [...this.added.keys()]) this.drop(key);
+    return this.queue;
+  }
+}
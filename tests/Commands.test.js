@@ -0,0 +1,204 @@
+// Command parsing (quoting, ~ coordinates, bad arguments) and the error
+// paths of the built-in commands.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { blocks } from "../assets/js/game/Block.js";
+import { Inventory, ItemStack } from "../assets/js/game/Item.js";
+import { World } from "../assets/js/game/World.js";
+import { WorldClock, TIMES } from "../assets/js/game/Clock.js";
+import { commands, tokenize, CommandError, MAX_FILL } from "../assets/js/game/Commands.js";
+
+const STONE = blocks.get("stone").id;
+
+function makePlayer(name, position) {
+    return { name, position, inventory: new Inventory(), gameMode: "survival" };
+}
+
+// A player at 10.5 64 -3.5 in a world where only chunk 0,0 is loaded
+function makeContext(overrides = {}) {
+    const player = makePlayer("Steve", [10.5, 64, -3.5]);
+    const world = new World({ renderDistance: 0 });
+    world.loadChunk(0, 0);
+    return { player, world, clock: new WorldClock(), seed: 42, ...overrides };
+}
+
+// Asserts the input fails with a CommandError whose message matches and,
+// when given, whose position is the offset of `at` in the input
+function assertError(input, ctx, message, at) {
+    assert.throws(() => commands.execute(input, ctx), (err) => {
+        assert.ok(err instanceof CommandError, `${input}: ${err}`);
+        if (message instanceof RegExp) assert.match(err.message, message);
+        else assert.equal(err.message, message);
+        if (at !== undefined) assert.equal(err.position, input.indexOf(at), `${input}: position`);
+        return true;
+    });
+}
+
+/* ---- Parsing ---- */
+
+test("tokenize splits on whitespace and keeps offsets", () => {
+    assert.deepEqual(tokenize("give  @s stone"), [
+        { text: "give", start: 0, end: 4 },
+        { text: "@s", start: 6, end: 8 },
+        { text: "stone", start: 9, end: 14 }
+    ]);
+    assert.deepEqual(tokenize("/tp x", 1), [{ text: "tp", start: 1, end: 3 }, { text: "x", start: 4, end: 5 }]);
+    assert.deepEqual(tokenize("   "), []);
+});
+
+test("quoted words hold spaces and escapes", () => {
+    assert.deepEqual(tokenize('tp "Steve Smith" ~'), [
+        { text: "tp", start: 0, end: 2 },
+        { text: "Steve Smith", start: 3, end: 16 },
+        { text: "~", start: 17, end: 18 }
+    ]);
+    assert.deepEqual(tokenize("'a \"b\"'").map((t) => t.text), ['a "b"']);
+    assert.deepEqual(tokenize('"say \\"hi\\" \\\\o/"').map((t) => t.text), ['say "hi" \\o/']);
+    assert.deepEqual(tokenize('""').map((t) => t.text), [""]);
+    // A quote inside a word is not special
+    assert.deepEqual(tokenize("it's").map((t) => t.text), ["it's"]);
+});
+
+test("an unclosed quote is an error at the quote", () => {
+    assert.throws(() => tokenize('tp "Steve'), (err) => err instanceof CommandError && err.message === "Unclosed quote" && err.position === 3);
+    assert.throws(() => tokenize('"ends with \\"'), /Unclosed quote/);
+    assertError('/gamemode creative "Steve', makeContext(), "Unclosed quote", '"');
+    assert.deepEqual(commands.complete('/tp "Ste', makeContext()), { start: 8, suggestions: [] });
+});
+
+test("a quoted player name selects that player", () => {
+    const ctx = makeContext();
+    const alex = makePlayer("Alex Smith", [0, 70, 0]);
+    ctx.players = [ctx.player, alex];
+    assert.equal(commands.execute('/gamemode creative "alex smith"', ctx), "Set Alex Smith's game mode to Creative");
+    assert.equal(alex.gameMode, "creative");
+    assert.equal(ctx.player.gameMode, "survival");
+    assertError("/gamemode creative alex smith", ctx, "No player named 'alex' was found", "alex");
+});
+
+test("~ coordinates are relative to the player", () => {
+    const ctx = makeContext();
+    assert.equal(commands.execute("/tp ~ ~1 ~-2.5", ctx), "Teleported Steve to 10.5, 65, -6");
+    assert.deepEqual(ctx.player.position, [10.5, 65, -6]);
+
+    // Absolute whole x and z are centred on their block, y is not
+    commands.execute("/tp 3 70 -4", ctx);
+    assert.deepEqual(ctx.player.position, [3.5, 70, -3.5]);
+    commands.execute("/tp ~.5 ~ 1.25", ctx);
+    assert.deepEqual(ctx.player.position, [4, 70, 1.25]);
+
+    // Block positions are floored
+    ctx.player.position = [5.7, 64.2, 1.9];
+    assert.equal(commands.execute("/setblock ~ ~-1 ~1 stone", ctx), "Changed the block at 5, 63, 2");
+    assert.equal(ctx.world.getBlock(5, 63, 2), STONE);
+});
+
+test("bad coordinates are errors at the start of the coordinates", () => {
+    const ctx = makeContext();
+    assertError("/tp ~ ~x ~", ctx, "Invalid coordinate 'x'", "~");
+    assertError("/tp 1 two 3", ctx, "Invalid coordinate 'two'", "1");
+    assertError("/tp ^ ^ ^1", ctx, "Local coordinates (^) are not supported", "^");
+    assertError("/setblock ~ ~ ~ stone", { world: ctx.world }, "Relative coordinates (~) need a player position", "~");
+    assertError("/setblock 1 2", ctx, "Incomplete <x> <y> <z>: expected 3 values");
+});
+
+test("bad command lines are errors at the offending word", () => {
+    const ctx = makeContext();
+    assertError("/", ctx, "Missing command name");
+    assertError("/fly", ctx, "Unknown command 'fly', type /help for a list of commands", "fly");
+    assertError("/seed now", ctx, "Unexpected argument 'now'", "now");
+    assertError("/give @s", ctx, "Missing <item>");
+    assertError("/give @s stone lots", ctx, "Invalid integer 'lots'", "lots");
+    assertError("/give @s stone 0", ctx, "Integer must not be less than 1, found 0", "0");
+    assertError("/give @s stone 6401", ctx, "Integer must not be more than 6400, found 6401", "6401");
+    assertError("/gamemode hardcore", ctx, "Unknown mode 'hardcore', expected one of 'survival', 'creative'", "hardcore");
+    assertError("/give @e stone", ctx, "Unknown selector '@e', expected @s, @p, @a or @r", "@e");
+    assertError("/time", ctx, "Missing argument, expected one of 'set', 'add', 'query'");
+    assertError("/time skip 10", ctx, "Unknown argument 'skip', expected one of 'set', 'add', 'query'", "skip");
+});
+
+test("cheat commands are refused in worlds without cheats", () => {
+    const ctx = makeContext({ cheats: false });
+    assertError("/gamemode creative", ctx, "/gamemode needs cheats, which are off in this world", "gamemode");
+    assert.equal(commands.execute("/seed", ctx), "Seed: [42]");
+    assert.ok(!commands.execute("/help", ctx).includes("/give"));
+});
+
+/* ---- Built-in commands ---- */
+
+test("/tp errors", () => {
+    const ctx = makeContext();
+    ctx.players = [ctx.player, makePlayer("Alex", [0, 80, 0])];
+    assertError("/tp Herobrine", ctx, "No player named 'Herobrine' was found", "Herobrine");
+    assertError("/tp Steve @a", ctx, "Only one player is allowed, but the selector matches more than one", "@a");
+    assertError("/tp 1 2 3", { players: ctx.players }, "Only a player can run this command");
+    assertError("/tp @s", { players: [] }, "No player was found", "@s");
+
+    assert.equal(commands.execute("/teleport @a Alex", ctx), "Teleported 2 players to 0, 80, 0");
+    assert.deepEqual(ctx.player.position, [0, 80, 0]);
+});
+
+test("/give errors", () => {
+    const ctx = makeContext();
+    assertError("/give @s minecraft:unobtainium", ctx, "Unknown item 'minecraft:unobtainium'", "minecraft:unobtainium");
+    assertError("/give @s torch", makeContext({ player: { name: "Ghost", position: [0, 0, 0] } }), "Ghost has no inventory");
+
+    // Items that do not fit are reported, not silently lost
+    const { inventory } = ctx.player;
+    for (let i = 1; i < inventory.size; i++) inventory.slots[i] = new ItemStack("minecraft:dirt", 64);
+    assert.equal(commands.execute("/give @s torch 100", ctx), "Gave 100 [Torch] to Steve (36 did not fit)");
+    assert.equal(inventory.getSlot(0).count, 64);
+});
+
+test("/setblock errors", () => {
+    const ctx = makeContext();
+    assertError("/setblock 1 2 3 minecraft:nothing", ctx, "Unknown block 'minecraft:nothing'", "minecraft:nothing");
+    assertError("/setblock 1 64 1 stone", { player: ctx.player }, "No world is available here");
+    assertError("/setblock 1 256 1 stone", ctx, "Position 1, 256, 1 is outside the world (y 0 to 255)");
+    assertError("/setblock 1 -1 1 stone", ctx, "Position 1, -1, 1 is outside the world (y 0 to 255)");
+    assertError("/setblock 16 64 1 stone", ctx, "Position 16, 64, 1 is not loaded");
+    assert.equal(ctx.world.getChunk(1, 0), null);
+
+    commands.execute("/setblock 1 64 1 stone", ctx);
+    assertError("/setblock 1 64 1 stone", ctx, "Could not set the block, it is already minecraft:stone");
+});
+
+test("/fill errors", () => {
+    const ctx = makeContext();
+    assertError("/fill 0 0 0 15 255 15 stone", ctx, `Too many blocks in the area (maximum ${MAX_FILL}, specified 65536)`);
+    assertError("/fill 0 64 0 16 64 0 stone", ctx, "Position 16, 64, 0 is not loaded");
+    assertError("/fill 0 64 0 1 64 1 stone", { player: ctx.player }, "No world is available here");
+    assertError("/fill 0 64 0 1 64 1 stone all", ctx, "Unknown mode 'all', expected one of 'replace', 'keep', 'outline', 'hollow'", "all");
+
+    assert.equal(commands.execute("/fill 0 64 0 1 64 1 stone", ctx), "Successfully filled 4 blocks");
+    assertError("/fill 0 64 0 1 64 1 stone keep", ctx, "No blocks were filled");
+    assertError("/fill 0 64 0 1 64 1 stone", ctx, "No blocks were filled");
+});
+
+test("/time errors", () => {
+    const ctx = makeContext();
+    assertError("/time set noon", { player: ctx.player }, "No world clock is available here");
+    assertError("/time set teatime", ctx, /^Invalid time 'teatime', expected a number of ticks or one of 'sunrise', /, "teatime");
+    assertError("/time add -5", ctx, /^Invalid time '-5'/, "-5");
+    assertError("/time query hour", ctx, "Unknown what 'hour', expected one of 'daytime', 'gametime', 'day'", "hour");
+
+    assert.equal(commands.execute("/time set noon", ctx), `Set the time to ${TIMES.noon}`);
+    assert.equal(commands.execute("/time add 1.5s", ctx), `Set the time to ${TIMES.noon + 30}`);
+});
+
+test("/gamemode errors", () => {
+    assertError("/gamemode creative", { players: [] }, "Only a player can run this command");
+    assertError("/gamemode creative Alex", makeContext(), "No player named 'Alex' was found", "Alex");
+
+    const changed = [];
+    const ctx = makeContext({ onGameModeChange: (player, mode) => changed.push([player.name, mode]) });
+    commands.execute("/gamemode creative", ctx);
+    assert.deepEqual(changed, [["Steve", "creative"]]);
+});
+
+test("/seed and /help errors", () => {
+    assertError("/seed", makeContext({ seed: null }), "This world has no seed");
+    assertError("/help fly", makeContext(), "Unknown command 'fly'", "fly");
+    assert.equal(commands.execute("/? /time", makeContext()), "/time set <time>\n/time add <amount>\n/time query <what>");
+});
@@ -0,0 +1,184 @@
+// Recipe matching and CraftingGrid against the data pack in
+// fixtures/datapack, loaded through loadDataPack like the game's own.
+
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import { ItemStack } from "../assets/js/game/Item.js";
+import {
+    ItemTags, RecipeRegistry, CraftingGrid, loadDataPack, matchRecipe
+} from "../assets/js/game/Crafting.js";
+
+const FIXTURES = fileURLToPath(new URL("./fixtures/datapack/", import.meta.url));
+
+const tags = new ItemTags();
+const registry = new RecipeRegistry(tags);
+
+// Letters used to draw grids, " " is an empty slot
+const LEGEND = {
+    P: "minecraft:oak_planks",
+    L: "minecraft:oak_log",
+    S: "minecraft:stick",
+    C: "minecraft:coal",
+    D: "minecraft:dirt"
+};
+
+// A crafting grid of rows.length x rows.length filled from the drawing
+function grid(rows, count = 1) {
+    const craft = new CraftingGrid(rows.length, { recipes: registry });
+    rows.forEach((row, y) => {
+        [...row.padEnd(rows.length, " ")].forEach((letter, x) => {
+            if (letter !== " ") craft.setSlot(y * rows.length + x, new ItemStack(LEGEND[letter], count));
+        });
+    });
+    return craft;
+}
+
+function resultOf(craft) {
+    const stack = craft.getSlot(craft.outputIndex);
+    return stack ? `${stack.item.id} x${stack.count}` : null;
+}
+
+before(async () => {
+    await loadDataPack(FIXTURES, {
+        recipes: registry,
+        fetchJSON: async (path) => JSON.parse(await readFile(path, "utf8"))
+    });
+});
+
+test("the data pack loads crafting recipes and skips other types", () => {
+    assert.deepEqual(registry.all().map((r) => r.id), [
+        "minecraft:wooden_pickaxe",
+        "minecraft:wooden_axe",
+        "minecraft:stick",
+        "minecraft:kindling",
+        "minecraft:charcoal"
+    ]);
+    assert.equal(registry.get("iron_ingot_from_smelting"), null);
+    assert.deepEqual(registry.get("kindling").result, { item: "minecraft:torch", count: 2 });
+    assert.deepEqual(registry.get("charcoal").result, { item: "minecraft:coal", count: 1 });
+});
+
+test("a shaped recipe matches its pattern", () => {
+    const craft = grid([
+        "PPP",
+        " S ",
+        " S "
+    ]);
+    assert.equal(craft.recipe.id, "minecraft:wooden_pickaxe");
+    assert.equal(resultOf(craft), "minecraft:wooden_pickaxe x1");
+});
+
+test("a shaped recipe matches mirrored left to right", () => {
+    const axe = registry.get("wooden_axe");
+    const normal = grid([
+        "PP",
+        "PS",
+        " S"
+    ]);
+    const mirrored = grid([
+        "PP",
+        "SP",
+        "S "
+    ]);
+    assert.equal(matchRecipe(axe, normal, tags), true);
+    assert.equal(matchRecipe(axe, mirrored, tags), true);
+    assert.equal(resultOf(mirrored), "minecraft:wooden_axe x1");
+
+    // Upside down is not a mirror image
+    const flipped = grid([
+        " S",
+        "PS",
+        "PP"
+    ]);
+    assert.equal(matchRecipe(axe, flipped, tags), false);
+});
+
+test("a recipe smaller than the grid matches at any offset", () => {
+    const stick = registry.get("stick");
+    const layouts = [
+        ["P  ", "P  ", "   "],
+        ["   ", "  P", "  P"],
+        ["   ", " P ", " P "]
+    ];
+    for (const rows of layouts) {
+        const craft = grid(rows);
+        assert.equal(matchRecipe(stick, craft, tags), true, rows.join("|"));
+        assert.equal(resultOf(craft), "minecraft:stick x4");
+    }
+
+    // The same recipe in the 2x2 inventory grid
+    assert.equal(resultOf(grid([" P", " P"])), "minecraft:stick x4");
+    // Too big for the 2x2 grid
+    assert.equal(matchRecipe(registry.get("wooden_pickaxe"), new CraftingGrid(2, { recipes: registry }), tags), false);
+});
+
+test("shapeless ingredients that overlap are assigned by backtracking", () => {
+    const kindling = registry.get("kindling");
+    // #wooden takes the planks first, which leaves the log for the planks
+    // ingredient; only trying the log for #wooden finds the match
+    for (const rows of [["PL ", "S  ", "   "], ["  S", " L ", "P  "], ["LSP", "   ", "   "]]) {
+        const craft = grid(rows);
+        assert.equal(matchRecipe(kindling, craft, tags), true, rows.join("|"));
+        assert.equal(resultOf(craft), "minecraft:torch x2");
+    }
+
+    // Both stacks fit #wooden but only one can be the planks
+    assert.equal(matchRecipe(kindling, grid(["LL", "S "]), tags), false);
+});
+
+test("nested tags expand to the items of the tags they include", () => {
+    assert.deepEqual([...tags.resolve("logs")], ["minecraft:oak_log"]);
+    assert.deepEqual([...tags.resolve("minecraft:wooden")].sort(), ["minecraft:oak_log", "minecraft:oak_planks"]);
+    assert.equal(tags.has("wooden", "minecraft:stick"), false);
+    assert.deepEqual([...tags.resolve("minecraft:unknown")], []);
+
+    // charcoal takes #logs, which only names #oak_logs
+    assert.equal(resultOf(grid([" L", "  "])), "minecraft:coal x1");
+});
+
+test("a tag that includes itself is an error", () => {
+    assert.throws(() => tags.resolve("loop_a"), /Item tag includes itself: minecraft:loop_a -> minecraft:loop_b -> minecraft:loop_a/);
+    assert.throws(() => tags.has("loop_b", "minecraft:stick"), /includes itself/);
+});
+
+test("a grid with items left over matches nothing", () => {
+    const pickaxe = grid([
+        "PPP",
+        " S ",
+        " SD"
+    ]);
+    assert.equal(pickaxe.recipe, null);
+    assert.equal(resultOf(pickaxe), null);
+    assert.equal(pickaxe.take(), null);
+
+    // Shaped: an extra stack outside the pattern
+    assert.equal(matchRecipe(registry.get("stick"), grid(["P ", "PP"]), tags), false);
+    // Shapeless: one stack more than the ingredients
+    assert.equal(matchRecipe(registry.get("kindling"), grid(["PLS", "S  ", "   "]), tags), false);
+    assert.equal(grid(["LL", "  "]).recipe, null);
+    // Wrong item in a pattern cell
+    assert.equal(grid(["PPP", " C ", " S "]).recipe, null);
+});
+
+test("take crafts once, uses one item per slot and keeps the rest", () => {
+    const craft = grid(["P ", "P "], 3);
+    const crafted = craft.take();
+    assert.equal(`${crafted.item.id} x${crafted.count}`, "minecraft:stick x4");
+    assert.equal(craft.getSlot(0).count, 2);
+    assert.equal(craft.getSlot(2).count, 2);
+    assert.equal(resultOf(craft), "minecraft:stick x4");
+
+    craft.take();
+    craft.take();
+    assert.equal(craft.getSlot(0), null);
+    assert.equal(craft.getSlot(2), null);
+    assert.equal(craft.take(), null);
+
+    // Only the output slot can be taken from
+    const pickaxe = grid(["PPP", " S ", " S "]);
+    assert.equal(pickaxe.take(0), null);
+    assert.equal(pickaxe.clear().length, 5);
+    assert.equal(pickaxe.recipe, null);
+});
@@ -0,0 +1,124 @@
+// GameLoop driven by FakeTimer: fixed-step catch-up, dropped ticks after a
+// stall, pausing and the interpolation alpha handed to render.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { GameLoop, FakeTimer, MAX_TICKS_PER_FRAME } from "../assets/js/game/GameLoop.js";
+import { lerpVector } from "../assets/js/game/jshelper/ShadowGL/Engine/math.js";
+
+// A started loop at 20 TPS (50 ms ticks) whose first frame has run at time 0
+function startLoop(options = {}) {
+    const timer = new FakeTimer();
+    const ticks = [];
+    const renders = [];
+    const loop = new GameLoop({
+        timer,
+        document: null,
+        tick: (dt, n) => ticks.push({ dt, n }),
+        render: (alpha, frameDt) => renders.push({ alpha, frameDt }),
+        ...options
+    });
+    loop.start();
+    timer.advance(0);
+    return { loop, timer, ticks, renders };
+}
+
+test("the first frame only sets the start time", () => {
+    const { loop, ticks, renders } = startLoop();
+    assert.equal(loop.running, true);
+    assert.equal(ticks.length, 0);
+    assert.deepEqual(renders, [{ alpha: 0, frameDt: 0 }]);
+});
+
+test("a slow frame catches up with every whole tick that is due", () => {
+    const { loop, timer, ticks } = startLoop();
+    timer.advance(150);
+    assert.equal(ticks.length, 3);
+    assert.deepEqual(ticks.map((t) => t.n), [1, 2, 3]);
+    assert.ok(ticks.every((t) => t.dt === 1 / 20));
+    assert.equal(loop.tickCount, 3);
+    assert.equal(loop.droppedTicks, 0);
+});
+
+test("fast frames add up to one tick despite rounding", () => {
+    const { loop, timer, ticks } = startLoop();
+    // Three 60 fps frames of 16.67 ms
+    timer.advance(50, 3);
+    assert.equal(ticks.length, 1);
+    assert.ok(loop.alpha < 1e-6);
+});
+
+test("render gets the fraction of the next tick as alpha", () => {
+    const { loop, timer, ticks, renders } = startLoop();
+    timer.advance(75);
+    assert.equal(ticks.length, 1);
+    assert.ok(Math.abs(loop.alpha - 0.5) < 1e-9);
+    const last = renders[renders.length - 1];
+    assert.ok(Math.abs(last.alpha - 0.5) < 1e-9);
+    assert.ok(Math.abs(last.frameDt - 0.075) < 1e-9);
+
+    // The remainder carries over: another 25 ms completes the tick
+    timer.advance(25);
+    assert.equal(ticks.length, 2);
+    assert.ok(loop.alpha < 1e-6);
+});
+
+test("alpha interpolates between the last two ticks' state", () => {
+    let prev = [0, 0, 0];
+    let current = [0, 0, 0];
+    let drawn = null;
+    const { timer } = startLoop({
+        tick: () => {
+            prev = current;
+            current = [current[0] + 1, 0, 0];
+        },
+        render: (alpha) => {
+            drawn = lerpVector([0, 0, 0], prev, current, alpha);
+        }
+    });
+    // Right after a tick the previous state is drawn, one tick behind
+    timer.advance(50);
+    assert.deepEqual(drawn, [0, 0, 0]);
+    timer.advance(10);
+    assert.ok(Math.abs(drawn[0] - 0.2) < 1e-9);
+    timer.advance(30);
+    assert.ok(Math.abs(drawn[0] - 0.8) < 1e-9);
+});
+
+test("after a stall at most maxTicksPerFrame ticks run and the rest are dropped", () => {
+    const { loop, timer, ticks } = startLoop();
+    timer.advance(2000);
+    assert.equal(ticks.length, MAX_TICKS_PER_FRAME);
+    assert.equal(loop.droppedTicks, 40 - MAX_TICKS_PER_FRAME);
+    assert.equal(loop.alpha, 0);
+
+    // The next frame runs normally instead of working off the backlog
+    timer.advance(50);
+    assert.equal(ticks.length, MAX_TICKS_PER_FRAME + 1);
+});
+
+test("a paused loop renders without ticking and does not catch up on resume", () => {
+    const { loop, timer, ticks, renders } = startLoop();
+    loop.pause("menu");
+    loop.pause("hidden");
+    timer.advance(500);
+    assert.equal(ticks.length, 0);
+    assert.equal(renders[renders.length - 1].frameDt, 0);
+
+    loop.resume("menu");
+    timer.advance(100);
+    assert.equal(ticks.length, 0);
+
+    loop.resume("hidden");
+    timer.advance(100);
+    timer.advance(100);
+    assert.equal(ticks.length, 2);
+});
+
+test("stop cancels the pending frame", () => {
+    const { loop, timer, renders } = startLoop();
+    loop.stop();
+    assert.equal(loop.running, false);
+    timer.advance(100);
+    assert.equal(renders.length, 1);
+});
@@ -0,0 +1,213 @@
+// Mobs ticked headlessly: behaviour choice (wander, flee, follow a lure,
+// attack), spawn rules, despawning and what a dead mob drops.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { blocks } from "../assets/js/game/Block.js";
+import { items, Inventory, ItemStack } from "../assets/js/game/Item.js";
+import {
+    Entity, MobManager, mobTypes, canSpawnAt,
+    IdleBehaviour, WanderBehaviour, FleeBehaviour, FollowPlayerBehaviour, AttackBehaviour
+} from "../assets/js/game/Mob.js";
+
+const GRASS = blocks.get("grass_block").id;
+const STONE = blocks.get("stone").id;
+const WATER = blocks.get("water").id;
+const DT = 0.05;
+
+// Grass at y 63 everywhere; `cells` maps "x,y,z" to other block ids
+function makeWorld(cells = {}, light = 15) {
+    return {
+        getBlock: (x, y, z) => cells[`${x},${y},${z}`] ?? (y === 63 ? GRASS : 0),
+        getLight: () => light
+    };
+}
+
+// Returns `values` in turn, then `rest` forever
+function sequence(values, rest) {
+    let i = 0;
+    return () => (i < values.length ? values[i++] : rest);
+}
+
+function makePlayer(position) {
+    const player = new Entity({ position });
+    player.inventory = new Inventory();
+    return player;
+}
+
+function run(mobs, ctx, ticks) {
+    for (let i = 0; i < ticks; i++) mobs.tick({ dt: DT, world: makeWorld(), ...ctx });
+}
+
+/* ---- Behaviours ---- */
+
+test("a mob idles until the dice send it wandering", () => {
+    const mobs = new MobManager();
+    const pig = mobs.spawn("pig", [0.5, 64, 0.5]);
+
+    run(mobs, { players: [], random: () => 0.99 }, 20);
+    assert.ok(pig.behaviour instanceof IdleBehaviour);
+    assert.deepEqual(pig.position, [0.5, 64, 0.5]);
+
+    // Start wandering, towards a target 8 blocks along +z
+    run(mobs, { players: [], random: sequence([0, 0.25, 1], 0.99) }, 20);
+    assert.ok(pig.behaviour instanceof WanderBehaviour);
+    assert.ok(Math.abs(pig.position[2] - 1.5) < 1e-9, `z ${pig.position[2]}`);
+    assert.ok(Math.abs(pig.position[0] - 0.5) < 1e-9, `x ${pig.position[0]}`);
+});
+
+test("a hurt animal flees from its attacker for a while", () => {
+    const mobs = new MobManager();
+    const pig = mobs.spawn("pig", [0, 64, 0]);
+    const player = makePlayer([3, 64, 0]);
+    const ctx = { players: [player], random: () => 0.99 };
+
+    pig.damage(1, player);
+    run(mobs, ctx, 20);
+    assert.ok(pig.behaviour instanceof FleeBehaviour);
+    // 1.5 blocks per second, straight away from the player
+    assert.ok(Math.abs(pig.position[0] + 1.5) < 1e-9, `x ${pig.position[0]}`);
+
+    // Half a second after the five seconds are up it has calmed down
+    run(mobs, ctx, 90);
+    assert.ok(pig.behaviour instanceof IdleBehaviour);
+    assert.deepEqual(pig.velocity, [0, 0, 0]);
+});
+
+test("animals follow a player holding their lure, up to a distance", () => {
+    const mobs = new MobManager();
+    const pig = mobs.spawn("pig", [0, 64, 0]);
+    const player = makePlayer([6, 64, 0]);
+    const ctx = { players: [player], random: () => 0.99 };
+
+    run(mobs, ctx, 10);
+    assert.ok(pig.behaviour instanceof IdleBehaviour, "no carrot, no interest");
+
+    player.inventory.setSlot(0, new ItemStack("carrot", 1));
+    run(mobs, ctx, 100);
+    assert.ok(pig.behaviour instanceof FollowPlayerBehaviour);
+    const distance = pig.horizontalDistanceTo(player);
+    assert.ok(distance <= 2 && distance > 1.9, `distance ${distance}`);
+    assert.deepEqual(pig.velocity, [0, 0, 0]);
+
+    // Wheat is a cow's lure, not a pig's
+    player.inventory.setSlot(0, new ItemStack("wheat", 1));
+    run(mobs, ctx, 1);
+    assert.ok(pig.behaviour instanceof IdleBehaviour);
+});
+
+test("hostile mobs chase players in range and hit them on a cooldown", () => {
+    const mobs = new MobManager();
+    const zombie = mobs.spawn("zombie", [0, 64, 0]);
+    const player = makePlayer([4, 64, 0]);
+    const far = makePlayer([40, 64, 0]);
+
+    run(mobs, { players: [far], random: () => 0.99 }, 20);
+    assert.ok(!(zombie.behaviour instanceof AttackBehaviour), "out of range");
+
+    // 2.5 blocks to close at 1.44 blocks per second, then 3 damage a second
+    run(mobs, { players: [player, far], random: () => 0.99 }, 90);
+    assert.ok(zombie.behaviour instanceof AttackBehaviour);
+    assert.equal(player.health, 20 - 3 * 3);
+    assert.equal(player.lastHurtBy, zombie);
+    assert.equal(far.health, 20);
+});
+
+/* ---- Spawning ---- */
+
+test("canSpawnAt checks the ground, the space for the body and the light", () => {
+    assert.equal(canSpawnAt("pig", makeWorld(), 0.5, 64, 0.5), true);
+    assert.equal(canSpawnAt("pig", makeWorld({}, 8), 0, 64, 0), false, "too dark for animals");
+    assert.equal(canSpawnAt("pig", makeWorld({ "0,63,0": STONE }), 0, 64, 0), false, "animals need grass");
+    assert.equal(canSpawnAt("pig", makeWorld(), 0, 70, 0), false, "nothing to stand on");
+    assert.equal(canSpawnAt("pig", makeWorld({ "0,64,0": WATER }), 0, 64, 0), false, "feet in water");
+
+    assert.equal(canSpawnAt("zombie", makeWorld(), 0, 64, 0), false, "too bright for monsters");
+    assert.equal(canSpawnAt("zombie", makeWorld({ "0,63,0": STONE }, 7), 0, 64, 0), true);
+    // A zombie is two blocks tall, a pig one
+    assert.equal(canSpawnAt("zombie", makeWorld({ "0,65,0": STONE }, 0), 0, 64, 0), false);
+    assert.equal(canSpawnAt("pig", makeWorld({ "0,65,0": STONE }), 0, 64, 0), true);
+});
+
+/* ---- Despawning ---- */
+
+test("mobs far from every player despawn at once, unless persistent", () => {
+    const mobs = new MobManager();
+    const zombie = mobs.spawn("zombie", [200, 64, 0]);
+    const pig = mobs.spawn("pig", [200, 64, 0]);
+    const named = mobs.spawn("zombie", [200, 64, 0], { persistent: true });
+
+    run(mobs, { players: [makePlayer([0, 64, 0])], random: () => 0.99 }, 1);
+    assert.equal(mobs.mobs.has(zombie.id), false);
+    assert.deepEqual([...mobs.mobs.values()], [pig, named]);
+
+    // Without players nothing despawns
+    const lonely = mobs.spawn("zombie", [500, 64, 0]);
+    run(mobs, { players: [], random: () => 0 }, 10);
+    assert.equal(mobs.mobs.has(lonely.id), true);
+});
+
+test("mobs out of range may despawn at random once the delay has passed", () => {
+    const mobs = new MobManager({ randomDespawnDelay: 10 });
+    const player = makePlayer([0, 64, 0]);
+    const zombie = mobs.spawn("zombie", [50, 64, 0]);
+    const ctx = { players: [player], random: () => 0 };
+
+    // 9.5 seconds out of range, then the player comes close and resets the wait
+    run(mobs, ctx, 190);
+    player.position[0] = 30;
+    run(mobs, ctx, 1);
+    assert.equal(zombie.noPlayerTime, 0);
+    player.position[0] = 0;
+    run(mobs, ctx, 190);
+    assert.equal(mobs.mobs.has(zombie.id), true);
+
+    // A roll above randomDespawnChance keeps it after the delay
+    run(mobs, { ...ctx, random: () => 0.99 }, 40);
+    assert.equal(mobs.mobs.has(zombie.id), true);
+    run(mobs, ctx, 1);
+    assert.equal(mobs.mobs.has(zombie.id), false);
+});
+
+/* ---- Drops ---- */
+
+test("a mob killed by a player drops its loot into the player's inventory", () => {
+    const deaths = [];
+    const mobs = new MobManager({ onDeath: (mob, drops) => deaths.push([mob, drops]) });
+    const player = makePlayer([0, 64, 0]);
+    const pig = mobs.spawn("pig", [2, 64, 0]);
+
+    pig.damage(10, player);
+    run(mobs, { players: [player], random: () => 0.5 }, 1);
+    assert.equal(mobs.count, 0);
+    assert.deepEqual(deaths, [[pig, [{ item: "minecraft:porkchop", count: 2 }]]]);
+    assert.equal(player.inventory.count("porkchop"), 2);
+});
+
+test("loot of mobs not killed by a player is reported but given to nobody", () => {
+    const deaths = [];
+    const mobs = new MobManager({ onDeath: (mob, drops) => deaths.push([mob.type.id, drops]) });
+    const zombie = mobs.spawn("zombie", [0, 64, 0]);
+    const chicken = mobs.spawn("chicken", [2, 64, 0]);
+    mobs.spawn("zombie", [300, 64, 0]);
+    const player = makePlayer([0, 64, 0]);
+
+    zombie.damage(20);
+    chicken.damage(4, zombie);
+    run(mobs, { players: [player], random: () => 0.5 }, 1);
+    assert.equal(mobs.count, 0);
+    // The far zombie despawned, which drops nothing
+    assert.deepEqual(deaths, [
+        ["minecraft:zombie", [{ item: "minecraft:rotten_flesh", count: 1 }]],
+        ["minecraft:chicken", [{ item: "minecraft:feather", count: 1 }]]
+    ]);
+    assert.deepEqual(player.inventory.slots.filter(Boolean), []);
+});
+
+test("every mob drops registered items", () => {
+    for (const type of mobTypes.all()) {
+        for (const drop of type.rollDrops(() => 0.999)) {
+            assert.ok(items.has(drop.item), `${type.id} drops unknown item ${drop.item}`);
+        }
+    }
+});
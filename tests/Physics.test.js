@@ -0,0 +1,138 @@
+// PlayerPhysics against shapeAt lookups built from a few blocks: stepping up
+// ledges, sneaking at an edge, sliding along walls and swimming.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Entity } from "../assets/js/game/Mob.js";
+import { PlayerPhysics, sweep, GRAVITY, WALK_SPEED, SWIM_SPEED, STEP_HEIGHT } from "../assets/js/game/Physics.js";
+
+const DT = 0.05;
+// Facing +x: forward moves along +x, strafe along +z
+const EAST = -Math.PI / 2;
+
+// A shapeAt lookup: `cells` maps "x,y,z" to a collision height, and every
+// column where floor(x, z) holds has a full block at y 0
+function makeShapes(cells = {}, floor = () => true) {
+    const shapes = new Map(Object.entries(cells));
+    return (x, y, z) => shapes.get(`${x},${y},${z}`) ?? (y === 0 && floor(x, z) ? 1 : 0);
+}
+
+// Blocks of `height` in the columns x0..x1 (z -8..8), from y 1 up to `top`
+function area(x0, x1, height = 1, top = 1) {
+    const cells = {};
+    for (let x = x0; x <= x1; x++) {
+        for (let z = -8; z <= 8; z++) {
+            for (let y = 1; y <= top; y++) cells[`${x},${y},${z}`] = height;
+        }
+    }
+    return cells;
+}
+
+// A player standing at position with physics over shapeAt, settled on the ground
+function makePlayer(shapeAt, position = [0.5, 1, 0.5], options = {}) {
+    const player = new Entity({ position, width: 0.6, height: 1.8 });
+    const physics = new PlayerPhysics(player, shapeAt, options);
+    physics.step({}, DT);
+    return { player, physics };
+}
+
+function run(physics, input, ticks) {
+    for (let i = 0; i < ticks; i++) physics.step(input, DT);
+}
+
+test("a player on the floor stays on it", () => {
+    const { player, physics } = makePlayer(makeShapes());
+    run(physics, {}, 20);
+    assert.deepEqual(player.position, [0.5, 1, 0.5]);
+    assert.equal(player.onGround, true);
+    assert.deepEqual(player.velocity, [0, 0, 0]);
+});
+
+test("ledges up to the step height are walked up, higher ones block", () => {
+    // Slabs from x 2 on
+    const slabs = makePlayer(makeShapes(area(2, 8, 0.5)));
+    run(slabs.physics, { forward: 1, yaw: EAST }, 20);
+    assert.equal(slabs.player.position[1], 1.5);
+    assert.ok(slabs.player.position[0] > 2.3, `x ${slabs.player.position[0]}`);
+    assert.equal(slabs.player.onGround, true);
+
+    // Exactly the step height is still climbed
+    const step = makePlayer(makeShapes(area(2, 8, STEP_HEIGHT)));
+    run(step.physics, { forward: 1, yaw: EAST }, 20);
+    assert.ok(Math.abs(step.player.position[1] - (1 + STEP_HEIGHT)) < 1e-9, `y ${step.player.position[1]}`);
+
+    // A full block stops the player against its face
+    const block = makePlayer(makeShapes(area(2, 8, 1)));
+    run(block.physics, { forward: 1, yaw: EAST }, 20);
+    assert.deepEqual(block.player.position, [1.7, 1, 0.5]);
+    assert.equal(block.physics.collidedHorizontally, true);
+    assert.equal(block.player.velocity[0], 0);
+});
+
+test("a sneaking player stops at an edge, a walking one falls off", () => {
+    // The floor ends after x 2
+    const shapes = makeShapes({}, (x) => x <= 2);
+
+    const sneaking = makePlayer(shapes);
+    run(sneaking.physics, { forward: 1, sneak: true, yaw: EAST }, 60);
+    const [x, y] = sneaking.player.position;
+    // Part of the box is still over the last block
+    assert.ok(x > 2.9 && x < 3.3, `x ${x}`);
+    assert.equal(y, 1);
+    assert.equal(sneaking.player.onGround, true);
+
+    const walking = makePlayer(shapes);
+    run(walking.physics, { forward: 1, yaw: EAST }, 20);
+    assert.ok(walking.player.position[1] < 0, `y ${walking.player.position[1]}`);
+    assert.equal(walking.player.onGround, false);
+});
+
+test("moves are resolved axis by axis, so a blocked player slides along the wall", () => {
+    // A box moving into a wall at x 3 keeps its y and z moves
+    const box = { minX: 1.4, minY: 1, minZ: 0.2, maxX: 2, maxY: 2.8, maxZ: 0.8 };
+    const blocked = sweep(box, 1.5, 0.2, -1, makeShapes(area(3, 3, 1, 2)));
+    assert.deepEqual([blocked.dx, blocked.dy, blocked.dz], [1, 0.2, -1]);
+    assert.equal(blocked.box.maxX, 3);
+
+    // Walking diagonally into a two-high wall at x 3
+    const { player, physics } = makePlayer(makeShapes(area(3, 3, 1, 2)), [2.5, 1, 0.5]);
+    run(physics, { forward: 1, strafe: -1, yaw: EAST }, 20);
+    const [x, y, z] = player.position;
+    assert.equal(x, 2.7);
+    assert.equal(y, 1);
+    // z keeps its share of the diagonal walking speed the whole second
+    assert.equal(player.velocity[0], 0);
+    assert.ok(Math.abs(player.velocity[2] + WALK_SPEED / Math.SQRT2) < 1e-6, `vz ${player.velocity[2]}`);
+    assert.ok(z < 0.5 - WALK_SPEED / Math.SQRT2 * 0.9, `z ${z}`);
+    assert.equal(physics.collidedHorizontally, true);
+});
+
+test("water slows falling and walking, and jump swims up", () => {
+    const isLiquid = (x, y) => y >= 1 && y <= 6;
+    const shapes = makeShapes();
+
+    // Diving in at speed: the drag takes most of it within half a second
+    const diver = new Entity({ position: [0.5, 5, 0.5] });
+    const physics = new PlayerPhysics(diver, shapes, { isLiquid });
+    diver.velocity[1] = -20;
+    physics.step({}, DT);
+    assert.equal(physics.inWater, true);
+    assert.ok(diver.velocity[1] > -16, `vy ${diver.velocity[1]}`);
+    run(physics, {}, 9);
+    assert.ok(diver.velocity[1] > -3, `vy ${diver.velocity[1]}`);
+
+    // Sinking settles at a slow speed, far below free fall
+    run(physics, {}, 10);
+    const sinking = diver.velocity[1];
+    assert.ok(sinking < 0 && sinking > -GRAVITY * 0.25, `vy ${sinking}`);
+
+    // Swimming along is no faster than SWIM_SPEED
+    const swimmer = makePlayer(shapes, [0.5, 1, 0.5], { isLiquid });
+    run(swimmer.physics, { forward: 1, yaw: EAST }, 40);
+    assert.ok(Math.abs(swimmer.player.velocity[0] - SWIM_SPEED) < 0.01, `vx ${swimmer.player.velocity[0]}`);
+
+    // Holding jump swims up at 1.5 times SWIM_SPEED
+    run(swimmer.physics, { jump: true }, 10);
+    assert.equal(swimmer.player.velocity[1], SWIM_SPEED * 1.5);
+    assert.ok(Math.abs(swimmer.player.position[1] - (1 + SWIM_SPEED * 1.5 * DT * 10)) < 1e-9, `y ${swimmer.player.position[1]}`);
+});
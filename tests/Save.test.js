@@ -0,0 +1,106 @@
+// WorldSave against storage that fails: regions that cannot be read or
+// written, and what a save does with their edits.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { blocks } from "../assets/js/game/Block.js";
+import { World } from "../assets/js/game/World.js";
+import { MemoryStorage, WorldSave } from "../assets/js/game/Save.js";
+
+const STONE = blocks.get("stone").id;
+const DIRT = blocks.get("dirt").id;
+
+// A flat world of dirt, attached to a new save in `storage`
+async function openWorld(storage) {
+    const save = await WorldSave.create(storage, { name: "Test" });
+    const errors = [];
+    save.onRegionError = (err, rx, rz) => errors.push([err.message, rx, rz]);
+    const world = new World({
+        renderDistance: 1,
+        generator: (chunk) => {
+            for (let z = 0; z < 16; z++) for (let x = 0; x < 16; x++) chunk.setBlock(x, 0, z, DIRT);
+        }
+    });
+    save.attach(world);
+    return { save, world, errors };
+}
+
+test("a region that cannot be read is reported once and its chunks are generated", async () => {
+    const storage = new MemoryStorage();
+    let reads = 0;
+    storage.getRegion = async () => {
+        reads++;
+        throw new Error("idb broke");
+    };
+    const { save, world, errors } = await openWorld(storage);
+
+    await save.prefetch(0, 0, 1);
+    world.update(0, 0);
+    world.update(0, 0);
+    world.update(0, 0);
+    assert.equal(world.chunks.size, 9);
+    assert.equal(world.getBlock(0, 0, 0), DIRT);
+
+    // Chunks -1..1 touch regions -1 and 0 on both axes
+    assert.equal(reads, 4);
+    assert.deepEqual(errors.map(([, rx, rz]) => [rx, rz]).sort(), [[-1, -1], [-1, 0], [0, -1], [0, 0]]);
+    assert.match(errors[0][0], /^Could not load region -?\d,-?\d of "Test": idb broke$/);
+});
+
+test("a save skips unreadable regions, keeps their edits and writes the rest", async () => {
+    const storage = new MemoryStorage();
+    const getRegion = storage.getRegion.bind(storage);
+    storage.getRegion = async (id, rx, rz) => {
+        if (rx === 0 && rz === 0) return new Uint8Array([1, 2, 3]);
+        return getRegion(id, rx, rz);
+    };
+    const { save, world, errors } = await openWorld(storage);
+    await save.prefetch(0, 0, 1);
+    world.update(0, 0);
+    world.update(0, 0);
+    world.update(0, 0);
+    assert.equal(errors.length, 1);
+
+    world.setBlock(0, 1, 0, STONE);
+    world.setBlock(-1, 1, -1, STONE);
+    save.meta.time = 4242;
+    await save.save();
+
+    // Region 0,0 still holds what was there, region -1,-1 got the edit
+    assert.equal(storage.regions.get(`${save.meta.id}/0,0`), undefined);
+    assert.ok(storage.regions.get(`${save.meta.id}/-1,-1`));
+    assert.equal(save.region(0, 0).dirty, true);
+    assert.equal(save.region(-1, -1).dirty, false);
+    assert.equal((await storage.getMeta(save.meta.id)).time, 4242);
+
+    // The next save does the same instead of failing
+    await save.save();
+    assert.equal(errors.length, 1);
+});
+
+test("a region whose write fails stays dirty and goes out with the next save", async () => {
+    const storage = new MemoryStorage();
+    const { save, world } = await openWorld(storage);
+    await save.prefetch(0, 0, 1);
+    world.update(0, 0);
+    world.setBlock(3, 1, 3, STONE);
+
+    const putRegion = storage.putRegion.bind(storage);
+    storage.putRegion = async () => {
+        throw new Error("quota exceeded");
+    };
+    await assert.rejects(save.save(), /^Error: Could not save region 0,0 of "Test": quota exceeded$/);
+    assert.equal(save.region(0, 0).dirty, true);
+
+    storage.putRegion = putRegion;
+    await save.save();
+    assert.equal(save.region(0, 0).dirty, false);
+
+    // A fresh save of the same world reads the edit back
+    const reopened = await WorldSave.open(storage, save.meta.id);
+    const copy = new World({ renderDistance: 0 });
+    reopened.attach(copy);
+    await reopened.prefetch(3, 3, 0);
+    copy.loadChunk(0, 0);
+    assert.equal(copy.getBlock(3, 1, 3), STONE);
+});
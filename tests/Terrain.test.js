@@ -0,0 +1,138 @@
+// TerrainGenerator: fixed seeds give fixed chunks for every world type, the
+// order chunks are generated in does not matter, and trees and cacti are
+// whole where they meet chunk borders.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import { blocks } from "../assets/js/game/Block.js";
+import { Chunk, CHUNK_SIZE, CHUNK_HEIGHT } from "../assets/js/game/Chunk.js";
+import { World } from "../assets/js/game/World.js";
+import { TerrainGenerator } from "../assets/js/game/Terrain.js";
+
+const AIR = 0;
+const LOG = blocks.get("oak_log").id;
+const DIRT = blocks.get("dirt").id;
+const SAND = blocks.get("sand").id;
+const CACTUS = blocks.get("cactus").id;
+
+// Chunks of seed "alpha" in the middle of a forest and of a desert
+const FOREST = [-24, -40];
+const DESERT = [20, -40];
+
+function hashChunk(terrain, cx, cz) {
+    const chunk = terrain.generate(new Chunk(cx, cz));
+    return createHash("sha256").update(chunk.blocks).digest("hex").slice(0, 16);
+}
+
+// The 3 x 3 chunks around cx, cz, generated through a World
+function loadArea(terrain, [cx, cz]) {
+    const world = new World({ renderDistance: 1, generator: terrain.generator() });
+    for (let dz = -1; dz <= 1; dz++) {
+        for (let dx = -1; dx <= 1; dx++) world.loadChunk(cx + dx, cz + dz);
+    }
+    return world;
+}
+
+// [x, y, z] of every block with id whose block below is something else, in
+// the columns of chunk cx, cz and `margin` blocks around it
+function findBases(world, [cx, cz], id, margin) {
+    const bases = [];
+    for (let x = cx * CHUNK_SIZE - margin; x < (cx + 1) * CHUNK_SIZE + margin; x++) {
+        for (let z = cz * CHUNK_SIZE - margin; z < (cz + 1) * CHUNK_SIZE + margin; z++) {
+            for (let y = 1; y < CHUNK_HEIGHT; y++) {
+                if (world.getBlock(x, y, z) === id && world.getBlock(x, y - 1, z) !== id) bases.push([x, y, z]);
+            }
+        }
+    }
+    return bases;
+}
+
+// True when the column is within `distance` blocks of a chunk border
+function nearBorder(x, z, distance) {
+    const lx = ((x % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
+    const lz = ((z % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
+    return Math.min(lx, lz, CHUNK_SIZE - 1 - lx, CHUNK_SIZE - 1 - lz) < distance;
+}
+
+test("fixed seeds give the same chunks for every world type", () => {
+    // [type, seed, hashes of chunks 0,0 -1,-1 FOREST DESERT]
+    const expected = [
+        ["default", "alpha", ["bedb1db62dbeab8c", "1246f686980419b3", "9d8cc3d546f34171", "1092a94b2da6c83e"]],
+        ["default", 12345, ["fc50d6fc725ea288", "abac9b3871901aa3", "266b613ecb20daed", "3aeacbec420132bb"]],
+        ["flat", "alpha", ["4c5b464912de87bb", "4c5b464912de87bb", "4c5b464912de87bb", "4c5b464912de87bb"]],
+        ["void", "alpha", ["eec76f3ec74c8b1c", "af53689d3b9e8306", "fa43239bcee7b97c", "fa43239bcee7b97c"]]
+    ];
+    for (const [type, seed, hashes] of expected) {
+        const terrain = new TerrainGenerator(seed, { type });
+        const observed = [[0, 0], [-1, -1], FOREST, DESERT].map(([cx, cz]) => hashChunk(terrain, cx, cz));
+        assert.deepEqual(observed, hashes, `${type} ${seed}`);
+    }
+});
+
+test("chunks do not depend on the order they are generated in", () => {
+    const area = [];
+    for (let cz = -2; cz <= 2; cz++) {
+        for (let cx = -2; cx <= 2; cx++) area.push([FOREST[0] + cx, FOREST[1] + cz]);
+    }
+    const inOrder = new TerrainGenerator("alpha");
+    const expected = area.map(([cx, cz]) => hashChunk(inOrder, cx, cz));
+
+    // Backwards, with far-away chunks in between to churn the biome cache
+    const shuffled = new TerrainGenerator("alpha");
+    const observed = [];
+    for (const [cx, cz] of [...area].reverse()) {
+        hashChunk(shuffled, cx * 7 + 300, cz * 5 - 900);
+        observed.unshift(hashChunk(shuffled, cx, cz));
+    }
+    assert.deepEqual(observed, expected);
+});
+
+test("oak trees are whole where they cross chunk borders", () => {
+    const world = loadArea(new TerrainGenerator("alpha"), FOREST);
+
+    // Trunks whose canopy (2 blocks around them) stays inside the loaded area
+    const trunks = findBases(world, FOREST, LOG, CHUNK_SIZE - 2).filter(([x, , z]) => nearBorder(x, z, 2));
+    assert.ok(trunks.length >= 10, `only ${trunks.length} trees cross a chunk border`);
+
+    for (const [x, y, z] of trunks) {
+        assert.equal(world.getBlock(x, y - 1, z), DIRT, `ground under the tree at ${x}, ${y}, ${z}`);
+        let top = y;
+        while (world.getBlock(x, top, z) === LOG) top++;
+        const height = top - y;
+        assert.ok(height >= 4 && height <= 6, `trunk of ${height} at ${x}, ${y}, ${z}`);
+
+        // Only corners may be missing from the leaves: two wide layers, two
+        // narrow ones and a cross on top
+        const canopy = [[0, 1, 0], [-1, 1, 0], [1, 1, 0], [0, 1, -1], [0, 1, 1]];
+        for (let dy = -3; dy <= 0; dy++) {
+            const radius = dy >= -1 ? 1 : 2;
+            for (let dz = -radius; dz <= radius; dz++) {
+                for (let dx = -radius; dx <= radius; dx++) {
+                    if (Math.abs(dx) !== radius || Math.abs(dz) !== radius) canopy.push([dx, dy, dz]);
+                }
+            }
+        }
+        for (const [dx, dy, dz] of canopy) {
+            assert.notEqual(world.getBlock(x + dx, top + dy, z + dz), AIR,
+                `leaves at ${x + dx}, ${top + dy}, ${z + dz} of the tree at ${x}, ${y}, ${z}`);
+        }
+    }
+});
+
+test("cacti on chunk borders stand on the surface", () => {
+    const terrain = new TerrainGenerator("alpha");
+    const world = loadArea(terrain, DESERT);
+
+    const cacti = findBases(world, DESERT, CACTUS, CHUNK_SIZE).filter(([x, , z]) => nearBorder(x, z, 1));
+    assert.ok(cacti.length >= 3, `only ${cacti.length} cacti on a chunk border`);
+
+    for (const [x, y, z] of cacti) {
+        assert.equal(y, terrain.heightAt(x, z) + 1, `cactus at ${x}, ${y}, ${z}`);
+        assert.equal(world.getBlock(x, y - 1, z), SAND);
+        let top = y;
+        while (world.getBlock(x, top, z) === CACTUS) top++;
+        assert.ok(top - y >= 1 && top - y <= 3, `cactus of ${top - y} at ${x}, ${y}, ${z}`);
+        assert.equal(world.getBlock(x, top, z), AIR);
+    }
+});
@@ -0,0 +1,63 @@
+// Runs the createEngine conformance checks (conformance.js) in Node for all
+// four backends. three, Babylon and PlayCanvas are the stand-ins in
+// fixtures/engines, which keep each library's API and draw to conformance.js's
+// mock WebGL canvas like ShadowGL does; the few browser globals the backends
+// touch outside WebGL are stubbed below.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+globalThis.window ??= { devicePixelRatio: 1 };
+globalThis.document ??= { body: {} };
+// Animation frames come from a timer, so the render loop checks can count frames
+globalThis.requestAnimationFrame ??= (callback) => setTimeout(() => callback(performance.now()), 0);
+globalThis.cancelAnimationFrame ??= (id) => clearTimeout(id);
+// Texture atlases are drawn on a 2D canvas; nothing reads the pixels back
+globalThis.OffscreenCanvas ??= class {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+    }
+
+    getContext(type) {
+        return type === "2d" ? { fillStyle: "", fillRect() {}, drawImage() {} } : null;
+    }
+};
+// There are no image files to load, so textures fall back to their placeholder
+globalThis.Image ??= class {
+    set src(url) {
+        setTimeout(() => this.onerror && this.onerror(new Error(`No images in Node: ${url}`)), 0);
+    }
+};
+
+const { createEngine } = await import("../assets/js/game/jshelper/js3dhelper.js");
+const { runConformance } = await import("../assets/js/game/jshelper/conformance.js");
+
+const BACKENDS = ["three", "babylon", "playcanvas"].map((name) => new URL(`./fixtures/engines/${name}.js`, import.meta.url).href);
+BACKENDS.push("shadowgl");
+
+function describe(result) {
+    if (!result.available) return `${result.backend}: not available (${result.error})`;
+    const failures = result.failures.map((f) => `  ${f.name}: ${f.error || JSON.stringify(f.observed)}`);
+    return [`${result.backend} (${result.libName}): ${result.passed ? "passed" : "failed"}`, ...failures].join("\n");
+}
+
+test("every backend passes the conformance checks", async (t) => {
+    const report = await runConformance(createEngine, { backends: BACKENDS });
+    for (const result of report.results) t.diagnostic(describe(result));
+
+    assert.deepEqual(report.results.map((r) => r.available && r.libName), ["three", "babylon", "playcanvas", "shadowgl"]);
+    for (const result of report.results) assert.ok(result.passed, describe(result));
+    assert.equal(report.passed, true);
+});
+
+test("the backends observe the same things as each other", async () => {
+    const report = await runConformance(createEngine, { backends: BACKENDS });
+    const [first, ...others] = report.results;
+    for (const result of others) {
+        for (const [i, check] of result.checks.entries()) {
+            assert.deepEqual(check, first.checks[i], `${result.libName} and ${first.libName} differ in '${check.name}'`);
+        }
+    }
+    assert.deepEqual(report.mismatches, []);
+});
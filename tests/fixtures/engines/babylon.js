@@ -0,0 +1,212 @@
+// A stand-in for the parts of @babylonjs/core that js3dhelper.js uses, so its
+// Babylon backend runs in Node. Names and signatures follow Babylon, and so
+// does the render loop: runRenderLoop(fn) adds fn once, stopRenderLoop(fn)
+// removes only that function (all of them without one), and frames come from
+// requestAnimationFrame while any function is left. Scene.render draws to the
+// canvas's WebGL context (conformance.js's mock): one clear, then one
+// instanced draw per visible mesh with thin instances.
+
+export class Color3 {
+    constructor(r = 0, g = 0, b = 0) {
+        Object.assign(this, { r, g, b });
+    }
+
+    static FromArray(array) {
+        return new Color3(array[0], array[1], array[2]);
+    }
+
+    static FromHexString(hex) {
+        const value = parseInt(hex.slice(1), 16);
+        return new Color3((value >> 16 & 255) / 255, (value >> 8 & 255) / 255, (value & 255) / 255);
+    }
+}
+
+export class Vector3 {
+    constructor(x = 0, y = 0, z = 0) {
+        Object.assign(this, { x, y, z });
+    }
+}
+
+export class Matrix {
+    constructor() {
+        this.m = new Float32Array([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
+    }
+
+    static Translation(x, y, z) {
+        const matrix = new Matrix();
+        matrix.m.set([x, y, z], 12);
+        return matrix;
+    }
+}
+
+export class Engine {
+    constructor(canvas, antialias, options = {}) {
+        this.canvas = canvas;
+        this.gl = canvas.getContext("webgl2") || canvas.getContext("webgl");
+        this.antialias = antialias;
+        this.options = options;
+        this.hardwareScalingLevel = 1;
+        this.scenes = [];
+        this._activeRenderLoops = [];
+        this._frameHandler = 0;
+    }
+
+    setHardwareScalingLevel(level) {
+        this.hardwareScalingLevel = level;
+    }
+
+    runRenderLoop(renderFunction) {
+        if (this._activeRenderLoops.includes(renderFunction)) return;
+        this._activeRenderLoops.push(renderFunction);
+        if (this._frameHandler === 0) this._frameHandler = requestAnimationFrame(() => this._renderLoop());
+    }
+
+    stopRenderLoop(renderFunction) {
+        if (!renderFunction) {
+            this._activeRenderLoops.length = 0;
+        } else {
+            const i = this._activeRenderLoops.indexOf(renderFunction);
+            if (i >= 0) this._activeRenderLoops.splice(i, 1);
+        }
+        if (this._activeRenderLoops.length === 0 && this._frameHandler !== 0) {
+            cancelAnimationFrame(this._frameHandler);
+            this._frameHandler = 0;
+        }
+    }
+
+    _renderLoop() {
+        this._frameHandler = 0;
+        for (const renderFunction of [...this._activeRenderLoops]) renderFunction();
+        if (this._activeRenderLoops.length > 0) this._frameHandler = requestAnimationFrame(() => this._renderLoop());
+    }
+
+    dispose() {
+        this.stopRenderLoop();
+        for (const scene of [...this.scenes]) scene.dispose();
+    }
+}
+
+export class Scene {
+    static FOGMODE_NONE = 0;
+    static FOGMODE_LINEAR = 3;
+
+    constructor(engine) {
+        this.engine = engine;
+        this.meshes = [];
+        this.clearColor = new Color3();
+        this.fogMode = Scene.FOGMODE_NONE;
+        engine.scenes.push(this);
+    }
+
+    render() {
+        const gl = this.engine.gl;
+        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+        for (const mesh of this.meshes) {
+            if (mesh.isVisible && mesh.thinInstanceCount > 0) {
+                gl.drawElementsInstanced(gl.TRIANGLES, 36, gl.UNSIGNED_SHORT, 0, mesh.thinInstanceCount);
+            }
+        }
+    }
+
+    dispose() {
+        this.meshes.length = 0;
+        this.engine.scenes = this.engine.scenes.filter((scene) => scene !== this);
+    }
+}
+
+export class ArcRotateCamera {
+    constructor(name, alpha, beta, radius, target, scene) {
+        Object.assign(this, { name, alpha, beta, radius, target, scene });
+        this.position = new Vector3();
+        this.fov = 0.8;
+        this.minZ = 1;
+        this.maxZ = 10000;
+    }
+
+    attachControl() {}
+
+    setTarget(target) {
+        this.target = target;
+    }
+
+    setPosition(position) {
+        this.position = position;
+    }
+}
+
+export class HemisphericLight {
+    constructor(name, direction, scene) {
+        Object.assign(this, { name, direction, scene });
+        this.intensity = 1;
+    }
+}
+
+export class DirectionalLight extends HemisphericLight {}
+
+export class Texture {
+    static TRILINEAR_SAMPLINGMODE = 3;
+
+    constructor(url, scene, noMipmap, invertY, samplingMode) {
+        Object.assign(this, { url, scene, noMipmap, invertY, samplingMode });
+        this.hasAlpha = false;
+    }
+
+    dispose() {}
+}
+
+export class StandardMaterial {
+    constructor(name, scene) {
+        Object.assign(this, { name, scene });
+        this.diffuseTexture = null;
+        this.diffuseColor = new Color3(1, 1, 1);
+        this.alpha = 1;
+    }
+}
+
+export class MultiMaterial {
+    constructor(name, scene) {
+        Object.assign(this, { name, scene });
+        this.subMaterials = [];
+    }
+}
+
+export class Mesh {
+    constructor(name, scene) {
+        Object.assign(this, { name, scene });
+        this.material = null;
+        this.isVisible = true;
+        this.subMeshes = [];
+        this.thinInstanceCount = 0;
+        this.matrices = [];
+        scene.meshes.push(this);
+    }
+
+    getTotalVertices() {
+        return 24;
+    }
+
+    thinInstanceAdd(matrix) {
+        this.matrices[this.thinInstanceCount] = matrix;
+        return this.thinInstanceCount++;
+    }
+
+    thinInstanceSetMatrixAt(index, matrix) {
+        this.matrices[index] = matrix;
+        return true;
+    }
+}
+
+export class SubMesh {
+    constructor(materialIndex, verticesStart, verticesCount, indexStart, indexCount, mesh) {
+        Object.assign(this, { materialIndex, verticesStart, verticesCount, indexStart, indexCount });
+        mesh.subMeshes.push(this);
+    }
+}
+
+export const MeshBuilder = {
+    CreateBox(name, options, scene) {
+        const mesh = new Mesh(name, scene);
+        mesh.size = options.size ?? 1;
+        return mesh;
+    }
+};
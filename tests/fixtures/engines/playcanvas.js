@@ -0,0 +1,305 @@
+// A stand-in for the parts of playcanvas that js3dhelper.js uses, so its
+// PlayCanvas backend runs in Node. Names and signatures follow PlayCanvas 2,
+// and so does the frame loop: start() ticks on requestAnimationFrame until
+// destroy(), and a tick renders only while autoRender (or renderNextFrame) is
+// set. Texture assets load through Image; a failed load fires "error" and
+// never calls ready(). render() draws to the canvas's WebGL context
+// (conformance.js's mock): one clear, then one instanced draw per enabled
+// mesh instance with instances.
+
+export const FILLMODE_NONE = "NONE";
+export const RESOLUTION_AUTO = "AUTO";
+export const BLEND_NORMAL = 2;
+export const BUFFER_DYNAMIC = 1;
+export const FOG_NONE = "none";
+export const FOG_LINEAR = "linear";
+
+// on / once / fire, like PlayCanvas's EventHandler
+class Events {
+    on(name, fn) {
+        this._events ??= {};
+        (this._events[name] ??= []).push(fn);
+        return this;
+    }
+
+    once(name, fn) {
+        const wrapper = (...args) => {
+            this._events[name] = this._events[name].filter((f) => f !== wrapper);
+            fn(...args);
+        };
+        return this.on(name, wrapper);
+    }
+
+    fire(name, ...args) {
+        for (const fn of [...(this._events?.[name] || [])]) fn(...args);
+        return this;
+    }
+}
+
+export class Color {
+    constructor(r = 0, g = 0, b = 0, a = 1) {
+        Object.assign(this, { r, g, b, a });
+    }
+}
+
+export class Vec3 {
+    static ONE = new Vec3(1, 1, 1);
+
+    constructor(x = 0, y = 0, z = 0) {
+        this.set(x, y, z);
+    }
+
+    set(x, y, z) {
+        Object.assign(this, { x, y, z });
+        return this;
+    }
+
+    length() {
+        return Math.hypot(this.x, this.y, this.z);
+    }
+
+    normalize() {
+        const length = this.length() || 1;
+        return this.set(this.x / length, this.y / length, this.z / length);
+    }
+}
+
+export class Quat {
+    static IDENTITY = new Quat();
+
+    constructor(x = 0, y = 0, z = 0, w = 1) {
+        Object.assign(this, { x, y, z, w });
+    }
+
+    setFromEulerAngles(ex, ey, ez) {
+        this.euler = [ex, ey, ez];
+        return this;
+    }
+
+    setFromAxisAngle(axis, angle) {
+        this.axisAngle = [axis.x, axis.y, axis.z, angle];
+        return this;
+    }
+}
+
+// Column-major like PlayCanvas; rotation is not needed by the checks and is left out
+export class Mat4 {
+    constructor() {
+        this.data = new Float32Array([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
+    }
+
+    setTRS(t, r, s) {
+        this.data.set([s.x, 0, 0, 0, 0, s.y, 0, 0, 0, 0, s.z, 0, t.x, t.y, t.z, 1]);
+        return this;
+    }
+
+    mul2(a, b) {
+        const out = new Float32Array(16);
+        for (let col = 0; col < 4; col++) {
+            for (let row = 0; row < 4; row++) {
+                let sum = 0;
+                for (let k = 0; k < 4; k++) sum += a.data[k * 4 + row] * b.data[col * 4 + k];
+                out[col * 4 + row] = sum;
+            }
+        }
+        this.data.set(out);
+        return this;
+    }
+}
+
+export class Mouse {
+    constructor(element) {
+        this.element = element;
+    }
+}
+
+export class TouchDevice extends Mouse {}
+
+export class Keyboard extends Mouse {}
+
+export class VertexFormat {
+    static getDefaultInstancingFormat() {
+        return { instancing: true, size: 64 };
+    }
+}
+
+export class VertexBuffer {
+    constructor(device, format, numVertices, options) {
+        Object.assign(this, { device, format, numVertices, options });
+        this.data = null;
+    }
+
+    setData(data) {
+        this.data = data;
+        return true;
+    }
+
+    destroy() {}
+}
+
+export class MeshInstance {
+    constructor() {
+        this.material = null;
+        this.cull = true;
+        this.instancingCount = 0;
+        this.vertexBuffer = null;
+    }
+
+    setInstancing(vertexBuffer) {
+        this.vertexBuffer = vertexBuffer;
+    }
+}
+
+export class StandardMaterial {
+    constructor() {
+        this.diffuse = new Color(1, 1, 1);
+        this.diffuseMap = null;
+        this.opacity = 1;
+    }
+
+    update() {}
+}
+
+export class Entity {
+    constructor(name = "Untitled") {
+        this.name = name;
+        this.children = [];
+        this.parent = null;
+        this.enabled = true;
+    }
+
+    addComponent(type, data = {}) {
+        const component = { ...data };
+        if (type === "model") component.model = { meshInstances: [new MeshInstance()] };
+        this[type] = component;
+        return component;
+    }
+
+    addChild(child) {
+        child.parent = this;
+        this.children.push(child);
+    }
+
+    setLocalPosition(x, y, z) {
+        this.localPosition = [x, y, z];
+    }
+
+    setPosition(x, y, z) {
+        this.position = [x, y, z];
+    }
+
+    setLocalEulerAngles(x, y, z) {
+        this.localEulerAngles = [x, y, z];
+    }
+
+    setLocalRotation(rotation) {
+        this.localRotation = rotation;
+    }
+
+    lookAt(x, y, z) {
+        this.target = [x, y, z];
+    }
+
+    // Every mesh instance of this entity and its descendants, skipping disabled entities
+    meshInstances() {
+        if (!this.enabled) return [];
+        const own = this.model ? this.model.model.meshInstances : [];
+        return [...own, ...this.children.flatMap((child) => child.meshInstances())];
+    }
+}
+
+export class Asset extends Events {
+    constructor(name, type, file) {
+        super();
+        Object.assign(this, { name, type, file });
+        this.loaded = false;
+        this.resource = null;
+    }
+
+    ready(fn) {
+        if (this.loaded) fn(this);
+        else this.once("load", fn);
+    }
+}
+
+class AssetRegistry extends Events {
+    constructor() {
+        super();
+        this.list = [];
+    }
+
+    add(asset) {
+        this.list.push(asset);
+    }
+
+    load(asset) {
+        const image = new Image();
+        image.onload = () => {
+            asset.resource = { image, destroy() {} };
+            asset.loaded = true;
+            asset.fire("load", asset);
+        };
+        image.onerror = () => {
+            const message = `Error loading Texture from: '${asset.file.url}'`;
+            asset.fire("error", message, asset);
+            this.fire("error", message, asset);
+        };
+        image.src = asset.file.url;
+    }
+}
+
+export class Application extends Events {
+    constructor(canvas, options = {}) {
+        super();
+        this.graphicsDevice = {
+            canvas,
+            gl: canvas.getContext("webgl2") || canvas.getContext("webgl"),
+            maxPixelRatio: 1,
+            options: options.graphicsDeviceOptions
+        };
+        this.scene = { ambientLight: new Color(), fog: { type: FOG_NONE, color: new Color(), start: 1, end: 1000 } };
+        this.root = new Entity("Root");
+        this.assets = new AssetRegistry();
+        this.autoRender = true;
+        this.renderNextFrame = false;
+        this.frameRequestId = null;
+    }
+
+    setCanvasFillMode(mode) {
+        this.fillMode = mode;
+    }
+
+    setCanvasResolution(mode) {
+        this.resolutionMode = mode;
+    }
+
+    start() {
+        this.fire("start");
+        this.frameRequestId = requestAnimationFrame(this.tick);
+    }
+
+    tick = () => {
+        if (!this.graphicsDevice) return;
+        this.frameRequestId = requestAnimationFrame(this.tick);
+        if (this.autoRender || this.renderNextFrame) {
+            this.render();
+            this.renderNextFrame = false;
+        }
+    };
+
+    render() {
+        const gl = this.graphicsDevice.gl;
+        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+        for (const meshInstance of this.root.meshInstances()) {
+            if (meshInstance.instancingCount > 0) {
+                gl.drawElementsInstanced(gl.TRIANGLES, 36, gl.UNSIGNED_SHORT, 0, meshInstance.instancingCount);
+            }
+        }
+    }
+
+    destroy() {
+        if (this.frameRequestId !== null) cancelAnimationFrame(this.frameRequestId);
+        this.frameRequestId = null;
+        this.graphicsDevice = null;
+    }
+}
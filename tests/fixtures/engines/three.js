@@ -0,0 +1,177 @@
+// A stand-in for the parts of three that js3dhelper.js uses, so its three
+// backend runs in Node. Names and signatures follow three; WebGLRenderer
+// draws to the canvas's WebGL context (conformance.js's mock): one clear per
+// render, then one instanced draw per visible InstancedMesh with instances.
+
+export const NearestFilter = 1003;
+export const SRGBColorSpace = "srgb";
+
+export class Color {
+    constructor(hex = 0xffffff) {
+        this.hex = hex;
+    }
+}
+
+export class Vector3 {
+    constructor(x = 0, y = 0, z = 0) {
+        this.set(x, y, z);
+    }
+
+    set(x, y, z) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+        return this;
+    }
+}
+
+export class Matrix4 {
+    constructor() {
+        this.elements = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+    }
+
+    makeTranslation(x, y, z) {
+        this.elements = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, x, y, z, 1];
+        return this;
+    }
+}
+
+export class Object3D {
+    constructor() {
+        this.position = new Vector3();
+        this.children = [];
+        this.parent = null;
+        this.visible = true;
+    }
+
+    add(child) {
+        child.parent?.remove(child);
+        child.parent = this;
+        this.children.push(child);
+        return this;
+    }
+
+    remove(child) {
+        const i = this.children.indexOf(child);
+        if (i >= 0) {
+            this.children.splice(i, 1);
+            child.parent = null;
+        }
+        return this;
+    }
+
+    lookAt(target) {
+        this.target = target;
+    }
+
+    traverseVisible(fn) {
+        if (!this.visible) return;
+        fn(this);
+        for (const child of this.children) child.traverseVisible(fn);
+    }
+}
+
+export class Scene extends Object3D {
+    constructor() {
+        super();
+        this.background = null;
+        this.fog = null;
+    }
+}
+
+export class Group extends Object3D {}
+
+export class PerspectiveCamera extends Object3D {
+    constructor(fov = 50, aspect = 1, near = 0.1, far = 2000) {
+        super();
+        Object.assign(this, { fov, aspect, near, far });
+    }
+
+    updateProjectionMatrix() {}
+}
+
+export class AmbientLight extends Object3D {
+    constructor(color, intensity = 1) {
+        super();
+        this.color = new Color(color);
+        this.intensity = intensity;
+    }
+}
+
+export class DirectionalLight extends AmbientLight {}
+
+export class Fog {
+    constructor(color, near = 1, far = 1000) {
+        this.color = new Color(color);
+        this.near = near;
+        this.far = far;
+    }
+}
+
+export class BoxGeometry {
+    dispose() {}
+}
+
+export class MeshLambertMaterial {
+    constructor(parameters = {}) {
+        Object.assign(this, parameters);
+    }
+
+    dispose() {}
+}
+
+export class InstancedMesh extends Object3D {
+    constructor(geometry, material, count) {
+        super();
+        this.geometry = geometry;
+        this.material = material;
+        this.count = count;
+        this.instanceMatrix = { array: new Float32Array(count * 16), count, needsUpdate: false };
+    }
+
+    setMatrixAt(index, matrix) {
+        this.instanceMatrix.array.set(matrix.elements, index * 16);
+    }
+
+    dispose() {}
+}
+
+// Loads through Image like three's ImageLoader; onError gets the failed event
+export class TextureLoader {
+    load(url, onLoad, onProgress, onError) {
+        const image = new Image();
+        image.onload = () => onLoad({ image, magFilter: null, minFilter: null, dispose() {} });
+        image.onerror = (event) => onError && onError(event);
+        image.src = url;
+    }
+}
+
+export class WebGLRenderer {
+    constructor(parameters = {}) {
+        this.domElement = parameters.canvas;
+        this.gl = this.domElement.getContext("webgl2") || this.domElement.getContext("webgl");
+        this.outputColorSpace = SRGBColorSpace;
+        this.pixelRatio = 1;
+    }
+
+    setPixelRatio(ratio) {
+        this.pixelRatio = ratio;
+    }
+
+    setSize(width, height) {
+        this.width = width;
+        this.height = height;
+    }
+
+    render(scene) {
+        const gl = this.gl;
+        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+        scene.traverseVisible((object) => {
+            if (object instanceof InstancedMesh && object.count > 0) {
+                gl.drawElementsInstanced(gl.TRIANGLES, 36, gl.UNSIGNED_SHORT, 0, object.count);
+            }
+        });
+    }
+
+    dispose() {}
+}